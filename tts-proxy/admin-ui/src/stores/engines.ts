@@ -1,7 +1,13 @@
 import { defineStore } from 'pinia'
 import { ref } from 'vue'
 import { useAuthStore } from './auth'
-import type { EnginesStatusResponse, EngineStatus } from '@/types'
+import type {
+  EnginesStatusResponse,
+  EngineStatus,
+  EngineStatusEvent,
+  PreviewsGeneratedEvent,
+  VoicesRefreshResponse,
+} from '@/types'
 
 export const useEnginesStore = defineStore('engines', () => {
   const authStore = useAuthStore()
@@ -11,6 +17,11 @@ export const useEnginesStore = defineStore('engines', () => {
   const isLoading = ref(false)
   const error = ref<string | null>(null)
   const lastChecked = ref<string | null>(null)
+  const isRefreshingVoices = ref(false)
+  const voicesRefresh = ref<VoicesRefreshResponse | null>(null)
+  const generatingPreviews = ref<Record<string, boolean>>({})
+  const previewResults = ref<Record<string, PreviewsGeneratedEvent>>({})
+  let events: EventSource | null = null
 
   // Actions
   async function fetchEnginesStatus(): Promise<void> {
@@ -36,6 +47,78 @@ export const useEnginesStore = defineStore('engines', () => {
     }
   }
 
+  async function refreshVoices(): Promise<void> {
+    isRefreshingVoices.value = true
+    error.value = null
+
+    try {
+      const response = await fetch('/admin/api/voices/refresh', {
+        method: 'POST',
+        headers: authStore.getHeaders()
+      })
+
+      if (response.ok) {
+        voicesRefresh.value = await response.json()
+        await fetchEnginesStatus()
+      } else {
+        error.value = 'Failed to refresh voices'
+      }
+    } catch (e) {
+      error.value = 'Connection error'
+    } finally {
+      isRefreshingVoices.value = false
+    }
+  }
+
+  // Runs in the background on the server; a previews.generated event reports the result
+  async function generatePreviews(engineId: string): Promise<void> {
+    error.value = null
+
+    try {
+      const response = await fetch('/admin/api/voices/previews', {
+        method: 'POST',
+        headers: { ...authStore.getHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ engine: engineId })
+      })
+
+      // 409: already running, so wait for the same event
+      if (response.ok || response.status === 409) {
+        generatingPreviews.value = { ...generatingPreviews.value, [engineId]: true }
+      } else {
+        error.value = 'Failed to generate previews'
+      }
+    } catch (e) {
+      error.value = 'Connection error'
+    }
+  }
+
+  // Follow engine status changes made elsewhere, e.g. credentials saved in another tab.
+  // EventSource can't send headers, so the key goes in the query string.
+  function subscribeToEvents(): void {
+    if (events) return
+
+    const query = authStore.apiKey ? `?api_key=${encodeURIComponent(authStore.apiKey)}` : ''
+    events = new EventSource(`/admin/api/events${query}`)
+    events.addEventListener('engine.status', (message) => {
+      const event: EngineStatusEvent = JSON.parse((message as MessageEvent).data)
+      enginesStatus.value = { ...enginesStatus.value, [event.engine]: event.status }
+      lastChecked.value = event.timestamp
+    })
+    events.addEventListener('voices.refreshed', () => {
+      fetchEnginesStatus()
+    })
+    events.addEventListener('previews.generated', (message) => {
+      const event: PreviewsGeneratedEvent = JSON.parse((message as MessageEvent).data)
+      generatingPreviews.value = { ...generatingPreviews.value, [event.engine]: false }
+      previewResults.value = { ...previewResults.value, [event.engine]: event }
+    })
+  }
+
+  function unsubscribeFromEvents(): void {
+    events?.close()
+    events = null
+  }
+
   // Alias for backward compatibility
   const engines = enginesStatus
 
@@ -45,7 +128,15 @@ export const useEnginesStore = defineStore('engines', () => {
     isLoading,
     error,
     lastChecked,
+    isRefreshingVoices,
+    voicesRefresh,
+    generatingPreviews,
+    previewResults,
     fetchEnginesStatus,
+    refreshVoices,
+    generatePreviews,
+    subscribeToEvents,
+    unsubscribeFromEvents,
   }
 })
 
@@ -9,6 +9,24 @@ export interface ApiKey {
   lastUsed: string | null
   requestCount: number
   expiresAt: string | null
+  characterQuota?: CharacterQuota | null
+  quotaUsage?: QuotaUsage
+  scopes?: ApiKeyScope[]
+  previousKeyExpiresAt?: string | null // set while a rotated-out secret still works
+}
+
+export type ApiKeyScope = 'tts' | 'voices:read' | 'devices' | 'admin:read' | 'admin'
+
+export interface CharacterQuota {
+  limit: number
+  period: 'daily' | 'weekly' | 'monthly'
+}
+
+export interface QuotaUsage {
+  used: number
+  remaining: number
+  periodStart: string
+  resetsAt: string
 }
 
 export interface CreateKeyRequest {
@@ -30,6 +48,9 @@ export interface EngineConfig {
 export interface EngineStatus {
   valid: boolean
   engine: string
+  name?: string
+  description?: string
+  category?: 'free' | 'paid'
   environment: string
   requiresCredentials: boolean
   credentialTypes: string[]
@@ -46,6 +67,29 @@ export interface EnginesStatusResponse {
   timestamp: string
 }
 
+export interface EngineStatusEvent {
+  type: 'engine.status'
+  engine: string
+  status: EngineStatus
+  timestamp: string
+}
+
+export interface VoicesRefreshResponse {
+  success: boolean
+  voiceCount: number
+  engines: Record<string, number>
+  refreshedAt: string
+}
+
+export interface PreviewsGeneratedEvent {
+  type: 'previews.generated'
+  engine: string
+  generated: number
+  skipped: number
+  failed: number
+  timestamp: string
+}
+
 // Engine definitions
 export interface EngineDefinition {
   name: string
@@ -71,8 +115,15 @@ export const ENGINE_DEFINITIONS: Record<string, EngineDefinition> = {
 // Usage types
 export interface UsageStats {
   totalRequests: number
+  totalCharacters?: number
+  successRate?: number
+  avgDurationMs?: number
   byKey?: Record<string, number>
+  byEngine?: Record<string, number>
   byPath?: Record<string, number>
+  charactersByKey?: Record<string, number>
+  charactersByEngine?: Record<string, number>
+  period?: { start: string; end: string }
 }
 
 // Auth types
@@ -14,7 +14,8 @@ import { loadEnv } from './load-env.js';
 import { getEnv } from '../src/config/env.js';
 import { FileStorage } from '../src/infrastructure/persistence/file/file-storage.js';
 import { FileKeyRepository } from '../src/infrastructure/persistence/file/key-repository.js';
-import { getPostgresKeyRepository } from '../src/infrastructure/persistence/postgres/key-repository.js';
+import { createPostgresKeyRepository } from '../src/infrastructure/persistence/postgres/key-repository.js';
+import { CredentialsCipher } from '../src/infrastructure/persistence/credentials-cipher.js';
 import {
   initializeSchema,
   isDatabaseAvailable,
@@ -26,17 +27,19 @@ async function getKeyRepository(
   dataDir: string
 ): Promise<KeyRepositoryPort> {
   const env = getEnv();
+  // Keys may hold custom engine credentials encrypted under the master key
+  const cipher = env.CREDENTIALS_MASTER_KEY ? CredentialsCipher.fromMasterKey(env.CREDENTIALS_MASTER_KEY) : null;
 
   if (env.DATABASE_URL) {
     const dbAvailable = await isDatabaseAvailable();
     if (dbAvailable) {
       await initializeSchema();
-      return getPostgresKeyRepository();
+      return createPostgresKeyRepository(cipher);
     }
   }
 
   const storage = new FileStorage({ dataDir });
-  return new FileKeyRepository(storage);
+  return new FileKeyRepository(storage, cipher);
 }
 
 async function promptYesNo(question: string): Promise<boolean> {
@@ -0,0 +1,127 @@
+/**
+ * Stand-in for a self-hosted TTS server, for trying out httpEngines entries
+ * without Piper or Coqui installed. It answers with a beep as long as the text
+ * would take to speak.
+ *
+ *   npx tsx scripts/http-tts-stand-in.ts [port]
+ *
+ *   GET  /voices     -> {"voices": [{"id", "name", "language", "gender"}]}
+ *   POST /tts        -> {"text", "voice", "speed"} in, WAV out
+ *   POST /tts/base64 -> same, answered as {"audio": "<base64 WAV>"}
+ */
+
+import http from 'node:http';
+
+const port = Number(process.argv[2] ?? process.env.STAND_IN_PORT ?? 5002);
+const SAMPLE_RATE = 22050;
+const CHARS_PER_SECOND = 15;
+
+const VOICES = [
+  { id: 'low', name: 'Low Beep', language: 'en-US', gender: 'male', frequency: 220 },
+  { id: 'high', name: 'High Beep', language: 'en-GB', gender: 'female', frequency: 660 },
+];
+
+function beep(text: string, frequency: number, speed: number): Buffer {
+  const seconds = Math.max(0.2, text.length / CHARS_PER_SECOND / speed);
+  const samples = Math.round(seconds * SAMPLE_RATE);
+  const wav = Buffer.alloc(44 + samples * 2);
+
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(1, 22); // mono
+  wav.writeUInt32LE(SAMPLE_RATE, 24);
+  wav.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples * 2, 40);
+
+  for (let i = 0; i < samples; i++) {
+    wav.writeInt16LE(Math.round(Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * 8000), 44 + i * 2);
+  }
+  return wav;
+}
+
+function readBody(req: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res: http.ServerResponse, status: number, data: unknown): void {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url ?? '/', `http://localhost:${port}`);
+  console.log(`${req.method} ${url.pathname}`);
+
+  if (req.method === 'GET' && url.pathname === '/voices') {
+    sendJson(res, 200, { voices: VOICES.map(({ frequency: _frequency, ...voice }) => voice) });
+    return;
+  }
+
+  if (req.method === 'POST' && (url.pathname === '/tts' || url.pathname === '/tts/base64')) {
+    let request: { text?: string; voice?: string; speed?: number };
+    try {
+      request = JSON.parse(await readBody(req));
+    } catch {
+      sendJson(res, 400, { error: 'Body must be JSON' });
+      return;
+    }
+    if (!request.text) {
+      sendJson(res, 400, { error: 'text is required' });
+      return;
+    }
+    const voice = VOICES.find((v) => v.id === request.voice);
+    if (!voice) {
+      sendJson(res, 404, { error: `Unknown voice: ${request.voice}` });
+      return;
+    }
+
+    const wav = beep(request.text, voice.frequency, request.speed ?? 1);
+    if (url.pathname === '/tts/base64') {
+      sendJson(res, 200, { audio: wav.toString('base64') });
+    } else {
+      res.writeHead(200, { 'Content-Type': 'audio/wav' });
+      res.end(wav);
+    }
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+});
+
+server.listen(port, () => {
+  console.log(`Stand-in TTS server on http://localhost:${port}`);
+  console.log('Add to config.json:');
+  console.log(
+    JSON.stringify(
+      {
+        httpEngines: [
+          {
+            name: 'stand-in',
+            label: 'Stand-in TTS',
+            request: {
+              url: `http://localhost:${port}/tts`,
+              method: 'POST',
+              body: { text: '{{text}}', voice: '{{voice}}', speed: '{{speed}}' },
+            },
+            response: { format: 'wav' },
+            voices: { url: `http://localhost:${port}/voices`, path: 'voices' },
+          },
+        ],
+      },
+      null,
+      2
+    )
+  );
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Script to re-encrypt stored engine credentials, and the custom ones stored
+ * with API keys, under a new master key.
+ * Run with: NEW_CREDENTIALS_MASTER_KEY=... npx tsx scripts/reencrypt-credentials.ts
+ */
+
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import process from 'node:process';
+
+import { loadEnv } from './load-env.js';
+import { getEnv } from '../src/config/env.js';
+import { FileStorage, FileCredentialsStorage } from '../src/infrastructure/persistence/file/file-storage.js';
+import { createPostgresCredentialsStorage } from '../src/infrastructure/persistence/postgres/credentials-storage.js';
+import { FileKeyRepository } from '../src/infrastructure/persistence/file/key-repository.js';
+import { createPostgresKeyRepository } from '../src/infrastructure/persistence/postgres/key-repository.js';
+import {
+  closePool,
+  initializeSchema,
+  isDatabaseAvailable,
+} from '../src/infrastructure/persistence/postgres/connection.js';
+import { CredentialsCipher } from '../src/infrastructure/persistence/credentials-cipher.js';
+import {
+  migrateCredentials,
+  reencryptCredentials,
+  reencryptKeyCredentials,
+} from '../src/infrastructure/persistence/credentials-migration.js';
+import type { CredentialsStoragePort } from '../src/application/ports/storage-port.js';
+import type { KeyRepositoryPort } from '../src/application/ports/key-repository-port.js';
+
+async function useDatabase(): Promise<boolean> {
+  const env = getEnv();
+  if (!env.DATABASE_URL || !(await isDatabaseAvailable())) return false;
+
+  await initializeSchema();
+  return true;
+}
+
+async function reencrypt(): Promise<void> {
+  loadEnv(import.meta.url);
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  const env = getEnv();
+
+  const newMasterKey = process.env.NEW_CREDENTIALS_MASTER_KEY;
+  if (!newMasterKey) {
+    console.error('NEW_CREDENTIALS_MASTER_KEY is not set.');
+    process.exit(1);
+  }
+
+  const oldCipher = env.CREDENTIALS_MASTER_KEY
+    ? CredentialsCipher.fromMasterKey(env.CREDENTIALS_MASTER_KEY)
+    : null;
+  const newCipher = CredentialsCipher.fromMasterKey(newMasterKey);
+
+  const dataDir =
+    env.OPENVOICEPROXY_DATA_DIR ??
+    env.DATA_DIR ??
+    resolve(__dirname, '../data');
+  const fileStorage = new FileStorage({ dataDir });
+  const database = await useDatabase();
+
+  const open = (cipher: CredentialsCipher | null): CredentialsStoragePort =>
+    database ? createPostgresCredentialsStorage(cipher) : new FileCredentialsStorage(fileStorage, cipher);
+  const openKeys = (cipher: CredentialsCipher | null): KeyRepositoryPort =>
+    database ? createPostgresKeyRepository(cipher) : new FileKeyRepository(fileStorage, cipher);
+
+  console.log(`Re-encrypting engine credentials in ${database ? 'PostgreSQL' : dataDir}...`);
+  console.log(`  Current key: ${oldCipher ? oldCipher.keyId : '(none, credentials are plaintext)'}`);
+  console.log(`  New key:     ${newCipher.keyId}`);
+
+  const current = open(oldCipher);
+  if (database) {
+    // Credentials still in the file are moved into the database first, as on startup
+    await migrateCredentials({
+      file: new FileCredentialsStorage(fileStorage, oldCipher),
+      target: current,
+      encrypt: false,
+    });
+  }
+
+  const count = await reencryptCredentials(current, open(newCipher));
+  const keyCount = await reencryptKeyCredentials(openKeys(oldCipher), openKeys(newCipher));
+  if (database) await closePool();
+
+  console.log(`Re-encrypted credentials for ${count} engine(s).`);
+  console.log(`Re-encrypted custom engine credentials of ${keyCount} API key(s).`);
+  console.log('');
+  console.log('Now set CREDENTIALS_MASTER_KEY to the new key and restart the server.');
+}
+
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('Re-encrypt Engine Credentials Script');
+  console.log('');
+  console.log('Usage: npx tsx scripts/reencrypt-credentials.ts [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --help, -h     Show this help message');
+  console.log('');
+  console.log('Environment Variables:');
+  console.log('  CREDENTIALS_MASTER_KEY        Key the credentials are encrypted with now (unset: plaintext)');
+  console.log('  NEW_CREDENTIALS_MASTER_KEY    Key to encrypt them with (at least 16 characters)');
+  process.exit(0);
+}
+
+reencrypt().catch((error) => {
+  console.error('Error re-encrypting credentials:', error);
+  process.exit(1);
+});
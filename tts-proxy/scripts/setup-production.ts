@@ -12,7 +12,8 @@ import { getEnv } from '../src/config/env.js';
 import { getKeyService } from '../src/domain/services/key-service.js';
 import { FileStorage } from '../src/infrastructure/persistence/file/file-storage.js';
 import { FileKeyRepository } from '../src/infrastructure/persistence/file/key-repository.js';
-import { getPostgresKeyRepository } from '../src/infrastructure/persistence/postgres/key-repository.js';
+import { createPostgresKeyRepository } from '../src/infrastructure/persistence/postgres/key-repository.js';
+import { CredentialsCipher } from '../src/infrastructure/persistence/credentials-cipher.js';
 import {
   initializeSchema,
   isDatabaseAvailable,
@@ -24,17 +25,19 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 
 async function getKeyRepository(dataDir: string): Promise<KeyRepositoryPort> {
   const env = getEnv();
+  // Keys may hold custom engine credentials encrypted under the master key
+  const cipher = env.CREDENTIALS_MASTER_KEY ? CredentialsCipher.fromMasterKey(env.CREDENTIALS_MASTER_KEY) : null;
 
   if (env.DATABASE_URL) {
     const dbAvailable = await isDatabaseAvailable();
     if (dbAvailable) {
       await initializeSchema();
-      return getPostgresKeyRepository();
+      return createPostgresKeyRepository(cipher);
     }
   }
 
   const storage = new FileStorage({ dataDir });
-  return new FileKeyRepository(storage);
+  return new FileKeyRepository(storage, cipher);
 }
 
 async function setupProduction(): Promise<void> {
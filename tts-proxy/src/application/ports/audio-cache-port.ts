@@ -0,0 +1,66 @@
+/**
+ * Audio Cache Port
+ * Interface for caching synthesized audio
+ */
+
+import type { AudioFormat, SpeechResponse, VoiceSettings } from '../../types/tts.types.js';
+
+/**
+ * Everything that influences the synthesized audio
+ */
+export interface AudioCacheKey {
+  engine: string;
+  voiceId: string;
+  text: string;
+  voiceSettings?: VoiceSettings;
+  format: AudioFormat;
+  sampleRate?: number;
+  bitrate?: number;
+  scope?: string; // set for audio that must only be served to one API key
+  ssml?: boolean;
+}
+
+export interface AudioCacheStats {
+  enabled: boolean;
+  entries: number;
+  sizeBytes: number;
+  maxSizeBytes: number;
+  maxAgeMs: number;
+  hits: number;
+  misses: number;
+  hitRate: number;
+  evictions: number;
+  byEngine: Record<string, { entries: number; sizeBytes: number }>;
+}
+
+export interface AudioCachePurgeFilter {
+  engine?: string;
+  voiceId?: string;
+}
+
+export interface AudioCachePort {
+  /**
+   * Check if caching is enabled
+   */
+  isEnabled(): boolean;
+
+  /**
+   * Look up cached audio (counts as a hit or miss)
+   */
+  get(key: AudioCacheKey): Promise<SpeechResponse | null>;
+
+  /**
+   * Store synthesized audio
+   */
+  set(key: AudioCacheKey, response: SpeechResponse): Promise<void>;
+
+  /**
+   * Remove cached entries, optionally limited to an engine and/or voice
+   */
+  purge(filter?: AudioCachePurgeFilter): Promise<number>;
+
+  /**
+   * Get cache statistics
+   */
+  getStats(): AudioCacheStats;
+}
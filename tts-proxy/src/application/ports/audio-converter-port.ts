@@ -0,0 +1,34 @@
+/**
+ * Audio Converter Port
+ * Interface for converting synthesized audio between formats and sample rates
+ */
+
+import type { AudioFormat, AudioSpec } from '../../types/tts.types.js';
+
+export interface ConvertedAudio {
+  audio: Buffer;
+  format: AudioFormat;
+  sampleRate: number;
+}
+
+export interface JoinedAudio extends ConvertedAudio {
+  duration: number; // seconds
+}
+
+/**
+ * A piece of a joined clip: audio, or a silence in seconds
+ */
+export type AudioPart = { audio: Buffer; format: AudioFormat; sampleRate?: number } | { silence: number };
+
+export interface AudioConverterPort {
+  /**
+   * Convert audio to the target format and sample rate.
+   * The source spec is what the engine reported; the bytes are trusted over it.
+   */
+  convert(audio: Buffer, source: AudioSpec, target: AudioSpec): Promise<ConvertedAudio>;
+
+  /**
+   * Join audio and silences into one clip in the target format
+   */
+  join(parts: AudioPart[], target: AudioSpec): Promise<JoinedAudio>;
+}
@@ -0,0 +1,23 @@
+/**
+ * Audit Log Port
+ * Interface for storing the audit trail of administrative changes
+ */
+
+import type { AuditEntry, AuditQuery } from '../../domain/entities/audit.js';
+
+export interface AuditLogPort {
+  /**
+   * Append an entry
+   */
+  append(entry: AuditEntry): Promise<void>;
+
+  /**
+   * Get entries matching a time range and filters, newest first
+   */
+  query(query?: AuditQuery, limit?: number): Promise<AuditEntry[]>;
+
+  /**
+   * Clear old entries
+   */
+  clearOldEntries(olderThan: Date): Promise<number>;
+}
@@ -4,6 +4,11 @@
  */
 
 export type { KeyRepositoryPort } from './key-repository-port.js';
+export type { VoiceMappingRepositoryPort } from './voice-mapping-repository-port.js';
+export type { LexiconRepositoryPort } from './lexicon-repository-port.js';
+export type { JobRepositoryPort } from './job-repository-port.js';
+export type { VoicePreviewRepositoryPort, VoicePreview } from './voice-preview-repository-port.js';
+export type { AuditLogPort } from './audit-log-port.js';
 export type {
   TTSEnginePort,
   TTSEngineFactoryPort,
@@ -13,6 +18,13 @@ export type {
   CredentialsStoragePort,
   UsageStoragePort,
 } from './storage-port.js';
+export type {
+  AudioCachePort,
+  AudioCacheKey,
+  AudioCacheStats,
+  AudioCachePurgeFilter,
+} from './audio-cache-port.js';
+export type { AudioConverterPort, ConvertedAudio, JoinedAudio, AudioPart } from './audio-converter-port.js';
 export type {
   LoggerPort,
   RequestLoggerPort,
@@ -0,0 +1,33 @@
+/**
+ * Job Repository Port
+ * Interface for synthesis job persistence, including the finished audio
+ */
+
+import type { SynthesisJob } from '../../domain/entities/job.js';
+
+export interface JobRepositoryPort {
+  /**
+   * Find all stored jobs
+   */
+  findAll(): Promise<SynthesisJob[]>;
+
+  /**
+   * Save a job (create or replace)
+   */
+  save(job: SynthesisJob): Promise<void>;
+
+  /**
+   * Delete a job and its audio
+   */
+  delete(job: SynthesisJob): Promise<boolean>;
+
+  /**
+   * Store the finished audio of a job
+   */
+  saveAudio(job: SynthesisJob, audio: Buffer): Promise<void>;
+
+  /**
+   * Read the finished audio of a job
+   */
+  readAudio(job: SynthesisJob): Promise<Buffer | null>;
+}
@@ -46,6 +46,17 @@ export interface KeyRepositoryPort {
    */
   incrementUsage(id: string): Promise<void>;
 
+  /**
+   * Replace all stored keys at once, e.g. to encrypt or re-encrypt their
+   * custom engine credentials
+   */
+  replaceAll(apiKeys: ApiKey[]): Promise<void>;
+
+  /**
+   * Count the keys whose custom engine credentials are stored unencrypted
+   */
+  countPlaintextCredentials(): Promise<number>;
+
   /**
    * Check if repository is available (e.g., database connected)
    */
@@ -0,0 +1,23 @@
+/**
+ * Lexicon Repository Port
+ * Interface for pronunciation lexicon persistence
+ */
+
+import type { Lexicon } from '../../types/tts.types.js';
+
+export interface LexiconRepositoryPort {
+  /**
+   * Find all lexicons
+   */
+  findAll(): Promise<Lexicon[]>;
+
+  /**
+   * Save a lexicon (create or replace)
+   */
+  save(lexicon: Lexicon): Promise<void>;
+
+  /**
+   * Delete the lexicon of a scope
+   */
+  delete(scope: string): Promise<boolean>;
+}
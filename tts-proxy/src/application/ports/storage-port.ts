@@ -3,6 +3,8 @@
  * Interface for file and data storage operations
  */
 
+import type { UsageRecord, UsageQuery } from '../../domain/entities/usage.js';
+
 export interface StoragePort {
   /**
    * Read JSON data from storage
@@ -14,6 +16,21 @@ export interface StoragePort {
    */
   writeJson<T>(key: string, data: T): Promise<void>;
 
+  /**
+   * Read binary data (e.g. audio) from storage
+   */
+  readBinary(key: string, extension?: string): Promise<Buffer | null>;
+
+  /**
+   * Write binary data to storage
+   */
+  writeBinary(key: string, data: Buffer, extension?: string): Promise<void>;
+
+  /**
+   * Delete binary data by key
+   */
+  deleteBinary(key: string, extension?: string): Promise<boolean>;
+
   /**
    * Check if a key exists
    */
@@ -68,6 +85,16 @@ export interface CredentialsStoragePort {
    * Check if credentials exist for an engine
    */
   hasCredentials(engineId: string): Promise<boolean>;
+
+  /**
+   * Replace all stored credentials at once, e.g. to migrate or re-encrypt them
+   */
+  replaceAllCredentials(credentials: Record<string, Record<string, string>>): Promise<void>;
+
+  /**
+   * Count the engines whose credentials are stored unencrypted
+   */
+  countPlaintextCredentials(): Promise<number>;
 }
 
 /**
@@ -77,42 +104,20 @@ export interface UsageStoragePort {
   /**
    * Append a usage record
    */
-  appendUsage(record: {
-    timestamp: Date;
-    keyId: string;
-    engine: string;
-    path: string;
-    characterCount: number;
-    durationMs: number;
-    statusCode: number;
-  }): Promise<void>;
+  appendUsage(record: UsageRecord): Promise<void>;
 
   /**
-   * Get usage records within a time range
+   * Get usage records matching a time range and filters, oldest first
    */
-  getUsage(since?: Date, until?: Date): Promise<Array<{
-    timestamp: Date;
-    keyId: string;
-    engine: string;
-    path: string;
-    characterCount: number;
-    durationMs: number;
-    statusCode: number;
-  }>>;
+  getUsage(query?: UsageQuery): Promise<UsageRecord[]>;
 
   /**
-   * Clear old usage records
+   * Get the number of characters a key synthesized successfully since a date
    */
-  clearOldRecords(olderThan: Date): Promise<number>;
+  getCharacterCount(keyId: string, since: Date): Promise<number>;
 
   /**
-   * Get aggregated statistics
+   * Clear old usage records
    */
-  getStats(since?: Date): Promise<{
-    totalRequests: number;
-    totalCharacters: number;
-    byKey: Record<string, number>;
-    byEngine: Record<string, number>;
-    byPath: Record<string, number>;
-  }>;
+  clearOldRecords(olderThan: Date): Promise<number>;
 }
@@ -4,12 +4,15 @@
  */
 
 import type { Voice } from '../../domain/entities/voice.js';
+import type { CircuitBreakerSnapshot } from '../../domain/services/circuit-breaker.js';
+import type { EngineQueueSnapshot } from '../../domain/services/engine-scheduler.js';
 import type { EngineType, EngineCredentials } from '../../types/engine.types.js';
 import type {
   SpeechRequest,
   SpeechResponse,
   StreamingChunk,
   TimestampedSpeechResponse,
+  TimestampSupport,
   AudioFormat,
 } from '../../types/tts.types.js';
 
@@ -34,6 +37,11 @@ export interface TTSEnginePort {
    */
   getVoices(): Promise<Voice[]>;
 
+  /**
+   * Fetch the voice list from the provider again
+   */
+  refreshVoices?(): Promise<Voice[]>;
+
   /**
    * Generate speech from text
    */
@@ -58,9 +66,9 @@ export interface TTSEnginePort {
   supportsStreaming(): boolean;
 
   /**
-   * Check if timestamps are supported
+   * Check which kind of timestamps the engine provides
    */
-  supportsTimestamps(): boolean;
+  supportsTimestamps(): TimestampSupport;
 
   /**
    * Check if a specific audio format is supported
@@ -80,6 +88,7 @@ export interface TTSEnginePort {
     voiceCount: number;
     message: string;
     error?: string;
+    circuit?: CircuitBreakerSnapshot;
   };
 
   /**
@@ -116,4 +125,21 @@ export interface TTSEngineFactoryPort {
    * Get all initialized engines
    */
   getInitializedEngines?(): Map<EngineType, TTSEnginePort>;
+
+  /**
+   * Get circuit breaker state for every engine that has one
+   */
+  getCircuitStates?(): Partial<Record<EngineType, CircuitBreakerSnapshot>>;
+
+  /**
+   * Get the running and waiting calls of every engine that has been used
+   */
+  getQueueStates?(): Partial<Record<EngineType, EngineQueueSnapshot>>;
+
+  /**
+   * Replace an engine's default credentials (null drops them) and rebuild its
+   * shared instance. Resolves to the new instance, or null when the engine
+   * has no credentials left to run with.
+   */
+  reloadEngine?(engineId: EngineType, credentials: EngineCredentials | null): Promise<TTSEnginePort | null>;
 }
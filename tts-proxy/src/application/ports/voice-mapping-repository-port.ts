@@ -0,0 +1,28 @@
+/**
+ * Voice Mapping Repository Port
+ * Interface for ElevenLabs voice-ID mapping persistence
+ */
+
+import type { VoiceMapping } from '../../types/tts.types.js';
+
+export interface VoiceMappingRepositoryPort {
+  /**
+   * Find all voice mappings
+   */
+  findAll(): Promise<VoiceMapping[]>;
+
+  /**
+   * Find a mapping by its ElevenLabs voice ID
+   */
+  findById(elevenLabsId: string): Promise<VoiceMapping | null>;
+
+  /**
+   * Save a mapping (create or replace)
+   */
+  save(mapping: VoiceMapping): Promise<void>;
+
+  /**
+   * Delete a mapping by its ElevenLabs voice ID
+   */
+  delete(elevenLabsId: string): Promise<boolean>;
+}
@@ -0,0 +1,37 @@
+/**
+ * Voice Preview Repository Port
+ * Interface for storing generated voice previews and their audio
+ */
+
+import type { AudioFormat } from '../../types/tts.types.js';
+
+export interface VoicePreview {
+  key: string; // derived from the voice ID (and the API key, for previews from a key's own account)
+  voiceId: string;
+  engine: string;
+  format: AudioFormat;
+  sampleRate: number;
+  createdAt: string;
+}
+
+export interface VoicePreviewRepositoryPort {
+  /**
+   * Find a stored preview by its key
+   */
+  find(key: string): Promise<VoicePreview | null>;
+
+  /**
+   * Save a preview and its audio (create or replace)
+   */
+  save(preview: VoicePreview, audio: Buffer): Promise<void>;
+
+  /**
+   * Read the audio of a preview
+   */
+  readAudio(preview: VoicePreview): Promise<Buffer | null>;
+
+  /**
+   * Delete a preview and its audio
+   */
+  delete(preview: VoicePreview): Promise<boolean>;
+}
@@ -0,0 +1,435 @@
+/**
+ * Job Service
+ * Runs long-form synthesis in the background: the text is split into
+ * sentence-aligned chunks, synthesized a few at a time and joined into one file
+ */
+
+import { randomUUID } from 'crypto';
+import type { AudioConverterPort, AudioPart } from '../ports/audio-converter-port.js';
+import type { JobRepositoryPort } from '../ports/job-repository-port.js';
+import type { LogMeta } from '../ports/logger-port.js';
+import type { SynthesisRequest, SynthesisResult, SynthesisService } from './synthesis-service.js';
+import type { CharacterQuota } from '../../types/api-key.types.js';
+import { isJobFinished, type SynthesisJob } from '../../domain/entities/job.js';
+import { splitIntoChunks, type TextChunk } from '../../domain/services/text-splitter.js';
+import { inlineBreaksToSsml } from '../../domain/services/ssml.js';
+import { getUsageService } from '../../domain/services/usage-service.js';
+import { isDomainError, JobQueueFullError, TextTooLongError } from '../../domain/errors/domain-errors.js';
+import { errorMessage, getLogContext, getLogger, withLogContext } from '../../domain/services/log-service.js';
+
+const log = getLogger('Jobs');
+
+export interface JobServiceConfig {
+  maxTextLength: number;
+  chunkLength: number; // characters synthesized per engine call
+  concurrency: number; // chunks of one job synthesized at once
+  maxRunning: number; // jobs processed at once; the rest wait in order
+  maxQueued: number; // jobs waiting before new ones are turned away
+  maxQueuedPerKey: number; // jobs one key may have waiting
+  ttlMs: number; // how long finished jobs and their audio are kept
+}
+
+export interface JobServiceDependencies {
+  synthesisService: SynthesisService;
+  audioConverter: AudioConverterPort;
+  repository: JobRepositoryPort;
+  config?: Partial<JobServiceConfig>;
+}
+
+export interface CreateJobInput {
+  keyId: string;
+  voiceId: string; // the voice ID the client asked for
+  outputFormat: string;
+  /**
+   * The synthesis request for the whole text; its output spec is the joined file's
+   */
+  request: SynthesisRequest;
+  characterQuota?: CharacterQuota | null; // the key's, checked against its queued and running jobs too
+}
+
+interface ActiveJob {
+  request: SynthesisRequest;
+  chunks: TextChunk[];
+  controller: AbortController;
+  cancelled: boolean;
+  logContext: LogMeta; // of the request that submitted the job
+}
+
+const DEFAULT_CONFIG: JobServiceConfig = {
+  maxTextLength: 500_000,
+  chunkLength: 2000,
+  concurrency: 2,
+  maxRunning: 2,
+  maxQueued: 100,
+  maxQueuedPerKey: 10,
+  ttlMs: 24 * 60 * 60 * 1000,
+};
+
+// Silence between paragraphs, in seconds
+const PARAGRAPH_PAUSE = 0.6;
+
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Usage is recorded under the route the job was submitted to
+const USAGE_PATH = '/v1/jobs';
+
+export class JobService {
+  private readonly synthesisService: SynthesisService;
+  private readonly audioConverter: AudioConverterPort;
+  private readonly repository: JobRepositoryPort;
+  private readonly config: JobServiceConfig;
+  private readonly jobs = new Map<string, SynthesisJob>();
+  private readonly active = new Map<string, ActiveJob>();
+  private readonly queue: string[] = [];
+  private running = 0;
+  // Submissions are checked against the queue and quota one at a time
+  private creating: Promise<unknown> = Promise.resolve();
+  private cleanupTimer: ReturnType<typeof setInterval> | null = null;
+
+  constructor(deps: JobServiceDependencies) {
+    this.synthesisService = deps.synthesisService;
+    this.audioConverter = deps.audioConverter;
+    this.repository = deps.repository;
+    this.config = { ...DEFAULT_CONFIG, ...deps.config };
+  }
+
+  /**
+   * Load stored jobs and start expiring old ones. Jobs a restart interrupted
+   * are marked as failed, since their requests were not stored.
+   */
+  async load(): Promise<void> {
+    for (const job of await this.repository.findAll()) {
+      if (!isJobFinished(job)) {
+        this.finish(job, 'failed', { code: 'INTERRUPTED', message: 'The server restarted before the job finished' });
+        await this.repository.save(job);
+      }
+      this.jobs.set(job.id, job);
+    }
+
+    await this.removeExpired();
+    this.cleanupTimer = setInterval(() => {
+      this.removeExpired().catch((error) => {
+        log.warn('Failed to remove expired jobs', { error: errorMessage(error) });
+      });
+    }, CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Queue a job. Throws TextTooLongError for text over the job limit,
+   * JobQueueFullError when too many jobs are waiting and QuotaExceededError
+   * when the text and the key's unfinished jobs together exceed its quota.
+   */
+  async create(input: CreateJobInput): Promise<SynthesisJob> {
+    const { request } = input;
+    if (request.text.length > this.config.maxTextLength) {
+      throw new TextTooLongError(this.config.maxTextLength, request.text.length);
+    }
+
+    const created = this.creating.then(() => this.enqueue(input));
+    this.creating = created.catch(() => undefined);
+    return created;
+  }
+
+  /**
+   * Characters of a key's queued and running jobs, not yet recorded as usage
+   */
+  getReservedCharacters(keyId: string): number {
+    let reserved = 0;
+    for (const id of this.active.keys()) {
+      const job = this.jobs.get(id);
+      if (job?.keyId === keyId) reserved += job.characterCount;
+    }
+    return reserved;
+  }
+
+  get(id: string): SynthesisJob | undefined {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Jobs of one key, newest first
+   */
+  list(keyId?: string): SynthesisJob[] {
+    return Array.from(this.jobs.values())
+      .filter((job) => !keyId || job.keyId === keyId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Position of a queued job in the queue (0 = next)
+   */
+  getQueuePosition(id: string): number | undefined {
+    const index = this.queue.indexOf(id);
+    return index >= 0 ? index : undefined;
+  }
+
+  async readAudio(job: SynthesisJob): Promise<Buffer | null> {
+    return job.status === 'completed' ? this.repository.readAudio(job) : null;
+  }
+
+  /**
+   * Stop a queued or running job. A chunk already being synthesized finishes
+   * first, so a running job turns cancelled shortly after.
+   */
+  async cancel(id: string): Promise<SynthesisJob | undefined> {
+    const job = this.jobs.get(id);
+    if (!job || isJobFinished(job)) return job;
+
+    const index = this.queue.indexOf(id);
+    if (index >= 0) {
+      this.queue.splice(index, 1);
+      this.active.delete(id);
+      this.finish(job, 'cancelled');
+      await this.repository.save(job);
+    } else {
+      const active = this.active.get(id);
+      if (active) {
+        active.cancelled = true;
+        active.controller.abort();
+      }
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a job if needed and delete it with its audio
+   */
+  async delete(id: string): Promise<boolean> {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    await this.cancel(id);
+    this.jobs.delete(id);
+    await this.repository.delete(job);
+    return true;
+  }
+
+  /**
+   * Job counts by status
+   */
+  getStats(): Record<SynthesisJob['status'], number> {
+    const stats = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) {
+      stats[job.status]++;
+    }
+    return stats;
+  }
+
+  /**
+   * Stop expiring jobs and abort the running ones
+   */
+  stop(): void {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+    for (const { controller } of this.active.values()) {
+      controller.abort(new Error('The server stopped before the job finished'));
+    }
+  }
+
+  private async enqueue(input: CreateJobInput): Promise<SynthesisJob> {
+    const { request } = input;
+    if (this.queue.length >= this.config.maxQueued) {
+      throw new JobQueueFullError(this.config.maxQueued, 'server');
+    }
+    const queuedForKey = this.queue.filter((id) => this.jobs.get(id)?.keyId === input.keyId).length;
+    if (queuedForKey >= this.config.maxQueuedPerKey) {
+      throw new JobQueueFullError(this.config.maxQueuedPerKey, 'key');
+    }
+    if (input.characterQuota) {
+      await getUsageService().checkQuotaOrThrow(
+        input.keyId,
+        input.characterQuota,
+        request.text.length,
+        this.getReservedCharacters(input.keyId)
+      );
+    }
+
+    const chunks = splitIntoChunks(request.text, this.config.chunkLength);
+    const job: SynthesisJob = {
+      id: randomUUID(),
+      keyId: input.keyId,
+      status: 'queued',
+      voiceId: input.voiceId,
+      engine: request.engine,
+      outputFormat: input.outputFormat,
+      format: request.outputFormat ?? 'mp3',
+      sampleRate: request.sampleRate,
+      bitrate: request.bitrate,
+      characterCount: request.text.length,
+      totalChunks: chunks.length,
+      completedChunks: 0,
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.repository.save(job);
+    this.jobs.set(job.id, job);
+    this.active.set(job.id, {
+      request,
+      chunks,
+      controller: new AbortController(),
+      cancelled: false,
+      logContext: getLogContext(),
+    });
+    this.queue.push(job.id);
+    this.startNext();
+
+    return job;
+  }
+
+  private startNext(): void {
+    while (this.running < this.config.maxRunning && this.queue.length > 0) {
+      const id = this.queue.shift()!;
+      const job = this.jobs.get(id);
+      const active = this.active.get(id);
+      if (!job || !active) continue;
+
+      this.running++;
+      withLogContext({ ...active.logContext, jobId: id }, () => this.run(job, active))
+        .catch((error) => {
+          log.error('Job could not be saved', error, { jobId: id });
+        })
+        .finally(() => {
+          this.running--;
+          this.active.delete(id);
+          this.startNext();
+        });
+    }
+  }
+
+  private async run(job: SynthesisJob, active: ActiveJob): Promise<void> {
+    const { request, chunks, controller } = active;
+    const startedAt = Date.now();
+    let statusCode = 200;
+    job.status = 'running';
+    job.startedAt = new Date(startedAt).toISOString();
+    await this.repository.save(job);
+
+    try {
+      const results = await this.synthesizeChunks(job, request, chunks, controller);
+
+      const parts: AudioPart[] = [];
+      chunks.forEach((chunk, index) => {
+        if (chunk.paragraphStart && index > 0) parts.push({ silence: PARAGRAPH_PAUSE });
+        parts.push(results[index]!);
+      });
+
+      const joined = await this.audioConverter.join(parts, {
+        format: job.format,
+        sampleRate: job.sampleRate,
+        bitrate: job.bitrate,
+      });
+      controller.signal.throwIfAborted();
+
+      const fallback = results.find((result) => result?.fallbackFrom);
+      if (fallback) {
+        job.engine = fallback.engine;
+        job.fallbackFrom = fallback.fallbackFrom;
+      }
+      job.sampleRate = joined.sampleRate;
+      job.duration = joined.duration;
+      job.sizeBytes = joined.audio.length;
+      await this.repository.saveAudio(job, joined.audio);
+      this.finish(job, 'completed');
+      log.info('Job completed', { jobId: job.id, characters: job.characterCount, durationSeconds: joined.duration });
+    } catch (error) {
+      if (!this.jobs.has(job.id)) return; // deleted while running
+
+      if (active.cancelled) {
+        this.finish(job, 'cancelled');
+        statusCode = 499;
+      } else {
+        const message = error instanceof Error ? error.message : String(error);
+        statusCode = isDomainError(error) ? error.statusCode : 500;
+        this.finish(job, 'failed', { code: isDomainError(error) ? error.code : 'JOB_FAILED', message });
+        log.warn('Job failed', {
+          jobId: job.id,
+          completedChunks: job.completedChunks,
+          totalChunks: job.totalChunks,
+          error: message,
+        });
+      }
+    }
+
+    // Recorded usage takes over from the reservation
+    this.active.delete(job.id);
+    getUsageService().recordRequest({
+      apiKeyId: job.keyId,
+      engine: job.engine,
+      path: USAGE_PATH,
+      characterCount: job.characterCount,
+      durationMs: Date.now() - startedAt,
+      statusCode,
+      metadata: { jobId: job.id },
+    });
+
+    await this.repository.save(job);
+  }
+
+  /**
+   * Synthesize every chunk as WAV, a few at a time. The first failure aborts
+   * the other workers.
+   */
+  private async synthesizeChunks(
+    job: SynthesisJob,
+    request: SynthesisRequest,
+    chunks: TextChunk[],
+    controller: AbortController
+  ): Promise<SynthesisResult[]> {
+    const results: SynthesisResult[] = [];
+    let next = 0;
+
+    const worker = async (): Promise<void> => {
+      while (next < chunks.length) {
+        controller.signal.throwIfAborted();
+        const index = next++;
+        const ssml = inlineBreaksToSsml(chunks[index]!.text);
+
+        results[index] = await this.synthesisService.synthesize({
+          ...request,
+          text: ssml ?? chunks[index]!.text,
+          ssml: Boolean(ssml),
+          outputFormat: 'wav',
+          sampleRate: undefined,
+          bitrate: undefined,
+          signal: controller.signal,
+          priority: 'background',
+        });
+        job.completedChunks++;
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.config.concurrency, chunks.length) }, () =>
+      worker().catch((error) => {
+        if (!controller.signal.aborted) controller.abort(error);
+        throw error;
+      })
+    );
+    const outcomes = await Promise.allSettled(workers);
+
+    // Report the error that stopped the job, not the aborts it caused
+    const failure = outcomes.find((outcome): outcome is PromiseRejectedResult => outcome.status === 'rejected');
+    if (failure) throw controller.signal.aborted ? controller.signal.reason : failure.reason;
+    return results;
+  }
+
+  private finish(job: SynthesisJob, status: 'completed' | 'failed' | 'cancelled', error?: SynthesisJob['error']): void {
+    const now = Date.now();
+    job.status = status;
+    job.completedAt = new Date(now).toISOString();
+    job.expiresAt = new Date(now + this.config.ttlMs).toISOString();
+    if (error) job.error = error;
+  }
+
+  private async removeExpired(): Promise<void> {
+    const now = new Date().toISOString();
+    for (const job of Array.from(this.jobs.values())) {
+      if (job.expiresAt && job.expiresAt <= now) {
+        this.jobs.delete(job.id);
+        await this.repository.delete(job);
+      }
+    }
+  }
+}
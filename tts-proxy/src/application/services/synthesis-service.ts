@@ -0,0 +1,654 @@
+/**
+ * Synthesis Service
+ * Single entry point for speech synthesis shared by the HTTP and WebSocket handlers
+ */
+
+import type { TTSEngineFactoryPort, TTSEnginePort } from '../ports/tts-engine-port.js';
+import type { AudioCachePort, AudioCacheKey } from '../ports/audio-cache-port.js';
+import type { AudioConverterPort, AudioPart } from '../ports/audio-converter-port.js';
+import { getEngineDefinition, getEngineIds, type EngineType } from '../../types/engine.types.js';
+import type {
+  AudioFormat,
+  SpeechRequest,
+  SpeechResponse,
+  StreamingChunk,
+  AlignmentData,
+  TimestampSupport,
+  VoiceSettings,
+} from '../../types/tts.types.js';
+import { VoiceCollection, type Voice } from '../../domain/entities/voice.js';
+import { splitIntoSentences } from '../../domain/services/text-splitter.js';
+import { validateSsml, withProsody } from '../../domain/services/ssml.js';
+import { emptyAlignment, shiftAlignment } from '../../domain/services/alignment.js';
+import type { FailoverChains } from '../../domain/services/failover.js';
+import { getTTSService } from '../../domain/services/tts-service.js';
+import { getLexiconService } from '../../domain/services/lexicon-service.js';
+import { getMetricsService } from '../../domain/services/metrics-service.js';
+import {
+  EngineAccessDeniedError,
+  EngineBusyError,
+  EngineCircuitOpenError,
+  SpeechGenerationError,
+} from '../../domain/errors/domain-errors.js';
+import { errorMessage, getLogger } from '../../domain/services/log-service.js';
+
+const log = getLogger('Synthesis');
+
+/**
+ * Which engines a caller may use and with which credentials (an ApiKey satisfies this)
+ */
+export interface EngineAccess {
+  readonly id: string;
+  canAccessEngine(engineId: string): boolean;
+  getEngineCredentials(engineId: string): Record<string, string> | undefined;
+}
+
+export interface SynthesisRequest extends SpeechRequest {
+  engine: EngineType;
+  /**
+   * The requested voice, used to pick a similar voice if the engine fails over
+   */
+  voice?: Voice;
+  /**
+   * The caller's engine permissions; without it every engine is allowed with default credentials
+   */
+  access?: EngineAccess;
+  bitrate?: number; // kbps, for lossy compressed output
+  /**
+   * Stops the request between engine calls (a call already made runs to completion)
+   */
+  signal?: AbortSignal;
+}
+
+export interface SynthesisResult extends SpeechResponse {
+  engine: EngineType; // the engine that actually produced the audio
+  voiceId: string;
+  fallbackFrom?: EngineType; // the requested engine, when a fallback was used
+  cached: boolean;
+}
+
+export interface TimestampedSynthesisResult extends SynthesisResult {
+  alignment: AlignmentData;
+  timing: TimestampSupport;
+}
+
+export interface SynthesisStreamOptions {
+  /**
+   * Attach character alignment to every chunk (always synthesizes sentence by sentence)
+   */
+  timestamps?: boolean;
+}
+
+export interface SynthesisStreamResult {
+  engine: EngineType;
+  fallbackFrom?: EngineType;
+  characterCount: number;
+  mode: 'native' | 'sentences';
+}
+
+/**
+ * A piece of text synthesized on its own when streaming sentence by sentence
+ */
+interface SpeechUnit {
+  text: string;
+  ssml: boolean;
+  voiceSettings?: VoiceSettings;
+  pauseBefore: number; // seconds
+  pauseAfter: number;
+}
+
+// Formats whose streams describe their own sample rate
+const COMPRESSED_FORMATS: AudioFormat[] = ['mp3', 'ogg', 'opus', 'aac', 'flac'];
+
+export type StreamChunkHandler = (chunk: StreamingChunk) => void | Promise<void>;
+
+export interface SynthesisServiceDependencies {
+  engineFactory: TTSEngineFactoryPort;
+  audioCache?: AudioCachePort;
+  audioConverter?: AudioConverterPort;
+  failoverChains?: FailoverChains;
+}
+
+interface FailoverOutcome<T> {
+  value: T;
+  request: SynthesisRequest;
+  fallbackFrom?: EngineType;
+}
+
+export class SynthesisService {
+  private readonly engineFactory: TTSEngineFactoryPort;
+  private readonly audioCache?: AudioCachePort;
+  private readonly audioConverter?: AudioConverterPort;
+  private readonly failoverChains: FailoverChains;
+
+  constructor(deps: SynthesisServiceDependencies) {
+    this.engineFactory = deps.engineFactory;
+    this.audioCache = deps.audioCache;
+    this.audioConverter = deps.audioConverter;
+    this.failoverChains = deps.failoverChains ?? new Map();
+  }
+
+  /**
+   * Synthesize speech, serving repeated phrases from the audio cache.
+   * Falls back along the engine's failover chain if it fails.
+   */
+  async synthesize(request: SynthesisRequest): Promise<SynthesisResult> {
+    const outcome = await this.withFailover(request, (stepRequest) => this.synthesizeCached(stepRequest));
+    return {
+      ...outcome.value,
+      engine: outcome.request.engine,
+      voiceId: outcome.request.voiceId,
+      ...(outcome.fallbackFrom ? { fallbackFrom: outcome.fallbackFrom } : {}),
+    };
+  }
+
+  /**
+   * Synthesize speech with per-character timings
+   */
+  async synthesizeWithTimestamps(request: SynthesisRequest): Promise<TimestampedSynthesisResult> {
+    const outcome = await this.withFailover(request, (stepRequest) => this.synthesizeTimestamped(stepRequest));
+    return {
+      ...outcome.value,
+      engine: outcome.request.engine,
+      voiceId: outcome.request.voiceId,
+      ...(outcome.fallbackFrom ? { fallbackFrom: outcome.fallbackFrom } : {}),
+    };
+  }
+
+  /**
+   * Pick the engine and voice a stream will start on: the first engine in the
+   * failover chain that can currently be used
+   */
+  async resolveEngine(request: SynthesisRequest): Promise<SynthesisRequest & { fallbackFrom?: EngineType }> {
+    const outcome = await this.withFailover(request, async (stepRequest) => {
+      await this.getEngineFor(stepRequest.engine, stepRequest.access);
+    });
+    return outcome.fallbackFrom ? { ...outcome.request, fallbackFrom: outcome.fallbackFrom } : outcome.request;
+  }
+
+  /**
+   * Get an engine instance for a caller, on their own credentials when they have them
+   */
+  async getEngineFor(engineId: EngineType, access?: EngineAccess): Promise<TTSEnginePort> {
+    this.assertEngineAccess(engineId, access);
+    return this.engineFactory.createEngine(engineId, access?.getEngineCredentials(engineId));
+  }
+
+  /**
+   * Get the engines a caller may use: the available engines it isn't barred
+   * from, plus any it brings its own credentials for
+   */
+  getAccessibleEngines(access?: EngineAccess): EngineType[] {
+    const available = this.engineFactory.getAvailableEngines();
+    if (!access) return available;
+
+    const ownCredentials = getEngineIds().filter(
+      (engineId) =>
+        !available.includes(engineId) &&
+        this.engineFactory.isEngineSupported(engineId) &&
+        access.getEngineCredentials(engineId) !== undefined
+    );
+    return [...available, ...ownCredentials].filter((engineId) => access.canAccessEngine(engineId));
+  }
+
+  /**
+   * Throw if the caller is not allowed to use an engine
+   */
+  assertEngineAccess(engineId: EngineType, access?: EngineAccess): void {
+    if (access && !access.canAccessEngine(engineId)) {
+      throw new EngineAccessDeniedError(engineId);
+    }
+  }
+
+  /**
+   * Get the failover chain for an engine (the engine itself first)
+   */
+  getFailoverChain(engineId: EngineType): EngineType[] {
+    return this.failoverChains.get(engineId) ?? [engineId];
+  }
+
+  /**
+   * Whether an engine is given SSML as it is (the rest get it downgraded)
+   */
+  private readsSsml(engineId: EngineType): boolean {
+    return getEngineDefinition(engineId)?.supportsSSML ?? false;
+  }
+
+  /**
+   * Rewrite the text with the global and caller's pronunciation lexicons.
+   * Phoneme hints are only passed as SSML to engines that accept them.
+   */
+  private applyLexicons(request: SynthesisRequest, allowPhonemes = true): SynthesisRequest {
+    const { text, ssml } = getLexiconService().apply(request.text, {
+      keyId: request.access?.id,
+      engine: request.engine,
+      ssml: request.ssml,
+      phonemeAlphabets: allowPhonemes ? getEngineDefinition(request.engine)?.phonemeAlphabets : undefined,
+    });
+    return text === request.text ? request : { ...request, text, ssml };
+  }
+
+  /**
+   * Run an engine call, recording how long it took in the latency metrics
+   */
+  private async timed<T>(engineId: EngineType, call: () => Promise<T>): Promise<T> {
+    const startedAt = performance.now();
+    try {
+      const result = await call();
+      getMetricsService().observeSynthesisDuration(engineId, (performance.now() - startedAt) / 1000, 'success');
+      return result;
+    } catch (error) {
+      getMetricsService().observeSynthesisDuration(engineId, (performance.now() - startedAt) / 1000, 'error');
+      throw error;
+    }
+  }
+
+  private async synthesizeCached(request: SynthesisRequest): Promise<Omit<SynthesisResult, 'voiceId'>> {
+    if (request.ssml && !this.readsSsml(request.engine)) {
+      return this.synthesizeDowngradedSsml(request);
+    }
+
+    request = this.applyLexicons(request);
+    const cacheKey = this.buildCacheKey(request);
+
+    if (this.audioCache?.isEnabled()) {
+      const cached = await this.audioCache.get(cacheKey);
+      if (cached) {
+        return { ...cached, engine: request.engine, cached: true };
+      }
+    }
+
+    const engine = await this.getEngineFor(request.engine, request.access);
+    const result = await this.convertOutput(
+      request,
+      await this.timed(request.engine, () => engine.synthesize(this.toEngineRequest(request, engine)))
+    );
+
+    if (this.audioCache?.isEnabled()) {
+      try {
+        await this.audioCache.set(cacheKey, result);
+      } catch (error) {
+        // A cache write failure must never fail the request
+        log.warn('Failed to cache audio', { error: errorMessage(error) });
+      }
+    }
+
+    return { ...result, engine: request.engine, cached: false };
+  }
+
+  /**
+   * Speak SSML on an engine that can't read it: each phrase is synthesized on
+   * its own with its prosody applied, and breaks become silence
+   */
+  private async synthesizeDowngradedSsml(request: SynthesisRequest): Promise<Omit<SynthesisResult, 'voiceId'>> {
+    const phrases = validateSsml(request.text);
+
+    if (!this.audioConverter) {
+      // Without a converter there is no way to insert pauses - speak the text alone
+      const result = await this.synthesizeCached({
+        ...request,
+        text: phrases.map((phrase) => phrase.text).join(' '),
+        ssml: false,
+      });
+      return { ...result, characterCount: request.text.length };
+    }
+
+    const parts: AudioPart[] = [];
+    let cached = true;
+    for (const phrase of phrases) {
+      request.signal?.throwIfAborted();
+      const result = await this.synthesizeCached({
+        ...request,
+        text: phrase.text,
+        ssml: false,
+        voiceSettings: withProsody(request.voiceSettings, phrase.prosody),
+        outputFormat: 'wav',
+        bitrate: undefined,
+      });
+      cached &&= result.cached;
+      parts.push({ silence: phrase.pauseBefore }, result, { silence: phrase.pauseAfter });
+    }
+
+    const joined = await this.audioConverter.join(parts, {
+      format: request.outputFormat ?? getTTSService().getDefaultFormat(),
+      sampleRate: request.sampleRate,
+      bitrate: request.bitrate,
+    });
+    return { ...joined, characterCount: request.text.length, engine: request.engine, cached };
+  }
+
+  private async synthesizeTimestamped(
+    request: SynthesisRequest
+  ): Promise<Omit<TimestampedSynthesisResult, 'voiceId'>> {
+    const engine = await this.getEngineFor(request.engine, request.access);
+
+    if (engine.supportsTimestamps() === 'none' || !engine.synthesizeWithTimestamps) {
+      const result = await this.synthesizeCached(request);
+      return { ...result, alignment: emptyAlignment(), timing: 'none' };
+    }
+
+    // Alignment is reported against plain text, so phoneme hints can't be used here
+    const spoken = this.applyLexicons(request, false);
+    const result = await this.convertOutput(
+      spoken,
+      await this.timed(request.engine, () => engine.synthesizeWithTimestamps!(this.toEngineRequest(spoken, engine)))
+    );
+    return {
+      audio: result.audio,
+      format: result.format,
+      sampleRate: result.sampleRate,
+      duration: result.duration,
+      characterCount: result.characterCount,
+      engine: request.engine,
+      cached: false,
+      alignment: result.alignment,
+      timing: result.timing,
+    };
+  }
+
+  /**
+   * Get the kind of timestamps an engine provides
+   */
+  async getTimestampSupport(engineId: EngineType, access?: EngineAccess): Promise<TimestampSupport> {
+    const engine = await this.getEngineFor(engineId, access);
+    return engine.supportsTimestamps();
+  }
+
+  /**
+   * Synthesize speech incrementally.
+   * Engines with native streaming pass their chunks straight through; for all
+   * other engines the text is split into sentences and each sentence's audio
+   * is flushed as soon as it is ready.
+   */
+  async synthesizeStream(
+    request: SynthesisRequest,
+    onChunk: StreamChunkHandler,
+    options: SynthesisStreamOptions = {}
+  ): Promise<SynthesisStreamResult> {
+    const engine = await this.getEngineFor(request.engine, request.access);
+
+    if (
+      !options.timestamps &&
+      engine.supportsStreaming() &&
+      engine.synthesizeStream &&
+      this.canStreamNatively(request, engine) &&
+      (!request.ssml || this.readsSsml(request.engine))
+    ) {
+      // Engines call onChunk synchronously; keep async handlers in order
+      let pending: Promise<void> = Promise.resolve();
+      let started = false;
+      try {
+        const spoken = this.applyLexicons(request);
+        await this.timed(request.engine, () =>
+          engine.synthesizeStream!(this.toEngineRequest(spoken, engine), (chunk) => {
+            started = true;
+            pending = pending.then(() => onChunk(chunk));
+          })
+        );
+        await pending;
+
+        return { engine: request.engine, characterCount: request.text.length, mode: 'native' };
+      } catch (error) {
+        // Audio already sent can't be taken back; otherwise fall through to the
+        // sentence loop, which fails over like any other request
+        if (started || this.getFailoverChain(request.engine).length === 1) throw error;
+        log.warn('Native stream failed, switching to sentence mode', { engine: request.engine });
+      }
+    }
+
+    let current = request;
+    let fallbackFrom: EngineType | undefined;
+    let offset = 0;
+    for (const [index, unit] of this.splitIntoUnits(request, options).entries()) {
+      const unitRequest = { ...current, text: unit.text, ssml: unit.ssml, voiceSettings: unit.voiceSettings };
+
+      if (!options.timestamps) {
+        const result = await this.synthesize(unitRequest);
+        // Once an engine has failed over, stay on the fallback for the rest of the text
+        if (result.fallbackFrom) {
+          current = { ...current, engine: result.engine, voiceId: result.voiceId };
+          fallbackFrom ??= result.fallbackFrom;
+        }
+        await onChunk({ audio: (await this.addPauses(result, unit, request)).audio, isFinal: false });
+        continue;
+      }
+
+      const result = await this.synthesizeWithTimestamps(unitRequest);
+      if (result.fallbackFrom) {
+        current = { ...current, engine: result.engine, voiceId: result.voiceId };
+        fallbackFrom ??= result.fallbackFrom;
+      }
+      const alignment = result.timing === 'none' ? emptyAlignment() : result.alignment;
+      const duration = result.duration ?? alignment.character_end_times_seconds.at(-1) ?? 0;
+      const padded = await this.addPauses(result, unit, request);
+
+      // Sentences are trimmed - put back a (zero-length) separating space so
+      // character positions line up with the full text
+      const spaced = index > 0 ? prependSpace(alignment) : alignment;
+      await onChunk({
+        audio: padded.audio,
+        isFinal: false,
+        alignment: shiftAlignment(spaced, offset + padded.pauseBefore),
+      });
+      offset += padded.pauseBefore + duration + padded.pauseAfter;
+    }
+    await onChunk({ audio: Buffer.alloc(0), isFinal: true });
+
+    return {
+      engine: current.engine,
+      ...(fallbackFrom ? { fallbackFrom } : {}),
+      characterCount: request.text.length,
+      mode: 'sentences',
+    };
+  }
+
+  /**
+   * Break a request into the pieces streamed one after another: its sentences,
+   * or for SSML the sentences of each phrase with the pauses around them.
+   * Engines that read SSML get the document whole unless timestamps are wanted,
+   * which need plain text to align against.
+   */
+  private splitIntoUnits(request: SynthesisRequest, options: SynthesisStreamOptions): SpeechUnit[] {
+    const plain = (text: string, voiceSettings = request.voiceSettings): SpeechUnit => ({
+      text,
+      ssml: false,
+      voiceSettings,
+      pauseBefore: 0,
+      pauseAfter: 0,
+    });
+
+    if (!request.ssml) {
+      return splitIntoSentences(request.text).map((sentence) => plain(sentence));
+    }
+
+    const phrases = validateSsml(request.text);
+    if (!options.timestamps && this.readsSsml(request.engine)) {
+      return [{ ...plain(request.text), ssml: true }];
+    }
+
+    return phrases.flatMap((phrase) => {
+      const sentences = splitIntoSentences(phrase.text);
+      const voiceSettings = withProsody(request.voiceSettings, phrase.prosody);
+      return sentences.map((sentence, i) => ({
+        ...plain(sentence, voiceSettings),
+        pauseBefore: i === 0 ? phrase.pauseBefore : 0,
+        pauseAfter: i === sentences.length - 1 ? phrase.pauseAfter : 0,
+      }));
+    });
+  }
+
+  /**
+   * Surround a unit's audio with its pauses. Pauses are dropped when there is
+   * no converter to produce silence in the output format.
+   */
+  private async addPauses(
+    result: SpeechResponse,
+    unit: SpeechUnit,
+    request: SynthesisRequest
+  ): Promise<{ audio: Buffer; pauseBefore: number; pauseAfter: number }> {
+    if (!this.audioConverter || (!unit.pauseBefore && !unit.pauseAfter)) {
+      return { audio: result.audio, pauseBefore: 0, pauseAfter: 0 };
+    }
+
+    const joined = await this.audioConverter.join(
+      [{ silence: unit.pauseBefore }, result, { silence: unit.pauseAfter }],
+      { format: result.format, sampleRate: result.sampleRate, bitrate: request.bitrate }
+    );
+    return { audio: joined.audio, pauseBefore: unit.pauseBefore, pauseAfter: unit.pauseAfter };
+  }
+
+  /**
+   * Run an operation against each engine in the request's failover chain until
+   * one succeeds. Fallback engines get the voice closest to the requested one;
+   * engines the caller may not use are skipped.
+   */
+  private async withFailover<T>(
+    request: SynthesisRequest,
+    operation: (stepRequest: SynthesisRequest) => Promise<T>
+  ): Promise<FailoverOutcome<T>> {
+    this.assertEngineAccess(request.engine, request.access);
+
+    const chain = this.getFailoverChain(request.engine).filter(
+      (engineId) => !request.access || request.access.canAccessEngine(engineId)
+    );
+    const failures: string[] = [];
+    const errors: unknown[] = [];
+    let sourceVoice = request.voice;
+
+    for (const engineId of chain) {
+      request.signal?.throwIfAborted();
+      let stepRequest = request;
+
+      try {
+        if (engineId !== request.engine) {
+          sourceVoice ??= await this.findLoadedVoice(request.engine, request.voiceId);
+          const voiceId = await this.pickFallbackVoice(engineId, sourceVoice, request.access);
+          stepRequest = { ...request, engine: engineId, voiceId };
+        }
+
+        const value = await operation(stepRequest);
+        if (engineId === request.engine) {
+          return { value, request: stepRequest };
+        }
+
+        log.warn('Engine unavailable, failed over', {
+          engine: request.engine,
+          fallbackEngine: engineId,
+          fallbackVoice: stepRequest.voiceId,
+        });
+        return { value, request: stepRequest, fallbackFrom: request.engine };
+      } catch (error) {
+        errors.push(error);
+        failures.push(`${engineId}: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+
+    // Without a chain, surface the engine's own error unchanged
+    if (errors.length === 1) throw errors[0];
+    // Every engine is cooling down - tell the client when to come back
+    if (errors.every((e) => e instanceof EngineCircuitOpenError)) {
+      const retryAfter = Math.min(...errors.map((e) => (e as EngineCircuitOpenError).retryAfter));
+      throw new EngineCircuitOpenError(request.engine, retryAfter);
+    }
+    // Every engine is busy or cooling down - still a matter of coming back later
+    if (errors.every((e) => e instanceof EngineBusyError || e instanceof EngineCircuitOpenError)) {
+      const retryAfter = Math.min(...errors.map((e) => (e as EngineBusyError | EngineCircuitOpenError).retryAfter));
+      throw new EngineBusyError(request.engine, retryAfter, 'every engine in the failover chain is busy');
+    }
+    throw new SpeechGenerationError(request.engine, `all engines in failover chain failed (${failures.join('; ')})`);
+  }
+
+  /**
+   * Choose the voice on a fallback engine that best matches the source voice's
+   * language and gender, or the engine's first voice if there is no match
+   */
+  private async pickFallbackVoice(engineId: EngineType, source?: Voice, access?: EngineAccess): Promise<string> {
+    const engine = await this.getEngineFor(engineId, access);
+    const voices = await engine.getVoices();
+
+    const collection = new VoiceCollection(voices);
+    const match = source ? collection.findBestMatch(source.languageCode, source.gender) : undefined;
+    const voice = match ?? voices[0];
+    if (!voice) {
+      throw new SpeechGenerationError(engineId, 'no voices available');
+    }
+    return voice.nativeVoiceId;
+  }
+
+  /**
+   * Look up a voice on an engine that is already initialized (a failing engine
+   * is not created again just to read its voice list)
+   */
+  private async findLoadedVoice(engineId: EngineType, voiceId: string): Promise<Voice | undefined> {
+    try {
+      const engine = this.engineFactory.getCachedEngine?.(engineId);
+      const voices = (await engine?.getVoices()) ?? [];
+      return voices.find((v) => v.nativeVoiceId === voiceId || v.id === voiceId);
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Ask the engine for the requested format if it can produce it, otherwise
+   * for its native format (converted afterwards)
+   */
+  private toEngineRequest(request: SynthesisRequest, engine: TTSEnginePort): SynthesisRequest {
+    if (!this.audioConverter) return request;
+    return { ...request, outputFormat: getTTSService().resolveFormat(request.outputFormat, engine).engineFormat };
+  }
+
+  /**
+   * Convert engine audio to the format and sample rate the client asked for.
+   * Requests that name neither get the engine's audio as it is.
+   */
+  private async convertOutput<T extends SpeechResponse>(request: SynthesisRequest, response: T): Promise<T> {
+    if (!this.audioConverter || (!request.outputFormat && !request.sampleRate)) return response;
+
+    const converted = await this.audioConverter.convert(
+      response.audio,
+      { format: response.format, sampleRate: response.sampleRate },
+      {
+        format: request.outputFormat ?? getTTSService().getDefaultFormat(),
+        sampleRate: request.sampleRate,
+        bitrate: request.bitrate,
+      }
+    );
+    return { ...response, ...converted };
+  }
+
+  /**
+   * Native stream chunks are passed straight through, so they can only be
+   * used when the engine already produces the requested format. Compressed
+   * streams carry their own sample rate; raw ones must not need resampling.
+   */
+  private canStreamNatively(request: SynthesisRequest, engine: TTSEnginePort): boolean {
+    if (!this.audioConverter) return true;
+    const plan = getTTSService().resolveFormat(request.outputFormat, engine);
+    return !plan.convert && (request.sampleRate === undefined || COMPRESSED_FORMATS.includes(plan.outputFormat));
+  }
+
+  private buildCacheKey(request: SynthesisRequest): AudioCacheKey {
+    return {
+      engine: request.engine,
+      voiceId: request.voiceId,
+      text: request.text,
+      voiceSettings: request.voiceSettings,
+      format: request.outputFormat ?? getTTSService().getDefaultFormat(),
+      sampleRate: request.sampleRate,
+      bitrate: request.bitrate,
+      // Audio from a caller's own account is only served back to that caller
+      ...(request.access?.getEngineCredentials(request.engine) ? { scope: request.access.id } : {}),
+      ...(request.ssml ? { ssml: true } : {}),
+    };
+  }
+}
+
+function prependSpace(alignment: AlignmentData): AlignmentData {
+  if (alignment.characters.length === 0) return alignment;
+  return {
+    characters: [' ', ...alignment.characters],
+    character_start_times_seconds: [0, ...alignment.character_start_times_seconds],
+    character_end_times_seconds: [0, ...alignment.character_end_times_seconds],
+  };
+}
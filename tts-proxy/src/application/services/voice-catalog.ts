@@ -0,0 +1,240 @@
+/**
+ * Voice Catalog
+ * The voices of every available engine, plus any ElevenLabs voice IDs mapped
+ * onto them. Built on first use and fetched from the engines again once it
+ * is older than the TTL. Every voice listing (HTTP, ESP32, WebSocket) reads
+ * from here.
+ */
+
+import type { TTSEngineFactoryPort, TTSEnginePort } from '../ports/tts-engine-port.js';
+import type { VoiceMappingRepositoryPort } from '../ports/voice-mapping-repository-port.js';
+import type { EngineAccess, SynthesisService } from './synthesis-service.js';
+import {
+  Voice,
+  VoiceCollection,
+  type VoiceFilter,
+  type VoicePage,
+  type VoicePageRequest,
+} from '../../domain/entities/voice.js';
+import { getAdminEventService } from '../../domain/services/admin-event-service.js';
+import { errorMessage, getLogger } from '../../domain/services/log-service.js';
+
+const log = getLogger('Voices');
+
+export interface VoiceCatalogConfig {
+  ttlMs: number; // 0 = never expires
+}
+
+export interface VoiceCatalogDependencies {
+  engineFactory: TTSEngineFactoryPort;
+  voiceMappingRepository?: VoiceMappingRepositoryPort;
+  synthesisService?: SynthesisService; // scopes the voices to what a key may use
+  config?: Partial<VoiceCatalogConfig>;
+}
+
+export interface VoiceCatalogSummary {
+  voiceCount: number;
+  engines: Record<string, number>; // voices per engine
+  refreshedAt: string;
+}
+
+const DEFAULT_CONFIG: VoiceCatalogConfig = {
+  ttlMs: 60 * 60 * 1000,
+};
+
+export class VoiceCatalog {
+  private readonly engineFactory: TTSEngineFactoryPort;
+  private readonly voiceMappingRepository?: VoiceMappingRepositoryPort;
+  private readonly synthesisService?: SynthesisService;
+  private readonly config: VoiceCatalogConfig;
+  private voices: VoiceCollection | null = null;
+  private builtAt = 0;
+  private loading: Promise<VoiceCollection> | null = null;
+  // Bumped on invalidation, so a build started before it is never kept
+  private generation = 0;
+
+  constructor(deps: VoiceCatalogDependencies) {
+    this.engineFactory = deps.engineFactory;
+    this.voiceMappingRepository = deps.voiceMappingRepository;
+    this.synthesisService = deps.synthesisService;
+    this.config = { ...DEFAULT_CONFIG, ...deps.config };
+  }
+
+  /**
+   * The current voices. Once they are older than the TTL they are still
+   * returned while a refresh runs in the background.
+   */
+  async getVoices(): Promise<VoiceCollection> {
+    if (!this.voices) return this.load(false);
+
+    if (this.isExpired() && !this.loading) {
+      this.load(true).catch((error) => {
+        log.warn('Voice refresh failed', { error: errorMessage(error) });
+      });
+    }
+    return this.voices;
+  }
+
+  /**
+   * Get the voices a key can see: none from engines it is barred from, plus
+   * those of any engine it brings its own credentials for
+   */
+  async getVoicesFor(access?: EngineAccess): Promise<VoiceCollection> {
+    const voices = await this.getVoices();
+    if (!access || !this.synthesisService) return voices;
+
+    const service = this.synthesisService;
+    const engines = service.getAccessibleEngines(access);
+    const ownEngines = engines.filter((engineId) => access.getEngineCredentials(engineId));
+    if (ownEngines.length === 0 && voices.getAll().every((voice) => engines.includes(voice.engine))) {
+      return voices;
+    }
+
+    const scoped = new VoiceCollection(voices.getAll().filter((voice) => access.canAccessEngine(voice.engine)));
+    for (const engineId of ownEngines) {
+      try {
+        const engine = await service.getEngineFor(engineId, access);
+        for (const voice of await engine.getVoices()) {
+          scoped.add(voice);
+        }
+      } catch (error) {
+        log.warn('Failed to get voices with key credentials', { engine: engineId, error: errorMessage(error) });
+      }
+    }
+    return scoped;
+  }
+
+  /**
+   * The voices a key can see that match a filter: a page of them, or all of
+   * them in catalog order when no page is asked for
+   */
+  async findVoices(
+    access: EngineAccess | undefined,
+    filter: VoiceFilter,
+    page?: VoicePageRequest
+  ): Promise<VoicePage> {
+    const voices = (await this.getVoicesFor(access)).filter(filter);
+    if (page) return voices.page(page);
+    return { voices: voices.getAll(), total: voices.size, nextCursor: null };
+  }
+
+  /**
+   * Find the voice a synthesis request names. Voices of engines the key is
+   * barred from are still found, so synthesis can refuse them with a 403.
+   */
+  async findVoice(voiceId: string, access?: EngineAccess): Promise<Voice | undefined> {
+    return (await this.getVoicesFor(access)).get(voiceId) ?? (await this.getVoices()).get(voiceId);
+  }
+
+  /**
+   * Drop the catalog after an engine or mapping change; it is rebuilt from
+   * the engines' voice lists on next use
+   */
+  invalidate(): void {
+    this.generation++;
+    this.voices = null;
+    this.loading = null;
+  }
+
+  /**
+   * Fetch every engine's voices from its provider again and rebuild now
+   */
+  async refresh(): Promise<VoiceCatalogSummary> {
+    this.generation++;
+    this.loading = null;
+    return summarize(await this.load(true), new Date());
+  }
+
+  private isExpired(): boolean {
+    return this.config.ttlMs > 0 && Date.now() - this.builtAt >= this.config.ttlMs;
+  }
+
+  private load(fetchFromEngines: boolean): Promise<VoiceCollection> {
+    if (this.loading) return this.loading;
+
+    const generation = this.generation;
+    const loading = this.build(fetchFromEngines)
+      .then((voices) => {
+        if (generation !== this.generation) return voices;
+
+        this.voices = voices;
+        this.builtAt = Date.now();
+        if (fetchFromEngines) {
+          const summary = summarize(voices, new Date(this.builtAt));
+          log.info('Voices refreshed', { voiceCount: summary.voiceCount });
+          getAdminEventService().publish({
+            type: 'voices.refreshed',
+            voiceCount: summary.voiceCount,
+            engines: Object.keys(summary.engines),
+          });
+        }
+        return voices;
+      })
+      .finally(() => {
+        if (this.loading === loading) this.loading = null;
+      });
+    this.loading = loading;
+    return loading;
+  }
+
+  private async build(fetchFromEngines: boolean): Promise<VoiceCollection> {
+    const voices = new VoiceCollection();
+    const availableEngines = this.engineFactory.getAvailableEngines();
+
+    for (const engineId of availableEngines) {
+      try {
+        const engine = await this.engineFactory.createEngine(engineId);
+        // Engines can throw while fetching voices even once initialized
+        try {
+          for (const voice of await engineVoices(engine, fetchFromEngines)) {
+            voices.add(voice);
+          }
+        } catch (voiceError) {
+          log.warn('Failed to get voices', { engine: engineId, error: errorMessage(voiceError) });
+        }
+      } catch (error) {
+        log.warn('Failed to initialize engine', { engine: engineId, error: errorMessage(error) });
+      }
+    }
+
+    if (this.voiceMappingRepository) {
+      try {
+        for (const mapping of await this.voiceMappingRepository.findAll()) {
+          if (!availableEngines.some((engineId) => engineId === mapping.localEngine)) continue;
+          const target = voices.get(`${mapping.localEngine}:${mapping.localVoiceId}`);
+          voices.add(Voice.fromMapping(mapping, target));
+        }
+      } catch (error) {
+        log.warn('Failed to load voice mappings', { error: errorMessage(error) });
+      }
+    }
+
+    return voices;
+  }
+}
+
+/**
+ * An engine's voices, fetched from the provider when asked to. If that
+ * fails, the list the engine already has is kept.
+ */
+async function engineVoices(engine: TTSEnginePort, fetchFromProvider: boolean): Promise<Voice[]> {
+  if (fetchFromProvider && engine.refreshVoices) {
+    try {
+      return await engine.refreshVoices();
+    } catch (error) {
+      log.warn('Failed to refresh voices, keeping the previous list', {
+        engine: engine.engineId,
+        error: errorMessage(error),
+      });
+    }
+  }
+  return engine.getVoices();
+}
+
+function summarize(voices: VoiceCollection, refreshedAt: Date): VoiceCatalogSummary {
+  const engines: Record<string, number> = {};
+  for (const voice of voices.getAll()) {
+    engines[voice.engine] = (engines[voice.engine] ?? 0) + 1;
+  }
+  return { voiceCount: voices.size, engines, refreshedAt: refreshedAt.toISOString() };
+}
@@ -0,0 +1,205 @@
+/**
+ * Voice Preview Service
+ * A short sample of each voice in its own language, synthesized the first
+ * time it is asked for and served from storage after that
+ */
+
+import { createHash } from 'crypto';
+import type { AudioConverterPort } from '../ports/audio-converter-port.js';
+import type { VoicePreviewRepositoryPort } from '../ports/voice-preview-repository-port.js';
+import type { EngineAccess, SynthesisService } from './synthesis-service.js';
+import type { VoiceCatalog } from './voice-catalog.js';
+import type { Voice } from '../../domain/entities/voice.js';
+import type { EngineType } from '../../types/engine.types.js';
+import type { AudioFormat, SynthesisPriority } from '../../types/tts.types.js';
+import { previewText } from '../../domain/services/preview-text.js';
+import { getAdminEventService } from '../../domain/services/admin-event-service.js';
+import { AudioConversionError, EngineNotAvailableError } from '../../domain/errors/domain-errors.js';
+import { errorMessage, getLogger } from '../../domain/services/log-service.js';
+
+const log = getLogger('Previews');
+
+// ElevenLabs' previews are MP3; without ffmpeg the engine's own audio is kept
+const PREVIEW_FORMAT: AudioFormat = 'mp3';
+
+export interface VoicePreviewAudio {
+  audio: Buffer;
+  format: AudioFormat;
+  sampleRate: number;
+}
+
+export interface VoicePreviewServiceDependencies {
+  synthesisService: SynthesisService;
+  voiceCatalog: VoiceCatalog;
+  repository: VoicePreviewRepositoryPort;
+  audioConverter?: AudioConverterPort;
+}
+
+export class VoicePreviewService {
+  private readonly synthesisService: SynthesisService;
+  private readonly voiceCatalog: VoiceCatalog;
+  private readonly repository: VoicePreviewRepositoryPort;
+  private readonly audioConverter?: AudioConverterPort;
+  // Requests for a preview being generated wait for it rather than generating it again
+  private readonly pending = new Map<string, Promise<VoicePreviewAudio>>();
+  private readonly generating = new Set<EngineType>();
+
+  constructor(deps: VoicePreviewServiceDependencies) {
+    this.synthesisService = deps.synthesisService;
+    this.voiceCatalog = deps.voiceCatalog;
+    this.repository = deps.repository;
+    this.audioConverter = deps.audioConverter;
+  }
+
+  /**
+   * Get a voice's preview, generating it if there is none yet. A key with its
+   * own credentials for the engine gets a preview from its own account.
+   */
+  async getPreview(voice: Voice, access?: EngineAccess): Promise<VoicePreviewAudio> {
+    const scope = access?.getEngineCredentials(voice.engine) ? access.id : undefined;
+    const key = previewKey(voice.id, scope);
+    return (await this.read(key)) ?? this.generateOnce(key, voice, access);
+  }
+
+  isGenerating(engineId: EngineType): boolean {
+    return this.generating.has(engineId);
+  }
+
+  /**
+   * Start generating the previews of every voice of an engine, one at a time
+   * in the background, and return how many voices it has. Voices that already
+   * have a preview are skipped unless overwrite is set.
+   */
+  async generateForEngine(engineId: EngineType, options: { overwrite?: boolean } = {}): Promise<number> {
+    const voices = (await this.voiceCatalog.getVoices()).getAll().filter((voice) => voice.engine === engineId);
+
+    this.generating.add(engineId);
+    this.generateAll(engineId, voices, options.overwrite ?? false)
+      .catch((error) => {
+        log.warn('Preview generation failed', { engine: engineId, error: errorMessage(error) });
+      })
+      .finally(() => {
+        this.generating.delete(engineId);
+      });
+    return voices.length;
+  }
+
+  /**
+   * Drop a voice's preview, e.g. after the mapping behind it changed
+   */
+  async remove(voiceId: string): Promise<void> {
+    const preview = await this.repository.find(previewKey(voiceId));
+    if (preview) await this.repository.delete(preview);
+  }
+
+  private async generateAll(engineId: EngineType, voices: Voice[], overwrite: boolean): Promise<void> {
+    let generated = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const voice of voices) {
+      const key = previewKey(voice.id);
+      if (!overwrite && (await this.repository.find(key))) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        await this.generateOnce(key, voice, undefined, 'background');
+        generated++;
+      } catch (error) {
+        failed++;
+        log.warn('Failed to generate voice preview', { voice: voice.id, error: errorMessage(error) });
+      }
+    }
+
+    log.info('Voice previews generated', { engine: engineId, generated, skipped, failed });
+    getAdminEventService().publish({ type: 'previews.generated', engine: engineId, generated, skipped, failed });
+  }
+
+  private async read(key: string): Promise<VoicePreviewAudio | null> {
+    const preview = await this.repository.find(key);
+    if (!preview) return null;
+
+    const audio = await this.repository.readAudio(preview);
+    return audio ? { audio, format: preview.format, sampleRate: preview.sampleRate } : null;
+  }
+
+  private generateOnce(
+    key: string,
+    voice: Voice,
+    access?: EngineAccess,
+    priority: SynthesisPriority = 'interactive'
+  ): Promise<VoicePreviewAudio> {
+    const pending = this.pending.get(key);
+    if (pending) return pending;
+
+    const generating = this.generate(key, voice, access, priority).finally(() => {
+      this.pending.delete(key);
+    });
+    this.pending.set(key, generating);
+    return generating;
+  }
+
+  private async generate(
+    key: string,
+    voice: Voice,
+    access: EngineAccess | undefined,
+    priority: SynthesisPriority
+  ): Promise<VoicePreviewAudio> {
+    const result = await this.synthesisService.synthesize({
+      engine: voice.engine,
+      text: previewText(voice.languageCode),
+      voiceId: voice.nativeVoiceId,
+      voice,
+      voiceSettings: voice.defaultSettings,
+      access,
+      priority,
+    });
+    // Another engine's voice would misrepresent this one
+    if (result.fallbackFrom) {
+      throw new EngineNotAvailableError(voice.engine, `failed over to ${result.engine}`);
+    }
+
+    const preview = await this.toPreviewFormat(result);
+    await this.repository.save(
+      {
+        key,
+        voiceId: voice.id,
+        engine: voice.engine,
+        format: preview.format,
+        sampleRate: preview.sampleRate,
+        createdAt: new Date().toISOString(),
+      },
+      preview.audio
+    );
+    log.info('Voice preview generated', { voice: voice.id, format: preview.format });
+    return preview;
+  }
+
+  private async toPreviewFormat(audio: VoicePreviewAudio): Promise<VoicePreviewAudio> {
+    if (audio.format === PREVIEW_FORMAT || !this.audioConverter) return audio;
+
+    try {
+      return await this.audioConverter.convert(
+        audio.audio,
+        { format: audio.format, sampleRate: audio.sampleRate },
+        { format: PREVIEW_FORMAT }
+      );
+    } catch (error) {
+      if (!(error instanceof AudioConversionError)) throw error;
+      log.debug('Keeping engine audio for voice preview', { format: audio.format, error: error.message });
+      return { audio: audio.audio, format: audio.format, sampleRate: audio.sampleRate };
+    }
+  }
+}
+
+/**
+ * Storage key of a preview: voice IDs hold characters storage keys can't
+ */
+function previewKey(voiceId: string, scope?: string): string {
+  return createHash('sha256')
+    .update(scope ? `${scope}\n${voiceId}` : voiceId)
+    .digest('hex')
+    .slice(0, 32);
+}
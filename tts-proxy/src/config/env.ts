@@ -3,6 +3,7 @@
  */
 
 import { z } from 'zod';
+import { getEngineDefinition } from '../types/engine.types.js';
 
 // Environment schema
 const envSchema = z.object({
@@ -15,6 +16,9 @@ const envSchema = z.object({
 
   // Authentication
   ADMIN_API_KEY: z.string().optional(),
+  METRICS_TOKEN: z.string().optional(), // may scrape GET /metrics, besides admin keys
+  CREDENTIALS_MASTER_KEY: z.string().min(16).optional(), // encrypts stored engine credentials
+  KEY_ROTATION_GRACE_SECONDS: z.coerce.number().int().min(0).default(86400), // old secret stays valid after a rotation
   API_KEY_REQUIRED: z
     .string()
     .transform((v) => v === 'true' || v === '1')
@@ -48,8 +52,15 @@ const envSchema = z.object({
     .transform((v) => v === 'true' || v === '1')
     .default('false'),
   LOG_DIR: z.string().default('./logs'),
+  LOG_FORMAT: z.enum(['json', 'pretty']).default('json'), // pretty: one readable line per entry on the console
+  LOG_MAX_SIZE_MB: z.coerce.number().min(1).default(10), // the log file is rotated at this size
+  LOG_MAX_FILES: z.coerce.number().int().min(1).default(5),
   OPENVOICEPROXY_DATA_DIR: z.string().optional(),
   DATA_DIR: z.string().optional(),
+  VOICE_CONFIG_PATH: z.string().optional(), // config.json holding voiceMapping and httpEngines entries
+  VOICE_CACHE_TTL_SECONDS: z.coerce.number().int().min(0).default(3600), // voice lists are re-fetched this often; 0 = never
+  PREVIEWS_DIR: z.string().optional(), // generated voice previews
+  SHERPAONNX_MODELS_DIR: z.string().optional(), // one folder per sherpa-onnx / Piper model, for offline voices
 
   // TTS Engine credentials (all optional)
   AZURE_SPEECH_KEY: z.string().optional(),
@@ -72,12 +83,55 @@ const envSchema = z.object({
   ESP32_DEFAULT_VOICE: z.string().default('en'),
   ESP32_DEFAULT_SAMPLE_RATE: z.coerce.number().default(16000),
 
+  // WebSocket connections
+  WS_MAX_CONCURRENT: z.coerce.number().int().min(1).default(2), // speak requests synthesized at once (protocol v2)
+  WS_MAX_QUEUED: z.coerce.number().int().min(0).default(8), // further requests waiting their turn
+  WS_PING_INTERVAL_MS: z.coerce.number().min(0).default(30000), // 0 = no heartbeat
+  WS_IDLE_TIMEOUT_MS: z.coerce.number().min(0).default(300000), // 0 = never close idle connections
+  WS_MAX_BUFFERED_BYTES: z.coerce.number().int().min(1024).default(262144), // pause sending above this
+
   // Audio defaults
   AUDIO_FORMAT: z.enum(['mp3', 'wav', 'pcm', 'ogg']).default('wav'),
+  FFMPEG_PATH: z.string().default('ffmpeg'), // used to encode/decode compressed formats
   CACHE_ENABLED: z
     .string()
     .transform((v) => v === 'true' || v === '1')
     .default('false'),
+  CACHE_DIR: z.string().optional(),
+  CACHE_MAX_SIZE_MB: z.coerce.number().min(1).default(500),
+  CACHE_MAX_AGE_HOURS: z.coerce.number().min(0).default(168),
+
+  // Usage history (Postgres when DATABASE_URL is set, otherwise daily files)
+  USAGE_DIR: z.string().optional(),
+  USAGE_RETENTION_DAYS: z.coerce.number().min(0).default(90), // 0 = keep forever
+
+  // Admin audit log (Postgres when DATABASE_URL is set, otherwise daily files)
+  AUDIT_DIR: z.string().optional(),
+  AUDIT_RETENTION_DAYS: z.coerce.number().min(0).default(365), // 0 = keep forever
+
+  // Long-form synthesis jobs (/v1/jobs)
+  JOBS_DIR: z.string().optional(),
+  JOBS_MAX_TEXT_LENGTH: z.coerce.number().int().min(1).default(500000),
+  JOBS_CHUNK_LENGTH: z.coerce.number().int().min(100).max(5000).default(2000), // characters per engine call
+  JOBS_CONCURRENCY: z.coerce.number().int().min(1).default(2), // chunks of a job synthesized at once
+  JOBS_MAX_RUNNING: z.coerce.number().int().min(1).default(2), // jobs processed at once
+  JOBS_MAX_QUEUED: z.coerce.number().int().min(0).default(100), // jobs waiting before new ones are turned away
+  JOBS_MAX_QUEUED_PER_KEY: z.coerce.number().int().min(1).default(10), // jobs one key may have waiting
+  JOBS_TTL_HOURS: z.coerce.number().min(0).default(24), // finished jobs and their audio are kept this long
+
+  // Engine failover, e.g. "azure>polly>espeak,elevenlabs>espeak"
+  ENGINE_FAILOVER: z.string().optional(),
+  CIRCUIT_BREAKER_THRESHOLD: z.coerce.number().min(1).default(3), // consecutive failures
+  CIRCUIT_BREAKER_RESET_MS: z.coerce.number().min(1000).default(30000),
+
+  // Calls each engine runs at once, and the queue of calls waiting for a turn
+  ENGINE_CONCURRENCY: z.coerce.number().int().min(1).default(8),
+  ENGINE_CONCURRENCY_LIMITS: z.string().optional(), // per engine, e.g. "espeak=2,azure=20"
+  ENGINE_QUEUE_MAX_DEPTH: z.coerce.number().int().min(0).default(100), // per engine; 0 = turn away instead of waiting
+  ENGINE_QUEUE_TIMEOUT_MS: z.coerce.number().int().min(100).default(30000),
+
+  // OpenAI voice names mapped to proxy voices, e.g. "alloy=azure:en-US-JennyNeural,onyx=polly:Matthew"
+  OPENAI_VOICE_MAP: z.string().optional(),
 
   // Security
   TRUSTED_PROXIES: z.string().optional(),
@@ -180,6 +234,12 @@ export function getEngineCredentials(engine: string): Record<string, string> {
     case 'witai':
       if (env.WITAI_API_KEY) credentials['WITAI_API_KEY'] = env.WITAI_API_KEY;
       break;
+    default:
+      // Configured engines name their own env vars
+      for (const field of getEngineDefinition(engine)?.credentialFields ?? []) {
+        const value = process.env[field.envVar];
+        if (value) credentials[field.envVar] = value;
+      }
   }
 
   return credentials;
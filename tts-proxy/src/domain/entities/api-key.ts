@@ -4,7 +4,24 @@
  */
 
 import { createHash, randomBytes } from 'crypto';
-import type { ApiKeyData, EngineKeyConfig, ApiKeyWithPlainKey } from '../../types/api-key.types.js';
+import type {
+  ApiKeyData,
+  EngineKeyConfig,
+  ApiKeyWithPlainKey,
+  CharacterQuota,
+  ApiKeyScope,
+} from '../../types/api-key.types.js';
+
+export const API_KEY_SCOPES = [
+  'tts',
+  'voices:read',
+  'devices',
+  'admin:read',
+  'admin',
+] as const satisfies readonly ApiKeyScope[];
+
+// What a non-admin key could do before scopes existed
+export const DEFAULT_USER_SCOPES: readonly ApiKeyScope[] = ['tts', 'devices'];
 
 export interface ApiKeyProps {
   id: string;
@@ -18,6 +35,10 @@ export interface ApiKeyProps {
   lastUsed: Date | null;
   requestCount: number;
   engineConfig: Record<string, EngineKeyConfig> | null;
+  characterQuota: CharacterQuota | null;
+  scopes: ApiKeyScope[] | null; // null on legacy keys: derived from isAdmin
+  previousKeyHash: string | null;
+  previousKeyExpiresAt: Date | null;
   createdAt: Date;
   updatedAt?: Date;
 }
@@ -63,6 +84,16 @@ export class ApiKey {
   get engineConfig(): Record<string, EngineKeyConfig> | null {
     return this.props.engineConfig;
   }
+  get characterQuota(): CharacterQuota | null {
+    return this.props.characterQuota;
+  }
+  get scopes(): ApiKeyScope[] {
+    if (this.props.scopes) return [...this.props.scopes];
+    return this.props.isAdmin ? ['admin'] : [...DEFAULT_USER_SCOPES];
+  }
+  get previousKeyExpiresAt(): Date | null {
+    return this.props.previousKeyExpiresAt;
+  }
   get createdAt(): Date {
     return this.props.createdAt;
   }
@@ -80,6 +111,30 @@ export class ApiKey {
     return this.props.active && !this.isExpired();
   }
 
+  /**
+   * Check a permission scope. 'admin' grants every scope and 'tts'
+   * includes 'voices:read'.
+   */
+  hasScope(scope: ApiKeyScope): boolean {
+    const scopes = this.scopes;
+    if (scopes.includes('admin') || scopes.includes(scope)) return true;
+    return scope === 'voices:read' && scopes.includes('tts');
+  }
+
+  /**
+   * Whether the secret with this hash authenticates the key: the current
+   * one, or the previous one while its rotation grace period lasts
+   */
+  acceptsKeyHash(keyHash: string): boolean {
+    if (keyHash === this.props.keyHash) return true;
+    return keyHash === this.props.previousKeyHash && this.isPreviousKeyValid();
+  }
+
+  isPreviousKeyValid(): boolean {
+    if (!this.props.previousKeyHash || !this.props.previousKeyExpiresAt) return false;
+    return new Date() < this.props.previousKeyExpiresAt;
+  }
+
   canAccessEngine(engineId: string): boolean {
     // Admins can access all engines
     if (this.props.isAdmin) return true;
@@ -112,23 +167,33 @@ export class ApiKey {
     rateLimit?: number;
     expiresAt?: Date | null;
     engineConfig?: Record<string, EngineKeyConfig> | null;
+    characterQuota?: CharacterQuota | null;
+    scopes?: ApiKeyScope[];
   }): { apiKey: ApiKey; plainKey: string } {
     const plainKey = ApiKey.generateKey();
     const keyHash = ApiKey.hashKey(plainKey);
     const keySuffix = plainKey.slice(-8);
+    const scopes = normalizeScopes(
+      params.scopes ?? (params.isAdmin ? ['admin'] : [...DEFAULT_USER_SCOPES]),
+      params.isAdmin ?? false
+    );
 
     const apiKey = new ApiKey({
       id: randomBytes(16).toString('hex'),
       name: params.name,
       keyHash,
       keySuffix,
-      isAdmin: params.isAdmin ?? false,
+      isAdmin: scopes.includes('admin'),
       active: true,
       rateLimit: params.rateLimit ?? 100,
       expiresAt: params.expiresAt ?? null,
       lastUsed: null,
       requestCount: 0,
       engineConfig: params.engineConfig ?? null,
+      characterQuota: params.characterQuota ?? null,
+      scopes,
+      previousKeyHash: null,
+      previousKeyExpiresAt: null,
       createdAt: new Date(),
     });
 
@@ -148,6 +213,10 @@ export class ApiKey {
       lastUsed: data.lastUsed,
       requestCount: data.requestCount,
       engineConfig: data.engineConfig,
+      characterQuota: data.characterQuota ?? null,
+      scopes: data.scopes ?? null,
+      previousKeyHash: data.previousKeyHash ?? null,
+      previousKeyExpiresAt: data.previousKeyExpiresAt ?? null,
       createdAt: data.createdAt,
       updatedAt: data.updatedAt,
     });
@@ -174,6 +243,41 @@ export class ApiKey {
     return new ApiKey({ ...this.props, engineConfig, updatedAt: new Date() });
   }
 
+  withUpdatedCharacterQuota(characterQuota: CharacterQuota | null): ApiKey {
+    return new ApiKey({ ...this.props, characterQuota, updatedAt: new Date() });
+  }
+
+  withUpdatedScopes(scopes: ApiKeyScope[]): ApiKey {
+    const normalized = normalizeScopes(scopes, false);
+    return new ApiKey({
+      ...this.props,
+      scopes: normalized,
+      isAdmin: normalized.includes('admin'),
+      updatedAt: new Date(),
+    });
+  }
+
+  /**
+   * Issue a new secret. The current one keeps working for gracePeriodMs;
+   * a secret left over from an earlier rotation stops working right away.
+   */
+  withRotatedKey(gracePeriodMs: number): { apiKey: ApiKey; plainKey: string } {
+    const plainKey = ApiKey.generateKey();
+    const now = new Date();
+    const keepPrevious = gracePeriodMs > 0;
+
+    const apiKey = new ApiKey({
+      ...this.props,
+      keyHash: ApiKey.hashKey(plainKey),
+      keySuffix: plainKey.slice(-8),
+      previousKeyHash: keepPrevious ? this.props.keyHash : null,
+      previousKeyExpiresAt: keepPrevious ? new Date(now.getTime() + gracePeriodMs) : null,
+      updatedAt: now,
+    });
+
+    return { apiKey, plainKey };
+  }
+
   withIncrementedRequestCount(): ApiKey {
     return new ApiKey({
       ...this.props,
@@ -212,6 +316,10 @@ export class ApiKey {
       lastUsed: this.props.lastUsed,
       requestCount: this.props.requestCount,
       engineConfig: this.props.engineConfig,
+      characterQuota: this.props.characterQuota,
+      scopes: this.props.scopes,
+      previousKeyHash: this.props.previousKeyHash,
+      previousKeyExpiresAt: this.props.previousKeyExpiresAt,
       createdAt: this.props.createdAt,
       updatedAt: this.props.updatedAt,
     };
@@ -228,7 +336,19 @@ export class ApiKey {
       expiresAt: this.props.expiresAt?.toISOString() ?? null,
       lastUsed: this.props.lastUsed?.toISOString() ?? null,
       requestCount: this.props.requestCount,
+      characterQuota: this.props.characterQuota,
+      scopes: this.scopes,
+      previousKeyExpiresAt: this.isPreviousKeyValid()
+        ? this.props.previousKeyExpiresAt!.toISOString()
+        : null,
       createdAt: this.props.createdAt.toISOString(),
     };
   }
 }
+
+/**
+ * Deduplicate scopes in their canonical order; admin keys always carry 'admin'
+ */
+function normalizeScopes(scopes: readonly ApiKeyScope[], isAdmin: boolean): ApiKeyScope[] {
+  return API_KEY_SCOPES.filter((scope) => scopes.includes(scope) || (isAdmin && scope === 'admin'));
+}
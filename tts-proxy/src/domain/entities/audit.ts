@@ -0,0 +1,59 @@
+/**
+ * Audit Entry Domain Entity
+ * A record of one administrative change: who made it, what and when
+ */
+
+/**
+ * Actions are "<resource>.<verb>", so a resource's actions share a prefix
+ */
+export type AuditAction =
+  | 'key.create'
+  | 'key.update'
+  | 'key.delete'
+  | 'key.quota'
+  | 'key.engines'
+  | 'key.rotate'
+  | 'credentials.update'
+  | 'credentials.delete'
+  | 'voice-mapping.create'
+  | 'voice-mapping.update'
+  | 'voice-mapping.delete'
+  | 'voice-preview.generate'
+  | 'sherpa-model.register'
+  | 'sherpa-model.update'
+  | 'sherpa-model.remove'
+  | 'lexicon.update'
+  | 'lexicon.delete'
+  | 'cache.purge';
+
+export interface AuditEntry {
+  id: string;
+  timestamp: Date;
+  action: AuditAction;
+  actor: string; // ID of the admin key, or "local"/"dev" when no key was used
+  actorName?: string;
+  target?: string; // ID of what was changed: key ID, engine, voice ID, lexicon scope
+  details?: Record<string, unknown>; // what changed; never secrets
+  requestId?: string;
+  ip?: string;
+}
+
+export interface AuditQuery {
+  since?: Date;
+  until?: Date;
+  action?: string; // an action ("key.update") or a resource ("key")
+  actor?: string;
+  target?: string;
+}
+
+/**
+ * Check whether an entry falls inside a query's time range and filters
+ */
+export function matchesAuditQuery(entry: AuditEntry, query: AuditQuery): boolean {
+  if (query.since && entry.timestamp < query.since) return false;
+  if (query.until && entry.timestamp >= query.until) return false;
+  if (query.action && entry.action !== query.action && !entry.action.startsWith(`${query.action}.`)) return false;
+  if (query.actor && entry.actor !== query.actor) return false;
+  if (query.target && entry.target !== query.target) return false;
+  return true;
+}
@@ -8,8 +8,10 @@ import type {
   EngineDefinition,
   EngineStatus,
   EngineCredentials,
-  ENGINE_DEFINITIONS,
 } from '../../types/engine.types.js';
+import type { TimestampSupport } from '../../types/tts.types.js';
+
+export type EngineDefinitions = Partial<Record<EngineType, EngineDefinition>>;
 
 export interface EngineProps {
   id: EngineType;
@@ -67,6 +69,9 @@ export class Engine {
   get supportsSSML(): boolean {
     return this.definition.supportsSSML;
   }
+  get timestamps(): TimestampSupport {
+    return this.definition.timestamps;
+  }
   get supportedFormats(): string[] {
     return this.definition.supportedFormats;
   }
@@ -136,7 +141,7 @@ export class Engine {
   // Factory method
   static create(
     id: EngineType,
-    definitions: typeof ENGINE_DEFINITIONS,
+    definitions: EngineDefinitions,
     props: Partial<Omit<EngineProps, 'id'>> = {}
   ): Engine {
     const definition = definitions[id];
@@ -198,6 +203,7 @@ export class Engine {
       voiceCount: this.props.voiceCount ?? 0,
       supportsStreaming: this.definition.supportsStreaming,
       supportsSSML: this.definition.supportsSSML,
+      timestamps: this.definition.timestamps,
       supportedFormats: this.definition.supportedFormats,
     };
   }
@@ -208,9 +214,9 @@ export class Engine {
  */
 export class EngineRegistry {
   private readonly engines: Map<EngineType, Engine>;
-  private readonly definitions: typeof ENGINE_DEFINITIONS;
+  private readonly definitions: EngineDefinitions;
 
-  constructor(definitions: typeof ENGINE_DEFINITIONS) {
+  constructor(definitions: EngineDefinitions) {
     this.definitions = definitions;
     this.engines = new Map();
 
@@ -0,0 +1,48 @@
+/**
+ * Synthesis Job Domain Entity
+ * Long-form text synthesized in the background and joined into one file
+ */
+
+import type { EngineType } from '../../types/engine.types.js';
+import type { AudioFormat } from '../../types/tts.types.js';
+
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface SynthesisJob {
+  id: string;
+  keyId: string; // the key (or usage ID) that owns the job
+  status: JobStatus;
+  voiceId: string; // as requested
+  engine: EngineType; // the voice's engine, or the one that stood in for it
+  fallbackFrom?: EngineType;
+  outputFormat: string; // as requested, e.g. mp3_44100_128
+  format: AudioFormat;
+  sampleRate?: number;
+  bitrate?: number;
+  characterCount: number;
+  totalChunks: number;
+  completedChunks: number;
+  duration?: number; // seconds of audio
+  sizeBytes?: number;
+  error?: { code: string; message: string };
+  createdAt: string;
+  startedAt?: string;
+  completedAt?: string;
+  expiresAt?: string; // set once the job is finished
+}
+
+/**
+ * Check whether a job has stopped running, for better or worse
+ */
+export function isJobFinished(job: SynthesisJob): boolean {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+/**
+ * Percentage of the job's text synthesized so far
+ */
+export function getJobProgress(job: SynthesisJob): number {
+  if (job.status === 'completed') return 100;
+  if (job.totalChunks === 0) return 0;
+  return Math.floor((job.completedChunks / job.totalChunks) * 100);
+}
@@ -4,6 +4,7 @@
  */
 
 import type { EngineType } from '../../types/engine.types.js';
+import type { QuotaPeriod } from '../../types/api-key.types.js';
 
 export interface UsageRecord {
   id: string;
@@ -27,6 +28,90 @@ export interface UsageStats {
   byEngine: Map<EngineType, number>;
   byPath: Map<string, number>;
   byStatusCode: Map<number, number>;
+  charactersByKey: Map<string, number>;
+  charactersByEngine: Map<EngineType, number>;
+}
+
+export interface UsageQuery {
+  since?: Date;
+  until?: Date;
+  keyId?: string;
+  engine?: EngineType;
+}
+
+/**
+ * Check whether a record falls inside a query's time range and filters
+ */
+export function matchesUsageQuery(record: UsageRecord, query: UsageQuery): boolean {
+  if (query.since && record.timestamp < query.since) return false;
+  if (query.until && record.timestamp >= query.until) return false;
+  if (query.keyId && record.apiKeyId !== query.keyId) return false;
+  if (query.engine && record.engine !== query.engine) return false;
+  return true;
+}
+
+/**
+ * Aggregate a set of usage records
+ */
+export function summarizeUsage(records: UsageRecord[]): UsageStats {
+  const stats: UsageStats = {
+    totalRequests: records.length,
+    totalCharacters: 0,
+    totalDurationMs: 0,
+    successCount: 0,
+    errorCount: 0,
+    byKey: new Map(),
+    byEngine: new Map(),
+    byPath: new Map(),
+    byStatusCode: new Map(),
+    charactersByKey: new Map(),
+    charactersByEngine: new Map(),
+  };
+
+  const increment = <K>(map: Map<K, number>, key: K, amount = 1): void => {
+    map.set(key, (map.get(key) ?? 0) + amount);
+  };
+
+  for (const record of records) {
+    stats.totalCharacters += record.characterCount;
+    stats.totalDurationMs += record.durationMs;
+
+    if (record.statusCode >= 200 && record.statusCode < 300) {
+      stats.successCount++;
+    } else {
+      stats.errorCount++;
+    }
+
+    increment(stats.byKey, record.apiKeyId);
+    increment(stats.byEngine, record.engine);
+    increment(stats.byPath, record.path);
+    increment(stats.byStatusCode, record.statusCode);
+    increment(stats.charactersByKey, record.apiKeyId, record.characterCount);
+    increment(stats.charactersByEngine, record.engine, record.characterCount);
+  }
+
+  return stats;
+}
+
+/**
+ * Get the quota period containing a date. Periods run on UTC boundaries;
+ * weeks start on Monday.
+ */
+export function getQuotaWindow(period: QuotaPeriod, now = new Date()): { start: Date; end: Date } {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  switch (period) {
+    case 'daily':
+      return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+    case 'weekly': {
+      const monday = day - ((now.getUTCDay() + 6) % 7);
+      return { start: new Date(Date.UTC(year, month, monday)), end: new Date(Date.UTC(year, month, monday + 7)) };
+    }
+    case 'monthly':
+      return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+  }
 }
 
 export class UsageTracker {
@@ -55,51 +140,11 @@ export class UsageTracker {
   }
 
   getStats(since?: Date): UsageStats {
-    let filtered = this.records;
-    if (since) {
-      filtered = this.records.filter((r) => r.timestamp >= since);
-    }
-
-    const stats: UsageStats = {
-      totalRequests: filtered.length,
-      totalCharacters: 0,
-      totalDurationMs: 0,
-      successCount: 0,
-      errorCount: 0,
-      byKey: new Map(),
-      byEngine: new Map(),
-      byPath: new Map(),
-      byStatusCode: new Map(),
-    };
-
-    for (const record of filtered) {
-      stats.totalCharacters += record.characterCount;
-      stats.totalDurationMs += record.durationMs;
-
-      if (record.statusCode >= 200 && record.statusCode < 300) {
-        stats.successCount++;
-      } else {
-        stats.errorCount++;
-      }
-
-      // By key
-      const keyCount = stats.byKey.get(record.apiKeyId) ?? 0;
-      stats.byKey.set(record.apiKeyId, keyCount + 1);
-
-      // By engine
-      const engineCount = stats.byEngine.get(record.engine) ?? 0;
-      stats.byEngine.set(record.engine, engineCount + 1);
-
-      // By path
-      const pathCount = stats.byPath.get(record.path) ?? 0;
-      stats.byPath.set(record.path, pathCount + 1);
-
-      // By status code
-      const statusCount = stats.byStatusCode.get(record.statusCode) ?? 0;
-      stats.byStatusCode.set(record.statusCode, statusCount + 1);
-    }
+    return summarizeUsage(since ? this.getRecords({ since }) : this.records);
+  }
 
-    return stats;
+  getRecords(query: UsageQuery = {}): UsageRecord[] {
+    return this.records.filter((r) => matchesUsageQuery(r, query));
   }
 
   getRecordsByKey(apiKeyId: string, limit = 100): UsageRecord[] {
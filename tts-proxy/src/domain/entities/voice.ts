@@ -3,8 +3,14 @@
  * Represents a TTS voice with its properties
  */
 
-import type { Voice as VoiceData, ElevenLabsVoice } from '../../types/tts.types.js';
+import type {
+  Voice as VoiceData,
+  ElevenLabsVoice,
+  VoiceMapping,
+  VoiceSettings,
+} from '../../types/tts.types.js';
 import type { EngineType } from '../../types/engine.types.js';
+import { ValidationError } from '../errors/domain-errors.js';
 
 export interface VoiceProps {
   id: string;
@@ -17,6 +23,30 @@ export interface VoiceProps {
   previewUrl?: string;
   labels?: Record<string, string>;
   nativeVoiceId: string; // The actual voice ID used by the engine
+  defaultSettings?: VoiceSettings; // Applied when a request doesn't set them
+}
+
+/**
+ * Narrows a voice list; every criterion given must match
+ */
+export interface VoiceFilter {
+  language?: string; // "en" matches every English locale, "en-GB" only that one
+  gender?: 'male' | 'female' | 'neutral'; // voices of unknown gender are left out
+  engines?: EngineType[];
+  search?: string; // part of the name, in any case
+  mapped?: boolean; // true: only voices mapped onto ElevenLabs IDs; false: only engine voices
+}
+
+export interface VoicePageRequest {
+  limit: number;
+  cursor?: string; // the previous page's nextCursor
+  descending?: boolean;
+}
+
+export interface VoicePage {
+  voices: Voice[];
+  total: number; // voices on all pages
+  nextCursor: string | null;
 }
 
 export class Voice {
@@ -57,6 +87,9 @@ export class Voice {
   get nativeVoiceId(): string {
     return this.props.nativeVoiceId;
   }
+  get defaultSettings(): VoiceSettings | undefined {
+    return this.props.defaultSettings;
+  }
 
   // Business logic
   matchesLanguage(langCode: string): boolean {
@@ -81,6 +114,33 @@ export class Voice {
     return this.props.gender === gender;
   }
 
+  /**
+   * Whether the voice speaks a language or locale. Unlike matchesLanguage,
+   * "en-GB" doesn't match en-US voices.
+   */
+  speaksLanguage(langCode: string): boolean {
+    const search = langCode.toLowerCase();
+    const code = this.props.languageCode.toLowerCase();
+    return code === search || code.startsWith(search + '-');
+  }
+
+  /**
+   * Whether this voice is exposed under an ElevenLabs voice ID rather than
+   * its engine's own (engine voice IDs are always "engine:nativeId")
+   */
+  get isMapped(): boolean {
+    return this.props.id !== `${this.props.engine}:${this.props.nativeVoiceId}`;
+  }
+
+  matches(filter: VoiceFilter): boolean {
+    if (filter.language && !this.speaksLanguage(filter.language)) return false;
+    if (filter.gender && this.props.gender !== filter.gender) return false;
+    if (filter.engines && !filter.engines.includes(this.props.engine)) return false;
+    if (filter.search && !this.props.name.toLowerCase().includes(filter.search.toLowerCase())) return false;
+    if (filter.mapped !== undefined && this.isMapped !== filter.mapped) return false;
+    return true;
+  }
+
   // Factory methods
   static create(props: VoiceProps): Voice {
     return new Voice(props);
@@ -113,9 +173,35 @@ export class Voice {
   }
 
   /**
-   * Convert to ElevenLabs API format for compatibility
+   * Create a voice exposed under an ElevenLabs voice ID.
+   * Language and gender are taken from the local voice when it is known.
+   */
+  static fromMapping(mapping: VoiceMapping, target?: Voice): Voice {
+    const defaultSettings: VoiceSettings = {};
+    if (mapping.parameters?.rate !== undefined) defaultSettings.speed = mapping.parameters.rate;
+    if (mapping.parameters?.pitch !== undefined) defaultSettings.pitch = mapping.parameters.pitch;
+
+    return new Voice({
+      id: mapping.elevenLabsId,
+      name: mapping.elevenLabsName,
+      engine: mapping.localEngine as EngineType,
+      language: target?.language ?? 'Unknown',
+      languageCode: target?.languageCode ?? 'en',
+      gender: target?.gender,
+      labels: {
+        ...(target?.labels ?? {}),
+        mapped_to: `${mapping.localEngine}:${mapping.localVoiceId}`,
+      },
+      nativeVoiceId: mapping.localVoiceId,
+      defaultSettings: Object.keys(defaultSettings).length > 0 ? defaultSettings : undefined,
+    });
+  }
+
+  /**
+   * Convert to ElevenLabs API format for compatibility. A preview URL the
+   * engine supplied wins over the one passed in.
    */
-  toElevenLabsFormat(): ElevenLabsVoice {
+  toElevenLabsFormat(previewUrl?: string): ElevenLabsVoice {
     return {
       voice_id: this.props.id,
       name: this.props.name,
@@ -132,9 +218,9 @@ export class Voice {
         ...(this.props.gender ? { gender: this.props.gender } : {}),
       },
       description: `${this.props.engine} voice: ${this.props.name}`,
-      preview_url: this.props.previewUrl ?? null,
+      preview_url: this.props.previewUrl ?? previewUrl ?? null,
       available_for_tiers: ['free'],
-      settings: null,
+      settings: this.props.defaultSettings ?? null,
       sharing: null,
       high_quality_base_model_ids: [],
     };
@@ -213,6 +299,23 @@ export class VoiceCollection {
     return this.getAll().filter((v) => v.matchesGender(gender));
   }
 
+  /**
+   * Find the closest voice for a language, preferring an exact locale match
+   * over a base-language match, and the given gender within each
+   */
+  findBestMatch(languageCode: string, gender?: 'male' | 'female' | 'neutral'): Voice | undefined {
+    const code = languageCode.toLowerCase();
+    const exact = this.getAll().filter((v) => v.languageCode.toLowerCase() === code);
+    const related = this.getByLanguage(languageCode);
+
+    for (const candidates of [exact, related]) {
+      if (candidates.length === 0) continue;
+      return (gender && candidates.find((v) => v.gender === gender)) || candidates[0];
+    }
+
+    return undefined;
+  }
+
   search(query: string): Voice[] {
     const normalizedQuery = query.toLowerCase();
     return this.getAll().filter(
@@ -224,9 +327,66 @@ export class VoiceCollection {
     );
   }
 
-  toElevenLabsFormat() {
+  filter(filter: VoiceFilter): VoiceCollection {
+    return new VoiceCollection(this.getAll().filter((v) => v.matches(filter)));
+  }
+
+  /**
+   * One page of voices, ordered by name and then ID. The cursor holds the
+   * last voice of the previous page, so paging carries on from the right
+   * place when the list changes in between.
+   */
+  page(request: VoicePageRequest): VoicePage {
+    const direction = request.descending ? -1 : 1;
+    const sorted = this.getAll().sort((a, b) => direction * compareVoiceKeys(voiceKey(a), voiceKey(b)));
+
+    let remaining = sorted;
+    if (request.cursor) {
+      const after = decodeVoiceCursor(request.cursor);
+      const start = sorted.findIndex((v) => direction * compareVoiceKeys(voiceKey(v), after) > 0);
+      remaining = start === -1 ? [] : sorted.slice(start);
+    }
+
+    const voices = remaining.slice(0, request.limit);
+    const last = voices[voices.length - 1];
     return {
-      voices: this.getAll().map((v) => v.toElevenLabsFormat()),
+      voices,
+      total: sorted.length,
+      nextCursor: last && remaining.length > voices.length ? encodeVoiceCursor(voiceKey(last)) : null,
     };
   }
+
+  toElevenLabsFormat(previewUrl?: (voice: Voice) => string | undefined) {
+    return {
+      voices: this.getAll().map((v) => v.toElevenLabsFormat(previewUrl?.(v))),
+    };
+  }
+}
+
+type VoiceKey = [name: string, id: string];
+
+function voiceKey(voice: Voice): VoiceKey {
+  return [voice.name, voice.id];
+}
+
+function compareVoiceKeys(a: VoiceKey, b: VoiceKey): number {
+  const byName = a[0].localeCompare(b[0]);
+  if (byName !== 0) return byName;
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+function encodeVoiceCursor(key: VoiceKey): string {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeVoiceCursor(cursor: string): VoiceKey {
+  try {
+    const key: unknown = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (Array.isArray(key) && key.length === 2 && key.every((part) => typeof part === 'string')) {
+      return key as VoiceKey;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new ValidationError('Invalid page cursor', 'cursor');
 }
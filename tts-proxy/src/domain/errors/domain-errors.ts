@@ -62,6 +62,28 @@ export class ApiKeyRateLimitedError extends DomainError {
   }
 }
 
+/**
+ * Character quota exhausted. Reported the way ElevenLabs does (401, status
+ * "quota_exceeded") so its client libraries recognise it.
+ */
+export class QuotaExceededError extends DomainError {
+  readonly code = 'quota_exceeded';
+  readonly statusCode = 401;
+
+  readonly remaining: number;
+  readonly required: number;
+  readonly retryAfter: number; // seconds until the quota resets
+
+  constructor(remaining: number, required: number, retryAfter: number) {
+    super(
+      `This request exceeds your quota. You have ${remaining} characters remaining, while ${required} characters are required for this request.`
+    );
+    this.remaining = remaining;
+    this.required = required;
+    this.retryAfter = retryAfter;
+  }
+}
+
 export class UnauthorizedError extends DomainError {
   readonly code = 'UNAUTHORIZED';
   readonly statusCode = 401;
@@ -108,6 +130,39 @@ export class EngineCredentialsMissingError extends DomainError {
   }
 }
 
+export class EngineAccessDeniedError extends DomainError {
+  readonly code = 'ENGINE_ACCESS_DENIED';
+  readonly statusCode = 403;
+
+  constructor(engine: string) {
+    super(`API key is not allowed to use engine: ${engine}`);
+  }
+}
+
+export class EngineCircuitOpenError extends DomainError {
+  readonly code = 'ENGINE_CIRCUIT_OPEN';
+  readonly statusCode = 503;
+
+  readonly retryAfter: number;
+
+  constructor(engine: string, retryAfter: number) {
+    super(`Engine temporarily disabled after repeated failures: ${engine} (retry in ${retryAfter}s)`);
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class EngineBusyError extends DomainError {
+  readonly code = 'ENGINE_BUSY';
+  readonly statusCode = 503;
+
+  readonly retryAfter: number;
+
+  constructor(engine: string, retryAfter: number, reason = 'too many requests waiting') {
+    super(`Engine busy: ${engine} (${reason}, retry in ${retryAfter}s)`);
+    this.retryAfter = retryAfter;
+  }
+}
+
 export class SpeechGenerationError extends DomainError {
   readonly code = 'SPEECH_GENERATION_FAILED';
   readonly statusCode = 500;
@@ -122,6 +177,15 @@ export class SpeechGenerationError extends DomainError {
   }
 }
 
+export class AudioConversionError extends DomainError {
+  readonly code = 'AUDIO_CONVERSION_FAILED';
+  readonly statusCode = 500;
+
+  constructor(from: string, to: string, reason: string) {
+    super(`Audio conversion failed (${from} to ${to}): ${reason}`);
+  }
+}
+
 export class InvalidTextError extends DomainError {
   readonly code = 'INVALID_TEXT';
   readonly statusCode = 400;
@@ -131,6 +195,15 @@ export class InvalidTextError extends DomainError {
   }
 }
 
+export class InvalidSsmlError extends DomainError {
+  readonly code = 'INVALID_SSML';
+  readonly statusCode = 400;
+
+  constructor(reason: string) {
+    super(`Invalid SSML: ${reason}`);
+  }
+}
+
 export class TextTooLongError extends DomainError {
   readonly code = 'TEXT_TOO_LONG';
   readonly statusCode = 400;
@@ -145,6 +218,22 @@ export class TextTooLongError extends DomainError {
   }
 }
 
+/**
+ * Too many long-form jobs waiting, for the key or for the server
+ */
+export class JobQueueFullError extends DomainError {
+  readonly code = 'JOB_QUEUE_FULL';
+  readonly statusCode = 429;
+
+  constructor(limit: number, scope: 'key' | 'server') {
+    super(
+      scope === 'key'
+        ? `Too many queued jobs: this key may have ${limit} waiting at a time`
+        : `Job queue full: ${limit} jobs are already waiting`
+    );
+  }
+}
+
 // Validation Errors
 export class ValidationError extends DomainError {
   readonly code = 'VALIDATION_ERROR';
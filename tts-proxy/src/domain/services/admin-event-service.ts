@@ -0,0 +1,70 @@
+/**
+ * Admin Event Domain Service
+ * Tells connected admin UIs about changes they did not make themselves,
+ * such as an engine coming online after its credentials were replaced
+ */
+
+import { errorMessage, getLogger } from './log-service.js';
+
+const log = getLogger('AdminEvents');
+
+export interface EngineStatusEvent {
+  type: 'engine.status';
+  engine: string;
+  status: Record<string, unknown>; // the engine's entry from GET /admin/api/engines/status
+}
+
+export interface VoicesRefreshedEvent {
+  type: 'voices.refreshed';
+  voiceCount: number;
+  engines: string[];
+}
+
+export interface PreviewsGeneratedEvent {
+  type: 'previews.generated';
+  engine: string;
+  generated: number;
+  skipped: number; // voices that already had a preview
+  failed: number;
+}
+
+type AdminEventInput = EngineStatusEvent | VoicesRefreshedEvent | PreviewsGeneratedEvent;
+
+export type AdminEvent = AdminEventInput & { timestamp: string };
+
+export type AdminEventListener = (event: AdminEvent) => void;
+
+export class AdminEventService {
+  private readonly listeners = new Set<AdminEventListener>();
+
+  /**
+   * Listen for events; returns the function that stops listening
+   */
+  subscribe(listener: AdminEventListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  publish(input: AdminEventInput): void {
+    const event = { ...input, timestamp: new Date().toISOString() } as AdminEvent;
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        log.warn('Admin event listener failed', { type: event.type, error: errorMessage(error) });
+      }
+    }
+  }
+}
+
+// Singleton instance
+let adminEventServiceInstance: AdminEventService | null = null;
+
+export function getAdminEventService(): AdminEventService {
+  if (!adminEventServiceInstance) {
+    adminEventServiceInstance = new AdminEventService();
+  }
+  return adminEventServiceInstance;
+}
@@ -0,0 +1,181 @@
+/**
+ * Alignment
+ * Builds per-character timing data (ElevenLabs AlignmentData) from word timings or estimates
+ */
+
+import type { AlignmentData } from '../../types/tts.types.js';
+
+/**
+ * A timed range of the source text, in seconds
+ */
+export interface TimedSpan {
+  start: number; // character offset (inclusive)
+  end: number; // character offset (exclusive)
+  startTime: number;
+  endTime: number;
+}
+
+// Relative weights used when estimating timing from text alone
+const PAUSE_WEIGHTS: Array<[RegExp, number]> = [
+  [/[.!?。！？]["'”’)\]]*$/, 4],
+  [/[,;:—–]["'”’)\]]*$/, 2],
+];
+const WORD_GAP_WEIGHT = 0.5;
+
+export function emptyAlignment(): AlignmentData {
+  return {
+    characters: [],
+    character_start_times_seconds: [],
+    character_end_times_seconds: [],
+  };
+}
+
+/**
+ * Find the words of a text with their character offsets
+ */
+export function findWords(text: string): Array<{ word: string; start: number; end: number }> {
+  return Array.from(text.matchAll(/\S+/g), (match) => ({
+    word: match[0],
+    start: match.index ?? 0,
+    end: (match.index ?? 0) + match[0].length,
+  }));
+}
+
+/**
+ * Expand timed spans into per-character alignment.
+ * Characters inside a span share its time evenly; characters between spans
+ * (whitespace, skipped punctuation) fill the gap between their neighbours.
+ */
+export function alignmentFromSpans(text: string, spans: TimedSpan[], duration?: number): AlignmentData {
+  const characters = Array.from(text);
+  const starts = new Array<number>(characters.length);
+  const ends = new Array<number>(characters.length);
+
+  // Work on code points so surrogate pairs count as one character
+  const indexByOffset = new Array<number>(text.length + 1);
+  let offset = 0;
+  characters.forEach((char, index) => {
+    for (let i = 0; i < char.length; i++) indexByOffset[offset + i] = index + (i > 0 ? 1 : 0);
+    offset += char.length;
+  });
+  indexByOffset[text.length] = characters.length;
+  const indexOf = (charOffset: number): number =>
+    indexByOffset[Math.min(Math.max(charOffset, 0), text.length)]!;
+
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  const totalDuration = duration ?? sorted[sorted.length - 1]?.endTime ?? 0;
+
+  let cursor = 0;
+  let cursorTime = 0;
+
+  const fill = (from: number, to: number, startTime: number, endTime: number): void => {
+    const count = to - from;
+    if (count <= 0) return;
+    const step = Math.max(0, endTime - startTime) / count;
+    for (let i = 0; i < count; i++) {
+      starts[from + i] = round(startTime + step * i);
+      ends[from + i] = round(startTime + step * (i + 1));
+    }
+  };
+
+  for (const span of sorted) {
+    const from = Math.max(indexOf(span.start), cursor);
+    const to = indexOf(span.end);
+    if (to <= from) continue;
+
+    fill(cursor, from, cursorTime, Math.max(cursorTime, span.startTime));
+    fill(from, to, Math.max(cursorTime, span.startTime), Math.max(cursorTime, span.endTime));
+
+    cursor = to;
+    cursorTime = Math.max(cursorTime, span.endTime);
+  }
+
+  fill(cursor, characters.length, cursorTime, Math.max(cursorTime, totalDuration));
+
+  return {
+    characters,
+    character_start_times_seconds: starts,
+    character_end_times_seconds: ends,
+  };
+}
+
+/**
+ * Estimate alignment from the audio duration and the structure of the text.
+ * Words are weighted by length (or by the given weights, e.g. phoneme counts)
+ * and punctuation adds a pause.
+ */
+export function estimateAlignment(text: string, duration: number, wordWeights?: number[]): AlignmentData {
+  const words = findWords(text);
+  if (words.length === 0 || duration <= 0) {
+    return alignmentFromSpans(text, [], Math.max(duration, 0));
+  }
+
+  const weights = words.map((w, i) => {
+    const custom = wordWeights?.[i];
+    if (custom !== undefined && custom > 0) return custom;
+    return Math.max(1, w.word.replace(/[^\p{L}\p{N}]/gu, '').length);
+  });
+  const pauses = words.map((w, i) => {
+    if (i === words.length - 1) return 0;
+    const pause = PAUSE_WEIGHTS.find(([pattern]) => pattern.test(w.word));
+    return pause ? pause[1] : WORD_GAP_WEIGHT;
+  });
+
+  const total = weights.reduce((a, b) => a + b, 0) + pauses.reduce((a, b) => a + b, 0);
+  const secondsPerUnit = duration / total;
+
+  const spans: TimedSpan[] = [];
+  let time = 0;
+  words.forEach((w, i) => {
+    const wordDuration = weights[i]! * secondsPerUnit;
+    spans.push({ start: w.start, end: w.end, startTime: time, endTime: time + wordDuration });
+    time += wordDuration + pauses[i]! * secondsPerUnit;
+  });
+
+  return alignmentFromSpans(text, spans, duration);
+}
+
+/**
+ * Build alignment from word timings reported by an engine.
+ * Words are located in the text in order; a missing end time runs up to the
+ * next word (or the end of the audio).
+ */
+export function alignmentFromWordTimings(
+  text: string,
+  words: Array<{ text: string; startTime: number; endTime?: number }>,
+  duration: number
+): AlignmentData {
+  const spans: TimedSpan[] = [];
+  let searchFrom = 0;
+
+  words.forEach((word, i) => {
+    const token = word.text.trim();
+    if (!token) return;
+
+    const start = text.indexOf(token, searchFrom);
+    if (start === -1) return;
+
+    const nextStart = words[i + 1]?.startTime ?? duration;
+    const endTime = word.endTime !== undefined && word.endTime > word.startTime ? word.endTime : nextStart;
+
+    spans.push({ start, end: start + token.length, startTime: word.startTime, endTime });
+    searchFrom = start + token.length;
+  });
+
+  return alignmentFromSpans(text, spans, duration);
+}
+
+/**
+ * Shift all times in an alignment by an offset (in seconds)
+ */
+export function shiftAlignment(alignment: AlignmentData, offset: number): AlignmentData {
+  return {
+    characters: [...alignment.characters],
+    character_start_times_seconds: alignment.character_start_times_seconds.map((t) => round(t + offset)),
+    character_end_times_seconds: alignment.character_end_times_seconds.map((t) => round(t + offset)),
+  };
+}
+
+function round(seconds: number): number {
+  return Math.round(seconds * 1000) / 1000;
+}
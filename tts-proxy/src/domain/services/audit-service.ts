@@ -0,0 +1,120 @@
+/**
+ * Audit Domain Service
+ * Records administrative changes (keys, credentials, voice mappings,
+ * lexicons, cache purges) and answers queries over them
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  matchesAuditQuery,
+  type AuditAction,
+  type AuditEntry,
+  type AuditQuery,
+} from '../entities/audit.js';
+import type { AuditLogPort } from '../../application/ports/audit-log-port.js';
+import { getLogContext, getLogger } from './log-service.js';
+
+const log = getLogger('Audit');
+
+// Entries kept in memory when no storage is configured
+const MAX_RECENT_ENTRIES = 1000;
+
+export interface AuditRecordInput {
+  action: AuditAction;
+  actor: string;
+  actorName?: string;
+  target?: string;
+  details?: Record<string, unknown>;
+  ip?: string;
+}
+
+export class AuditService {
+  private storage?: AuditLogPort;
+  private readonly recent: AuditEntry[] = [];
+  private readonly pendingWrites = new Set<Promise<void>>();
+
+  /**
+   * Persist entries instead of keeping the most recent ones in memory
+   */
+  setStorage(storage: AuditLogPort): void {
+    this.storage = storage;
+  }
+
+  /**
+   * Record a change. The entry also goes to the application log, tagged
+   * with the request it was made in.
+   */
+  record(input: AuditRecordInput): AuditEntry {
+    const requestId = getLogContext()['requestId'];
+    const entry: AuditEntry = {
+      id: randomUUID(),
+      timestamp: new Date(),
+      ...input,
+      ...(typeof requestId === 'string' ? { requestId } : {}),
+    };
+
+    log.info('Admin action', {
+      action: entry.action,
+      actor: entry.actor,
+      target: entry.target,
+      details: entry.details,
+    });
+
+    if (!this.storage) {
+      this.recent.push(entry);
+      if (this.recent.length > MAX_RECENT_ENTRIES) this.recent.shift();
+      return entry;
+    }
+
+    // A failed audit write is logged, but never fails the change itself
+    const write = this.storage
+      .append(entry)
+      .catch((error) => {
+        log.error('Failed to persist audit entry', error, { action: entry.action });
+      })
+      .finally(() => this.pendingWrites.delete(write));
+    this.pendingWrites.add(write);
+
+    return entry;
+  }
+
+  /**
+   * Entries matching a query, newest first
+   */
+  async query(query: AuditQuery = {}, limit?: number): Promise<AuditEntry[]> {
+    if (this.storage) {
+      await this.flush();
+      return this.storage.query(query, limit);
+    }
+    return this.recent
+      .filter((entry) => matchesAuditQuery(entry, query))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Drop stored entries older than a date
+   */
+  async pruneStorage(olderThan: Date): Promise<number> {
+    if (!this.storage) return 0;
+    await this.flush();
+    return this.storage.clearOldEntries(olderThan);
+  }
+
+  /**
+   * Wait for pending writes to storage
+   */
+  async flush(): Promise<void> {
+    await Promise.all(this.pendingWrites);
+  }
+}
+
+// Singleton instance
+let auditServiceInstance: AuditService | null = null;
+
+export function getAuditService(): AuditService {
+  if (!auditServiceInstance) {
+    auditServiceInstance = new AuditService();
+  }
+  return auditServiceInstance;
+}
@@ -0,0 +1,125 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing engine for a while after repeated failures
+ */
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerConfig {
+  failureThreshold: number; // consecutive failures before opening
+  resetTimeoutMs: number; // how long to stay open before allowing a trial request
+}
+
+export interface CircuitBreakerSnapshot {
+  state: CircuitState;
+  consecutiveFailures: number;
+  totalFailures: number;
+  lastFailure?: string;
+  lastFailureAt?: string;
+  openedAt?: string;
+  retryAt?: string;
+}
+
+const DEFAULT_CONFIG: CircuitBreakerConfig = {
+  failureThreshold: 3,
+  resetTimeoutMs: 30_000,
+};
+
+export class CircuitBreaker {
+  private readonly config: CircuitBreakerConfig;
+  private readonly now: () => number;
+  private state: CircuitState = 'closed';
+  private consecutiveFailures = 0;
+  private totalFailures = 0;
+  private lastFailure?: string;
+  private lastFailureAt?: number;
+  private openedAt?: number;
+  private trialInFlight = false;
+
+  constructor(config: Partial<CircuitBreakerConfig> = {}, now: () => number = Date.now) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.now = now;
+  }
+
+  /**
+   * Check whether a request may be attempted.
+   * An open circuit lets a single trial request through once the reset timeout has passed.
+   */
+  canRequest(): boolean {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && this.now() - (this.openedAt ?? 0) >= this.config.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether the circuit is open and still cooling down (does not claim the trial request)
+   */
+  isOpen(): boolean {
+    return this.state === 'open' && this.now() - (this.openedAt ?? 0) < this.config.resetTimeoutMs;
+  }
+
+  recordSuccess(): void {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = undefined;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error?: unknown): void {
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.lastFailureAt = this.now();
+    if (error !== undefined) {
+      this.lastFailure = error instanceof Error ? error.message : String(error);
+    }
+
+    // A failed trial re-opens immediately; otherwise open at the threshold
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.config.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Seconds until the next request may be attempted (0 when closed)
+   */
+  getRetryAfter(): number {
+    if (this.state === 'closed') return 0;
+    // Half-open: a trial request is deciding the engine's fate right now
+    if (this.state === 'half-open') return 1;
+    const remaining = (this.openedAt ?? 0) + this.config.resetTimeoutMs - this.now();
+    return Math.max(0, Math.ceil(remaining / 1000));
+  }
+
+  getState(): CircuitState {
+    return this.state;
+  }
+
+  getSnapshot(): CircuitBreakerSnapshot {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      totalFailures: this.totalFailures,
+      ...(this.lastFailure ? { lastFailure: this.lastFailure } : {}),
+      ...(this.lastFailureAt ? { lastFailureAt: new Date(this.lastFailureAt).toISOString() } : {}),
+      ...(this.openedAt ? { openedAt: new Date(this.openedAt).toISOString() } : {}),
+      ...(this.state === 'open' && this.openedAt
+        ? { retryAt: new Date(this.openedAt + this.config.resetTimeoutMs).toISOString() }
+        : {}),
+    };
+  }
+
+  reset(): void {
+    this.recordSuccess();
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Engine Scheduler
+ * Limits how many calls an engine runs at once; the rest wait in a bounded
+ * queue, interactive requests ahead of background work
+ */
+
+import type { SynthesisPriority } from '../../types/tts.types.js';
+import { isEngineType, type EngineType } from '../../types/engine.types.js';
+import { ConfigurationError, EngineBusyError } from '../errors/domain-errors.js';
+
+export interface EngineSchedulerConfig {
+  concurrency: number; // calls run at once
+  maxQueueDepth: number; // calls waiting for a turn before new ones are turned away
+  queueTimeoutMs: number; // longest a call waits for its turn
+}
+
+export interface EngineQueueSnapshot {
+  active: number;
+  queued: number;
+  queuedByPriority: Record<SynthesisPriority, number>;
+  concurrency: number;
+  maxQueueDepth: number;
+}
+
+// Highest priority first
+const PRIORITIES: SynthesisPriority[] = ['interactive', 'standard', 'background'];
+
+const DEFAULT_CONFIG: EngineSchedulerConfig = {
+  concurrency: 8,
+  maxQueueDepth: 100,
+  queueTimeoutMs: 30_000,
+};
+
+// Assumed length of a call until some have been timed
+const INITIAL_CALL_MS = 2000;
+
+// Weight of the latest call in the running average of call lengths
+const AVERAGE_WEIGHT = 0.2;
+
+interface Waiter {
+  start: () => void;
+}
+
+export class EngineScheduler {
+  private readonly engineId: string;
+  private readonly config: EngineSchedulerConfig;
+  private readonly queues: Record<SynthesisPriority, Waiter[]> = { interactive: [], standard: [], background: [] };
+  private active = 0;
+  private averageCallMs = INITIAL_CALL_MS;
+
+  constructor(engineId: string, config: Partial<EngineSchedulerConfig> = {}) {
+    this.engineId = engineId;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Run a call when the engine has room for it. Throws EngineBusyError when
+   * the queue is full or the call waited too long.
+   */
+  async run<T>(call: () => Promise<T>, priority: SynthesisPriority = 'standard'): Promise<T> {
+    if (this.active < this.config.concurrency) {
+      this.active++;
+    } else {
+      await this.waitForTurn(priority);
+    }
+
+    const startedAt = Date.now();
+    try {
+      return await call();
+    } finally {
+      this.averageCallMs += AVERAGE_WEIGHT * (Date.now() - startedAt - this.averageCallMs);
+      this.release();
+    }
+  }
+
+  /**
+   * Seconds until a call queued now would likely start
+   */
+  getRetryAfter(): number {
+    const rounds = Math.ceil((this.queuedCount() + 1) / this.config.concurrency);
+    return Math.max(1, Math.ceil((rounds * this.averageCallMs) / 1000));
+  }
+
+  getSnapshot(): EngineQueueSnapshot {
+    return {
+      active: this.active,
+      queued: this.queuedCount(),
+      queuedByPriority: {
+        interactive: this.queues.interactive.length,
+        standard: this.queues.standard.length,
+        background: this.queues.background.length,
+      },
+      concurrency: this.config.concurrency,
+      maxQueueDepth: this.config.maxQueueDepth,
+    };
+  }
+
+  private queuedCount(): number {
+    return PRIORITIES.reduce((total, priority) => total + this.queues[priority].length, 0);
+  }
+
+  private waitForTurn(priority: SynthesisPriority): Promise<void> {
+    if (this.queuedCount() >= this.config.maxQueueDepth) {
+      throw new EngineBusyError(this.engineId, this.getRetryAfter(), 'queue full');
+    }
+
+    return new Promise((resolve, reject) => {
+      const queue = this.queues[priority];
+      const timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(
+          new EngineBusyError(
+            this.engineId,
+            this.getRetryAfter(),
+            `no turn within ${this.config.queueTimeoutMs / 1000}s`
+          )
+        );
+      }, this.config.queueTimeoutMs);
+      const waiter: Waiter = {
+        start: () => {
+          clearTimeout(timer);
+          resolve();
+        },
+      };
+      queue.push(waiter);
+    });
+  }
+
+  /**
+   * Hand a finished call's slot to the next waiting call, if any
+   */
+  private release(): void {
+    for (const priority of PRIORITIES) {
+      const next = this.queues[priority].shift();
+      if (next) {
+        next.start();
+        return;
+      }
+    }
+    this.active--;
+  }
+}
+
+/**
+ * Parse per-engine concurrency limits, e.g. "espeak=2,azure=20"
+ */
+export function parseConcurrencyLimits(spec: string | undefined): Map<EngineType, number> {
+  const limits = new Map<EngineType, number>();
+  if (!spec?.trim()) return limits;
+
+  for (const rawEntry of spec.split(',')) {
+    if (!rawEntry.trim()) continue;
+
+    const [rawEngine = '', rawLimit = ''] = rawEntry.split('=');
+    const engine = rawEngine.trim().toLowerCase();
+    const limit = Number(rawLimit.trim());
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ConfigurationError(`Invalid concurrency limit "${rawEntry.trim()}" (expected engine=number)`);
+    }
+    if (!isEngineType(engine)) {
+      throw new ConfigurationError(`Unknown engine in concurrency limits: ${engine}`);
+    }
+
+    limits.set(engine, limit);
+  }
+
+  return limits;
+}
@@ -0,0 +1,38 @@
+/**
+ * Engine Failover
+ * Parses failover chain configuration
+ */
+
+import { isEngineType, type EngineType } from '../../types/engine.types.js';
+import { ConfigurationError } from '../errors/domain-errors.js';
+
+export type FailoverChains = Map<EngineType, EngineType[]>;
+
+/**
+ * Parse failover chains, e.g. "azure>polly>espeak,elevenlabs>espeak".
+ * Each chain starts with the primary engine followed by its fallbacks in order.
+ */
+export function parseFailoverChains(spec: string | undefined): FailoverChains {
+  const chains: FailoverChains = new Map();
+  if (!spec?.trim()) return chains;
+
+  for (const rawChain of spec.split(',')) {
+    const engines = rawChain
+      .split('>')
+      .map((e) => e.trim().toLowerCase())
+      .filter(Boolean);
+    if (engines.length === 0) continue;
+
+    for (const engine of engines) {
+      if (!isEngineType(engine)) {
+        throw new ConfigurationError(`Unknown engine in failover chain "${rawChain.trim()}": ${engine}`);
+      }
+    }
+
+    const [primary, ...fallbacks] = engines as EngineType[];
+    // Drop repeats so a chain can never loop back on itself
+    chains.set(primary!, [primary!, ...new Set(fallbacks.filter((e) => e !== primary))]);
+  }
+
+  return chains;
+}
@@ -4,7 +4,7 @@
  */
 
 import { ApiKey } from '../entities/api-key.js';
-import type { EngineKeyConfig } from '../../types/api-key.types.js';
+import type { EngineKeyConfig, CharacterQuota, ApiKeyScope } from '../../types/api-key.types.js';
 
 export interface CreateApiKeyInput {
   name: string;
@@ -12,6 +12,8 @@ export interface CreateApiKeyInput {
   rateLimit?: number;
   expiresAt?: Date;
   engineConfig?: Record<string, EngineKeyConfig>;
+  characterQuota?: CharacterQuota | null;
+  scopes?: ApiKeyScope[];
 }
 
 export interface UpdateApiKeyInput {
@@ -21,6 +23,8 @@ export interface UpdateApiKeyInput {
   rateLimit?: number;
   expiresAt?: Date | null;
   engineConfig?: Record<string, EngineKeyConfig>;
+  characterQuota?: CharacterQuota | null;
+  scopes?: ApiKeyScope[];
 }
 
 export interface ApiKeyValidationResult {
@@ -51,6 +55,8 @@ export class KeyService {
       rateLimit: input.rateLimit,
       expiresAt: input.expiresAt,
       engineConfig: input.engineConfig,
+      characterQuota: input.characterQuota,
+      scopes: input.scopes,
     });
   }
 
@@ -82,9 +88,30 @@ export class KeyService {
       updated = updated.withUpdatedEngineConfig(input.engineConfig);
     }
 
+    if (input.characterQuota !== undefined) {
+      if (input.characterQuota) this.validateCharacterQuota(input.characterQuota);
+      updated = updated.withUpdatedCharacterQuota(input.characterQuota);
+    }
+
+    if (input.scopes !== undefined) {
+      this.validateScopes(input.scopes);
+      updated = updated.withUpdatedScopes(input.scopes);
+    }
+
     return updated;
   }
 
+  /**
+   * Issue a new secret for a key; the old one keeps working for the grace period
+   */
+  rotateKey(apiKey: ApiKey, gracePeriodSeconds: number): { apiKey: ApiKey; plainKey: string } {
+    if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0) {
+      throw new ValidationError('Grace period must be a whole number of seconds', 'gracePeriodSeconds');
+    }
+
+    return apiKey.withRotatedKey(gracePeriodSeconds * 1000);
+  }
+
   /**
    * Validate an API key for authentication
    */
@@ -159,6 +186,14 @@ export class KeyService {
     if (input.rateLimit !== undefined) {
       this.validateRateLimit(input.rateLimit);
     }
+
+    if (input.characterQuota) {
+      this.validateCharacterQuota(input.characterQuota);
+    }
+
+    if (input.scopes !== undefined) {
+      this.validateScopes(input.scopes);
+    }
   }
 
   private validateName(name: string): void {
@@ -180,6 +215,18 @@ export class KeyService {
       throw new ValidationError('Rate limit cannot exceed 10000', 'rateLimit');
     }
   }
+
+  private validateScopes(scopes: ApiKeyScope[]): void {
+    if (scopes.length === 0) {
+      throw new ValidationError('A key needs at least one scope', 'scopes');
+    }
+  }
+
+  private validateCharacterQuota(quota: CharacterQuota): void {
+    if (!Number.isInteger(quota.limit) || quota.limit < 1) {
+      throw new ValidationError('Character quota must be a positive whole number', 'characterQuota');
+    }
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,286 @@
+/**
+ * Lexicon Domain Service
+ * Pronunciation lexicons applied to text before synthesis: plain
+ * replacements, regex rules and phoneme hints, set globally or per API key
+ */
+
+import type { LexiconRepositoryPort } from '../../application/ports/lexicon-repository-port.js';
+import type { Lexicon, LexiconRule, PhonemeAlphabet } from '../../types/tts.types.js';
+import { ValidationError } from '../errors/domain-errors.js';
+import { decodeEntities, escapeXml } from './ssml.js';
+import { errorMessage, getLogger } from './log-service.js';
+
+const log = getLogger('Lexicon');
+
+export const GLOBAL_LEXICON_SCOPE = 'global';
+
+export interface LexiconApplyOptions {
+  keyId?: string; // the caller's key; its rules apply before the global ones
+  engine?: string;
+  ssml?: boolean; // the text is an SSML document
+  /**
+   * Alphabets the engine accepts in SSML <phoneme>. Phoneme rules in other
+   * alphabets fall back to their replacement text.
+   */
+  phonemeAlphabets?: PhonemeAlphabet[];
+}
+
+export interface LexiconApplyResult {
+  text: string;
+  ssml: boolean;
+  applied: Array<{ scope: string; match: string; count: number }>;
+}
+
+interface CompiledRule {
+  rule: LexiconRule;
+  pattern: RegExp;
+}
+
+/**
+ * Text as it is rewritten; phoneme segments are final and not matched again
+ */
+type Segment = { text: string } | { text: string; phoneme: string; alphabet: PhonemeAlphabet };
+
+// Letters, digits and underscore - a literal match may not run into these
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+// Text inside these SSML elements isn't spoken as written, so it is left alone
+const SKIPPED_ELEMENTS = new Set(['phoneme', 'sub', 'say-as']);
+
+const SSML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<\/?([A-Za-z_][\w.:-]*)[^>]*>|[^<]+/g;
+
+/**
+ * Compile a rule to the pattern it matches. Throws ValidationError for an
+ * invalid regex.
+ */
+export function compileLexiconRule(rule: LexiconRule): RegExp {
+  const flags = rule.caseSensitive ? 'gu' : 'giu';
+
+  if (rule.type === 'regex') {
+    try {
+      return new RegExp(rule.match, flags);
+    } catch (error) {
+      throw new ValidationError(
+        `Invalid regex "${rule.match}": ${error instanceof Error ? error.message : error}`,
+        'match'
+      );
+    }
+  }
+
+  let source = rule.match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (rule.wholeWord !== false) {
+    // Only bound the ends that are word characters, so "Dr." still matches before a space
+    if (WORD_CHAR.test(rule.match[0] ?? '')) source = `(?<![\\p{L}\\p{N}_])${source}`;
+    if (WORD_CHAR.test(rule.match.at(-1) ?? '')) source = `${source}(?![\\p{L}\\p{N}_])`;
+  }
+  return new RegExp(source, flags);
+}
+
+export class LexiconService {
+  private repository?: LexiconRepositoryPort;
+  private readonly lexicons = new Map<string, Lexicon>();
+  private readonly compiled = new Map<string, CompiledRule[]>();
+
+  /**
+   * Persist lexicons and load the ones already stored
+   */
+  async setRepository(repository: LexiconRepositoryPort): Promise<void> {
+    this.repository = repository;
+    this.lexicons.clear();
+    this.compiled.clear();
+
+    for (const lexicon of await repository.findAll()) {
+      this.lexicons.set(lexicon.scope, lexicon);
+      this.compiled.set(lexicon.scope, this.compile(lexicon, true));
+    }
+  }
+
+  list(): Lexicon[] {
+    return Array.from(this.lexicons.values());
+  }
+
+  get(scope: string): Lexicon | undefined {
+    return this.lexicons.get(scope);
+  }
+
+  /**
+   * Replace the rules of a scope
+   */
+  async save(scope: string, rules: LexiconRule[]): Promise<Lexicon> {
+    const lexicon: Lexicon = { scope, rules, updatedAt: new Date().toISOString() };
+    const compiled = this.compile(lexicon, false);
+
+    await this.repository?.save(lexicon);
+    this.lexicons.set(scope, lexicon);
+    this.compiled.set(scope, compiled);
+    return lexicon;
+  }
+
+  async delete(scope: string): Promise<boolean> {
+    const existed = this.lexicons.delete(scope);
+    this.compiled.delete(scope);
+    if (this.repository) {
+      return (await this.repository.delete(scope)) || existed;
+    }
+    return existed;
+  }
+
+  /**
+   * Apply the caller's rules, then the global ones. Phoneme hints become SSML
+   * <phoneme> elements when the engine accepts their alphabet, which turns
+   * plain text into an SSML document.
+   */
+  apply(text: string, options: LexiconApplyOptions = {}): LexiconApplyResult {
+    const rules = this.rulesFor(options);
+    if (rules.length === 0) {
+      return { text, ssml: options.ssml ?? false, applied: [] };
+    }
+
+    const counts = new Map<string, { scope: string; match: string; count: number }>();
+    const rewrite = (input: string): Segment[] => {
+      let segments: Segment[] = [{ text: input }];
+      for (const { scope, compiled } of rules) {
+        segments = segments.flatMap((segment) => {
+          if ('phoneme' in segment) return [segment];
+          const { result, count } = applyRule(segment.text, compiled, options.phonemeAlphabets ?? []);
+          if (count > 0) {
+            const key = `${scope}\0${compiled.rule.type}\0${compiled.rule.match}`;
+            const entry = counts.get(key) ?? { scope, match: compiled.rule.match, count: 0 };
+            entry.count += count;
+            counts.set(key, entry);
+          }
+          return result;
+        });
+      }
+      return segments;
+    };
+
+    let output: string;
+    let ssml = options.ssml ?? false;
+
+    if (ssml) {
+      output = rewriteSsmlText(text, (piece) => renderSsml(rewrite(piece)));
+    } else {
+      const segments = rewrite(text);
+      if (segments.some((segment) => 'phoneme' in segment)) {
+        output = `<speak>${renderSsml(segments)}</speak>`;
+        ssml = true;
+      } else {
+        output = segments.map((segment) => segment.text).join('');
+      }
+    }
+
+    return { text: output, ssml, applied: Array.from(counts.values()) };
+  }
+
+  private rulesFor(options: LexiconApplyOptions): Array<{ scope: string; compiled: CompiledRule }> {
+    const scopes = [...(options.keyId ? [options.keyId] : []), GLOBAL_LEXICON_SCOPE];
+    return scopes.flatMap((scope) =>
+      (this.compiled.get(scope) ?? [])
+        .filter(({ rule }) => !rule.engines?.length || (options.engine && rule.engines.includes(options.engine)))
+        .map((compiled) => ({ scope, compiled }))
+    );
+  }
+
+  /**
+   * Compile a lexicon's rules. Stored lexicons skip invalid rules (with a
+   * warning) rather than failing to load.
+   */
+  private compile(lexicon: Lexicon, lenient: boolean): CompiledRule[] {
+    const compiled: CompiledRule[] = [];
+    for (const rule of lexicon.rules) {
+      try {
+        compiled.push({ rule, pattern: compileLexiconRule(rule) });
+      } catch (error) {
+        if (!lenient) throw error;
+        log.warn('Skipping invalid rule', { scope: lexicon.scope, error: errorMessage(error) });
+      }
+    }
+    return compiled;
+  }
+}
+
+function applyRule(
+  text: string,
+  { rule, pattern }: CompiledRule,
+  phonemeAlphabets: PhonemeAlphabet[]
+): { result: Segment[]; count: number } {
+  pattern.lastIndex = 0;
+  const count = Array.from(text.matchAll(pattern)).filter((match) => match[0].length > 0).length;
+  if (count === 0) return { result: [{ text }], count: 0 };
+
+  if (rule.type === 'phoneme') {
+    const alphabet = rule.alphabet ?? 'ipa';
+
+    if (rule.phoneme && phonemeAlphabets.includes(alphabet)) {
+      const result: Segment[] = [];
+      let last = 0;
+      for (const match of text.matchAll(pattern)) {
+        if (!match[0]) continue;
+        result.push({ text: text.slice(last, match.index) });
+        result.push({ text: match[0], phoneme: rule.phoneme, alphabet });
+        last = (match.index ?? 0) + match[0].length;
+      }
+      result.push({ text: text.slice(last) });
+      return { result, count };
+    }
+
+    if (rule.replacement === undefined) return { result: [{ text }], count: 0 };
+    return { result: [{ text: text.replace(pattern, () => rule.replacement!) }], count };
+  }
+
+  const replacement = rule.replacement ?? '';
+  if (rule.type === 'regex') {
+    // Regex rules may refer to groups ($1, $<name>)
+    return { result: [{ text: text.replace(pattern, replacement) }], count };
+  }
+  return { result: [{ text: text.replace(pattern, () => replacement) }], count };
+}
+
+function renderSsml(segments: Segment[]): string {
+  return segments
+    .map((segment) =>
+      'phoneme' in segment
+        ? `<phoneme alphabet="${segment.alphabet}" ph="${escapeXml(segment.phoneme).replace(/"/g, '&quot;')}">${escapeXml(segment.text)}</phoneme>`
+        : escapeXml(segment.text)
+    )
+    .join('');
+}
+
+/**
+ * Rewrite the spoken text of an SSML document, leaving its markup alone
+ */
+function rewriteSsmlText(document: string, rewrite: (text: string) => string): string {
+  const open: string[] = [];
+  let output = '';
+
+  for (const match of document.matchAll(SSML_TOKEN)) {
+    const [token, tagName] = match;
+
+    if (tagName !== undefined) {
+      const name = tagName.slice(tagName.indexOf(':') + 1);
+      if (token.startsWith('</')) {
+        open.pop();
+      } else if (!token.endsWith('/>')) {
+        open.push(name);
+      }
+      output += token;
+    } else if (token.startsWith('<') || open.some((name) => SKIPPED_ELEMENTS.has(name))) {
+      output += token;
+    } else {
+      output += rewrite(decodeEntities(token));
+    }
+  }
+
+  return output;
+}
+
+// Singleton instance
+let lexiconServiceInstance: LexiconService | null = null;
+
+export function getLexiconService(): LexiconService {
+  if (!lexiconServiceInstance) {
+    lexiconServiceInstance = new LexiconService();
+  }
+  return lexiconServiceInstance;
+}
@@ -0,0 +1,161 @@
+/**
+ * Log Service
+ * Hands out loggers by context name and carries request-scoped metadata
+ * (request and connection IDs) to every line logged while handling it
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import type {
+  LogLevel,
+  LogMeta,
+  LoggerFactoryPort,
+  LoggerPort,
+} from '../../application/ports/logger-port.js';
+
+const LEVELS: LogLevel[] = ['debug', 'info', 'warn', 'error'];
+
+const logContext = new AsyncLocalStorage<LogMeta>();
+
+let factory: LoggerFactoryPort | null = null;
+const loggers = new Map<string, LoggerPort>();
+
+/**
+ * Send all logging through a factory. Loggers handed out before this call
+ * switch over too.
+ */
+export function setLoggerFactory(loggerFactory: LoggerFactoryPort): void {
+  factory = loggerFactory;
+  loggers.clear();
+}
+
+/**
+ * Get the logger for a component, e.g. getLogger('Jobs')
+ */
+export function getLogger(context: string): LoggerPort {
+  return new ContextLogger(context, {});
+}
+
+/**
+ * Run fn with metadata added to everything it logs, including from
+ * callbacks and promises it starts. Nested calls add to the outer metadata.
+ */
+export function withLogContext<T>(meta: LogMeta, fn: () => T): T {
+  return logContext.run({ ...logContext.getStore(), ...meta }, fn);
+}
+
+/**
+ * Metadata of the current withLogContext call, if any
+ */
+export function getLogContext(): LogMeta {
+  return logContext.getStore() ?? {};
+}
+
+/**
+ * Format an unknown thrown value for a log line
+ */
+export function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Resolves the factory's logger on every call, so loggers can be created
+ * at module load, before the factory is configured
+ */
+class ContextLogger implements LoggerPort {
+  constructor(
+    private readonly context: string,
+    private readonly meta: LogMeta
+  ) {}
+
+  debug(message: string, meta?: LogMeta): void {
+    this.target().debug(message, this.withContext(meta));
+  }
+
+  info(message: string, meta?: LogMeta): void {
+    this.target().info(message, this.withContext(meta));
+  }
+
+  warn(message: string, meta?: LogMeta): void {
+    this.target().warn(message, this.withContext(meta));
+  }
+
+  error(message: string, error?: Error | unknown, meta?: LogMeta): void {
+    this.target().error(message, error, this.withContext(meta));
+  }
+
+  child(meta: LogMeta): LoggerPort {
+    return new ContextLogger(this.context, { ...this.meta, ...meta });
+  }
+
+  setLevel(level: LogLevel): void {
+    this.target().setLevel(level);
+  }
+
+  getLevel(): LogLevel {
+    return this.target().getLevel();
+  }
+
+  isLevelEnabled(level: LogLevel): boolean {
+    return this.target().isLevelEnabled(level);
+  }
+
+  private target(): LoggerPort {
+    let logger = loggers.get(this.context);
+    if (!logger) {
+      logger = factory ? factory.createLogger(this.context) : new ConsoleLogger(this.context);
+      loggers.set(this.context, logger);
+    }
+    return logger;
+  }
+
+  private withContext(meta?: LogMeta): LogMeta {
+    return { ...logContext.getStore(), ...this.meta, ...meta };
+  }
+}
+
+let consoleLevel: LogLevel = 'info';
+
+/**
+ * Plain console output, used until a factory is set (scripts, early startup)
+ */
+class ConsoleLogger implements LoggerPort {
+  constructor(private readonly context: string) {}
+
+  debug(message: string, meta?: LogMeta): void {
+    if (this.isLevelEnabled('debug')) console.debug(this.format(message, meta));
+  }
+
+  info(message: string, meta?: LogMeta): void {
+    if (this.isLevelEnabled('info')) console.log(this.format(message, meta));
+  }
+
+  warn(message: string, meta?: LogMeta): void {
+    if (this.isLevelEnabled('warn')) console.warn(this.format(message, meta));
+  }
+
+  error(message: string, error?: Error | unknown, meta?: LogMeta): void {
+    if (!this.isLevelEnabled('error')) return;
+    console.error(this.format(message, meta), ...(error === undefined ? [] : [error]));
+  }
+
+  child(): LoggerPort {
+    return this;
+  }
+
+  setLevel(level: LogLevel): void {
+    consoleLevel = level;
+  }
+
+  getLevel(): LogLevel {
+    return consoleLevel;
+  }
+
+  isLevelEnabled(level: LogLevel): boolean {
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(consoleLevel);
+  }
+
+  private format(message: string, meta?: LogMeta): string {
+    const suffix = meta && Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    return `[${this.context}] ${message}${suffix}`;
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Metrics Service
+ * In-process counters, gauges and histograms, rendered in the Prometheus
+ * text exposition format for GET /metrics
+ */
+
+export type MetricType = 'counter' | 'gauge' | 'histogram';
+
+export type MetricLabels = Record<string, string>;
+
+/**
+ * A value read at scrape time (engine availability, cache size, ...)
+ */
+export interface MetricSample {
+  name: string;
+  help: string;
+  type: 'counter' | 'gauge';
+  value: number;
+  labels?: MetricLabels;
+}
+
+interface Series {
+  labels: MetricLabels;
+  value: number; // counters and gauges; the observation count for histograms
+  bucketCounts?: number[];
+  sum?: number;
+}
+
+interface Family {
+  help: string;
+  type: MetricType;
+  buckets?: number[];
+  series: Map<string, Series>;
+}
+
+export const METRIC_PREFIX = 'openvoiceproxy_';
+
+// Seconds; engines range from a few milliseconds (espeak) to tens of seconds
+const SYNTHESIS_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const FAMILIES: Record<string, Omit<Family, 'series'>> = {
+  http_requests_total: {
+    type: 'counter',
+    help: 'HTTP requests by method, route and status',
+  },
+  synthesis_requests_total: {
+    type: 'counter',
+    help: 'Synthesis requests (HTTP, WebSocket and jobs) by route, status and engine',
+  },
+  synthesis_duration_seconds: {
+    type: 'histogram',
+    help: 'Time engines take to synthesize, by engine and outcome (cache hits excluded)',
+    buckets: SYNTHESIS_BUCKETS,
+  },
+  characters_synthesized_total: {
+    type: 'counter',
+    help: 'Characters of successful synthesis requests, by engine',
+  },
+  rate_limit_rejections_total: {
+    type: 'counter',
+    help: 'Requests rejected by the request rate limit or the character quota',
+  },
+  websocket_connections: {
+    type: 'gauge',
+    help: 'Open WebSocket connections by endpoint',
+  },
+};
+
+export class MetricsService {
+  private readonly families = new Map<string, Family>();
+
+  constructor() {
+    for (const [name, family] of Object.entries(FAMILIES)) {
+      this.families.set(name, { ...family, series: new Map() });
+    }
+  }
+
+  recordHttpRequest(method: string, route: string, status: number): void {
+    this.add('http_requests_total', { method, route, status: String(status) }, 1);
+  }
+
+  recordSynthesisRequest(route: string, status: number, engine: string, characters: number): void {
+    this.add('synthesis_requests_total', { route, status: String(status), engine }, 1);
+    if (status < 400) {
+      this.add('characters_synthesized_total', { engine }, characters);
+    }
+  }
+
+  observeSynthesisDuration(engine: string, seconds: number, outcome: 'success' | 'error'): void {
+    const series = this.getSeries('synthesis_duration_seconds', { engine, outcome });
+    const family = this.families.get('synthesis_duration_seconds')!;
+    series.bucketCounts ??= family.buckets!.map(() => 0);
+    family.buckets!.forEach((bound, index) => {
+      if (seconds <= bound) series.bucketCounts![index]!++;
+    });
+    series.sum = (series.sum ?? 0) + seconds;
+    series.value++;
+  }
+
+  recordRateLimitRejection(limit: 'requests' | 'characters'): void {
+    this.add('rate_limit_rejections_total', { limit }, 1);
+  }
+
+  websocketOpened(endpoint: string): void {
+    this.add('websocket_connections', { endpoint }, 1);
+  }
+
+  websocketClosed(endpoint: string): void {
+    this.add('websocket_connections', { endpoint }, -1);
+  }
+
+  /**
+   * Render all metrics, plus values read at scrape time, in the Prometheus
+   * text format
+   */
+  render(samples: MetricSample[] = []): string {
+    const lines: string[] = [];
+
+    for (const [shortName, family] of this.families) {
+      const name = METRIC_PREFIX + shortName;
+      lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`);
+
+      for (const series of family.series.values()) {
+        if (family.type !== 'histogram') {
+          lines.push(`${name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+          continue;
+        }
+        family.buckets!.forEach((bound, index) => {
+          const labels = formatLabels({ ...series.labels, le: String(bound) });
+          lines.push(`${name}_bucket${labels} ${series.bucketCounts![index]}`);
+        });
+        lines.push(
+          `${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.value}`,
+          `${name}_sum${formatLabels(series.labels)} ${formatValue(series.sum ?? 0)}`,
+          `${name}_count${formatLabels(series.labels)} ${series.value}`
+        );
+      }
+    }
+
+    // Samples of one metric must be grouped under a single HELP/TYPE header
+    const grouped = new Map<string, MetricSample[]>();
+    for (const sample of samples) {
+      grouped.set(sample.name, [...(grouped.get(sample.name) ?? []), sample]);
+    }
+    for (const [shortName, group] of grouped) {
+      const name = METRIC_PREFIX + shortName;
+      lines.push(`# HELP ${name} ${group[0]!.help}`, `# TYPE ${name} ${group[0]!.type}`);
+      for (const sample of group) {
+        lines.push(`${name}${formatLabels(sample.labels ?? {})} ${formatValue(sample.value)}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Drop all recorded values
+   */
+  reset(): void {
+    for (const family of this.families.values()) {
+      family.series.clear();
+    }
+  }
+
+  private add(name: string, labels: MetricLabels, by: number): void {
+    this.getSeries(name, labels).value += by;
+  }
+
+  private getSeries(name: string, labels: MetricLabels): Series {
+    const family = this.families.get(name)!;
+    const key = JSON.stringify(labels);
+    let series = family.series.get(key);
+    if (!series) {
+      series = { labels, value: 0 };
+      family.series.set(key, series);
+    }
+    return series;
+  }
+}
+
+function formatLabels(labels: MetricLabels): string {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) return 'NaN';
+  if (!Number.isFinite(value)) return value > 0 ? '+Inf' : '-Inf';
+  return String(value);
+}
+
+// Singleton instance
+let metricsServiceInstance: MetricsService | null = null;
+
+export function getMetricsService(): MetricsService {
+  if (!metricsServiceInstance) {
+    metricsServiceInstance = new MetricsService();
+  }
+  return metricsServiceInstance;
+}
@@ -0,0 +1,52 @@
+/**
+ * OpenAI Voices
+ * Maps OpenAI speech voice names onto proxy voices
+ */
+
+import { ConfigurationError } from '../errors/domain-errors.js';
+
+export type OpenAIVoiceMap = Map<string, string>;
+
+/**
+ * OpenAI's built-in voices with the gender used to pick a stand-in
+ * when no mapping is configured
+ */
+export const OPENAI_VOICES: Record<string, 'male' | 'female' | 'neutral'> = {
+  alloy: 'neutral',
+  ash: 'male',
+  ballad: 'male',
+  coral: 'female',
+  echo: 'male',
+  fable: 'male',
+  nova: 'female',
+  onyx: 'male',
+  sage: 'female',
+  shimmer: 'female',
+  verse: 'male',
+};
+
+export const OPENAI_TTS_MODELS = ['tts-1', 'tts-1-hd', 'gpt-4o-mini-tts'] as const;
+
+/**
+ * Parse a voice map, e.g. "alloy=azure:en-US-JennyNeural,onyx=polly:Matthew".
+ * Targets are proxy voice IDs (engine:voice or a mapped ElevenLabs voice ID).
+ */
+export function parseOpenAIVoiceMap(spec: string | undefined): OpenAIVoiceMap {
+  const map: OpenAIVoiceMap = new Map();
+  if (!spec?.trim()) return map;
+
+  for (const rawEntry of spec.split(',')) {
+    if (!rawEntry.trim()) continue;
+
+    const separator = rawEntry.indexOf('=');
+    const name = rawEntry.slice(0, separator).trim().toLowerCase();
+    const voiceId = rawEntry.slice(separator + 1).trim();
+    if (separator === -1 || !name || !voiceId) {
+      throw new ConfigurationError(`Invalid OpenAI voice mapping "${rawEntry.trim()}" (expected name=voiceId)`);
+    }
+
+    map.set(name, voiceId);
+  }
+
+  return map;
+}
@@ -0,0 +1,41 @@
+/**
+ * Output Formats
+ * Parses ElevenLabs output_format values such as mp3_44100_128, pcm_16000 and ulaw_8000
+ */
+
+import type { AudioFormat, AudioSpec } from '../../types/tts.types.js';
+
+export const ELEVENLABS_OUTPUT_FORMATS = [
+  'mp3_22050_32',
+  'mp3_44100_32',
+  'mp3_44100_64',
+  'mp3_44100_96',
+  'mp3_44100_128',
+  'mp3_44100_192',
+  'pcm_8000',
+  'pcm_16000',
+  'pcm_22050',
+  'pcm_24000',
+  'pcm_44100',
+  'pcm_48000',
+  'ulaw_8000',
+  'opus_48000_32',
+  'opus_48000_64',
+  'opus_48000_96',
+  'opus_48000_128',
+  'opus_48000_192',
+] as const;
+
+export type ElevenLabsOutputFormat = (typeof ELEVENLABS_OUTPUT_FORMATS)[number];
+
+/**
+ * Split an output_format into codec, sample rate and (for compressed codecs) bitrate
+ */
+export function parseOutputFormat(outputFormat: ElevenLabsOutputFormat): AudioSpec {
+  const [codec, sampleRate, bitrate] = outputFormat.split('_');
+  return {
+    format: codec as AudioFormat,
+    sampleRate: Number(sampleRate),
+    ...(bitrate ? { bitrate: Number(bitrate) } : {}),
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Voice Preview Text
+ * The sentence a voice speaks in its preview, in the voice's own language
+ */
+
+const PREVIEW_TEXTS: Record<string, string> = {
+  ar: 'مرحبًا! هكذا يبدو صوتي.',
+  cs: 'Ahoj! Takhle zní můj hlas.',
+  cy: 'Helo! Dyma sut mae fy llais yn swnio.',
+  da: 'Hej! Sådan lyder min stemme.',
+  de: 'Hallo! So klingt meine Stimme.',
+  el: 'Γεια σας! Έτσι ακούγεται η φωνή μου.',
+  en: 'Hello! This is how my voice sounds.',
+  es: '¡Hola! Así suena mi voz.',
+  fi: 'Hei! Tältä ääneni kuulostaa.',
+  fr: 'Bonjour ! Voici à quoi ressemble ma voix.',
+  he: 'שלום! כך נשמע הקול שלי.',
+  hi: 'नमस्ते! मेरी आवाज़ ऐसी सुनाई देती है।',
+  it: 'Ciao! Ecco come suona la mia voce.',
+  ja: 'こんにちは。これが私の声です。',
+  ko: '안녕하세요! 제 목소리는 이렇게 들립니다.',
+  nb: 'Hei! Slik høres stemmen min ut.',
+  nl: 'Hallo! Zo klinkt mijn stem.',
+  no: 'Hei! Slik høres stemmen min ut.',
+  pl: 'Cześć! Tak brzmi mój głos.',
+  pt: 'Olá! É assim que soa a minha voz.',
+  ru: 'Привет! Так звучит мой голос.',
+  sv: 'Hej! Så här låter min röst.',
+  tr: 'Merhaba! Sesim böyle duyuluyor.',
+  uk: 'Привіт! Ось так звучить мій голос.',
+  zh: '你好！这就是我的声音。',
+};
+
+/**
+ * The preview sentence for a language code such as "en-GB"; English for
+ * languages without one
+ */
+export function previewText(languageCode: string): string {
+  const language = languageCode.toLowerCase().split(/[-_]/)[0] ?? '';
+  return PREVIEW_TEXTS[language] ?? PREVIEW_TEXTS['en']!;
+}
@@ -0,0 +1,405 @@
+/**
+ * SSML
+ * Parses and validates SSML, and reduces it to plain-text phrases for
+ * engines that can't read it
+ */
+
+import type { VoiceSettings } from '../../types/tts.types.js';
+import { InvalidSsmlError } from '../errors/domain-errors.js';
+
+export interface SsmlElement {
+  name: string; // local name, without any namespace prefix
+  attributes: Record<string, string>;
+  children: SsmlNode[];
+}
+
+export type SsmlNode = SsmlElement | string;
+
+/**
+ * Prosody relative to the voice's own, as multipliers (1 = unchanged)
+ */
+export interface SsmlProsody {
+  rate?: number;
+  pitch?: number;
+}
+
+/**
+ * A run of text spoken with the same prosody, with the pauses around it in seconds
+ */
+export interface SsmlPhrase {
+  text: string;
+  prosody: SsmlProsody;
+  pauseBefore: number;
+  pauseAfter: number;
+}
+
+type SsmlItem = { text: string; prosody: SsmlProsody } | { pause: number };
+
+// Longest pause a single run of breaks can add
+const MAX_BREAK_SECONDS = 10;
+
+// A <break> without a time; SSML's default strength is "medium"
+const BREAK_STRENGTHS: Record<string, number> = {
+  none: 0,
+  'x-weak': 0.1,
+  weak: 0.25,
+  medium: 0.5,
+  strong: 0.75,
+  'x-strong': 1.2,
+};
+
+const RATE_KEYWORDS: Record<string, number> = {
+  'x-slow': 0.5,
+  slow: 0.75,
+  medium: 1,
+  default: 1,
+  fast: 1.5,
+  'x-fast': 2,
+};
+
+const PITCH_KEYWORDS: Record<string, number> = {
+  'x-low': 0.6,
+  low: 0.8,
+  medium: 1,
+  default: 1,
+  high: 1.2,
+  'x-high': 1.4,
+};
+
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// say-as types read out one character at a time
+const SPELLED_OUT = new Set(['characters', 'spell-out', 'letters', 'verbatim']);
+const DIGIT_BY_DIGIT = new Set(['digits', 'telephone']);
+
+// Elements with nothing to speak
+const SILENT_ELEMENTS = new Set(['mark', 'desc', 'lexicon', 'meta', 'metadata', 'bookmark']);
+
+const TOKEN =
+  /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>|<|[^<]+/g;
+const ATTRIBUTE = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// ElevenLabs accepts these inside plain text
+const INLINE_BREAK = /<break\s+time\s*=\s*(?:"[^"<>]*"|'[^'<>]*')\s*\/>/g;
+
+/**
+ * Check whether text is an SSML document
+ */
+export function isSsml(text: string): boolean {
+  return /^\s*(<\?xml[^>]*\?>\s*)?<speak[\s>/]/.test(text);
+}
+
+/**
+ * Parse an SSML document. Throws InvalidSsmlError unless it is well-formed
+ * XML with a single <speak> root.
+ */
+export function parseSsml(text: string): SsmlElement {
+  const stack: SsmlElement[] = [];
+  let root: SsmlElement | undefined;
+
+  for (const match of text.matchAll(TOKEN)) {
+    const [token, cdata, closing, tagName, rawAttributes, selfClosing] = match;
+
+    if (token.startsWith('<!--') || token.startsWith('<?')) continue;
+
+    if (tagName === undefined && cdata === undefined) {
+      if (token === '<') {
+        throw new InvalidSsmlError(`malformed tag at position ${match.index}`);
+      }
+      const content = decodeEntities(token);
+      const parent = stack[stack.length - 1];
+      if (parent) {
+        parent.children.push(content);
+      } else if (content.trim()) {
+        throw new InvalidSsmlError('text outside the <speak> element');
+      }
+      continue;
+    }
+
+    if (cdata !== undefined) {
+      const parent = stack[stack.length - 1];
+      if (!parent) throw new InvalidSsmlError('text outside the <speak> element');
+      parent.children.push(cdata);
+      continue;
+    }
+
+    const name = localName(tagName!);
+
+    if (closing) {
+      const open = stack.pop();
+      if (!open || open.name !== name) {
+        throw new InvalidSsmlError(`unexpected </${tagName}>${open ? `, expected </${open.name}>` : ''}`);
+      }
+      continue;
+    }
+
+    if (!stack.length && root) {
+      throw new InvalidSsmlError('only one root element is allowed');
+    }
+
+    const element: SsmlElement = { name, attributes: parseAttributes(rawAttributes ?? ''), children: [] };
+    const parent = stack[stack.length - 1];
+    if (parent) {
+      parent.children.push(element);
+    } else {
+      root = element;
+    }
+    if (!selfClosing) stack.push(element);
+  }
+
+  if (stack.length) {
+    throw new InvalidSsmlError(`unclosed <${stack[stack.length - 1]!.name}>`);
+  }
+  if (!root) {
+    throw new InvalidSsmlError('missing <speak> element');
+  }
+  if (root.name !== 'speak') {
+    throw new InvalidSsmlError(`root element must be <speak>, not <${root.name}>`);
+  }
+
+  return root;
+}
+
+/**
+ * Reduce a parsed document to phrases: <prosody> becomes rate and pitch,
+ * <break> becomes pauses and <say-as>/<sub> are spelled out as plain text.
+ * Other elements contribute their text.
+ */
+export function ssmlToPhrases(root: SsmlElement): SsmlPhrase[] {
+  const items: SsmlItem[] = [];
+  collectItems(root, {}, items);
+
+  const phrases: SsmlPhrase[] = [];
+  let pending = 0; // pause not yet attached to a phrase
+
+  for (const item of items) {
+    if ('pause' in item) {
+      pending = Math.min(pending + item.pause, MAX_BREAK_SECONDS);
+      continue;
+    }
+
+    const current = phrases[phrases.length - 1];
+    if (!item.text.trim()) {
+      if (current && pending === 0) current.text += ' ';
+      continue;
+    }
+
+    if (current && pending === 0 && sameProsody(current.prosody, item.prosody)) {
+      current.text += item.text;
+    } else {
+      phrases.push({ text: item.text, prosody: item.prosody, pauseBefore: pending, pauseAfter: 0 });
+      pending = 0;
+    }
+  }
+
+  if (phrases.length === 0) {
+    throw new InvalidSsmlError('no text to speak');
+  }
+  phrases[phrases.length - 1]!.pauseAfter = pending;
+
+  for (const phrase of phrases) {
+    phrase.text = phrase.text.replace(/\s+/g, ' ').trim();
+  }
+  return phrases;
+}
+
+/**
+ * Parse and check an SSML document, returning its phrases
+ */
+export function validateSsml(text: string): SsmlPhrase[] {
+  return ssmlToPhrases(parseSsml(text));
+}
+
+/**
+ * The text an SSML document speaks, without markup or pauses
+ */
+export function ssmlToPlainText(text: string): string {
+  return validateSsml(text)
+    .map((phrase) => phrase.text)
+    .join(' ');
+}
+
+/**
+ * Apply a phrase's prosody on top of the request's voice settings
+ */
+export function withProsody(settings: VoiceSettings | undefined, prosody: SsmlProsody): VoiceSettings | undefined {
+  if (prosody.rate === undefined && prosody.pitch === undefined) return settings;
+  return {
+    ...settings,
+    ...(prosody.rate !== undefined ? { speed: clamp((settings?.speed ?? 1) * prosody.rate, 0.25, 4) } : {}),
+    ...(prosody.pitch !== undefined ? { pitch: clamp((settings?.pitch ?? 1) * prosody.pitch, 0.1, 2) } : {}),
+  };
+}
+
+/**
+ * Turn plain text carrying ElevenLabs-style <break time="1.5s" /> tags into
+ * an SSML document. Returns undefined when the text has no such tags.
+ */
+export function inlineBreaksToSsml(text: string): string | undefined {
+  let result = '';
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_BREAK)) {
+    result += escapeXml(text.slice(last, match.index)) + match[0];
+    last = (match.index ?? 0) + match[0].length;
+  }
+
+  return last === 0 ? undefined : `<speak>${result}${escapeXml(text.slice(last))}</speak>`;
+}
+
+function collectItems(element: SsmlElement, prosody: SsmlProsody, items: SsmlItem[]): void {
+  if (SILENT_ELEMENTS.has(element.name)) return;
+
+  switch (element.name) {
+    case 'break':
+      items.push({ pause: parseBreak(element.attributes) });
+      return;
+
+    case 'prosody':
+      prosody = {
+        ...prosody,
+        ...scaled('rate', parseProsodyValue(element.attributes['rate'], RATE_KEYWORDS, 'rate'), prosody.rate),
+        ...scaled('pitch', parseProsodyValue(element.attributes['pitch'], PITCH_KEYWORDS, 'pitch'), prosody.pitch),
+      };
+      break;
+
+    case 'say-as': {
+      const interpretAs = element.attributes['interpret-as']?.toLowerCase() ?? '';
+      let text = textContent(element);
+      if (SPELLED_OUT.has(interpretAs)) {
+        text = Array.from(text.replace(/\s+/g, '')).join(' ');
+      } else if (DIGIT_BY_DIGIT.has(interpretAs)) {
+        text = text.replace(/\d/g, (digit) => ` ${digit} `);
+      }
+      items.push({ text: ` ${text} `, prosody });
+      return;
+    }
+
+    case 'sub':
+      items.push({ text: element.attributes['alias'] ?? textContent(element), prosody });
+      return;
+
+    case 'p':
+    case 's':
+      // Keep sentences and paragraphs apart even without whitespace between them
+      items.push({ text: ' ', prosody });
+      break;
+  }
+
+  for (const child of element.children) {
+    if (typeof child === 'string') {
+      items.push({ text: child, prosody });
+    } else {
+      collectItems(child, prosody, items);
+    }
+  }
+
+  if (element.name === 'p' || element.name === 's') {
+    items.push({ text: ' ', prosody });
+  }
+}
+
+function parseBreak(attributes: Record<string, string>): number {
+  const time = attributes['time'];
+  if (time !== undefined) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s)\s*$/i.exec(time);
+    if (!match) throw new InvalidSsmlError(`invalid break time "${time}"`);
+    const seconds = Number(match[1]) / (match[2]!.toLowerCase() === 'ms' ? 1000 : 1);
+    return Math.min(seconds, MAX_BREAK_SECONDS);
+  }
+
+  const strength = attributes['strength']?.toLowerCase() ?? 'medium';
+  const seconds = BREAK_STRENGTHS[strength];
+  if (seconds === undefined) throw new InvalidSsmlError(`invalid break strength "${strength}"`);
+  return seconds;
+}
+
+/**
+ * Parse a prosody rate or pitch into a multiplier. Keywords, percentages
+ * ("80%" absolute, "+10%" relative) and, for pitch, semitones ("+2st") are
+ * understood; pitch in Hz needs the voice's base pitch, so it is ignored.
+ */
+function parseProsodyValue(
+  value: string | undefined,
+  keywords: Record<string, number>,
+  attribute: 'rate' | 'pitch'
+): number | undefined {
+  if (value === undefined) return undefined;
+  const normalized = value.trim().toLowerCase();
+
+  const keyword = keywords[normalized];
+  if (keyword !== undefined) return keyword;
+
+  const percent = /^([+-]?)(\d+(?:\.\d+)?)%$/.exec(normalized);
+  if (percent) {
+    const amount = Number(percent[2]) / 100;
+    return percent[1] === '-' ? 1 - amount : percent[1] === '+' ? 1 + amount : amount;
+  }
+
+  if (attribute === 'pitch') {
+    const semitones = /^([+-]?\d+(?:\.\d+)?)st$/.exec(normalized);
+    if (semitones) return 2 ** (Number(semitones[1]) / 12);
+    if (/^[+-]?\d+(?:\.\d+)?hz$/.test(normalized)) return undefined;
+  } else if (/^\d+(?:\.\d+)?$/.test(normalized)) {
+    return Number(normalized);
+  }
+
+  throw new InvalidSsmlError(`invalid prosody ${attribute} "${value}"`);
+}
+
+/**
+ * Nested <prosody> elements compound
+ */
+function scaled(key: keyof SsmlProsody, value: number | undefined, outer: number | undefined): SsmlProsody {
+  if (value === undefined) return {};
+  return { [key]: Math.max(value, 0) * (outer ?? 1) };
+}
+
+function sameProsody(a: SsmlProsody, b: SsmlProsody): boolean {
+  return a.rate === b.rate && a.pitch === b.pitch;
+}
+
+function textContent(element: SsmlElement): string {
+  return element.children.map((child) => (typeof child === 'string' ? child : textContent(child))).join('');
+}
+
+function parseAttributes(raw: string): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  for (const match of raw.matchAll(ATTRIBUTE)) {
+    attributes[localName(match[1]!)] = decodeEntities(match[2] ?? match[3] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Decode the entities and character references in SSML text
+ */
+export function decodeEntities(text: string): string {
+  return text.replace(/&([^;&\s]*);?/g, (match, name: string) => {
+    if (!match.endsWith(';')) {
+      throw new InvalidSsmlError(`unescaped "&" (use &amp;)`);
+    }
+
+    if (name.startsWith('#')) {
+      const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      if (Number.isNaN(code) || code > 0x10ffff) throw new InvalidSsmlError(`invalid character reference ${match}`);
+      return String.fromCodePoint(code);
+    }
+
+    const entity = ENTITIES[name];
+    if (entity === undefined) throw new InvalidSsmlError(`unknown entity ${match}`);
+    return entity;
+  });
+}
+
+function localName(name: string): string {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+export function escapeXml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,163 @@
+/**
+ * Text Splitter
+ * Splits text into sentence-sized segments for incremental synthesis
+ */
+
+// Sentence terminators, including CJK full-width punctuation
+const SENTENCE_END = /([.!?。！？]+["'”’)\]]*)(\s+|$)/g;
+
+// Common abbreviations that should not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'no', 'approx',
+]);
+
+const DEFAULT_MAX_SEGMENT_LENGTH = 400;
+
+/**
+ * Split text into sentences.
+ * Sentences longer than maxLength are further split at clause or word boundaries.
+ */
+export function splitIntoSentences(text: string, maxLength = DEFAULT_MAX_SEGMENT_LENGTH): string[] {
+  const sentences: string[] = [];
+  let start = 0;
+
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = (match.index ?? 0) + match[1]!.length;
+    const candidate = text.slice(start, end);
+
+    // Don't end a sentence on abbreviations like "Dr."
+    if (endsWithAbbreviation(candidate, match[1]!)) {
+      continue;
+    }
+
+    pushSentence(sentences, candidate, maxLength);
+    start = end;
+  }
+
+  pushSentence(sentences, text.slice(start), maxLength);
+  return sentences;
+}
+
+export interface TextChunk {
+  text: string;
+  paragraphStart: boolean; // the chunk opens a new paragraph
+}
+
+/**
+ * Split long-form text into chunks of whole sentences, up to maxLength each.
+ * Chunks never span a paragraph (blank line) boundary.
+ */
+export function splitIntoChunks(text: string, maxLength: number): TextChunk[] {
+  const chunks: TextChunk[] = [];
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    let current = '';
+    let paragraphStart = true;
+
+    for (const sentence of splitIntoSentences(paragraph, maxLength)) {
+      if (current && current.length + 1 + sentence.length > maxLength) {
+        chunks.push({ text: current, paragraphStart });
+        current = '';
+        paragraphStart = false;
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+
+    if (current) {
+      chunks.push({ text: current, paragraphStart });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Collects text that arrives in pieces (e.g. from an LLM) and releases whole
+ * sentences as soon as they are complete
+ */
+export class SentenceBuffer {
+  private text = '';
+
+  constructor(private readonly maxLength = DEFAULT_MAX_SEGMENT_LENGTH) {}
+
+  get pending(): number {
+    return this.text.trim().length;
+  }
+
+  /**
+   * Add text and take the sentences it completed. A sentence only counts as
+   * complete once whitespace follows its terminator, since the next piece
+   * may continue it ("3." + "14"). Unfinished text longer than forceLength
+   * is released up to its last word.
+   */
+  push(piece: string, forceLength?: number): string[] {
+    this.text += piece;
+
+    let cut = 0;
+    for (const match of this.text.matchAll(SENTENCE_END)) {
+      const end = (match.index ?? 0) + match[1]!.length;
+      if (!match[2] || endsWithAbbreviation(this.text.slice(cut, end), match[1]!)) continue;
+      cut = end;
+    }
+
+    if (forceLength !== undefined && this.text.length - cut >= forceLength) {
+      const space = this.text.search(/\s\S*$/);
+      if (space > cut) cut = space;
+    }
+
+    return this.take(cut);
+  }
+
+  /**
+   * Take everything buffered
+   */
+  flush(): string[] {
+    return this.take(this.text.length);
+  }
+
+  private take(length: number): string[] {
+    if (length === 0) return [];
+    const sentences = splitIntoSentences(this.text.slice(0, length), this.maxLength);
+    this.text = this.text.slice(length);
+    return sentences;
+  }
+}
+
+function endsWithAbbreviation(candidate: string, terminator: string): boolean {
+  const lastWord = candidate.trim().split(/\s+/).pop()?.replace(/[.!?]+$/, '').toLowerCase() ?? '';
+  return terminator === '.' && ABBREVIATIONS.has(lastWord);
+}
+
+function pushSentence(sentences: string[], raw: string, maxLength: number): void {
+  const sentence = raw.replace(/\s+/g, ' ').trim();
+  if (!sentence) return;
+
+  if (sentence.length <= maxLength) {
+    sentences.push(sentence);
+    return;
+  }
+
+  // Too long - break at the last clause boundary, or failing that a space
+  let remaining = sentence;
+  while (remaining.length > maxLength) {
+    const window = remaining.slice(0, maxLength);
+    let cut = Math.max(
+      window.lastIndexOf(', '),
+      window.lastIndexOf('; '),
+      window.lastIndexOf(': ')
+    );
+    if (cut < maxLength / 2) {
+      cut = window.lastIndexOf(' ');
+    }
+    if (cut <= 0) {
+      cut = maxLength - 1;
+    }
+
+    sentences.push(remaining.slice(0, cut + 1).trim());
+    remaining = remaining.slice(cut + 1).trim();
+  }
+
+  if (remaining) {
+    sentences.push(remaining);
+  }
+}
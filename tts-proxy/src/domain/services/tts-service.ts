@@ -19,6 +19,19 @@ import {
 const DEFAULT_MAX_TEXT_LENGTH = 5000;
 const DEFAULT_MAX_TEXT_LENGTH_STREAMING = 10000;
 
+// Formats to ask an engine for when it can't produce the requested one;
+// lossless first so conversion doesn't stack compression artifacts
+const NATIVE_FORMAT_PREFERENCE: AudioFormat[] = ['wav', 'pcm', 'mp3', 'ogg', 'opus'];
+
+// Raw formats don't carry their sample rate, so they are made from WAV when possible
+const HEADERLESS_FORMATS: AudioFormat[] = ['pcm', 'ulaw'];
+
+export interface FormatPlan {
+  engineFormat: AudioFormat; // what the engine is asked to produce
+  outputFormat: AudioFormat; // what the client receives
+  convert: boolean;
+}
+
 export interface TTSServiceConfig {
   maxTextLength: number;
   maxTextLengthStreaming: number;
@@ -175,18 +188,22 @@ export class TTSService {
   }
 
   /**
-   * Get the output format for a request
+   * Plan the formats for a request: the engine produces the requested format
+   * when it can, otherwise its best native format, which is then converted
    */
-  resolveFormat(requestedFormat: AudioFormat | undefined, engine: Engine): AudioFormat {
-    const format = requestedFormat ?? this.config.defaultFormat;
-
-    if (!engine.supportsFormat(format)) {
-      // Fall back to first supported format
-      const supported = engine.supportedFormats[0] as AudioFormat;
-      return supported ?? 'wav';
+  resolveFormat(
+    requestedFormat: AudioFormat | undefined,
+    engine: Pick<Engine, 'supportsFormat'>
+  ): FormatPlan {
+    const outputFormat = requestedFormat ?? this.config.defaultFormat;
+
+    const preferWav = HEADERLESS_FORMATS.includes(outputFormat) && engine.supportsFormat('wav');
+    if (engine.supportsFormat(outputFormat) && !preferWav) {
+      return { engineFormat: outputFormat, outputFormat, convert: false };
     }
 
-    return format;
+    const engineFormat = NATIVE_FORMAT_PREFERENCE.find((format) => engine.supportsFormat(format)) ?? 'wav';
+    return { engineFormat, outputFormat, convert: true };
   }
 
   /**
@@ -199,6 +216,9 @@ export class TTSService {
       pcm: 'audio/pcm',
       ogg: 'audio/ogg',
       opus: 'audio/opus',
+      ulaw: 'audio/basic',
+      aac: 'audio/aac',
+      flac: 'audio/flac',
     };
     return contentTypes[format] ?? 'application/octet-stream';
   }
@@ -3,10 +3,23 @@
  * Business logic for usage tracking and rate limiting
  */
 
-import { UsageTracker, RateLimiter, type UsageRecord, type UsageStats } from '../entities/usage.js';
+import {
+  UsageTracker,
+  RateLimiter,
+  summarizeUsage,
+  getQuotaWindow,
+  type UsageRecord,
+  type UsageStats,
+  type UsageQuery,
+} from '../entities/usage.js';
 import type { EngineType } from '../../types/engine.types.js';
-import type { RateLimitInfo } from '../../types/api-key.types.js';
-import { ApiKeyRateLimitedError } from '../errors/domain-errors.js';
+import type { UsageStoragePort } from '../../application/ports/storage-port.js';
+import type { RateLimitInfo, CharacterQuota, QuotaStatus } from '../../types/api-key.types.js';
+import { ApiKeyRateLimitedError, QuotaExceededError } from '../errors/domain-errors.js';
+import { getMetricsService } from './metrics-service.js';
+import { errorMessage, getLogger } from './log-service.js';
+
+const log = getLogger('Usage');
 
 export interface UsageServiceConfig {
   rateLimitWindowMs: number;
@@ -14,6 +27,20 @@ export interface UsageServiceConfig {
   cleanupIntervalMs: number;
 }
 
+export type UsageInterval = 'hour' | 'day';
+
+export interface UsageTimelineBucket {
+  start: string;
+  requests: number;
+  characters: number;
+  errors: number;
+}
+
+const INTERVAL_MS: Record<UsageInterval, number> = {
+  hour: 3600000,
+  day: 86400000,
+};
+
 const DEFAULT_CONFIG: UsageServiceConfig = {
   rateLimitWindowMs: 60000, // 1 minute
   maxRecords: 10000,
@@ -25,6 +52,10 @@ export class UsageService {
   private readonly tracker: UsageTracker;
   private readonly rateLimiter: RateLimiter;
   private cleanupTimer?: NodeJS.Timeout;
+  private storage?: UsageStoragePort;
+  private readonly pendingWrites = new Set<Promise<void>>();
+  // Running character totals per key, counted from a start date
+  private readonly characterCounts = new Map<string, { since: number; count: number }>();
 
   constructor(config?: Partial<UsageServiceConfig>) {
     this.config = { ...DEFAULT_CONFIG, ...config };
@@ -35,6 +66,14 @@ export class UsageService {
     this.startCleanup();
   }
 
+  /**
+   * Persist usage records (in addition to the in-memory recent history)
+   */
+  setStorage(storage: UsageStoragePort): void {
+    this.storage = storage;
+    this.characterCounts.clear();
+  }
+
   /**
    * Check rate limit for an API key
    */
@@ -55,11 +94,46 @@ export class UsageService {
     const result = this.checkRateLimit(keyId, limit);
     if (result.isLimited) {
       const retryAfter = Math.ceil((result.resetAt.getTime() - Date.now()) / 1000);
+      getMetricsService().recordRateLimitRejection('requests');
       throw new ApiKeyRateLimitedError(retryAfter);
     }
     return result;
   }
 
+  /**
+   * Get how much of a key's character quota is used in the current period
+   */
+  async getQuotaStatus(keyId: string, quota: CharacterQuota, now = new Date()): Promise<QuotaStatus> {
+    const { start, end } = getQuotaWindow(quota.period, now);
+    const used = await this.getCharacterCount(keyId, start);
+    return {
+      ...quota,
+      used,
+      remaining: Math.max(0, quota.limit - used),
+      periodStart: start,
+      resetsAt: end,
+    };
+  }
+
+  /**
+   * Check and throw if a request of this many characters would exceed the quota
+   */
+  async checkQuotaOrThrow(
+    keyId: string,
+    quota: CharacterQuota,
+    characters: number,
+    reserved = 0 // characters of work accepted but not yet recorded
+  ): Promise<QuotaStatus> {
+    const status = await this.getQuotaStatus(keyId, quota);
+    const remaining = Math.max(0, status.remaining - reserved);
+    if (characters > remaining) {
+      const retryAfter = Math.ceil((status.resetsAt.getTime() - Date.now()) / 1000);
+      getMetricsService().recordRateLimitRejection('characters');
+      throw new QuotaExceededError(remaining, characters, retryAfter);
+    }
+    return status;
+  }
+
   /**
    * Record a TTS request
    */
@@ -72,7 +146,90 @@ export class UsageService {
     statusCode: number;
     metadata?: Record<string, unknown>;
   }): UsageRecord {
-    return this.tracker.record(params);
+    const record = this.tracker.record(params);
+    getMetricsService().recordSynthesisRequest(record.path, record.statusCode, record.engine, record.characterCount);
+
+    const counted = this.characterCounts.get(record.apiKeyId);
+    if (counted && isSuccess(record) && record.timestamp.getTime() >= counted.since) {
+      counted.count += record.characterCount;
+    }
+
+    if (this.storage) {
+      // Never hold up (or fail) a response on the usage log
+      const write = this.storage
+        .appendUsage(record)
+        .catch((error) => {
+          log.warn('Failed to persist record', { error: errorMessage(error) });
+        })
+        .finally(() => this.pendingWrites.delete(write));
+      this.pendingWrites.add(write);
+    }
+
+    return record;
+  }
+
+  /**
+   * Get usage records matching a query, from storage when configured
+   */
+  async getRecords(query: UsageQuery = {}): Promise<UsageRecord[]> {
+    if (this.storage) {
+      await this.flush();
+      return this.storage.getUsage(query);
+    }
+    return this.tracker.getRecords(query);
+  }
+
+  /**
+   * Get a usage breakdown for a time range, optionally bucketed into a timeline
+   */
+  async getReport(query: UsageQuery = {}, interval?: UsageInterval) {
+    const records = await this.getRecords(query);
+    const stats = summarizeUsage(records);
+
+    return {
+      ...this.formatStats(stats),
+      charactersByKey: Object.fromEntries(stats.charactersByKey),
+      charactersByEngine: Object.fromEntries(stats.charactersByEngine),
+      ...(interval ? { timeline: buildTimeline(records, interval) } : {}),
+    };
+  }
+
+  /**
+   * Get the number of characters a key has synthesized successfully since a date
+   */
+  async getCharacterCount(keyId: string, since: Date): Promise<number> {
+    const counted = this.characterCounts.get(keyId);
+    if (counted && counted.since === since.getTime()) {
+      return counted.count;
+    }
+
+    let count: number;
+    if (this.storage) {
+      await this.flush();
+      count = await this.storage.getCharacterCount(keyId, since);
+    } else {
+      count = this.tracker
+        .getRecords({ keyId, since })
+        .filter(isSuccess)
+        .reduce((sum, r) => sum + r.characterCount, 0);
+    }
+
+    this.characterCounts.set(keyId, { since: since.getTime(), count });
+    return count;
+  }
+
+  /**
+   * Delete persisted records older than a date
+   */
+  async pruneStorage(olderThan: Date): Promise<number> {
+    return this.storage ? this.storage.clearOldRecords(olderThan) : 0;
+  }
+
+  /**
+   * Wait for pending usage writes
+   */
+  async flush(): Promise<void> {
+    await Promise.all(this.pendingWrites);
   }
 
   /**
@@ -126,7 +283,10 @@ export class UsageService {
    * Get formatted stats for API response
    */
   getFormattedStats(since?: Date) {
-    const stats = this.getStats(since);
+    return this.formatStats(this.getStats(since));
+  }
+
+  private formatStats(stats: UsageStats) {
     return {
       totalRequests: stats.totalRequests,
       totalCharacters: stats.totalCharacters,
@@ -156,6 +316,7 @@ export class UsageService {
    */
   clearAll(): void {
     this.tracker.clear();
+    this.characterCounts.clear();
   }
 
   /**
@@ -180,6 +341,29 @@ export class UsageService {
   }
 }
 
+function isSuccess(record: UsageRecord): boolean {
+  return record.statusCode >= 200 && record.statusCode < 300;
+}
+
+function buildTimeline(records: UsageRecord[], interval: UsageInterval): UsageTimelineBucket[] {
+  const size = INTERVAL_MS[interval];
+  const buckets = new Map<number, UsageTimelineBucket>();
+
+  for (const record of records) {
+    const start = Math.floor(record.timestamp.getTime() / size) * size;
+    let bucket = buckets.get(start);
+    if (!bucket) {
+      bucket = { start: new Date(start).toISOString(), requests: 0, characters: 0, errors: 0 };
+      buckets.set(start, bucket);
+    }
+    bucket.requests++;
+    bucket.characters += record.characterCount;
+    if (!isSuccess(record)) bucket.errors++;
+  }
+
+  return [...buckets.entries()].sort(([a], [b]) => a - b).map(([, bucket]) => bucket);
+}
+
 // Singleton instance
 let usageServiceInstance: UsageService | null = null;
 
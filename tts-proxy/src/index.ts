@@ -4,15 +4,18 @@
  */
 
 import { ProxyServer } from './proxy-server.js';
+import { getLogger } from './domain/services/log-service.js';
+
+const log = getLogger('Server');
 
 // Global error handlers to prevent crashes
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  log.error('Unhandled rejection', reason);
   // Don't exit - just log the error
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  log.error('Uncaught exception', error);
   // For uncaught exceptions, we may want to exit after logging
   // but give a moment for logs to flush
   setTimeout(() => process.exit(1), 1000);
@@ -23,7 +26,7 @@ async function main(): Promise<void> {
   await server.start();
 
   const shutdown = async () => {
-    console.log('\nShutting down...');
+    log.info('Shutting down...');
     await server.stop();
     process.exit(0);
   };
@@ -33,6 +36,6 @@ async function main(): Promise<void> {
 }
 
 main().catch((error) => {
-  console.error('Failed to start server:', error);
+  log.error('Failed to start server', error);
   process.exit(1);
 });
@@ -0,0 +1,259 @@
+/**
+ * Audio Converter
+ * Converts synthesized audio between WAV, raw PCM16, μ-law, MP3, Ogg/Opus, AAC and FLAC.
+ * PCM, WAV and μ-law are handled in-process; compressed formats go through ffmpeg.
+ */
+
+import { spawn } from 'child_process';
+import type {
+  AudioConverterPort,
+  AudioPart,
+  ConvertedAudio,
+  JoinedAudio,
+} from '../../application/ports/audio-converter-port.js';
+import type { AudioFormat, AudioSpec } from '../../types/tts.types.js';
+import { AudioConversionError } from '../../domain/errors/domain-errors.js';
+import { parseWav, pcmToWav } from './wav.js';
+import { findFirstMp3Frame, parseMp3FrameHeader } from './mp3.js';
+import { decodeMulaw, downmixPcm16, encodeMulaw, resamplePcm16 } from './pcm.js';
+
+export interface AudioConverterConfig {
+  ffmpegPath: string;
+  timeoutMs: number;
+}
+
+interface DecodedAudio {
+  pcm: Buffer; // mono PCM16
+  sampleRate: number;
+}
+
+const DEFAULT_CONFIG: AudioConverterConfig = {
+  ffmpegPath: 'ffmpeg',
+  timeoutMs: 30_000,
+};
+
+// Used when headerless audio arrives without a sample rate
+const DEFAULT_SAMPLE_RATES: Partial<Record<AudioFormat, number>> = {
+  pcm: 22050,
+  ulaw: 8000,
+  ogg: 48000, // Opus always decodes at 48kHz
+  opus: 48000,
+};
+
+const DEFAULT_BITRATES: Partial<Record<AudioFormat, number>> = {
+  mp3: 128,
+  ogg: 64,
+  opus: 64,
+  aac: 128,
+};
+
+// ffmpeg encoder and container for each compressed format
+const FFMPEG_ENCODERS: Partial<Record<AudioFormat, string[]>> = {
+  mp3: ['-c:a', 'libmp3lame', '-f', 'mp3'],
+  ogg: ['-c:a', 'libopus', '-f', 'ogg'],
+  opus: ['-c:a', 'libopus', '-f', 'ogg'],
+  aac: ['-c:a', 'aac', '-f', 'adts'],
+  flac: ['-c:a', 'flac', '-f', 'flac'],
+};
+
+export class AudioConverter implements AudioConverterPort {
+  private readonly config: AudioConverterConfig;
+
+  constructor(config: Partial<AudioConverterConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  async convert(audio: Buffer, source: AudioSpec, target: AudioSpec): Promise<ConvertedAudio> {
+    const sourceFormat = AudioConverter.detectFormat(audio, source.format);
+    const sourceRate = AudioConverter.detectSampleRate(audio, sourceFormat) ?? source.sampleRate;
+
+    // Already what was asked for
+    if (sourceFormat === target.format && (!target.sampleRate || target.sampleRate === sourceRate)) {
+      return { audio, format: target.format, sampleRate: sourceRate ?? target.sampleRate ?? 0 };
+    }
+
+    const decoded = await this.decode(audio, sourceFormat, sourceRate, target);
+    const sampleRate = target.sampleRate ?? decoded.sampleRate;
+    const pcm = resamplePcm16(decoded.pcm, decoded.sampleRate, sampleRate);
+
+    return {
+      audio: await this.encode(pcm, sampleRate, target, sourceFormat),
+      format: target.format,
+      sampleRate,
+    };
+  }
+
+  /**
+   * Join audio and silences, at the target rate or else the rate of the
+   * first piece of audio
+   */
+  async join(parts: AudioPart[], target: AudioSpec): Promise<JoinedAudio> {
+    const decoded: Array<DecodedAudio | number> = [];
+    for (const part of parts) {
+      if ('silence' in part) {
+        decoded.push(part.silence);
+        continue;
+      }
+      const format = AudioConverter.detectFormat(part.audio, part.format);
+      const rate = AudioConverter.detectSampleRate(part.audio, format) ?? part.sampleRate;
+      decoded.push(await this.decode(part.audio, format, rate, target));
+    }
+
+    const first = decoded.find((d): d is DecodedAudio => typeof d !== 'number');
+    const sampleRate = target.sampleRate ?? first?.sampleRate ?? DEFAULT_SAMPLE_RATES.pcm!;
+    const pcm = Buffer.concat(
+      decoded.map((d) =>
+        typeof d === 'number' ? Buffer.alloc(Math.round(d * sampleRate) * 2) : resamplePcm16(d.pcm, d.sampleRate, sampleRate)
+      )
+    );
+
+    return {
+      audio: await this.encode(pcm, sampleRate, target, 'pcm'),
+      format: target.format,
+      sampleRate,
+      duration: pcm.length / 2 / sampleRate,
+    };
+  }
+
+  /**
+   * Identify audio from its bytes. Engines don't always return the format
+   * they were asked for, so the claimed format only decides headerless data.
+   */
+  static detectFormat(audio: Buffer, claimed: AudioFormat): AudioFormat {
+    if (parseWav(audio)) return 'wav';
+    if (audio.length >= 4 && audio.toString('ascii', 0, 4) === 'OggS') {
+      return claimed === 'opus' ? 'opus' : 'ogg';
+    }
+    if (audio.length >= 4 && audio.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+    if (audio.length >= 3 && audio.toString('ascii', 0, 3) === 'ID3') return 'mp3';
+    if (parseMp3FrameHeader(audio, 0)) return 'mp3';
+    // ADTS shares MPEG's sync word but always has layer 0, which the MP3 parser rejects
+    if (audio.length >= 2 && audio[0] === 0xff && (audio[1]! & 0xf6) === 0xf0) return 'aac';
+    return claimed;
+  }
+
+  /**
+   * Read the sample rate from a WAV or MP3 header
+   */
+  static detectSampleRate(audio: Buffer, format: AudioFormat): number | undefined {
+    if (format === 'wav') return parseWav(audio)?.sampleRate;
+    if (format === 'mp3') {
+      const offset = findFirstMp3Frame(audio);
+      return offset >= 0 ? parseMp3FrameHeader(audio, offset)?.sampleRate : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Decode to mono PCM16. Compressed audio is decoded straight to the target
+   * rate, which saves a resampling pass.
+   */
+  private async decode(
+    audio: Buffer,
+    format: AudioFormat,
+    sampleRate: number | undefined,
+    target: AudioSpec
+  ): Promise<DecodedAudio> {
+    switch (format) {
+      case 'pcm':
+        return { pcm: audio, sampleRate: sampleRate ?? DEFAULT_SAMPLE_RATES.pcm! };
+      case 'ulaw':
+        return { pcm: decodeMulaw(audio), sampleRate: sampleRate ?? DEFAULT_SAMPLE_RATES.ulaw! };
+      case 'wav': {
+        const info = parseWav(audio)!;
+        const data = audio.subarray(info.dataOffset, info.dataOffset + info.dataLength);
+        if (info.audioFormat === 1 && info.bitsPerSample === 16) {
+          return { pcm: downmixPcm16(data, info.channels), sampleRate: info.sampleRate };
+        }
+        if (info.audioFormat === 7 && info.bitsPerSample === 8) {
+          return { pcm: downmixPcm16(decodeMulaw(data), info.channels), sampleRate: info.sampleRate };
+        }
+        break; // other sample formats are left to ffmpeg
+      }
+    }
+
+    const rate = target.sampleRate ?? sampleRate ?? DEFAULT_SAMPLE_RATES[format] ?? 24000;
+    const pcm = await this.runFfmpeg(
+      ['-i', 'pipe:0', '-f', 's16le', '-acodec', 'pcm_s16le', '-ac', '1', '-ar', String(rate), 'pipe:1'],
+      audio,
+      format,
+      target.format
+    );
+    return { pcm, sampleRate: rate };
+  }
+
+  private async encode(pcm: Buffer, sampleRate: number, target: AudioSpec, from: AudioFormat): Promise<Buffer> {
+    switch (target.format) {
+      case 'pcm':
+        return pcm;
+      case 'wav':
+        return pcmToWav(pcm, sampleRate);
+      case 'ulaw':
+        return encodeMulaw(pcm);
+      default: {
+        const bitrate = target.bitrate ?? DEFAULT_BITRATES[target.format];
+        return this.runFfmpeg(
+          [
+            '-f', 's16le', '-ar', String(sampleRate), '-ac', '1', '-i', 'pipe:0',
+            ...(bitrate ? ['-b:a', `${bitrate}k`] : []),
+            ...FFMPEG_ENCODERS[target.format]!,
+            'pipe:1',
+          ],
+          pcm,
+          from,
+          target.format
+        );
+      }
+    }
+  }
+
+  /**
+   * Pipe audio through ffmpeg and collect its output
+   */
+  private runFfmpeg(args: string[], input: Buffer, from: AudioFormat, to: AudioFormat): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(this.config.ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      const chunks: Buffer[] = [];
+      let stderr = '';
+      let settled = false;
+
+      const fail = (reason: string): void => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        reject(new AudioConversionError(from, to, reason));
+      };
+
+      const timer = setTimeout(() => {
+        proc.kill('SIGKILL');
+        fail(`ffmpeg timed out after ${this.config.timeoutMs}ms`);
+      }, this.config.timeoutMs);
+
+      proc.stdout.on('data', (chunk: Buffer) => chunks.push(chunk));
+      proc.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      proc.on('error', (error: NodeJS.ErrnoException) => {
+        fail(error.code === 'ENOENT' ? `ffmpeg not found at "${this.config.ffmpegPath}"` : error.message);
+      });
+
+      proc.on('close', (code) => {
+        if (code !== 0) {
+          fail(stderr.trim() || `ffmpeg exited with code ${code}`);
+          return;
+        }
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(Buffer.concat(chunks));
+      });
+
+      // ffmpeg may exit before reading all input (e.g. on a decode error)
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(input);
+    });
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Audio Duration
+ * Measures the playback length of synthesized audio
+ */
+
+import type { AudioFormat } from '../../types/tts.types.js';
+import { getWavDuration, parseWav } from './wav.js';
+import { getMp3Duration } from './mp3.js';
+
+/**
+ * Get the duration of an audio buffer in seconds, or null if it can't be determined.
+ * Raw PCM is assumed to be 16-bit mono at the given sample rate.
+ */
+export function getAudioDuration(audio: Buffer, format: AudioFormat, sampleRate?: number): number | null {
+  // Engines don't always return the format that was asked for - trust the bytes
+  if (parseWav(audio)) {
+    return getWavDuration(audio);
+  }
+
+  switch (format) {
+    case 'pcm':
+      return sampleRate ? audio.length / (sampleRate * 2) : null;
+    case 'mp3':
+    case 'wav':
+      // Some engines answer a WAV request with MP3
+      return getMp3Duration(audio);
+    default:
+      return null;
+  }
+}
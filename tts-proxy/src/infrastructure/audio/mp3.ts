@@ -0,0 +1,111 @@
+/**
+ * MP3 Utilities
+ * Frame header parsing for MPEG audio streams
+ */
+
+// Bitrates in kbps, indexed by [version group][layer][index]
+const BITRATES: Record<'v1' | 'v2', Record<1 | 2 | 3, number[]>> = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const SAMPLE_RATES: Record<number, number[]> = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000], // MPEG 2.5
+};
+
+export interface Mp3FrameHeader {
+  sampleRate: number;
+  bitrate: number; // kbps
+  channels: number;
+  samplesPerFrame: number;
+  frameLength: number;
+}
+
+/**
+ * Parse the MPEG audio frame header at the given offset
+ */
+export function parseMp3FrameHeader(buffer: Buffer, offset: number): Mp3FrameHeader | null {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1]! & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1]! >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1]! >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2]! >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2]! >> 2) & 0x03;
+  const padding = (buffer[offset + 2]! >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3]! >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = (4 - layerBits) as 1 | 2 | 3;
+  const isV1 = versionBits === 3;
+  const bitrate = BITRATES[isV1 ? 'v1' : 'v2'][layer][bitrateIndex]!;
+  const sampleRate = SAMPLE_RATES[versionBits]![sampleRateIndex]!;
+
+  let samplesPerFrame: number;
+  let frameLength: number;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+    frameLength = (Math.floor((12 * bitrate * 1000) / sampleRate) + padding) * 4;
+  } else {
+    samplesPerFrame = layer === 3 && !isV1 ? 576 : 1152;
+    frameLength = Math.floor(((samplesPerFrame / 8) * bitrate * 1000) / sampleRate) + padding;
+  }
+
+  return {
+    sampleRate,
+    bitrate,
+    channels: channelMode === 3 ? 1 : 2,
+    samplesPerFrame,
+    frameLength,
+  };
+}
+
+/**
+ * Get the offset of the first audio frame, skipping any ID3v2 tag
+ */
+export function findFirstMp3Frame(buffer: Buffer): number {
+  let offset = 0;
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'ID3') {
+    // Tag size is a 28-bit syncsafe integer
+    const size =
+      ((buffer[6]! & 0x7f) << 21) | ((buffer[7]! & 0x7f) << 14) | ((buffer[8]! & 0x7f) << 7) | (buffer[9]! & 0x7f);
+    offset = 10 + size;
+  }
+
+  while (offset + 4 <= buffer.length && !parseMp3FrameHeader(buffer, offset)) {
+    offset++;
+  }
+
+  return offset + 4 <= buffer.length ? offset : -1;
+}
+
+/**
+ * Get the duration of an MP3 buffer in seconds by walking its frames
+ */
+export function getMp3Duration(buffer: Buffer): number | null {
+  let offset = findFirstMp3Frame(buffer);
+  if (offset < 0) return null;
+
+  let seconds = 0;
+  while (offset < buffer.length) {
+    const header = parseMp3FrameHeader(buffer, offset);
+    if (!header || header.frameLength <= 0) break;
+    seconds += header.samplesPerFrame / header.sampleRate;
+    offset += header.frameLength;
+  }
+
+  return seconds > 0 ? seconds : null;
+}
@@ -0,0 +1,104 @@
+/**
+ * PCM Utilities
+ * Sample-level helpers for 16-bit little-endian PCM and G.711 μ-law
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Mix interleaved PCM16 down to mono
+ */
+export function downmixPcm16(pcm: Buffer, channels: number): Buffer {
+  if (channels <= 1) return pcm;
+
+  const frames = Math.floor(pcm.length / (2 * channels));
+  const mono = Buffer.alloc(frames * 2);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += pcm.readInt16LE((frame * channels + channel) * 2);
+    }
+    mono.writeInt16LE(Math.round(sum / channels), frame * 2);
+  }
+  return mono;
+}
+
+/**
+ * Resample mono PCM16 by linear interpolation.
+ * When downsampling, each output sample averages the input samples it covers
+ * so high frequencies don't fold back as aliasing.
+ */
+export function resamplePcm16(pcm: Buffer, fromRate: number, toRate: number): Buffer {
+  const inputCount = Math.floor(pcm.length / 2);
+  if (fromRate === toRate || inputCount === 0) return pcm;
+
+  const ratio = fromRate / toRate;
+  const outputCount = Math.max(1, Math.round(inputCount / ratio));
+  const output = Buffer.alloc(outputCount * 2);
+  const sampleAt = (index: number): number => pcm.readInt16LE(Math.min(index, inputCount - 1) * 2);
+
+  for (let i = 0; i < outputCount; i++) {
+    const position = i * ratio;
+    let value: number;
+
+    if (ratio > 1) {
+      const start = Math.floor(position);
+      const end = Math.min(inputCount, Math.max(start + 1, Math.floor(position + ratio)));
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += sampleAt(j);
+      value = sum / (end - start);
+    } else {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      value = sampleAt(index) + (sampleAt(index + 1) - sampleAt(index)) * fraction;
+    }
+
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), i * 2);
+  }
+
+  return output;
+}
+
+/**
+ * Encode PCM16 samples as 8-bit μ-law
+ */
+export function encodeMulaw(pcm: Buffer): Buffer {
+  const count = Math.floor(pcm.length / 2);
+  const encoded = Buffer.alloc(count);
+  for (let i = 0; i < count; i++) {
+    encoded[i] = linearToMulaw(pcm.readInt16LE(i * 2));
+  }
+  return encoded;
+}
+
+/**
+ * Decode 8-bit μ-law to PCM16 samples
+ */
+export function decodeMulaw(data: Buffer): Buffer {
+  const pcm = Buffer.alloc(data.length * 2);
+  for (let i = 0; i < data.length; i++) {
+    pcm.writeInt16LE(mulawToLinear(data[i]!), i * 2);
+  }
+  return pcm;
+}
+
+function linearToMulaw(sample: number): number {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function mulawToLinear(value: number): number {
+  const inverted = ~value & 0xff;
+  const exponent = (inverted >> 4) & 0x07;
+  const magnitude = ((((inverted & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return inverted & 0x80 ? -magnitude : magnitude;
+}
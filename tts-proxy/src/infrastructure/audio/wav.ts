@@ -0,0 +1,168 @@
+/**
+ * WAV Utilities
+ * Parsing and building RIFF/WAVE containers
+ */
+
+export interface WavInfo {
+  audioFormat: number; // 1 = PCM, 7 = mu-law
+  channels: number;
+  sampleRate: number;
+  bitsPerSample: number;
+  dataOffset: number;
+  dataLength: number;
+}
+
+// Size value used for streamed WAV data whose final length is unknown
+const STREAMING_DATA_SIZE = 0xffffffff;
+
+/**
+ * Parse a WAV header. Returns null if the buffer is not a RIFF/WAVE file.
+ */
+export function parseWav(buffer: Buffer): WavInfo | null {
+  if (buffer.length < 12) return null;
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let offset = 12; // Skip RIFF header
+  let format: Omit<WavInfo, 'dataOffset' | 'dataLength'> | null = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ' && offset + 24 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(offset + 8),
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        bitsPerSample: buffer.readUInt16LE(offset + 22),
+      };
+    }
+
+    if (chunkId === 'data') {
+      const dataOffset = offset + 8;
+      // Streamed WAVs (e.g. espeak --stdout) may carry a bogus data size
+      const dataLength = Math.min(chunkSize, buffer.length - dataOffset);
+      return {
+        audioFormat: format?.audioFormat ?? 1,
+        channels: format?.channels ?? 1,
+        sampleRate: format?.sampleRate ?? 22050,
+        bitsPerSample: format?.bitsPerSample ?? 16,
+        dataOffset,
+        dataLength,
+      };
+    }
+
+    // Chunks are word-aligned
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Extract PCM data from a WAV buffer
+ */
+export function extractPCM(wavBuffer: Buffer): { pcm: Buffer; sampleRate?: number } {
+  const info = parseWav(wavBuffer);
+  if (!info) {
+    // Fallback for truncated RIFF files: skip the standard 44-byte header
+    if (wavBuffer.length >= 44 && wavBuffer.toString('ascii', 0, 4) === 'RIFF') {
+      return { pcm: wavBuffer.subarray(44) };
+    }
+    return { pcm: wavBuffer };
+  }
+
+  return {
+    pcm: wavBuffer.subarray(info.dataOffset, info.dataOffset + info.dataLength),
+    sampleRate: info.sampleRate,
+  };
+}
+
+/**
+ * Build a canonical 44-byte WAV header
+ */
+export function buildWavHeader(params: {
+  dataLength: number;
+  sampleRate: number;
+  channels?: number;
+  bitsPerSample?: number;
+  audioFormat?: number;
+}): Buffer {
+  const channels = params.channels ?? 1;
+  const bitsPerSample = params.bitsPerSample ?? 16;
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const header = Buffer.alloc(44);
+
+  const riffSize =
+    params.dataLength >= STREAMING_DATA_SIZE - 36 ? STREAMING_DATA_SIZE : 36 + params.dataLength;
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(riffSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(params.audioFormat ?? 1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(params.sampleRate, 24);
+  header.writeUInt32LE(params.sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(Math.min(params.dataLength, STREAMING_DATA_SIZE), 40);
+
+  return header;
+}
+
+/**
+ * Wrap raw PCM data in a WAV container
+ */
+export function pcmToWav(pcm: Buffer, sampleRate: number, channels = 1, bitsPerSample = 16): Buffer {
+  return Buffer.concat([
+    buildWavHeader({ dataLength: pcm.length, sampleRate, channels, bitsPerSample }),
+    pcm,
+  ]);
+}
+
+/**
+ * Get the duration of a WAV buffer in seconds
+ */
+export function getWavDuration(buffer: Buffer): number | null {
+  const info = parseWav(buffer);
+  if (!info || info.sampleRate === 0) return null;
+
+  const bytesPerSecond = info.sampleRate * info.channels * (info.bitsPerSample / 8);
+  return bytesPerSecond > 0 ? info.dataLength / bytesPerSecond : null;
+}
+
+/**
+ * Joins a sequence of complete WAV files into a single streamable WAV.
+ * The first chunk gets a header with an open-ended data size; later chunks
+ * are reduced to their PCM data. Non-WAV chunks pass through unchanged.
+ */
+export class WavStreamStitcher {
+  private headerSent = false;
+
+  push(chunk: Buffer): Buffer {
+    const info = parseWav(chunk);
+    if (!info) {
+      return chunk;
+    }
+
+    const pcm = chunk.subarray(info.dataOffset, info.dataOffset + info.dataLength);
+    if (this.headerSent) {
+      return pcm;
+    }
+
+    this.headerSent = true;
+    const header = buildWavHeader({
+      dataLength: STREAMING_DATA_SIZE,
+      sampleRate: info.sampleRate,
+      channels: info.channels,
+      bitsPerSample: info.bitsPerSample,
+      audioFormat: info.audioFormat,
+    });
+    return Buffer.concat([header, pcm]);
+  }
+}
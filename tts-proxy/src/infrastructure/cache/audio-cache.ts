@@ -0,0 +1,317 @@
+/**
+ * File-based Audio Cache
+ * Content-addressed cache of synthesized audio with size/age limits and LRU eviction
+ */
+
+import { createHash } from 'crypto';
+import type {
+  AudioCachePort,
+  AudioCacheKey,
+  AudioCacheStats,
+  AudioCachePurgeFilter,
+} from '../../application/ports/audio-cache-port.js';
+import type { FileStorage } from '../persistence/file/file-storage.js';
+import type { AudioFormat, SpeechResponse } from '../../types/tts.types.js';
+import { errorMessage, getLogger } from '../../domain/services/log-service.js';
+
+const log = getLogger('Cache');
+
+export interface AudioCacheConfig {
+  enabled: boolean;
+  maxSizeBytes: number;
+  maxAgeMs: number; // 0 = never expire
+  persistDelayMs?: number;
+}
+
+interface CacheEntry {
+  hash: string;
+  engine: string;
+  voiceId: string;
+  format: AudioFormat;
+  sampleRate: number;
+  duration?: number;
+  characterCount: number;
+  sizeBytes: number;
+  createdAt: number;
+  lastAccessedAt: number;
+  hits: number;
+}
+
+interface CacheIndexFile {
+  version: number;
+  entries: CacheEntry[];
+}
+
+const INDEX_KEY = 'index';
+
+export class FileAudioCache implements AudioCachePort {
+  private readonly storage: FileStorage;
+  private readonly config: AudioCacheConfig;
+  private readonly entries: Map<string, CacheEntry> = new Map();
+  private totalSize = 0;
+  private hits = 0;
+  private misses = 0;
+  private evictions = 0;
+  private loaded = false;
+  private loading: Promise<void> | null = null;
+  private persistTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(storage: FileStorage, config: AudioCacheConfig) {
+    this.storage = storage;
+    this.config = config;
+  }
+
+  isEnabled(): boolean {
+    return this.config.enabled;
+  }
+
+  /**
+   * Load the cache index from disk. Concurrent first calls share one read.
+   */
+  load(): Promise<void> {
+    this.loading ??= this.readIndex().catch((error: unknown) => {
+      this.loading = null;
+      throw error;
+    });
+    return this.loading;
+  }
+
+  private async readIndex(): Promise<void> {
+    const index = await this.storage.readJson<CacheIndexFile>(INDEX_KEY);
+    for (const entry of index?.entries ?? []) {
+      this.entries.set(entry.hash, entry);
+      this.totalSize += entry.sizeBytes;
+    }
+    this.loaded = true;
+
+    await this.evict();
+  }
+
+  async get(key: AudioCacheKey): Promise<SpeechResponse | null> {
+    if (!this.config.enabled) return null;
+    await this.load();
+
+    const hash = FileAudioCache.hashKey(key);
+    const entry = this.entries.get(hash);
+
+    if (!entry || this.isExpired(entry)) {
+      if (entry) await this.remove(entry);
+      this.misses++;
+      return null;
+    }
+
+    const audio = await this.storage.readBinary(hash, entry.format);
+    if (!audio) {
+      // Index and disk are out of sync - drop the stale entry
+      await this.remove(entry);
+      this.misses++;
+      return null;
+    }
+
+    entry.lastAccessedAt = Date.now();
+    entry.hits++;
+    this.hits++;
+    this.schedulePersist();
+
+    return {
+      audio,
+      format: entry.format,
+      sampleRate: entry.sampleRate,
+      duration: entry.duration,
+      characterCount: entry.characterCount,
+    };
+  }
+
+  async set(key: AudioCacheKey, response: SpeechResponse): Promise<void> {
+    if (!this.config.enabled) return;
+    // Never cache anything that would immediately be evicted
+    if (response.audio.length === 0 || response.audio.length > this.config.maxSizeBytes) return;
+    await this.load();
+
+    const hash = FileAudioCache.hashKey(key);
+    const existing = this.entries.get(hash);
+    if (existing) {
+      await this.remove(existing);
+    }
+
+    await this.storage.writeBinary(hash, response.audio, response.format);
+
+    const now = Date.now();
+    const entry: CacheEntry = {
+      hash,
+      engine: key.engine,
+      voiceId: key.voiceId,
+      format: response.format,
+      sampleRate: response.sampleRate,
+      duration: response.duration,
+      characterCount: response.characterCount,
+      sizeBytes: response.audio.length,
+      createdAt: now,
+      lastAccessedAt: now,
+      hits: 0,
+    };
+
+    // A concurrent set() for the same hash may have stored an entry since the lookup above
+    const replaced = this.entries.get(hash);
+    if (replaced) {
+      this.totalSize -= replaced.sizeBytes;
+    }
+    this.entries.set(hash, entry);
+    this.totalSize += entry.sizeBytes;
+
+    await this.evict();
+    this.schedulePersist();
+  }
+
+  async purge(filter?: AudioCachePurgeFilter): Promise<number> {
+    await this.load();
+
+    const matching = Array.from(this.entries.values()).filter(
+      (entry) =>
+        (!filter?.engine || entry.engine === filter.engine) &&
+        (!filter?.voiceId || entry.voiceId === filter.voiceId)
+    );
+
+    for (const entry of matching) {
+      await this.remove(entry);
+    }
+
+    if (matching.length > 0) {
+      this.schedulePersist();
+    }
+
+    return matching.length;
+  }
+
+  getStats(): AudioCacheStats {
+    const byEngine: AudioCacheStats['byEngine'] = {};
+    for (const entry of this.entries.values()) {
+      const stats = byEngine[entry.engine] ?? { entries: 0, sizeBytes: 0 };
+      stats.entries++;
+      stats.sizeBytes += entry.sizeBytes;
+      byEngine[entry.engine] = stats;
+    }
+
+    const lookups = this.hits + this.misses;
+
+    return {
+      enabled: this.config.enabled,
+      entries: this.entries.size,
+      sizeBytes: this.totalSize,
+      maxSizeBytes: this.config.maxSizeBytes,
+      maxAgeMs: this.config.maxAgeMs,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0,
+      evictions: this.evictions,
+      byEngine,
+    };
+  }
+
+  /**
+   * Write any pending index changes to disk
+   */
+  async flush(): Promise<void> {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    if (!this.loaded) return;
+
+    const index: CacheIndexFile = {
+      version: 1,
+      entries: Array.from(this.entries.values()),
+    };
+    await this.storage.writeJson(INDEX_KEY, index);
+  }
+
+  /**
+   * Build a stable content hash for a cache key
+   */
+  static hashKey(key: AudioCacheKey): string {
+    const settings = key.voiceSettings
+      ? Object.fromEntries(
+          Object.entries(key.voiceSettings)
+            .filter(([, value]) => value !== undefined)
+            .sort(([a], [b]) => a.localeCompare(b))
+        )
+      : {};
+
+    const material = JSON.stringify([
+      key.engine,
+      key.voiceId,
+      key.text,
+      settings,
+      key.format,
+      key.sampleRate ?? null,
+      // Only appended when set, so existing keys hash as they always have
+      ...(key.bitrate ? [key.bitrate] : []),
+      ...(key.scope ? [key.scope] : []),
+      ...(key.ssml ? ['ssml'] : []),
+    ]);
+
+    return createHash('sha256').update(material).digest('hex');
+  }
+
+  private isExpired(entry: CacheEntry): boolean {
+    if (this.config.maxAgeMs <= 0) return false;
+    return Date.now() - entry.createdAt > this.config.maxAgeMs;
+  }
+
+  private async remove(entry: CacheEntry): Promise<void> {
+    if (this.entries.delete(entry.hash)) {
+      this.totalSize -= entry.sizeBytes;
+    }
+    try {
+      await this.storage.deleteBinary(entry.hash, entry.format);
+    } catch (error) {
+      log.warn('Failed to delete cached audio', { error: errorMessage(error) });
+    }
+  }
+
+  /**
+   * Drop expired entries, then least recently used entries until under the size limit
+   */
+  private async evict(): Promise<void> {
+    const before = this.evictions;
+
+    for (const entry of Array.from(this.entries.values())) {
+      if (this.isExpired(entry)) {
+        await this.remove(entry);
+        this.evictions++;
+      }
+    }
+
+    if (this.totalSize > this.config.maxSizeBytes) {
+      const byLastAccess = Array.from(this.entries.values()).sort(
+        (a, b) => a.lastAccessedAt - b.lastAccessedAt
+      );
+
+      for (const entry of byLastAccess) {
+        if (this.totalSize <= this.config.maxSizeBytes) break;
+        await this.remove(entry);
+        this.evictions++;
+      }
+    }
+
+    if (this.evictions > before) {
+      this.schedulePersist();
+    }
+  }
+
+  private schedulePersist(): void {
+    if (this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.flush().catch((error) => {
+        log.warn('Failed to persist cache index', { error: errorMessage(error) });
+      });
+    }, this.config.persistDelayMs ?? 1000);
+
+    // Don't keep Node.js running just for the index write
+    if (this.persistTimer.unref) {
+      this.persistTimer.unref();
+    }
+  }
+}
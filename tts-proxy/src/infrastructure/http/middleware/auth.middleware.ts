@@ -3,9 +3,9 @@
  * Extracts and validates API keys from requests
  */
 
-import type { Context, Next } from 'hono';
+import type { Context, MiddlewareHandler, Next } from 'hono';
 import { getEnv, isAuthRequired } from '../../../config/env.js';
-import { ApiKey } from '../../../domain/entities/api-key.js';
+import type { ApiKeyScope } from '../../../types/api-key.types.js';
 import type { KeyRepositoryPort } from '../../../application/ports/key-repository-port.js';
 import { UnauthorizedError, ForbiddenError } from '../../../domain/errors/domain-errors.js';
 
@@ -103,16 +103,66 @@ export async function authMiddleware(c: Context, next: Next): Promise<Response |
 }
 
 /**
- * Admin-only middleware
+ * Require a key scope for a route group. Requests authenticated without a
+ * stored key (dev mode, local mode, ADMIN_API_KEY) are admins and pass.
+ */
+export function requireScope(scope: ApiKeyScope | ((c: Context) => ApiKeyScope)): MiddlewareHandler {
+  return async (c, next) => {
+    const ctx = c.get('requestContext');
+    const required = typeof scope === 'function' ? scope(c) : scope;
+
+    if (!ctx.isAdmin && ctx.apiKey && !ctx.apiKey.hasScope(required)) {
+      throw new ForbiddenError(`API key lacks the '${required}' scope`);
+    }
+
+    return next();
+  };
+}
+
+const VOICE_LISTING_PATH = /^\/v[12]\/(voices(\/[^/]+(\/preview)?)?|models(\/[^/]+)?)$/;
+
+/**
+ * Scope for a /v1 or /v2 request: reading the voice and model lists (and
+ * voice previews) needs 'voices:read' (which 'tts' includes), everything else 'tts'
+ */
+export function ttsRouteScope(c: Context): ApiKeyScope {
+  return isReadRequest(c) && VOICE_LISTING_PATH.test(c.req.path) ? 'voices:read' : 'tts';
+}
+
+function isReadRequest(c: Context): boolean {
+  return c.req.method === 'GET' || c.req.method === 'HEAD';
+}
+
+/**
+ * Admin-only middleware. Keys with the 'admin:read' scope may make GET requests.
  */
 export async function adminOnlyMiddleware(c: Context, next: Next): Promise<Response | void> {
   const ctx = c.get('requestContext');
 
-  if (!ctx.isAdmin) {
-    throw new ForbiddenError('Admin access required');
+  if (ctx.isAdmin) {
+    return next();
   }
 
-  return next();
+  if (ctx.apiKey?.hasScope('admin:read')) {
+    if (isReadRequest(c)) return next();
+    throw new ForbiddenError('API key has read-only admin access');
+  }
+
+  throw new ForbiddenError('Admin access required');
+}
+
+/**
+ * Metrics middleware: lets in METRICS_TOKEN, otherwise requires an admin key
+ */
+export async function metricsAuthMiddleware(c: Context, next: Next): Promise<Response | void> {
+  const token = getEnv().METRICS_TOKEN;
+  if (token && extractApiKey(c) === token) {
+    return next();
+  }
+
+  return authMiddleware(c, async () => {
+    await adminOnlyMiddleware(c, next);
+  });
 }
 
 /**
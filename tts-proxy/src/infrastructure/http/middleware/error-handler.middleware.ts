@@ -6,10 +6,13 @@
 import type { Context, Next } from 'hono';
 import { HTTPException } from 'hono/http-exception';
 import { ZodError } from 'zod';
-import { isDomainError, type DomainError } from '../../../domain/errors/domain-errors.js';
+import { isDomainError, QuotaExceededError, type DomainError } from '../../../domain/errors/domain-errors.js';
 import { isDevelopment } from '../../../config/env.js';
+import { getLogger } from '../../../domain/services/log-service.js';
 import type { ErrorResponse } from '../../../types/api.types.js';
 
+const log = getLogger('HTTP');
+
 /**
  * Format error for response
  */
@@ -22,6 +25,10 @@ function formatError(error: unknown, requestId?: string): { response: ErrorRespo
           code: error.code,
           message: error.message,
         },
+        // ElevenLabs clients look for detail.status
+        ...(error instanceof QuotaExceededError
+          ? { detail: { status: error.code, message: error.message } }
+          : {}),
         requestId,
       },
       status: error.statusCode,
@@ -91,6 +98,13 @@ function formatError(error: unknown, requestId?: string): { response: ErrorRespo
   };
 }
 
+/**
+ * Get the HTTP status an error will be reported with
+ */
+export function getErrorStatus(error: unknown): number {
+  return formatError(error).status;
+}
+
 /**
  * Error handler middleware
  */
@@ -98,14 +112,39 @@ export async function errorHandler(c: Context, next: Next): Promise<Response | v
   try {
     await next();
   } catch (error) {
-    const ctx = c.get('requestContext');
-    const { response, status } = formatError(error, ctx?.requestId);
+    return handleError(error, c);
+  }
+}
 
-    // Log the error
-    console.error(`[${ctx?.requestId ?? 'unknown'}] Error:`, error);
+/**
+ * Turn an error into a JSON error response.
+ * Also registered as the app's onError: Hono catches errors thrown by
+ * handlers and middleware itself, so they never reach errorHandler's catch.
+ */
+export function handleError(error: unknown, c: Context): Response {
+  const ctx = c.get('requestContext');
+  const { response, status } = formatError(error, ctx?.requestId);
+  const retryAfter =
+    isDomainError(error) && 'retryAfter' in error && typeof error.retryAfter === 'number' ? error.retryAfter : undefined;
 
-    return c.json(response, { status: status as 400 | 401 | 403 | 404 | 429 | 500 | 503 });
+  // Client errors and busy engines are routine; only unexpected failures get a stack trace
+  if (status >= 500 && retryAfter === undefined) {
+    log.error('Request failed', error, { requestId: ctx?.requestId, status });
+  } else {
+    log.warn('Request rejected', {
+      requestId: ctx?.requestId,
+      status,
+      code: response.error.code,
+      reason: response.error.message,
+    });
   }
+
+  // Rate limits and busy or temporarily disabled engines tell the client when to retry
+  if (retryAfter !== undefined) {
+    c.header('Retry-After', String(retryAfter));
+  }
+
+  return c.json(response, { status: status as 400 | 401 | 403 | 404 | 429 | 500 | 503 });
 }
 
 /**
@@ -0,0 +1,27 @@
+/**
+ * Metrics Middleware
+ * Counts every HTTP request by method, route and status for GET /metrics
+ */
+
+import type { Context, Next } from 'hono';
+import { getMetricsService } from '../../../domain/services/metrics-service.js';
+import { getErrorStatus } from './error-handler.middleware.js';
+
+/**
+ * Metrics middleware.
+ * Requests are labelled with the matched route pattern (never the raw path),
+ * so IDs in URLs don't create a series each.
+ */
+export async function metricsMiddleware(c: Context, next: Next): Promise<Response | void> {
+  let status: number | undefined;
+
+  try {
+    await next();
+    status = c.res.status;
+  } catch (error) {
+    status = getErrorStatus(error);
+    throw error;
+  } finally {
+    getMetricsService().recordHttpRequest(c.req.method, c.req.routePath || 'unknown', status ?? 500);
+  }
+}
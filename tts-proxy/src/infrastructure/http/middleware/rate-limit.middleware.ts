@@ -6,6 +6,7 @@
 import type { Context, Next } from 'hono';
 import { getEnv } from '../../../config/env.js';
 import { ApiKeyRateLimitedError } from '../../../domain/errors/domain-errors.js';
+import { getMetricsService } from '../../../domain/services/metrics-service.js';
 
 interface RateLimitState {
   count: number;
@@ -132,6 +133,7 @@ export async function rateLimitMiddleware(c: Context, next: Next): Promise<Respo
   if (!result.allowed) {
     const retryAfter = Math.ceil((result.resetAt - Date.now()) / 1000);
     c.header('Retry-After', String(retryAfter));
+    getMetricsService().recordRateLimitRejection('requests');
     throw new ApiKeyRateLimitedError(retryAfter);
   }
 
@@ -146,6 +148,19 @@ export async function rateLimitMiddleware(c: Context, next: Next): Promise<Respo
   return next();
 }
 
+/**
+ * Count a request that doesn't go through the middleware (a WebSocket
+ * connection) against a key's limit. Throws ApiKeyRateLimitedError when
+ * the limit is used up.
+ */
+export function consumeRateLimit(keyId: string, limit: number): void {
+  const result = checkRateLimit(keyId, limit, getEnv().RATE_LIMIT_WINDOW_MS);
+  if (!result.allowed) {
+    getMetricsService().recordRateLimitRejection('requests');
+    throw new ApiKeyRateLimitedError(Math.ceil((result.resetAt - Date.now()) / 1000));
+  }
+}
+
 /**
  * Reset rate limit for a key (admin function)
  */
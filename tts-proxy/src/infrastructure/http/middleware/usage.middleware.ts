@@ -0,0 +1,69 @@
+/**
+ * Usage Tracking Middleware
+ * Records every synthesis request with the UsageService
+ */
+
+import type { Context, Next } from 'hono';
+import { getUsageService } from '../../../domain/services/usage-service.js';
+import type { RequestContext } from '../../../types/api.types.js';
+import { getErrorStatus } from './error-handler.middleware.js';
+
+/**
+ * Get the ID usage is recorded under for a request
+ */
+export function getUsageKeyId(ctx: Pick<RequestContext, 'apiKey' | 'isAdmin' | 'isDevMode' | 'isLocalMode'>): string {
+  if (ctx.apiKey) return ctx.apiKey.id;
+  if (ctx.isLocalMode) return 'local';
+  if (ctx.isDevMode) return 'dev';
+  return ctx.isAdmin ? 'admin' : 'anonymous';
+}
+
+/**
+ * Reject a request that would take its key over its character quota
+ */
+export async function enforceCharacterQuota(ctx: RequestContext, characters: number): Promise<void> {
+  const quota = ctx.apiKey?.characterQuota;
+  if (!quota) return;
+  await getUsageService().checkQuotaOrThrow(ctx.apiKey!.id, quota, characters);
+}
+
+/**
+ * Usage middleware.
+ * Only requests whose route filled in ctx.usage are recorded; latency runs
+ * until the response headers are ready. Streams keep going after that and
+ * are recorded when they end, with the status of a failure mid-stream.
+ */
+export async function usageMiddleware(c: Context, next: Next): Promise<Response | void> {
+  const ctx = c.get('requestContext');
+  const startedAt = Date.now();
+  let statusCode: number | undefined;
+
+  try {
+    await next();
+    statusCode = c.res.status;
+  } catch (error) {
+    statusCode = getErrorStatus(error);
+    throw error;
+  } finally {
+    const usage = ctx.usage;
+    if (usage) {
+      const durationMs = Date.now() - startedAt;
+      const record = () =>
+        getUsageService().recordRequest({
+          apiKeyId: getUsageKeyId(ctx),
+          engine: usage.engine,
+          path: c.req.routePath || c.req.path,
+          characterCount: usage.characterCount,
+          durationMs,
+          statusCode: usage.statusCode ?? statusCode ?? 500,
+          metadata: { requestId: ctx.requestId },
+        });
+
+      if (usage.completion) {
+        void usage.completion.then(record);
+      } else {
+        record();
+      }
+    }
+  }
+}
@@ -3,49 +3,105 @@
  * Dashboard and management API endpoints
  */
 
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
+import { streamSSE } from 'hono/streaming';
 import { zValidator } from '@hono/zod-validator';
 import { z } from 'zod';
 import { adminOnlyMiddleware } from '../middleware/auth.middleware.js';
-import { ApiKey } from '../../../domain/entities/api-key.js';
+import { ApiKey, API_KEY_SCOPES } from '../../../domain/entities/api-key.js';
 import { getKeyService } from '../../../domain/services/key-service.js';
+import { getUsageService } from '../../../domain/services/usage-service.js';
+import { getAuditService } from '../../../domain/services/audit-service.js';
+import { getAdminEventService } from '../../../domain/services/admin-event-service.js';
+import { errorMessage, getLogger } from '../../../domain/services/log-service.js';
+import type { AuditAction } from '../../../domain/entities/audit.js';
+import {
+  compileLexiconRule,
+  getLexiconService,
+  GLOBAL_LEXICON_SCOPE,
+} from '../../../domain/services/lexicon-service.js';
+import { isSsml, validateSsml } from '../../../domain/services/ssml.js';
 import type { KeyRepositoryPort } from '../../../application/ports/key-repository-port.js';
 import type { CredentialsStoragePort } from '../../../application/ports/storage-port.js';
 import type { TTSEngineFactoryPort } from '../../../application/ports/tts-engine-port.js';
-import { ENGINE_DEFINITIONS } from '../../../types/engine.types.js';
-import { getEnv, isAuthRequired, isDevelopment } from '../../../config/env.js';
+import type { AudioCachePort } from '../../../application/ports/audio-cache-port.js';
+import type { VoiceMappingRepositoryPort } from '../../../application/ports/voice-mapping-repository-port.js';
+import type { VoiceCatalog } from '../../../application/services/voice-catalog.js';
+import type { VoicePreviewService } from '../../../application/services/voice-preview-service.js';
+import { getEngineDefinition, getEngineIds, type EngineType } from '../../../types/engine.types.js';
+import { engineTypeSchema } from '../validators/schemas.js';
+import { getUsageKeyId } from '../middleware/usage.middleware.js';
+import {
+  getEngineCredentials,
+  getEnv,
+  isAuthRequired,
+  isDevelopment,
+} from '../../../config/env.js';
 import type { FileStorage } from '../../persistence/file/file-storage.js';
+import type { SherpaOnnxModelRegistry } from '../../tts-engines/sherpaonnx-models.js';
 import type {
   AdminKeyResponse,
   AdminKeysListResponse,
   AdminModeResponse,
   AdminEnginesStatusResponse,
+  AdminUsageResponse,
+  AdminQuotaUsage,
 } from '../../../types/api.types.js';
+import type { QuotaStatus, EngineKeyConfig } from '../../../types/api-key.types.js';
+
+const log = getLogger('Admin');
+
+// Comment lines sent to admin event streams, so proxies keep idle ones open
+const EVENTS_HEARTBEAT_MS = 25_000;
 
 // Dependencies
 let keyRepository: KeyRepositoryPort | null = null;
 let credentialsStorage: CredentialsStoragePort | null = null;
 let engineFactory: TTSEngineFactoryPort | null = null;
 let localKeyStorage: FileStorage | null = null;
+let audioCache: AudioCachePort | null = null;
+let voiceMappingRepository: VoiceMappingRepositoryPort | null = null;
+let voiceCatalog: VoiceCatalog | null = null;
+let voicePreviewService: VoicePreviewService | null = null;
+let sherpaModelRegistry: SherpaOnnxModelRegistry | null = null;
 
 export function setAdminDependencies(deps: {
   keyRepository?: KeyRepositoryPort;
   credentialsStorage?: CredentialsStoragePort;
   engineFactory?: TTSEngineFactoryPort;
   localKeyStorage?: FileStorage;
+  audioCache?: AudioCachePort;
+  voiceMappingRepository?: VoiceMappingRepositoryPort;
+  voiceCatalog?: VoiceCatalog;
+  voicePreviewService?: VoicePreviewService;
+  sherpaModelRegistry?: SherpaOnnxModelRegistry;
 }): void {
   if (deps.keyRepository) keyRepository = deps.keyRepository;
   if (deps.credentialsStorage) credentialsStorage = deps.credentialsStorage;
   if (deps.engineFactory) engineFactory = deps.engineFactory;
   if (deps.localKeyStorage) localKeyStorage = deps.localKeyStorage;
+  if (deps.audioCache) audioCache = deps.audioCache;
+  if (deps.voiceMappingRepository) voiceMappingRepository = deps.voiceMappingRepository;
+  if (deps.voiceCatalog) voiceCatalog = deps.voiceCatalog;
+  if (deps.voicePreviewService) voicePreviewService = deps.voicePreviewService;
+  if (deps.sherpaModelRegistry) sherpaModelRegistry = deps.sherpaModelRegistry;
 }
 
 // Validation schemas
+const characterQuotaSchema = z.object({
+  limit: z.number().int().min(1),
+  period: z.enum(['daily', 'weekly', 'monthly']).default('monthly'),
+});
+
+const scopesSchema = z.array(z.enum(API_KEY_SCOPES)).min(1);
+
 const createKeySchema = z.object({
   name: z.string().min(1).max(100),
   isAdmin: z.boolean().optional().default(false),
   rateLimit: z.number().min(1).max(10000).optional(),
   expiresAt: z.string().datetime().optional(),
+  characterQuota: characterQuotaSchema.nullable().optional(),
+  scopes: scopesSchema.optional(),
 });
 
 const updateKeySchema = z.object({
@@ -54,6 +110,12 @@ const updateKeySchema = z.object({
   active: z.boolean().optional(),
   rateLimit: z.number().min(1).max(10000).optional(),
   expiresAt: z.string().datetime().nullable().optional(),
+  characterQuota: characterQuotaSchema.nullable().optional(),
+  scopes: scopesSchema.optional(),
+});
+
+const rotateKeySchema = z.object({
+  gracePeriodSeconds: z.number().int().min(0).max(30 * 24 * 60 * 60).optional(),
 });
 
 const engineConfigItemSchema = z.object({
@@ -67,11 +129,100 @@ const engineConfigSchema = z.object({
   engineConfig: z.record(engineConfigItemSchema),
 });
 
+const usageQuerySchema = z.object({
+  since: z.coerce.date().optional(),
+  until: z.coerce.date().optional(),
+  keyId: z.string().optional(),
+  engine: z.string().optional(),
+  interval: z.enum(['hour', 'day']).optional(),
+});
+
+const auditQuerySchema = z.object({
+  since: z.coerce.date().optional(),
+  until: z.coerce.date().optional(),
+  action: z.string().optional(),
+  actor: z.string().optional(),
+  target: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(1000).default(100),
+});
+
 const credentialsSchema = z.object({
   credentials: z.record(z.string()),
 });
 
-function apiKeyToResponse(apiKey: ApiKey, plainKey?: string): AdminKeyResponse {
+const voiceMappingFieldsSchema = z.object({
+  elevenLabsName: z.string().min(1).max(200),
+  localEngine: engineTypeSchema,
+  localVoiceId: z.string().min(1),
+  parameters: z
+    .object({
+      rate: z.number().min(0.25).max(4).optional(),
+      pitch: z.number().min(-20).max(20).optional(),
+    })
+    .optional(),
+});
+
+const createVoiceMappingSchema = voiceMappingFieldsSchema.extend({
+  elevenLabsId: z.string().min(1).max(100),
+});
+
+const generatePreviewsSchema = z.object({
+  engine: engineTypeSchema,
+  overwrite: z.boolean().optional().default(false), // replace previews that already exist
+});
+
+const registerSherpaModelSchema = z.object({
+  folder: z.string().min(1), // folder in SHERPAONNX_MODELS_DIR
+  enabled: z.boolean().optional(),
+});
+
+const updateSherpaModelSchema = z.object({
+  enabled: z.boolean(),
+});
+
+const lexiconRuleSchema = z
+  .object({
+    type: z.enum(['replace', 'regex', 'phoneme']),
+    match: z.string().min(1).max(500),
+    replacement: z.string().max(1000).optional(),
+    phoneme: z.string().min(1).max(500).optional(),
+    alphabet: z.enum(['ipa', 'x-sampa']).optional(),
+    caseSensitive: z.boolean().optional(),
+    wholeWord: z.boolean().optional(),
+    engines: z.array(engineTypeSchema).optional(),
+  })
+  .superRefine((rule, ctx) => {
+    if (rule.type === 'phoneme' && !rule.phoneme) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['phoneme'], message: 'Phoneme rules need a phoneme' });
+    }
+    if (rule.type !== 'phoneme' && rule.replacement === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['replacement'], message: 'Rule needs a replacement' });
+    }
+    if (rule.type === 'regex') {
+      try {
+        compileLexiconRule(rule);
+      } catch (error) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['match'],
+          message: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+  });
+
+const lexiconSchema = z.object({
+  rules: z.array(lexiconRuleSchema).max(1000),
+});
+
+const lexiconPreviewSchema = z.object({
+  text: z.string().min(1).max(10000),
+  keyId: z.string().optional(),
+  engine: engineTypeSchema.optional(),
+  ssml: z.boolean().optional(),
+});
+
+function apiKeyToResponse(apiKey: ApiKey, plainKey?: string, quotaStatus?: QuotaStatus): AdminKeyResponse {
   return {
     id: apiKey.id,
     name: apiKey.name,
@@ -82,10 +233,133 @@ function apiKeyToResponse(apiKey: ApiKey, plainKey?: string): AdminKeyResponse {
     lastUsed: apiKey.lastUsed?.toISOString() ?? null,
     requestCount: apiKey.requestCount,
     expiresAt: apiKey.expiresAt?.toISOString() ?? null,
+    characterQuota: apiKey.characterQuota,
+    scopes: apiKey.scopes,
+    previousKeyExpiresAt: apiKey.isPreviousKeyValid() ? apiKey.previousKeyExpiresAt!.toISOString() : null,
+    ...(quotaStatus ? { quotaUsage: quotaStatusToResponse(quotaStatus) } : {}),
     ...(plainKey ? { key: plainKey } : {}),
   };
 }
 
+function maskSecret(value: string): string {
+  return value.length > 8 ? `${value.slice(0, 4)}...${value.slice(-4)}` : '****';
+}
+
+function maskEngineCredentials(
+  engineConfig: Record<string, EngineKeyConfig>
+): Record<string, EngineKeyConfig> {
+  return Object.fromEntries(
+    Object.entries(engineConfig).map(([engineId, config]) => [
+      engineId,
+      config.credentials
+        ? {
+            ...config,
+            credentials: Object.fromEntries(
+              Object.entries(config.credentials).map(([field, value]) => [field, maskSecret(value)])
+            ),
+          }
+        : config,
+    ])
+  );
+}
+
+function quotaStatusToResponse(status: QuotaStatus): AdminQuotaUsage {
+  return {
+    used: status.used,
+    remaining: status.remaining,
+    periodStart: status.periodStart.toISOString(),
+    resetsAt: status.resetsAt.toISOString(),
+  };
+}
+
+/**
+ * Add a change made through this API to the audit log. Details must not
+ * contain secrets: credentials are recorded by field name only.
+ */
+function recordAudit(c: Context, action: AuditAction, target?: string, details?: Record<string, unknown>): void {
+  const ctx = c.get('requestContext');
+  getAuditService().record({
+    action,
+    actor: getUsageKeyId(ctx),
+    actorName: ctx.apiKey?.name,
+    target,
+    details,
+    ip: c.req.header('x-forwarded-for')?.split(',')[0]?.trim() ?? c.req.header('x-real-ip'),
+  });
+}
+
+/**
+ * An engine's entry in GET /admin/api/engines/status
+ */
+function getEngineStatus(engineId: EngineType): Record<string, unknown> {
+  const def = getEngineDefinition(engineId)!;
+  let status: Record<string, unknown> = {
+    valid: false,
+    engine: engineId,
+    name: def.name,
+    description: def.description,
+    category: def.category,
+    environment: 'unknown',
+    requiresCredentials: def.requiresCredentials,
+    credentialTypes: def.credentialFields.map((f) => f.envVar),
+    message: 'Not initialized',
+    details: {
+      voiceCount: 0,
+      hasCredentials: false,
+    },
+  };
+
+  const engine = engineFactory?.getCachedEngine?.(engineId);
+  if (engine) {
+    const engineStatus = engine.getStatus();
+    status = {
+      ...status,
+      valid: engineStatus.available,
+      environment: 'system',
+      message: engineStatus.message,
+      details: {
+        voiceCount: engineStatus.voiceCount,
+        hasCredentials: true,
+      },
+      ...(engineStatus.error ? { error: engineStatus.error } : {}),
+    };
+  }
+
+  // The breaker outlives failed engine instances, so report it separately
+  const circuit = engineFactory?.getCircuitStates?.()[engineId];
+  return circuit ? { ...status, circuit } : status;
+}
+
+/**
+ * Rebuild an engine after its credentials changed, with the stored ones over
+ * those from the environment, and tell connected admin UIs how it went
+ */
+async function reloadEngine(engineId: EngineType): Promise<Record<string, unknown>> {
+  let error: string | undefined;
+  if (engineFactory?.reloadEngine) {
+    try {
+      const stored = (await credentialsStorage?.getCredentials(engineId)) ?? {};
+      const credentials = { ...getEngineCredentials(engineId), ...stored };
+      await engineFactory.reloadEngine(engineId, Object.keys(credentials).length > 0 ? credentials : null);
+      log.info('Engine reloaded', { engine: engineId });
+    } catch (reloadError) {
+      error = errorMessage(reloadError);
+      log.warn('Engine reload failed', { engine: engineId, error });
+    }
+  }
+  voiceCatalog?.invalidate();
+
+  const status = getEngineStatus(engineId);
+  if (error) status['error'] = error;
+  getAdminEventService().publish({ type: 'engine.status', engine: engineId, status });
+  return status;
+}
+
+async function getQuotaStatus(apiKey: ApiKey): Promise<QuotaStatus | undefined> {
+  if (!apiKey.characterQuota) return undefined;
+  return getUsageService().getQuotaStatus(apiKey.id, apiKey.characterQuota);
+}
+
 export function createAdminRoutes(): Hono {
   const routes = new Hono();
 
@@ -143,7 +417,7 @@ export function createAdminRoutes(): Hono {
 
     const keys = await keyRepository.findAll();
     const response: AdminKeysListResponse = {
-      keys: keys.map((k) => apiKeyToResponse(k)),
+      keys: await Promise.all(keys.map(async (k) => apiKeyToResponse(k, undefined, await getQuotaStatus(k)))),
       total: keys.length,
     };
 
@@ -167,9 +441,19 @@ export function createAdminRoutes(): Hono {
       isAdmin: body.isAdmin,
       rateLimit: body.rateLimit,
       expiresAt: body.expiresAt ? new Date(body.expiresAt) : undefined,
+      characterQuota: body.characterQuota,
+      scopes: body.scopes,
     });
 
     await keyRepository.save(apiKey);
+    recordAudit(c, 'key.create', apiKey.id, {
+      name: apiKey.name,
+      isAdmin: apiKey.isAdmin,
+      scopes: apiKey.scopes,
+      rateLimit: apiKey.rateLimit,
+      expiresAt: apiKey.expiresAt?.toISOString() ?? null,
+      characterQuota: apiKey.characterQuota,
+    });
 
     // Wrap response for frontend compatibility
     return c.json({
@@ -194,7 +478,7 @@ export function createAdminRoutes(): Hono {
       return c.json({ error: { code: 'NOT_FOUND', message: 'API key not found' } }, 404);
     }
 
-    return c.json(apiKeyToResponse(apiKey));
+    return c.json(apiKeyToResponse(apiKey, undefined, await getQuotaStatus(apiKey)));
   });
 
   /**
@@ -221,13 +505,94 @@ export function createAdminRoutes(): Hono {
       active: body.active,
       rateLimit: body.rateLimit,
       expiresAt: body.expiresAt === null ? null : body.expiresAt ? new Date(body.expiresAt) : undefined,
+      characterQuota: body.characterQuota,
+      scopes: body.scopes,
     });
 
     await keyRepository.save(updated);
+    recordAudit(c, 'key.update', keyId, body);
 
-    return c.json(apiKeyToResponse(updated));
+    return c.json(apiKeyToResponse(updated, undefined, await getQuotaStatus(updated)));
   });
 
+  /**
+   * Issue a new secret for a key. The old secret keeps working for the
+   * grace period so devices can be moved over without downtime.
+   * POST /admin/api/keys/:keyId/rotate
+   */
+  routes.post('/api/keys/:keyId/rotate', zValidator('json', rotateKeySchema), async (c) => {
+    if (!keyRepository) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Key service not available' } }, 503);
+    }
+
+    const keyId = c.req.param('keyId');
+    const apiKey = await keyRepository.findById(keyId);
+    if (!apiKey) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'API key not found' } }, 404);
+    }
+
+    const gracePeriodSeconds = c.req.valid('json').gracePeriodSeconds ?? getEnv().KEY_ROTATION_GRACE_SECONDS;
+    const { apiKey: rotated, plainKey } = getKeyService().rotateKey(apiKey, gracePeriodSeconds);
+
+    await keyRepository.save(rotated);
+    recordAudit(c, 'key.rotate', keyId, { gracePeriodSeconds });
+
+    return c.json({
+      message: 'API key rotated successfully',
+      key: apiKeyToResponse(rotated, plainKey, await getQuotaStatus(rotated)),
+    });
+  });
+
+  /**
+   * Get a key's character quota and current use
+   * GET /admin/api/keys/:keyId/quota
+   */
+  routes.get('/api/keys/:keyId/quota', async (c) => {
+    if (!keyRepository) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Key service not available' } }, 503);
+    }
+
+    const apiKey = await keyRepository.findById(c.req.param('keyId'));
+    if (!apiKey) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'API key not found' } }, 404);
+    }
+
+    const status = await getQuotaStatus(apiKey);
+    return c.json({
+      characterQuota: apiKey.characterQuota,
+      ...(status ? { quotaUsage: quotaStatusToResponse(status) } : {}),
+    });
+  });
+
+  /**
+   * Set or clear a key's character quota
+   * PUT /admin/api/keys/:keyId/quota
+   */
+  routes.put(
+    '/api/keys/:keyId/quota',
+    zValidator('json', z.object({ characterQuota: characterQuotaSchema.nullable() })),
+    async (c) => {
+      if (!keyRepository) {
+        return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Key service not available' } }, 503);
+      }
+
+      const apiKey = await keyRepository.findById(c.req.param('keyId'));
+      if (!apiKey) {
+        return c.json({ error: { code: 'NOT_FOUND', message: 'API key not found' } }, 404);
+      }
+
+      const updated = getKeyService().updateKey(apiKey, { characterQuota: c.req.valid('json').characterQuota });
+      await keyRepository.save(updated);
+      recordAudit(c, 'key.quota', apiKey.id, { characterQuota: updated.characterQuota });
+
+      const status = await getQuotaStatus(updated);
+      return c.json({
+        characterQuota: updated.characterQuota,
+        ...(status ? { quotaUsage: quotaStatusToResponse(status) } : {}),
+      });
+    }
+  );
+
   /**
    * Delete an API key
    * DELETE /admin/api/keys/:keyId
@@ -244,6 +609,8 @@ export function createAdminRoutes(): Hono {
       return c.json({ error: { code: 'NOT_FOUND', message: 'API key not found' } }, 404);
     }
 
+    await getLexiconService().delete(keyId);
+    recordAudit(c, 'key.delete', keyId);
     return c.json({ success: true });
   });
 
@@ -263,6 +630,11 @@ export function createAdminRoutes(): Hono {
       return c.json({ error: { code: 'NOT_FOUND', message: 'API key not found' } }, 404);
     }
 
+    // Read-only admins see custom credentials masked
+    if (!c.get('requestContext').isAdmin) {
+      return c.json({ engineConfig: maskEngineCredentials(apiKey.engineConfig ?? {}) });
+    }
+
     return c.json({ engineConfig: apiKey.engineConfig ?? {} });
   });
 
@@ -286,6 +658,21 @@ export function createAdminRoutes(): Hono {
     // Extract engineConfig from wrapped body
     const updated = apiKey.withUpdatedEngineConfig(body.engineConfig);
     await keyRepository.save(updated);
+    recordAudit(
+      c,
+      'key.engines',
+      keyId,
+      Object.fromEntries(
+        Object.entries(body.engineConfig).map(([engineId, config]) => [
+          engineId,
+          {
+            enabled: config.enabled,
+            useCustomCredentials: config.useCustomCredentials ?? false,
+            credentialFields: Object.keys(config.credentials ?? {}),
+          },
+        ])
+      )
+    );
 
     return c.json({ engineConfig: updated.engineConfig ?? {} });
   });
@@ -296,46 +683,8 @@ export function createAdminRoutes(): Hono {
    */
   routes.get('/api/engines/status', async (c) => {
     const engines: Record<string, unknown> = {};
-
-    for (const [engineId, def] of Object.entries(ENGINE_DEFINITIONS)) {
-      let status = {
-        valid: false,
-        engine: engineId,
-        environment: 'unknown',
-        requiresCredentials: def.requiresCredentials,
-        credentialTypes: def.credentialFields.map((f) => f.envVar),
-        message: 'Not initialized',
-        details: {
-          voiceCount: 0,
-          hasCredentials: false,
-        },
-      };
-
-      if (engineFactory && engineFactory.getCachedEngine) {
-        try {
-          const engine = engineFactory.getCachedEngine(engineId as keyof typeof ENGINE_DEFINITIONS);
-          if (engine) {
-            const engineStatus = engine.getStatus();
-            status = {
-              valid: engineStatus.available,
-              engine: engineId,
-              environment: 'system',
-              requiresCredentials: def.requiresCredentials,
-              credentialTypes: def.credentialFields.map((f) => f.envVar),
-              message: engineStatus.message,
-              details: {
-                voiceCount: engineStatus.voiceCount,
-                hasCredentials: true,
-              },
-              ...(engineStatus.error ? { error: engineStatus.error } : {}),
-            };
-          }
-        } catch {
-          // Engine not available
-        }
-      }
-
-      engines[engineId] = status;
+    for (const engineId of getEngineIds()) {
+      engines[engineId] = getEngineStatus(engineId);
     }
 
     const response: AdminEnginesStatusResponse = {
@@ -362,7 +711,7 @@ export function createAdminRoutes(): Hono {
     for (const [engineId, creds] of Object.entries(all)) {
       masked[engineId] = {};
       for (const [key, value] of Object.entries(creds)) {
-        masked[engineId][key] = value.length > 8 ? `${value.slice(0, 4)}...${value.slice(-4)}` : '****';
+        masked[engineId][key] = maskSecret(value);
       }
     }
 
@@ -378,12 +727,34 @@ export function createAdminRoutes(): Hono {
       return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Credentials service not available' } }, 503);
     }
 
-    const engineId = c.req.param('engineId');
+    const engineId = engineTypeSchema.safeParse(c.req.param('engineId'));
+    if (!engineId.success) {
+      return c.json({ error: { code: 'NOT_FOUND', message: `Unknown engine: ${c.req.param('engineId')}` } }, 404);
+    }
     const body = c.req.valid('json');
 
-    await credentialsStorage.saveCredentials(engineId, body.credentials);
+    await credentialsStorage.saveCredentials(engineId.data, body.credentials);
+    recordAudit(c, 'credentials.update', engineId.data, { fields: Object.keys(body.credentials) });
 
-    return c.json({ success: true });
+    return c.json({ success: true, status: await reloadEngine(engineId.data) });
+  });
+
+  /**
+   * Remove stored credentials for an engine; it falls back to those from the environment
+   * DELETE /admin/api/settings/credentials/:engineId
+   */
+  routes.delete('/api/settings/credentials/:engineId', async (c) => {
+    if (!credentialsStorage) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Credentials service not available' } }, 503);
+    }
+
+    const engineId = engineTypeSchema.safeParse(c.req.param('engineId'));
+    if (!engineId.success || !(await credentialsStorage.deleteCredentials(engineId.data))) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'No stored credentials for this engine' } }, 404);
+    }
+    recordAudit(c, 'credentials.delete', engineId.data);
+
+    return c.json({ success: true, status: await reloadEngine(engineId.data) });
   });
 
   /**
@@ -395,7 +766,7 @@ export function createAdminRoutes(): Hono {
       return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Engine service not available' } }, 503);
     }
 
-    const engineId = c.req.param('engineId') as keyof typeof ENGINE_DEFINITIONS;
+    const engineId = c.req.param('engineId') as EngineType;
 
     try {
       const engine = await engineFactory.createEngine(engineId);
@@ -419,20 +790,383 @@ export function createAdminRoutes(): Hono {
   });
 
   /**
-   * Get usage statistics
-   * GET /admin/api/usage
+   * Fetch every engine's voices again and rebuild the voice list
+   * POST /admin/api/voices/refresh
    */
-  routes.get('/api/usage', async (c) => {
-    // Placeholder - would integrate with UsageService
+  routes.post('/api/voices/refresh', async (c) => {
+    if (!voiceCatalog) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Voice catalog not available' } }, 503);
+    }
+
+    return c.json({ success: true, ...(await voiceCatalog.refresh()) });
+  });
+
+  /**
+   * Generate the previews of one engine's voices in the background; a
+   * previews.generated event follows when they are done
+   * POST /admin/api/voices/previews
+   */
+  routes.post('/api/voices/previews', zValidator('json', generatePreviewsSchema), async (c) => {
+    if (!voicePreviewService) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Voice previews not available' } }, 503);
+    }
+
+    const { engine, overwrite } = c.req.valid('json');
+    if (voicePreviewService.isGenerating(engine)) {
+      return c.json(
+        { error: { code: 'CONFLICT', message: `Previews are already being generated for engine: ${engine}` } },
+        409
+      );
+    }
+
+    const voiceCount = await voicePreviewService.generateForEngine(engine, { overwrite });
+    recordAudit(c, 'voice-preview.generate', engine, { overwrite, voiceCount });
+
+    return c.json({ success: true, engine, voiceCount }, 202);
+  });
+
+  /**
+   * List the registered SherpaOnnx models and the model folders not registered yet
+   * GET /admin/api/sherpaonnx/models
+   */
+  routes.get('/api/sherpaonnx/models', async (c) => {
+    if (!sherpaModelRegistry) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'SHERPAONNX_MODELS_DIR is not set' } }, 503);
+    }
+
     return c.json({
-      totalRequests: 0,
-      byKey: {},
-      byEngine: {},
-      byPath: {},
+      modelsDir: sherpaModelRegistry.modelsDir,
+      models: sherpaModelRegistry.list(),
+      available: await sherpaModelRegistry.scan(),
+    });
+  });
+
+  /**
+   * Register a model folder, or read a registered one again
+   * POST /admin/api/sherpaonnx/models
+   */
+  routes.post('/api/sherpaonnx/models', zValidator('json', registerSherpaModelSchema), async (c) => {
+    if (!sherpaModelRegistry) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'SHERPAONNX_MODELS_DIR is not set' } }, 503);
+    }
+
+    const { folder, enabled } = c.req.valid('json');
+    const isNew = !sherpaModelRegistry.get(folder);
+    const model = await sherpaModelRegistry.register(folder, enabled);
+    recordAudit(c, 'sherpa-model.register', model.id, { enabled: model.enabled, speakers: model.speakers.length });
+
+    return c.json({ model, status: await reloadEngine('sherpaonnx') }, isNew ? 201 : 200);
+  });
+
+  /**
+   * Enable or disable a registered model
+   * PATCH /admin/api/sherpaonnx/models/:modelId
+   */
+  routes.patch('/api/sherpaonnx/models/:modelId', zValidator('json', updateSherpaModelSchema), async (c) => {
+    if (!sherpaModelRegistry) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'SHERPAONNX_MODELS_DIR is not set' } }, 503);
+    }
+
+    const { enabled } = c.req.valid('json');
+    const model = await sherpaModelRegistry.setEnabled(c.req.param('modelId'), enabled);
+    if (!model) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'Model not found' } }, 404);
+    }
+    recordAudit(c, 'sherpa-model.update', model.id, { enabled });
+
+    return c.json({ model, status: await reloadEngine('sherpaonnx') });
+  });
+
+  /**
+   * Unregister a model; its folder is left in place
+   * DELETE /admin/api/sherpaonnx/models/:modelId
+   */
+  routes.delete('/api/sherpaonnx/models/:modelId', async (c) => {
+    if (!sherpaModelRegistry) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'SHERPAONNX_MODELS_DIR is not set' } }, 503);
+    }
+
+    const modelId = c.req.param('modelId');
+    if (!(await sherpaModelRegistry.remove(modelId))) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'Model not found' } }, 404);
+    }
+    recordAudit(c, 'sherpa-model.remove', modelId);
+
+    return c.json({ success: true, status: await reloadEngine('sherpaonnx') });
+  });
+
+  /**
+   * Stream engine status and voice list changes as server-sent events
+   * GET /admin/api/events
+   */
+  routes.get('/api/events', (c) =>
+    streamSSE(c, async (stream) => {
+      const unsubscribe = getAdminEventService().subscribe((event) => {
+        void stream.writeSSE({ event: event.type, data: JSON.stringify(event) });
+      });
+      const heartbeat = setInterval(() => void stream.write(': ping\n\n'), EVENTS_HEARTBEAT_MS);
+
+      await new Promise<void>((resolve) => stream.onAbort(resolve));
+      clearInterval(heartbeat);
+      unsubscribe();
+    })
+  );
+
+  /**
+   * Get audio cache statistics
+   * GET /admin/api/cache
+   */
+  routes.get('/api/cache', (c) => {
+    if (!audioCache) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Audio cache not available' } }, 503);
+    }
+
+    return c.json(audioCache.getStats());
+  });
+
+  /**
+   * Purge cached audio, optionally for a single engine and/or voice
+   * DELETE /admin/api/cache?engine=azure&voice=en-US-AvaNeural
+   */
+  routes.delete('/api/cache', async (c) => {
+    if (!audioCache) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Audio cache not available' } }, 503);
+    }
+
+    const engine = c.req.query('engine');
+    const voiceId = c.req.query('voice');
+    const removed = await audioCache.purge({ engine, voiceId });
+    recordAudit(c, 'cache.purge', undefined, { engine, voiceId, removed });
+
+    return c.json({ success: true, removed });
+  });
+
+  /**
+   * List voice mappings
+   * GET /admin/api/voice-mappings
+   */
+  routes.get('/api/voice-mappings', async (c) => {
+    if (!voiceMappingRepository) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Voice mappings not available' } }, 503);
+    }
+
+    const mappings = await voiceMappingRepository.findAll();
+    return c.json({ mappings, total: mappings.length });
+  });
+
+  /**
+   * Get a voice mapping
+   * GET /admin/api/voice-mappings/:voiceId
+   */
+  routes.get('/api/voice-mappings/:voiceId', async (c) => {
+    if (!voiceMappingRepository) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Voice mappings not available' } }, 503);
+    }
+
+    const mapping = await voiceMappingRepository.findById(c.req.param('voiceId'));
+    if (!mapping) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'Voice mapping not found' } }, 404);
+    }
+
+    return c.json(mapping);
+  });
+
+  /**
+   * Create a voice mapping
+   * POST /admin/api/voice-mappings
+   */
+  routes.post('/api/voice-mappings', zValidator('json', createVoiceMappingSchema), async (c) => {
+    if (!voiceMappingRepository) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Voice mappings not available' } }, 503);
+    }
+
+    const mapping = c.req.valid('json');
+    if (await voiceMappingRepository.findById(mapping.elevenLabsId)) {
+      return c.json(
+        { error: { code: 'CONFLICT', message: `Voice mapping already exists: ${mapping.elevenLabsId}` } },
+        409
+      );
+    }
+
+    await voiceMappingRepository.save(mapping);
+    voiceCatalog?.invalidate();
+    recordAudit(c, 'voice-mapping.create', mapping.elevenLabsId, mapping);
+
+    return c.json(mapping, 201);
+  });
+
+  /**
+   * Create or replace a voice mapping
+   * PUT /admin/api/voice-mappings/:voiceId
+   */
+  routes.put('/api/voice-mappings/:voiceId', zValidator('json', voiceMappingFieldsSchema), async (c) => {
+    if (!voiceMappingRepository) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Voice mappings not available' } }, 503);
+    }
+
+    const mapping = { elevenLabsId: c.req.param('voiceId'), ...c.req.valid('json') };
+    await voiceMappingRepository.save(mapping);
+    voiceCatalog?.invalidate();
+    await voicePreviewService?.remove(mapping.elevenLabsId);
+    recordAudit(c, 'voice-mapping.update', mapping.elevenLabsId, mapping);
+
+    return c.json(mapping);
+  });
+
+  /**
+   * Delete a voice mapping
+   * DELETE /admin/api/voice-mappings/:voiceId
+   */
+  routes.delete('/api/voice-mappings/:voiceId', async (c) => {
+    if (!voiceMappingRepository) {
+      return c.json({ error: { code: 'SERVICE_UNAVAILABLE', message: 'Voice mappings not available' } }, 503);
+    }
+
+    const deleted = await voiceMappingRepository.delete(c.req.param('voiceId'));
+    if (!deleted) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'Voice mapping not found' } }, 404);
+    }
+
+    voiceCatalog?.invalidate();
+    await voicePreviewService?.remove(c.req.param('voiceId'));
+    recordAudit(c, 'voice-mapping.delete', c.req.param('voiceId'));
+    return c.json({ success: true });
+  });
+
+  /**
+   * List pronunciation lexicons
+   * GET /admin/api/lexicons
+   */
+  routes.get('/api/lexicons', async (c) => {
+    const lexicons = getLexiconService().list();
+    return c.json({ lexicons, total: lexicons.length });
+  });
+
+  /**
+   * Show how text will be sent to an engine once the lexicons are applied
+   * POST /admin/api/lexicons/preview
+   */
+  routes.post('/api/lexicons/preview', zValidator('json', lexiconPreviewSchema), async (c) => {
+    const { text, keyId, engine, ssml } = c.req.valid('json');
+    const isDocument = ssml ?? isSsml(text);
+    if (isDocument) validateSsml(text);
+
+    return c.json(
+      getLexiconService().apply(text, {
+        keyId,
+        engine,
+        ssml: isDocument,
+        phonemeAlphabets: engine ? getEngineDefinition(engine)?.phonemeAlphabets : undefined,
+      })
+    );
+  });
+
+  /**
+   * Get the lexicon of a scope ("global" or an API key ID)
+   * GET /admin/api/lexicons/:scope
+   */
+  routes.get('/api/lexicons/:scope', async (c) => {
+    const lexicon = getLexiconService().get(c.req.param('scope'));
+    if (!lexicon) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'Lexicon not found' } }, 404);
+    }
+
+    return c.json(lexicon);
+  });
+
+  /**
+   * Create or replace the lexicon of a scope
+   * PUT /admin/api/lexicons/:scope
+   */
+  routes.put('/api/lexicons/:scope', zValidator('json', lexiconSchema), async (c) => {
+    const scope = c.req.param('scope');
+    if (scope !== GLOBAL_LEXICON_SCOPE && keyRepository && !(await keyRepository.findById(scope))) {
+      return c.json({ error: { code: 'NOT_FOUND', message: `API key not found: ${scope}` } }, 404);
+    }
+
+    const lexicon = await getLexiconService().save(scope, c.req.valid('json').rules);
+    recordAudit(c, 'lexicon.update', scope, { rules: lexicon.rules.length });
+    return c.json(lexicon);
+  });
+
+  /**
+   * Delete the lexicon of a scope
+   * DELETE /admin/api/lexicons/:scope
+   */
+  routes.delete('/api/lexicons/:scope', async (c) => {
+    const deleted = await getLexiconService().delete(c.req.param('scope'));
+    if (!deleted) {
+      return c.json({ error: { code: 'NOT_FOUND', message: 'Lexicon not found' } }, 404);
+    }
+
+    recordAudit(c, 'lexicon.delete', c.req.param('scope'));
+    return c.json({ success: true });
+  });
+
+  /**
+   * Get usage statistics
+   * GET /admin/api/usage?since=&until=&keyId=&engine=&interval=hour|day
+   *
+   * Defaults to the last 24 hours. With an interval, a timeline is included.
+   */
+  routes.get('/api/usage', zValidator('query', usageQuerySchema), async (c) => {
+    const { since, until, keyId, engine, interval } = c.req.valid('query');
+    const start = since ?? new Date(Date.now() - 86400000);
+    const end = until ?? new Date();
+
+    const report = await getUsageService().getReport(
+      { since: start, until: end, keyId, engine: engine as EngineType | undefined },
+      interval
+    );
+
+    const response: AdminUsageResponse = {
+      ...report,
       period: {
-        start: new Date(Date.now() - 86400000).toISOString(),
-        end: new Date().toISOString(),
+        start: start.toISOString(),
+        end: end.toISOString(),
       },
+    };
+
+    return c.json(response);
+  });
+
+  /**
+   * Get individual usage records, newest first
+   * GET /admin/api/usage/records?since=&until=&keyId=&engine=&limit=
+   */
+  routes.get(
+    '/api/usage/records',
+    zValidator('query', usageQuerySchema.extend({ limit: z.coerce.number().min(1).max(1000).default(100) })),
+    async (c) => {
+      const { since, until, keyId, engine, limit } = c.req.valid('query');
+
+      const records = await getUsageService().getRecords({
+        since,
+        until,
+        keyId,
+        engine: engine as EngineType | undefined,
+      });
+
+      return c.json({
+        records: records.slice(-limit).reverse(),
+        total: records.length,
+      });
+    }
+  );
+
+  /**
+   * Get audit log entries, newest first. action matches an action
+   * ("key.update") or all actions on a resource ("key").
+   * GET /admin/api/audit?since=&until=&action=&actor=&target=&limit=
+   */
+  routes.get('/api/audit', zValidator('query', auditQuerySchema), async (c) => {
+    const { limit, ...query } = c.req.valid('query');
+
+    // One extra entry tells whether there are more
+    const entries = await getAuditService().query(query, limit + 1);
+    return c.json({
+      entries: entries.slice(0, limit),
+      hasMore: entries.length > limit,
     });
   });
 
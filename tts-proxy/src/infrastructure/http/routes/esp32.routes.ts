@@ -7,18 +7,34 @@ import { Hono } from 'hono';
 import { zValidator } from '@hono/zod-validator';
 import { z } from 'zod';
 import type { TTSEngineFactoryPort } from '../../../application/ports/tts-engine-port.js';
+import type { SynthesisService } from '../../../application/services/synthesis-service.js';
+import type { VoiceCatalog } from '../../../application/services/voice-catalog.js';
 import type { EngineType } from '../../../types/engine.types.js';
+import type { AudioFormat } from '../../../types/tts.types.js';
 import { getEnv } from '../../../config/env.js';
+import { enforceCharacterQuota } from '../middleware/usage.middleware.js';
+import { validateSsml } from '../../../domain/services/ssml.js';
+import { toVoiceFilter, toVoicePageRequest, voiceQuerySchema } from './tts.routes.js';
 
 // Dependencies
 let engineFactory: TTSEngineFactoryPort | null = null;
+let synthesisService: SynthesisService | null = null;
+let voiceCatalog: VoiceCatalog | null = null;
 
 export function setEsp32Dependencies(deps: {
   engineFactory?: TTSEngineFactoryPort;
+  synthesisService?: SynthesisService;
+  voiceCatalog?: VoiceCatalog;
 }): void {
   if (deps.engineFactory) {
     engineFactory = deps.engineFactory;
   }
+  if (deps.synthesisService) {
+    synthesisService = deps.synthesisService;
+  }
+  if (deps.voiceCatalog) {
+    voiceCatalog = deps.voiceCatalog;
+  }
 }
 
 // Request validation schema
@@ -26,7 +42,7 @@ const speakSchema = z.object({
   text: z.string().min(1).max(2000),
   engine: z.string().optional(),
   voice: z.string().optional(),
-  format: z.enum(['pcm16', 'wav', 'mp3']).optional().default('pcm16'),
+  format: z.enum(['pcm16', 'wav', 'mp3', 'ogg', 'ulaw']).optional().default('pcm16'),
   sample_rate: z.number().min(8000).max(48000).optional(),
   ssml: z.boolean().optional().default(false),
 });
@@ -44,7 +60,7 @@ export function createEsp32Routes(): Hono {
     const body = c.req.valid('json');
     const env = getEnv();
 
-    if (!engineFactory) {
+    if (!synthesisService) {
       return c.json(
         { error: { code: 'SERVICE_UNAVAILABLE', message: 'TTS service not initialized' } },
         503
@@ -55,42 +71,45 @@ export function createEsp32Routes(): Hono {
     const engineId = (body.engine ?? env.ESP32_DEFAULT_ENGINE) as EngineType;
     const voiceId = body.voice ?? env.ESP32_DEFAULT_VOICE;
     const sampleRate = body.sample_rate ?? env.ESP32_DEFAULT_SAMPLE_RATE;
+    const access = c.get('requestContext').apiKey;
+
+    synthesisService.assertEngineAccess(engineId, access);
+    if (body.ssml) {
+      validateSsml(body.text);
+    }
+    await enforceCharacterQuota(c.get('requestContext'), body.text.length);
 
     try {
-      // Get engine
-      const engine = await engineFactory.createEngine(engineId);
-
-      // Determine output format
-      let outputFormat: 'wav' | 'mp3' | 'pcm';
-      switch (body.format) {
-        case 'pcm16':
-          outputFormat = 'pcm';
-          break;
-        case 'wav':
-          outputFormat = 'wav';
-          break;
-        case 'mp3':
-          outputFormat = 'mp3';
-          break;
-        default:
-          outputFormat = 'pcm';
-      }
+      const outputFormat = toAudioFormat(body.format);
 
-      // Synthesize
-      const result = await engine.synthesize({
+      const usage = { engine: engineId, characterCount: body.text.length };
+      c.get('requestContext').usage = usage;
+
+      // Synthesize (served from the audio cache when possible)
+      const result = await synthesisService.synthesize({
+        engine: engineId,
         text: body.text,
         voiceId,
         outputFormat,
         sampleRate,
+        ssml: body.ssml,
+        access,
+        priority: 'interactive',
       });
 
       // Set headers with audio metadata
       c.header('Content-Type', getContentType(body.format));
       c.header('X-Audio-Format', body.format);
-      c.header('X-Sample-Rate', String(sampleRate));
+      c.header('X-Sample-Rate', String(result.sampleRate));
       c.header('X-Channels', '1'); // Mono for embedded devices
-      c.header('X-Bit-Depth', '16');
+      c.header('X-Bit-Depth', body.format === 'ulaw' ? '8' : '16');
       c.header('X-Character-Count', String(result.characterCount));
+      c.header('X-Cache', result.cached ? 'HIT' : 'MISS');
+      c.header('X-Engine', result.engine);
+      if (result.fallbackFrom) {
+        c.header('X-Fallback-From', result.fallbackFrom);
+      }
+      usage.engine = result.engine;
 
       if (result.duration) {
         c.header('X-Duration-Ms', String(Math.round(result.duration * 1000)));
@@ -109,43 +128,33 @@ export function createEsp32Routes(): Hono {
   });
 
   /**
-   * Get available voices (simplified for embedded devices)
+   * Get available voices (simplified for embedded devices), optionally
+   * filtered and paged like /v1/voices
    * GET /api/voices
    */
-  routes.get('/voices', async (c) => {
-    if (!engineFactory) {
+  routes.get('/voices', zValidator('query', voiceQuerySchema), async (c) => {
+    if (!voiceCatalog) {
       return c.json(
         { error: { code: 'SERVICE_UNAVAILABLE', message: 'TTS service not initialized' } },
         503
       );
     }
 
-    const voices: Array<{
-      id: string;
-      name: string;
-      engine: string;
-      language: string;
-    }> = [];
-
-    for (const engineId of engineFactory.getAvailableEngines()) {
-      try {
-        const engine = await engineFactory.createEngine(engineId);
-        const engineVoices = await engine.getVoices();
-
-        for (const voice of engineVoices) {
-          voices.push({
-            id: voice.id,
-            name: voice.name,
-            engine: voice.engine,
-            language: voice.languageCode,
-          });
-        }
-      } catch {
-        // Skip unavailable engines
-      }
-    }
-
-    return c.json({ voices, count: voices.length });
+    // Devices name an engine and its own voice ID, so voices mapped onto ElevenLabs IDs are left out
+    const query = c.req.valid('query');
+    const page = await voiceCatalog.findVoices(
+      c.get('requestContext').apiKey,
+      { ...toVoiceFilter(query), mapped: false },
+      toVoicePageRequest(query)
+    );
+
+    const voices = page.voices.map((voice) => ({
+      id: voice.id,
+      name: voice.name,
+      engine: voice.engine,
+      language: voice.languageCode,
+    }));
+    return c.json({ voices, count: voices.length, total: page.total, next_cursor: page.nextCursor });
   });
 
   /**
@@ -153,7 +162,7 @@ export function createEsp32Routes(): Hono {
    * GET /api/engines
    */
   routes.get('/engines', async (c) => {
-    if (!engineFactory) {
+    if (!synthesisService) {
       return c.json(
         { error: { code: 'SERVICE_UNAVAILABLE', message: 'TTS service not initialized' } },
         503
@@ -166,9 +175,10 @@ export function createEsp32Routes(): Hono {
       voiceCount: number;
     }> = [];
 
-    for (const engineId of engineFactory.getAvailableEngines()) {
+    const access = c.get('requestContext').apiKey;
+    for (const engineId of synthesisService.getAccessibleEngines(access)) {
       try {
-        const engine = await engineFactory.createEngine(engineId);
+        const engine = await synthesisService.getEngineFor(engineId, access);
         const status = engine.getStatus();
 
         engines.push({
@@ -202,6 +212,13 @@ export function createEsp32Routes(): Hono {
   return routes;
 }
 
+/**
+ * Map an embedded-device format name to the audio format it stands for
+ */
+function toAudioFormat(format: 'pcm16' | 'wav' | 'mp3' | 'ogg' | 'ulaw'): AudioFormat {
+  return format === 'pcm16' ? 'pcm' : format;
+}
+
 function getContentType(format: string): string {
   switch (format) {
     case 'pcm16':
@@ -210,6 +227,10 @@ function getContentType(format: string): string {
       return 'audio/wav';
     case 'mp3':
       return 'audio/mpeg';
+    case 'ogg':
+      return 'audio/ogg';
+    case 'ulaw':
+      return 'audio/basic';
     default:
       return 'application/octet-stream';
   }
@@ -4,19 +4,106 @@
  */
 
 import { Hono } from 'hono';
-import type { HealthResponse, ReadyResponse, MetricsResponse } from '../../../types/api.types.js';
+import type { HealthResponse, ReadyResponse } from '../../../types/api.types.js';
+import type { AudioCachePort } from '../../../application/ports/audio-cache-port.js';
+import { getMetricsService, type MetricSample } from '../../../domain/services/metrics-service.js';
+import type { EngineQueueSnapshot } from '../../../domain/services/engine-scheduler.js';
+import { metricsAuthMiddleware } from '../middleware/auth.middleware.js';
 
 // These will be set during server initialization
 let startTime = Date.now();
-let engineFactory: { getInitializedEngines: () => Map<string, { isAvailable: () => boolean }> } | null = null;
+let engineFactory: {
+  getInitializedEngines: () => Map<string, { isAvailable: () => boolean }>;
+  getCircuitStates?: () => Partial<Record<string, { state: string }>>;
+  getQueueStates?: () => Partial<Record<string, EngineQueueSnapshot>>;
+} | null = null;
 let keyRepository: { isAvailable: () => Promise<boolean> } | null = null;
+let audioCache: Pick<AudioCachePort, 'isEnabled' | 'getStats'> | null = null;
 
 export function setHealthDependencies(deps: {
   engineFactory?: typeof engineFactory;
   keyRepository?: typeof keyRepository;
+  audioCache?: typeof audioCache;
 }): void {
   if (deps.engineFactory) engineFactory = deps.engineFactory;
   if (deps.keyRepository) keyRepository = deps.keyRepository;
+  if (deps.audioCache) audioCache = deps.audioCache;
+}
+
+/**
+ * Values read when /metrics is scraped: engine state, the audio cache and the process
+ */
+function collectMetricSamples(): MetricSample[] {
+  const samples: MetricSample[] = [];
+
+  if (engineFactory) {
+    for (const [id, engine] of engineFactory.getInitializedEngines()) {
+      samples.push({
+        name: 'engine_available',
+        help: 'Whether an initialized engine is available (1) or not (0)',
+        type: 'gauge',
+        labels: { engine: id },
+        value: engine.isAvailable() ? 1 : 0,
+      });
+    }
+    for (const [id, circuit] of Object.entries(engineFactory.getCircuitStates?.() ?? {})) {
+      if (!circuit) continue;
+      samples.push({
+        name: 'engine_circuit_open',
+        help: 'Whether an engine is skipped after repeated failures (1) or not (0)',
+        type: 'gauge',
+        labels: { engine: id },
+        value: circuit.state === 'closed' ? 0 : 1,
+      });
+    }
+    for (const [id, queue] of Object.entries(engineFactory.getQueueStates?.() ?? {})) {
+      if (!queue) continue;
+      samples.push(
+        {
+          name: 'engine_calls_active',
+          help: 'Engine calls running',
+          type: 'gauge',
+          labels: { engine: id },
+          value: queue.active,
+        },
+        {
+          name: 'engine_queue_depth',
+          help: 'Engine calls waiting for a turn',
+          type: 'gauge',
+          labels: { engine: id },
+          value: queue.queued,
+        }
+      );
+    }
+  }
+
+  if (audioCache?.isEnabled()) {
+    const stats = audioCache.getStats();
+    samples.push(
+      { name: 'cache_hits_total', help: 'Audio cache hits', type: 'counter', value: stats.hits },
+      { name: 'cache_misses_total', help: 'Audio cache misses', type: 'counter', value: stats.misses },
+      { name: 'cache_evictions_total', help: 'Audio cache evictions', type: 'counter', value: stats.evictions },
+      { name: 'cache_entries', help: 'Clips in the audio cache', type: 'gauge', value: stats.entries },
+      { name: 'cache_size_bytes', help: 'Size of the audio cache', type: 'gauge', value: stats.sizeBytes }
+    );
+  }
+
+  samples.push(
+    {
+      name: 'uptime_seconds',
+      help: 'Seconds since the server started',
+      type: 'gauge',
+      value: Math.floor((Date.now() - startTime) / 1000),
+    },
+    {
+      name: 'resident_memory_bytes',
+      help: 'Resident memory of the server process',
+      type: 'gauge',
+      value: process.memoryUsage().rss,
+    }
+  );
+
+  return samples;
 }
 
 export function createHealthRoutes(): Hono {
@@ -31,6 +118,9 @@ export function createHealthRoutes(): Hono {
 
     const availableEngines: string[] = [];
     const unavailableEngines: string[] = [];
+    const circuitOpenEngines: string[] = [];
+    const queues: Record<string, EngineQueueSnapshot> = {};
+    let queueFull = false;
 
     if (engineFactory) {
       for (const [id, engine] of engineFactory.getInitializedEngines()) {
@@ -40,17 +130,32 @@ export function createHealthRoutes(): Hono {
           unavailableEngines.push(id);
         }
       }
+
+      for (const [id, circuit] of Object.entries(engineFactory.getCircuitStates?.() ?? {})) {
+        if (circuit && circuit.state !== 'closed') {
+          circuitOpenEngines.push(id);
+        }
+      }
+
+      for (const [id, queue] of Object.entries(engineFactory.getQueueStates?.() ?? {})) {
+        if (!queue) continue;
+        queues[id] = queue;
+        // New calls to this engine are being turned away
+        if (queue.active >= queue.concurrency && queue.queued >= queue.maxQueueDepth) queueFull = true;
+      }
     }
 
     const response: HealthResponse = {
-      status: unavailableEngines.length > 0 ? 'degraded' : 'ok',
+      status: unavailableEngines.length > 0 || circuitOpenEngines.length > 0 || queueFull ? 'degraded' : 'ok',
       version: process.env['npm_package_version'] ?? '1.0.0',
       uptime,
       timestamp: new Date().toISOString(),
       engines: {
         available: availableEngines,
         unavailable: unavailableEngines,
+        ...(circuitOpenEngines.length > 0 ? { circuitOpen: circuitOpenEngines } : {}),
       },
+      queues,
     };
 
     return c.json(response);
@@ -99,27 +204,12 @@ export function createHealthRoutes(): Hono {
   });
 
   /**
-   * Metrics endpoint
+   * Prometheus metrics (admin key or METRICS_TOKEN)
    * GET /metrics
    */
-  routes.get('/metrics', async (c) => {
-    // Basic metrics - would be enhanced with actual tracking
-    const response: MetricsResponse = {
-      requests: {
-        total: 0,
-        success: 0,
-        errors: 0,
-      },
-      latency: {
-        avg: 0,
-        p50: 0,
-        p95: 0,
-        p99: 0,
-      },
-      engines: {},
-    };
-
-    return c.json(response);
+  routes.get('/metrics', metricsAuthMiddleware, (c) => {
+    c.header('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return c.body(getMetricsService().render(collectMetricSamples()));
   });
 
   /**
@@ -0,0 +1,236 @@
+/**
+ * Job Routes
+ * Long-form synthesis: submit a document, poll its progress, download the audio
+ */
+
+import { Hono, type Context } from 'hono';
+import { zValidator } from '@hono/zod-validator';
+import { z } from 'zod';
+import type { JobService } from '../../../application/services/job-service.js';
+import { getJobProgress, type SynthesisJob } from '../../../domain/entities/job.js';
+import { ELEVENLABS_OUTPUT_FORMATS, parseOutputFormat } from '../../../domain/services/output-format.js';
+import { isSsml } from '../../../domain/services/ssml.js';
+import { getTTSService } from '../../../domain/services/tts-service.js';
+import { EngineAccessDeniedError } from '../../../domain/errors/domain-errors.js';
+import { getUsageKeyId } from '../middleware/usage.middleware.js';
+import { findVoice, voiceSettingsSchema, withDefaults } from './tts.routes.js';
+
+// Dependencies - set during server initialization
+let jobService: JobService | null = null;
+
+export function setJobDependencies(deps: { jobService?: JobService }): void {
+  if (deps.jobService) {
+    jobService = deps.jobService;
+  }
+}
+
+const createJobBodySchema = z.object({
+  text: z.string().min(1), // the job limit is checked by the service
+  voice_id: z.string().min(1),
+  model_id: z.string().optional(),
+  voice_settings: voiceSettingsSchema.optional(),
+  output_format: z.enum(ELEVENLABS_OUTPUT_FORMATS).default('mp3_44100_128'),
+});
+
+/**
+ * Find a job the caller may see: its own, or any for admins
+ */
+function findJob(c: Context, service: JobService): SynthesisJob | undefined {
+  const job = service.get(c.req.param('jobId') ?? '');
+  const ctx = c.get('requestContext');
+  if (!job || (!ctx.isAdmin && job.keyId !== getUsageKeyId(ctx))) return undefined;
+  return job;
+}
+
+function jobNotFound(c: Context) {
+  return c.json(
+    { error: { code: 'JOB_NOT_FOUND', message: `Job not found: ${c.req.param('jobId')}` } },
+    404
+  );
+}
+
+function serviceUnavailable(c: Context) {
+  return c.json(
+    { error: { code: 'SERVICE_UNAVAILABLE', message: 'Job service not initialized' } },
+    503
+  );
+}
+
+function toJobResponse(job: SynthesisJob, service: JobService) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    voice_id: job.voiceId,
+    engine: job.engine,
+    ...(job.fallbackFrom ? { fallback_from: job.fallbackFrom } : {}),
+    output_format: job.outputFormat,
+    character_count: job.characterCount,
+    progress: {
+      percent: getJobProgress(job),
+      completed_chunks: job.completedChunks,
+      total_chunks: job.totalChunks,
+    },
+    ...(job.status === 'queued' ? { queue_position: service.getQueuePosition(job.id) } : {}),
+    ...(job.status === 'completed'
+      ? {
+          audio_url: `/v1/jobs/${job.id}/audio`,
+          duration_seconds: job.duration,
+          size_bytes: job.sizeBytes,
+        }
+      : {}),
+    ...(job.error ? { error: job.error } : {}),
+    created_at: job.createdAt,
+    started_at: job.startedAt ?? null,
+    completed_at: job.completedAt ?? null,
+    expires_at: job.expiresAt ?? null,
+  };
+}
+
+export function createJobRoutes(): Hono {
+  const routes = new Hono();
+
+  /**
+   * Submit a long-form synthesis job
+   * POST /v1/jobs
+   */
+  routes.post('/jobs', zValidator('json', createJobBodySchema), async (c) => {
+    const body = c.req.valid('json');
+    if (!jobService) return serviceUnavailable(c);
+
+    if (isSsml(body.text)) {
+      return c.json(
+        {
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Jobs take plain text (inline <break> tags are allowed), not SSML documents',
+          },
+        },
+        400
+      );
+    }
+
+    const ctx = c.get('requestContext');
+    const voice = await findVoice(body.voice_id, ctx.apiKey);
+    if (!voice) {
+      return c.json(
+        { error: { code: 'VOICE_NOT_FOUND', message: `Voice not found: ${body.voice_id}` } },
+        404
+      );
+    }
+    // Checked up front, like the synchronous routes, rather than when the job runs
+    if (ctx.apiKey && !ctx.apiKey.canAccessEngine(voice.engine)) {
+      throw new EngineAccessDeniedError(voice.engine);
+    }
+
+    const output = parseOutputFormat(body.output_format);
+    const job = await jobService.create({
+      keyId: getUsageKeyId(ctx),
+      voiceId: body.voice_id,
+      outputFormat: body.output_format,
+      request: {
+        engine: voice.engine,
+        text: body.text,
+        voiceId: voice.nativeVoiceId,
+        voice,
+        voiceSettings: withDefaults(voice, body.voice_settings),
+        outputFormat: output.format,
+        sampleRate: output.sampleRate,
+        bitrate: output.bitrate,
+        access: ctx.apiKey,
+      },
+      characterQuota: ctx.apiKey?.characterQuota,
+    });
+
+    c.header('Location', `/v1/jobs/${job.id}`);
+    return c.json(toJobResponse(job, jobService), 202);
+  });
+
+  /**
+   * List the caller's jobs, newest first
+   * GET /v1/jobs
+   */
+  routes.get('/jobs', (c) => {
+    if (!jobService) return serviceUnavailable(c);
+
+    const service = jobService;
+    const ctx = c.get('requestContext');
+    const jobs = service.list(ctx.isAdmin ? undefined : getUsageKeyId(ctx));
+    return c.json({ jobs: jobs.map((job) => toJobResponse(job, service)) });
+  });
+
+  /**
+   * Get a job's status and progress
+   * GET /v1/jobs/:jobId
+   */
+  routes.get('/jobs/:jobId', (c) => {
+    if (!jobService) return serviceUnavailable(c);
+
+    const job = findJob(c, jobService);
+    if (!job) return jobNotFound(c);
+    return c.json(toJobResponse(job, jobService));
+  });
+
+  /**
+   * Download a finished job's audio
+   * GET /v1/jobs/:jobId/audio
+   */
+  routes.get('/jobs/:jobId/audio', async (c) => {
+    if (!jobService) return serviceUnavailable(c);
+
+    const job = findJob(c, jobService);
+    if (!job) return jobNotFound(c);
+
+    if (job.status !== 'completed') {
+      return c.json(
+        { error: { code: 'JOB_NOT_COMPLETED', message: `Job is ${job.status}` } },
+        409
+      );
+    }
+
+    const audio = await jobService.readAudio(job);
+    if (!audio) {
+      return c.json(
+        { error: { code: 'JOB_AUDIO_NOT_FOUND', message: 'The audio of this job is no longer stored' } },
+        410
+      );
+    }
+
+    c.header('Content-Type', getTTSService().getContentType(job.format));
+    c.header('Content-Disposition', `attachment; filename="${job.id}.${job.format}"`);
+    c.header('X-Audio-Format', job.format);
+    if (job.sampleRate) {
+      c.header('X-Sample-Rate', String(job.sampleRate));
+    }
+    return new Response(audio, { headers: c.res.headers });
+  });
+
+  /**
+   * Cancel a job without deleting it
+   * POST /v1/jobs/:jobId/cancel
+   */
+  routes.post('/jobs/:jobId/cancel', async (c) => {
+    if (!jobService) return serviceUnavailable(c);
+
+    const job = findJob(c, jobService);
+    if (!job) return jobNotFound(c);
+
+    await jobService.cancel(job.id);
+    return c.json(toJobResponse(job, jobService));
+  });
+
+  /**
+   * Delete a job and its audio, cancelling it first if it is still running
+   * DELETE /v1/jobs/:jobId
+   */
+  routes.delete('/jobs/:jobId', async (c) => {
+    if (!jobService) return serviceUnavailable(c);
+
+    const job = findJob(c, jobService);
+    if (!job) return jobNotFound(c);
+
+    await jobService.delete(job.id);
+    return c.json({ success: true });
+  });
+
+  return routes;
+}
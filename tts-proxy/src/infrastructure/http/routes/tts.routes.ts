@@ -1,81 +1,327 @@
 /**
  * TTS Routes
- * ElevenLabs-compatible API endpoints
+ * ElevenLabs-compatible API endpoints, plus OpenAI-compatible speech
  */
 
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
+import { stream } from 'hono/streaming';
+import type { StreamingApi } from 'hono/utils/stream';
 import { zValidator } from '@hono/zod-validator';
 import { z } from 'zod';
 import type {
   ElevenLabsVoicesResponse,
+  ElevenLabsVoicesV2Response,
   ElevenLabsModel,
   ElevenLabsUser,
+  VoiceSettings,
+  AudioSpec,
 } from '../../../types/tts.types.js';
+import type { EngineType } from '../../../types/engine.types.js';
+import type { RequestUsage } from '../../../types/api.types.js';
+import { engineTypeSchema } from '../validators/schemas.js';
 import type { TTSEngineFactoryPort } from '../../../application/ports/tts-engine-port.js';
-import { VoiceCollection } from '../../../domain/entities/voice.js';
+import type { SynthesisService, EngineAccess } from '../../../application/services/synthesis-service.js';
+import type { VoiceCatalog } from '../../../application/services/voice-catalog.js';
+import type { VoicePreviewService } from '../../../application/services/voice-preview-service.js';
+import {
+  Voice,
+  VoiceCollection,
+  type VoiceFilter,
+  type VoicePageRequest,
+} from '../../../domain/entities/voice.js';
+import { emptyAlignment } from '../../../domain/services/alignment.js';
+import {
+  ELEVENLABS_OUTPUT_FORMATS,
+  parseOutputFormat,
+  type ElevenLabsOutputFormat,
+} from '../../../domain/services/output-format.js';
+import {
+  OPENAI_TTS_MODELS,
+  OPENAI_VOICES,
+  type OpenAIVoiceMap,
+} from '../../../domain/services/openai-voices.js';
+import { getTTSService } from '../../../domain/services/tts-service.js';
+import { inlineBreaksToSsml, isSsml, validateSsml } from '../../../domain/services/ssml.js';
+import { getUsageService } from '../../../domain/services/usage-service.js';
+import { getUsageKeyId, enforceCharacterQuota } from '../middleware/usage.middleware.js';
+import { getErrorStatus } from '../middleware/error-handler.middleware.js';
+import { WavStreamStitcher } from '../../audio/wav.js';
+import { errorMessage, getLogger } from '../../../domain/services/log-service.js';
+
+const log = getLogger('TTS');
 
 // Dependencies - set during server initialization
 let engineFactory: TTSEngineFactoryPort | null = null;
-let voiceCache: VoiceCollection | null = null;
+let synthesisService: SynthesisService | null = null;
+let voiceCatalog: VoiceCatalog | null = null;
+let voicePreviewService: VoicePreviewService | null = null;
+let openAIVoiceMap: OpenAIVoiceMap = new Map();
 
 export function setTtsDependencies(deps: {
   engineFactory?: TTSEngineFactoryPort;
+  synthesisService?: SynthesisService;
+  voiceCatalog?: VoiceCatalog;
+  voicePreviewService?: VoicePreviewService;
+  openAIVoiceMap?: OpenAIVoiceMap;
 }): void {
   if (deps.engineFactory) {
     engineFactory = deps.engineFactory;
   }
+  if (deps.synthesisService) {
+    synthesisService = deps.synthesisService;
+  }
+  if (deps.voiceCatalog) {
+    voiceCatalog = deps.voiceCatalog;
+  }
+  if (deps.voicePreviewService) {
+    voicePreviewService = deps.voicePreviewService;
+  }
+  if (deps.openAIVoiceMap) {
+    openAIVoiceMap = deps.openAIVoiceMap;
+  }
 }
 
 // Request validation schemas
+const outputFormatSchema = z.enum(ELEVENLABS_OUTPUT_FORMATS);
+
+export const voiceSettingsSchema = z.object({
+  stability: z.number().min(0).max(1).optional(),
+  similarity_boost: z.number().min(0).max(1).optional(),
+  style: z.number().min(0).max(1).optional(),
+  use_speaker_boost: z.boolean().optional(),
+  speed: z.number().min(0.25).max(4).optional(),
+  pitch: z.number().min(-20).max(20).optional(),
+});
+
 const textToSpeechBodySchema = z.object({
   text: z.string().min(1).max(10000),
   model_id: z.string().optional(),
-  voice_settings: z
-    .object({
-      stability: z.number().min(0).max(1).optional(),
-      similarity_boost: z.number().min(0).max(1).optional(),
-      style: z.number().min(0).max(1).optional(),
-      use_speaker_boost: z.boolean().optional(),
-      speed: z.number().min(0.25).max(4).optional(),
-      pitch: z.number().min(-20).max(20).optional(),
-    })
+  voice_settings: voiceSettingsSchema.optional(),
+  output_format: outputFormatSchema.optional(),
+});
+
+// ElevenLabs clients pass output_format as a query parameter
+const textToSpeechQuerySchema = z.object({
+  output_format: outputFormatSchema.optional(),
+});
+
+// Voices per page when a page is asked for without a size, and at most
+const DEFAULT_VOICE_PAGE_SIZE = 100;
+const MAX_VOICE_PAGE_SIZE = 100;
+
+/**
+ * Voice list filters, e.g. ?language=en&gender=female&engine=azure,polly&search=jenny
+ */
+export const voiceFilterSchema = z.object({
+  language: z.string().min(1).optional(),
+  gender: z.enum(['male', 'female', 'neutral']).optional(),
+  engine: z
+    .string()
+    .transform((value) => value.split(',').map((engineId) => engineId.trim()).filter(Boolean))
+    .pipe(z.array(engineTypeSchema))
     .optional(),
-  output_format: z.enum(['mp3_44100_128', 'mp3_44100_96', 'pcm_16000', 'pcm_22050', 'pcm_24000', 'pcm_44100']).optional(),
+  search: z.string().min(1).optional(),
+});
+
+/**
+ * Voice list filters plus paging, as taken by /v1/voices, /api/voices and the /ws voices command
+ */
+export const voiceQuerySchema = voiceFilterSchema.extend({
+  page_size: z.coerce.number().int().min(1).max(MAX_VOICE_PAGE_SIZE).optional(),
+  cursor: z.string().min(1).optional(),
 });
 
+// ElevenLabs' own paging parameters; there are no creation dates, so both sorts go by name
+const voicesV2QuerySchema = voiceFilterSchema.extend({
+  page_size: z.coerce.number().int().min(1).max(MAX_VOICE_PAGE_SIZE).default(10),
+  next_page_token: z.string().min(1).optional(),
+  sort: z.enum(['name', 'created_at_unix']).optional(),
+  sort_direction: z.enum(['asc', 'desc']).default('asc'),
+});
+
+export function toVoiceFilter(query: z.infer<typeof voiceFilterSchema>): VoiceFilter {
+  return {
+    language: query.language,
+    gender: query.gender,
+    engines: query.engine,
+    search: query.search,
+  };
+}
+
+/**
+ * The page a voice query asks for; none (the whole list) without page_size or cursor
+ */
+export function toVoicePageRequest(query: z.infer<typeof voiceQuerySchema>): VoicePageRequest | undefined {
+  if (query.page_size === undefined && query.cursor === undefined) return undefined;
+  return { limit: query.page_size ?? DEFAULT_VOICE_PAGE_SIZE, cursor: query.cursor };
+}
+
+const OPENAI_RESPONSE_FORMATS = {
+  mp3: { format: 'mp3' },
+  opus: { format: 'opus' },
+  aac: { format: 'aac' },
+  flac: { format: 'flac' },
+  wav: { format: 'wav' },
+  pcm: { format: 'pcm', sampleRate: 24000 }, // OpenAI's raw PCM is always 24kHz
+} satisfies Record<string, AudioSpec>;
+
+const openAISpeechBodySchema = z.object({
+  model: z.string().min(1),
+  input: z.string().min(1).max(4096),
+  voice: z.string().min(1),
+  response_format: z
+    .enum(Object.keys(OPENAI_RESPONSE_FORMATS) as [keyof typeof OPENAI_RESPONSE_FORMATS])
+    .default('mp3'),
+  speed: z.number().min(0.25).max(4).optional(),
+});
+
+// Unix time reported as the creation date of the OpenAI models
+const OPENAI_MODEL_CREATED = 1699000000;
+
+/**
+ * The voices a key can see; see VoiceCatalog.getVoicesFor
+ */
+async function loadVoicesFor(access?: EngineAccess): Promise<VoiceCollection> {
+  return voiceCatalog ? voiceCatalog.getVoicesFor(access) : new VoiceCollection();
+}
+
+/**
+ * Find the voice a synthesis request names. Voices of engines the key is
+ * barred from are still found, so synthesis can refuse them with a 403.
+ */
+export async function findVoice(voiceId: string, access?: EngineAccess): Promise<Voice | undefined> {
+  return voiceCatalog?.findVoice(voiceId, access);
+}
+
+/**
+ * Find the voice for an OpenAI voice name: a configured mapping first, then a
+ * proxy voice ID, then an English voice of the same gender
+ */
+async function findOpenAIVoice(name: string, access?: EngineAccess): Promise<Voice | undefined> {
+  const mapped = openAIVoiceMap.get(name.toLowerCase());
+  if (mapped) return findVoice(mapped, access);
+
+  const voice = await findVoice(name, access);
+  if (voice) return voice;
+
+  const gender = OPENAI_VOICES[name.toLowerCase()];
+  return gender ? (await loadVoicesFor(access)).findBestMatch('en-US', gender) : undefined;
+}
+
+/**
+ * OpenAI SDKs send a bearer token; ElevenLabs ones send xi-api-key
+ */
+function isOpenAIClient(c: Context): boolean {
+  return !c.req.header('xi-api-key') && /^Bearer\s/i.test(c.req.header('Authorization') ?? '');
+}
+
+// ElevenLabs clients expect a number; reported for keys without a quota
+const UNLIMITED_CHARACTER_LIMIT = 1_000_000_000;
+
+/**
+ * Apply a voice's default settings (e.g. from a voice mapping) under the request's own
+ */
+export function withDefaults(voice: Voice, settings?: VoiceSettings): VoiceSettings | undefined {
+  if (!voice.defaultSettings) return settings;
+  return { ...voice.defaultSettings, ...settings };
+}
+
+/**
+ * The audio a client asked for; WAV at the engine's own rate when no output_format is given
+ */
+function toOutputSpec(outputFormat: ElevenLabsOutputFormat | undefined): AudioSpec {
+  return outputFormat ? parseOutputFormat(outputFormat) : { format: 'wav' };
+}
+
+/**
+ * Text may be an SSML document or carry ElevenLabs-style inline <break> tags;
+ * either is validated up front and synthesized as SSML
+ */
+function toSpeechInput(text: string): { text: string; ssml: boolean } {
+  const ssml = isSsml(text) ? text : inlineBreaksToSsml(text);
+  if (!ssml) return { text, ssml: false };
+
+  validateSsml(ssml);
+  return { text: ssml, ssml: true };
+}
+
+/**
+ * Report which engine produced the audio, and which one it stood in for
+ */
+function setEngineHeaders(c: Context, result: { engine: EngineType; fallbackFrom?: EngineType }): void {
+  c.header('X-Engine', result.engine);
+  if (result.fallbackFrom) {
+    c.header('X-Fallback-From', result.fallbackFrom);
+  }
+}
+
+/**
+ * Stream synthesized audio. Usage is recorded when the stream ends; a failure
+ * after the headers went out can only end the stream early, but is recorded
+ * with its status.
+ */
+function streamSpeech(
+  c: Context,
+  usage: RequestUsage,
+  voiceId: string,
+  write: (out: StreamingApi) => Promise<void>
+): Response {
+  let ended!: () => void;
+  usage.completion = new Promise((resolve) => {
+    ended = resolve;
+  });
+
+  return stream(c, async (out) => {
+    try {
+      await write(out);
+    } catch (error) {
+      usage.statusCode = getErrorStatus(error);
+      log.error('Streaming synthesis failed', error, { voiceId });
+    } finally {
+      ended();
+    }
+  });
+}
+
+/**
+ * The URL each voice's generated preview is served from, on the origin the
+ * client reached (as reported by a reverse proxy in front of the server)
+ */
+function previewUrls(c: Context): (voice: Voice) => string | undefined {
+  if (!voicePreviewService) return () => undefined;
+
+  const url = new URL(c.req.url);
+  const protocol = c.req.header('x-forwarded-proto')?.split(',')[0]?.trim() ?? url.protocol.slice(0, -1);
+  const host = c.req.header('x-forwarded-host')?.split(',')[0]?.trim() ?? url.host;
+  return (voice) => `${protocol}://${host}/v1/voices/${encodeURIComponent(voice.id)}/preview`;
+}
+
 export function createTtsRoutes(): Hono {
   const routes = new Hono();
 
   /**
-   * Get all voices
+   * Get voices, optionally filtered; paged with ?page_size= and ?cursor=
    * GET /v1/voices
    */
-  routes.get('/voices', async (c) => {
-    // Build voice list from all available engines
-    if (!voiceCache) {
-      voiceCache = new VoiceCollection();
-
-      if (engineFactory) {
-        for (const engineId of engineFactory.getAvailableEngines()) {
-          try {
-            const engine = await engineFactory.createEngine(engineId);
-            // Wrap getVoices in additional try-catch for engines that throw during voice fetching
-            try {
-              const voices = await engine.getVoices();
-              for (const voice of voices) {
-                voiceCache.add(voice);
-              }
-            } catch (voiceError) {
-              console.warn(`Failed to get voices from ${engineId}:`, voiceError instanceof Error ? voiceError.message : voiceError);
-            }
-          } catch (error) {
-            console.warn(`Failed to initialize engine ${engineId}:`, error instanceof Error ? error.message : error);
-          }
-        }
-      }
+  routes.get('/voices', zValidator('query', voiceQuerySchema), async (c) => {
+    const query = c.req.valid('query');
+    const voices = (await loadVoicesFor(c.get('requestContext').apiKey)).filter(toVoiceFilter(query));
+
+    // ElevenLabs clients expect the whole list in one response
+    const previewUrl = previewUrls(c);
+    const pageRequest = toVoicePageRequest(query);
+    if (!pageRequest) {
+      const response: ElevenLabsVoicesResponse = voices.toElevenLabsFormat(previewUrl);
+      return c.json(response);
     }
 
-    const response: ElevenLabsVoicesResponse = voiceCache.toElevenLabsFormat();
+    const page = voices.page(pageRequest);
+    const response: ElevenLabsVoicesResponse = {
+      voices: page.voices.map((voice) => voice.toElevenLabsFormat(previewUrl(voice))),
+      has_more: page.nextCursor !== null,
+      total_count: page.total,
+      next_cursor: page.nextCursor,
+    };
     return c.json(response);
   });
 
@@ -86,12 +332,32 @@ export function createTtsRoutes(): Hono {
   routes.get('/voices/:voiceId', async (c) => {
     const voiceId = c.req.param('voiceId');
 
-    if (!voiceCache) {
-      // Trigger cache build
-      await fetch(`${c.req.url.replace(/\/voices\/.*/, '/voices')}`);
+    const voice = (await loadVoicesFor(c.get('requestContext').apiKey)).get(voiceId);
+    if (!voice) {
+      return c.json(
+        { error: { code: 'VOICE_NOT_FOUND', message: `Voice not found: ${voiceId}` } },
+        404
+      );
     }
 
-    const voice = voiceCache?.get(voiceId);
+    return c.json(voice.toElevenLabsFormat(previewUrls(c)(voice)));
+  });
+
+  /**
+   * Get a short sample of a voice, generated the first time it is asked for
+   * GET /v1/voices/:voiceId/preview
+   */
+  routes.get('/voices/:voiceId/preview', async (c) => {
+    if (!voicePreviewService) {
+      return c.json(
+        { error: { code: 'SERVICE_UNAVAILABLE', message: 'Voice previews not available' } },
+        503
+      );
+    }
+
+    const voiceId = c.req.param('voiceId');
+    const access = c.get('requestContext').apiKey;
+    const voice = (await loadVoicesFor(access)).get(voiceId);
     if (!voice) {
       return c.json(
         { error: { code: 'VOICE_NOT_FOUND', message: `Voice not found: ${voiceId}` } },
@@ -99,7 +365,13 @@ export function createTtsRoutes(): Hono {
       );
     }
 
-    return c.json(voice.toElevenLabsFormat());
+    const preview = await voicePreviewService.getPreview(voice, access);
+    c.header('Content-Type', getTTSService().getContentType(preview.format));
+    c.header('Cache-Control', 'private, max-age=86400');
+
+    return new Response(preview.audio, {
+      headers: c.res.headers,
+    });
   });
 
   /**
@@ -109,11 +381,15 @@ export function createTtsRoutes(): Hono {
   routes.post(
     '/text-to-speech/:voiceId',
     zValidator('json', textToSpeechBodySchema),
+    zValidator('query', textToSpeechQuerySchema),
     async (c) => {
       const voiceId = c.req.param('voiceId');
       const body = c.req.valid('json');
+      const query = c.req.valid('query');
+      const output = toOutputSpec(query.output_format ?? body.output_format);
+      const input = toSpeechInput(body.text);
 
-      if (!engineFactory) {
+      if (!engineFactory || !synthesisService) {
         return c.json(
           { error: { code: 'SERVICE_UNAVAILABLE', message: 'TTS service not initialized' } },
           503
@@ -121,22 +397,8 @@ export function createTtsRoutes(): Hono {
       }
 
       // Find the voice
-      if (!voiceCache) {
-        voiceCache = new VoiceCollection();
-        for (const engineId of engineFactory.getAvailableEngines()) {
-          try {
-            const engine = await engineFactory.createEngine(engineId);
-            const voices = await engine.getVoices();
-            for (const voice of voices) {
-              voiceCache.add(voice);
-            }
-          } catch {
-            // Ignore engine errors during voice loading
-          }
-        }
-      }
-
-      const voice = voiceCache.get(voiceId);
+      const access = c.get('requestContext').apiKey;
+      const voice = await findVoice(voiceId, access);
       if (!voice) {
         return c.json(
           { error: { code: 'VOICE_NOT_FOUND', message: `Voice not found: ${voiceId}` } },
@@ -144,22 +406,33 @@ export function createTtsRoutes(): Hono {
         );
       }
 
-      // Get the engine for this voice
-      const engine = await engineFactory.createEngine(voice.engine);
+      await enforceCharacterQuota(c.get('requestContext'), body.text.length);
+      const usage = { engine: voice.engine, characterCount: body.text.length };
+      c.get('requestContext').usage = usage;
 
-      // Synthesize
-      const result = await engine.synthesize({
-        text: body.text,
+      // Synthesize (served from the audio cache when possible)
+      const result = await synthesisService.synthesize({
+        engine: voice.engine,
+        text: input.text,
+        ssml: input.ssml,
         voiceId: voice.nativeVoiceId,
-        voiceSettings: body.voice_settings,
-        outputFormat: body.output_format?.startsWith('mp3') ? 'mp3' : 'wav',
+        voice,
+        voiceSettings: withDefaults(voice, body.voice_settings),
+        outputFormat: output.format,
+        sampleRate: output.sampleRate,
+        bitrate: output.bitrate,
+        access,
+        priority: 'interactive',
       });
 
       // Return audio
-      c.header('Content-Type', `audio/${result.format}`);
+      c.header('Content-Type', getTTSService().getContentType(result.format));
       c.header('X-Audio-Format', result.format);
       c.header('X-Sample-Rate', String(result.sampleRate));
       c.header('X-Character-Count', String(result.characterCount));
+      c.header('X-Cache', result.cached ? 'HIT' : 'MISS');
+      setEngineHeaders(c, result);
+      usage.engine = result.engine;
 
       return new Response(result.audio, {
         headers: c.res.headers,
@@ -168,42 +441,110 @@ export function createTtsRoutes(): Hono {
   );
 
   /**
-   * Text to speech with timestamps
-   * POST /v1/text-to-speech/:voiceId/stream/with-timestamps
+   * Streaming text to speech
+   * POST /v1/text-to-speech/:voiceId/stream
+   *
+   * Returns a chunked audio response. Engines without native streaming
+   * are synthesized sentence by sentence.
    */
   routes.post(
-    '/text-to-speech/:voiceId/stream/with-timestamps',
+    '/text-to-speech/:voiceId/stream',
     zValidator('json', textToSpeechBodySchema),
+    zValidator('query', textToSpeechQuerySchema),
     async (c) => {
-      // This endpoint is for ElevenLabs compatibility
-      // Most engines don't support timestamps, so we'll return a basic response
       const voiceId = c.req.param('voiceId');
       const body = c.req.valid('json');
+      const query = c.req.valid('query');
+      const output = toOutputSpec(query.output_format ?? body.output_format);
+      const input = toSpeechInput(body.text);
 
-      if (!engineFactory) {
+      if (!engineFactory || !synthesisService) {
         return c.json(
           { error: { code: 'SERVICE_UNAVAILABLE', message: 'TTS service not initialized' } },
           503
         );
       }
 
-      // Find voice and synthesize (same as above, but return with empty alignment)
-      if (!voiceCache) {
-        voiceCache = new VoiceCollection();
-        for (const engineId of engineFactory.getAvailableEngines()) {
-          try {
-            const engine = await engineFactory.createEngine(engineId);
-            const voices = await engine.getVoices();
-            for (const voice of voices) {
-              voiceCache.add(voice);
-            }
-          } catch {
-            // Ignore
+      const access = c.get('requestContext').apiKey;
+      const voice = await findVoice(voiceId, access);
+      if (!voice) {
+        return c.json(
+          { error: { code: 'VOICE_NOT_FOUND', message: `Voice not found: ${voiceId}` } },
+          404
+        );
+      }
+
+      const service = synthesisService;
+
+      await enforceCharacterQuota(c.get('requestContext'), body.text.length);
+      const usage = { engine: voice.engine, characterCount: body.text.length };
+      c.get('requestContext').usage = usage;
+
+      // Headers go out before the audio, so pick the engine (following failover) up front
+      const request = await service.resolveEngine({
+        engine: voice.engine,
+        text: input.text,
+        ssml: input.ssml,
+        voiceId: voice.nativeVoiceId,
+        voice,
+        voiceSettings: withDefaults(voice, body.voice_settings),
+        outputFormat: output.format,
+        sampleRate: output.sampleRate,
+        bitrate: output.bitrate,
+        access,
+        priority: 'interactive',
+      });
+
+      c.header('Content-Type', getTTSService().getContentType(output.format));
+      c.header('X-Audio-Format', output.format);
+      if (output.sampleRate) {
+        c.header('X-Sample-Rate', String(output.sampleRate));
+      }
+      setEngineHeaders(c, request);
+      usage.engine = request.engine;
+
+      return streamSpeech(c, usage, voiceId, async (out) => {
+        const stitcher = new WavStreamStitcher();
+
+        await service.synthesizeStream(
+          request,
+          async (chunk) => {
+            if (out.aborted || chunk.audio.length === 0) return;
+            await out.write(stitcher.push(chunk.audio));
           }
-        }
+        );
+      });
+    }
+  );
+
+  /**
+   * Streaming text to speech with timestamps
+   * POST /v1/text-to-speech/:voiceId/stream/with-timestamps
+   *
+   * Streams newline-delimited JSON objects, each carrying a base64 audio chunk
+   * and its character alignment. X-Timestamps says whether the timings are
+   * exact (engine-reported) or estimated.
+   */
+  routes.post(
+    '/text-to-speech/:voiceId/stream/with-timestamps',
+    zValidator('json', textToSpeechBodySchema),
+    zValidator('query', textToSpeechQuerySchema),
+    async (c) => {
+      const voiceId = c.req.param('voiceId');
+      const body = c.req.valid('json');
+      const query = c.req.valid('query');
+      const output = toOutputSpec(query.output_format ?? body.output_format);
+      const input = toSpeechInput(body.text);
+
+      if (!engineFactory || !synthesisService) {
+        return c.json(
+          { error: { code: 'SERVICE_UNAVAILABLE', message: 'TTS service not initialized' } },
+          503
+        );
       }
 
-      const voice = voiceCache.get(voiceId);
+      const access = c.get('requestContext').apiKey;
+      const voice = await findVoice(voiceId, access);
       if (!voice) {
         return c.json(
           { error: { code: 'VOICE_NOT_FOUND', message: `Voice not found: ${voiceId}` } },
@@ -211,36 +552,128 @@ export function createTtsRoutes(): Hono {
         );
       }
 
-      const engine = await engineFactory.createEngine(voice.engine);
-      const result = await engine.synthesize({
-        text: body.text,
+      const service = synthesisService;
+
+      await enforceCharacterQuota(c.get('requestContext'), body.text.length);
+      const usage = { engine: voice.engine, characterCount: body.text.length };
+      c.get('requestContext').usage = usage;
+
+      const request = await service.resolveEngine({
+        engine: voice.engine,
+        text: input.text,
+        ssml: input.ssml,
         voiceId: voice.nativeVoiceId,
-        voiceSettings: body.voice_settings,
-        outputFormat: body.output_format?.startsWith('mp3') ? 'mp3' : 'wav',
+        voice,
+        voiceSettings: withDefaults(voice, body.voice_settings),
+        outputFormat: output.format,
+        sampleRate: output.sampleRate,
+        bitrate: output.bitrate,
+        access,
+        priority: 'interactive',
       });
 
-      // Return as JSON with audio base64 encoded
-      return c.json({
-        audio_base64: result.audio.toString('base64'),
-        alignment: {
-          characters: [],
-          character_start_times_seconds: [],
-          character_end_times_seconds: [],
-        },
-        normalized_alignment: {
-          characters: [],
-          character_start_times_seconds: [],
-          character_end_times_seconds: [],
-        },
+      c.header('Content-Type', 'application/x-ndjson');
+      setEngineHeaders(c, request);
+      usage.engine = request.engine;
+      // Lets clients tell engine-reported timings from estimated ones
+      c.header('X-Timestamps', await service.getTimestampSupport(request.engine, access));
+
+      return streamSpeech(c, usage, voiceId, async (out) => {
+        const stitcher = new WavStreamStitcher();
+
+        await service.synthesizeStream(
+          request,
+          async (chunk) => {
+            if (out.aborted || chunk.audio.length === 0) return;
+
+            const alignment = chunk.alignment ?? emptyAlignment();
+
+            await out.write(
+              JSON.stringify({
+                audio_base64: stitcher.push(chunk.audio).toString('base64'),
+                alignment,
+                normalized_alignment: alignment,
+              }) + '\n'
+            );
+          },
+          { timestamps: true }
+        );
       });
     }
   );
 
+  /**
+   * OpenAI-compatible text to speech
+   * POST /v1/audio/speech
+   */
+  routes.post('/audio/speech', zValidator('json', openAISpeechBodySchema), async (c) => {
+    const body = c.req.valid('json');
+    const output: AudioSpec = OPENAI_RESPONSE_FORMATS[body.response_format];
+
+    if (!engineFactory || !synthesisService) {
+      return c.json(
+        { error: { code: 'SERVICE_UNAVAILABLE', message: 'TTS service not initialized' } },
+        503
+      );
+    }
+
+    const access = c.get('requestContext').apiKey;
+    const voice = await findOpenAIVoice(body.voice, access);
+    if (!voice) {
+      return c.json(
+        { error: { code: 'VOICE_NOT_FOUND', message: `Voice not found: ${body.voice}` } },
+        404
+      );
+    }
+
+    await enforceCharacterQuota(c.get('requestContext'), body.input.length);
+    const usage = { engine: voice.engine, characterCount: body.input.length };
+    c.get('requestContext').usage = usage;
+
+    const result = await synthesisService.synthesize({
+      engine: voice.engine,
+      text: body.input,
+      voiceId: voice.nativeVoiceId,
+      voice,
+      voiceSettings: withDefaults(voice, body.speed !== undefined ? { speed: body.speed } : undefined),
+      outputFormat: output.format,
+      sampleRate: output.sampleRate,
+      access,
+      priority: 'interactive',
+    });
+
+    c.header('Content-Type', getTTSService().getContentType(result.format));
+    c.header('X-Audio-Format', result.format);
+    c.header('X-Sample-Rate', String(result.sampleRate));
+    c.header('X-Character-Count', String(result.characterCount));
+    c.header('X-Cache', result.cached ? 'HIT' : 'MISS');
+    setEngineHeaders(c, result);
+    usage.engine = result.engine;
+
+    return new Response(result.audio, {
+      headers: c.res.headers,
+    });
+  });
+
   /**
    * Get available models
    * GET /v1/models
+   *
+   * OpenAI clients get an OpenAI model list, everyone else the ElevenLabs one
    */
   routes.get('/models', async (c) => {
+    if (isOpenAIClient(c)) {
+      return c.json({
+        object: 'list',
+        data: OPENAI_TTS_MODELS.map((id) => ({
+          id,
+          object: 'model',
+          created: OPENAI_MODEL_CREATED,
+          owned_by: 'openvoiceproxy',
+        })),
+      });
+    }
+
     const models: ElevenLabsModel[] = [
       {
         model_id: 'eleven_multilingual_v2',
@@ -269,6 +702,22 @@ export function createTtsRoutes(): Hono {
     return c.json(models);
   });
 
+  /**
+   * Get an OpenAI model
+   * GET /v1/models/:model
+   */
+  routes.get('/models/:model', async (c) => {
+    const id = c.req.param('model');
+    if (!(OPENAI_TTS_MODELS as readonly string[]).includes(id)) {
+      return c.json(
+        { error: { code: 'MODEL_NOT_FOUND', message: `Model not found: ${id}` } },
+        404
+      );
+    }
+
+    return c.json({ id, object: 'model', created: OPENAI_MODEL_CREATED, owned_by: 'openvoiceproxy' });
+  });
+
   /**
    * Get user info
    * GET /v1/user
@@ -276,14 +725,18 @@ export function createTtsRoutes(): Hono {
   routes.get('/user', async (c) => {
     const ctx = c.get('requestContext');
 
+    // Keys without a quota are unlimited; their count runs per calendar month
+    const quota = ctx.apiKey?.characterQuota ?? { limit: UNLIMITED_CHARACTER_LIMIT, period: 'monthly' as const };
+    const status = await getUsageService().getQuotaStatus(getUsageKeyId(ctx), quota);
+
     const response: ElevenLabsUser = {
       subscription: {
         tier: ctx.isAdmin ? 'admin' : 'free',
-        character_count: 0,
-        character_limit: ctx.isAdmin ? 1000000 : 10000,
+        character_count: status.used,
+        character_limit: status.limit,
         can_extend_character_limit: false,
         allowed_to_extend_character_limit: false,
-        next_character_count_reset_unix: Math.floor(Date.now() / 1000) + 86400 * 30,
+        next_character_count_reset_unix: Math.floor(status.resetsAt.getTime() / 1000),
         voice_limit: 100,
         max_voice_add_edits: 10,
         voice_add_edit_counter: 0,
@@ -308,8 +761,32 @@ export function createTtsRoutes(): Hono {
 }
 
 /**
- * Clear the voice cache (useful after engine configuration changes)
+ * ElevenLabs' v2 API, of which the proxy serves the paged voice list
  */
-export function clearVoiceCache(): void {
-  voiceCache = null;
+export function createTtsV2Routes(): Hono {
+  const routes = new Hono();
+
+  /**
+   * Get a page of voices
+   * GET /v2/voices
+   */
+  routes.get('/voices', zValidator('query', voicesV2QuerySchema), async (c) => {
+    const query = c.req.valid('query');
+    const previewUrl = previewUrls(c);
+    const page = (await loadVoicesFor(c.get('requestContext').apiKey)).filter(toVoiceFilter(query)).page({
+      limit: query.page_size,
+      cursor: query.next_page_token,
+      descending: query.sort_direction === 'desc',
+    });
+
+    const response: ElevenLabsVoicesV2Response = {
+      voices: page.voices.map((voice) => voice.toElevenLabsFormat(previewUrl(voice))),
+      has_more: page.nextCursor !== null,
+      total_count: page.total,
+      next_page_token: page.nextCursor,
+    };
+    return c.json(response);
+  });
+
+  return routes;
 }
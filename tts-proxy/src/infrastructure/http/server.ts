@@ -5,27 +5,36 @@
 
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
-import { logger } from 'hono/logger';
 import { secureHeaders } from 'hono/secure-headers';
 import { serveStatic } from '@hono/node-server/serve-static';
-import { createServer as createHttpServer } from 'http';
+import { createServer as createHttpServer, type Server } from 'http';
 import { getRequestListener } from '@hono/node-server';
 import { existsSync, promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { getEnv } from '../../config/env.js';
+import { getMetricsService } from '../../domain/services/metrics-service.js';
+import { getLogger, withLogContext } from '../../domain/services/log-service.js';
 import type { RequestContext } from '../../types/api.types.js';
 
-import { authMiddleware } from './middleware/auth.middleware.js';
-import { errorHandler } from './middleware/error-handler.middleware.js';
+import { authMiddleware, requireScope, ttsRouteScope } from './middleware/auth.middleware.js';
+import { errorHandler, handleError } from './middleware/error-handler.middleware.js';
 import { rateLimitMiddleware } from './middleware/rate-limit.middleware.js';
+import { usageMiddleware } from './middleware/usage.middleware.js';
+import { metricsMiddleware } from './middleware/metrics.middleware.js';
 
 import { createHealthRoutes } from './routes/health.routes.js';
-import { createTtsRoutes } from './routes/tts.routes.js';
+import { createTtsRoutes, createTtsV2Routes } from './routes/tts.routes.js';
 import { createAdminRoutes } from './routes/admin.routes.js';
 import { createEsp32Routes } from './routes/esp32.routes.js';
+import { createJobRoutes } from './routes/jobs.routes.js';
 import { setupWebSocket, setWebSocketDependencies } from '../websocket/ws-handler.js';
+import {
+  setStreamInputDependencies,
+  setupStreamInputWebSocket,
+  STREAM_INPUT_PATH,
+} from '../websocket/stream-input-handler.js';
 
 // Extend Hono's context with our custom variables
 declare module 'hono' {
@@ -34,6 +43,11 @@ declare module 'hono' {
   }
 }
 
+const log = getLogger('HTTP');
+
+// IDs passed in by clients or upstream proxies are kept if they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
 export interface ServerConfig {
   port?: number;
   host?: string;
@@ -42,10 +56,14 @@ export interface ServerConfig {
 
 import type { TTSEngineFactoryPort } from '../../application/ports/tts-engine-port.js';
 import type { KeyRepositoryPort } from '../../application/ports/key-repository-port.js';
+import type { SynthesisService } from '../../application/services/synthesis-service.js';
+import type { VoiceCatalog } from '../../application/services/voice-catalog.js';
 
 export interface ServerDependencies {
   engineFactory?: TTSEngineFactoryPort;
   keyRepository?: KeyRepositoryPort;
+  synthesisService?: SynthesisService;
+  voiceCatalog?: VoiceCatalog;
 }
 
 export function createServer(
@@ -55,16 +73,13 @@ export function createServer(
   const env = getEnv();
   const app = new Hono();
 
-  // Global middleware
-  app.use('*', logger());
-
   // CORS
   app.use(
     '*',
     cors({
       origin: config?.corsOrigin ?? env.CORS_ORIGIN ?? '*',
       allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+      allowHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
       exposeHeaders: [
         'X-Request-Id',
         'X-RateLimit-Limit',
@@ -96,9 +111,11 @@ export function createServer(
     })
   );
 
-  // Request context initialization
+  // Request context initialization; everything logged while handling the
+  // request carries its ID
   app.use('*', async (c, next) => {
-    const requestId = crypto.randomUUID();
+    const incomingId = c.req.header('X-Request-Id');
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
     c.set('requestContext', {
       isAdmin: false,
       isDevMode: env.NODE_ENV === 'development',
@@ -107,11 +124,23 @@ export function createServer(
       startTime: Date.now(),
     });
     c.header('X-Request-Id', requestId);
-    await next();
+    await withLogContext({ requestId }, async () => {
+      await next();
+      log.info('Request completed', {
+        method: c.req.method,
+        path: c.req.path,
+        status: c.res.status,
+        durationMs: Date.now() - c.get('requestContext').startTime,
+      });
+    });
   });
 
+  // Request counts for /metrics
+  app.use('*', metricsMiddleware);
+
   // Error handler (must be early to catch all errors)
   app.use('*', errorHandler);
+  app.onError(handleError);
 
   // Mount routes
   // Health routes (no auth required)
@@ -120,16 +149,33 @@ export function createServer(
 
   // Auth middleware for protected routes (admin/api requires auth)
   app.use('/v1/*', authMiddleware);
+  app.use('/v2/*', authMiddleware);
   app.use('/admin/api/*', authMiddleware);
   app.use('/api/*', authMiddleware);
 
+  // Key scopes per route group (admin scopes are checked by the admin routes)
+  app.use('/v1/*', requireScope(ttsRouteScope));
+  app.use('/v2/*', requireScope(ttsRouteScope));
+  app.use('/api/*', requireScope('devices'));
+
   // Rate limiting for API routes
   app.use('/v1/*', rateLimitMiddleware);
+  app.use('/v2/*', rateLimitMiddleware);
   app.use('/api/*', rateLimitMiddleware);
 
-  // TTS routes (ElevenLabs-compatible API)
+  // Usage tracking for synthesis requests
+  app.use('/v1/*', usageMiddleware);
+  app.use('/v2/*', usageMiddleware);
+  app.use('/api/*', usageMiddleware);
+
+  // TTS routes (ElevenLabs-compatible API; v2 only has the paged voice list)
   const ttsRoutes = createTtsRoutes();
   app.route('/v1', ttsRoutes);
+  app.route('/v2', createTtsV2Routes());
+
+  // Long-form synthesis jobs
+  const jobRoutes = createJobRoutes();
+  app.route('/v1', jobRoutes);
 
   // Admin API routes (mounted under /admin)
   const adminRoutes = createAdminRoutes();
@@ -206,10 +252,19 @@ export async function startServer(
   const host = config?.host ?? env.HOST ?? '0.0.0.0';
 
   // Set up WebSocket dependencies if provided
-  if (dependencies?.engineFactory && dependencies?.keyRepository) {
+  const wsEnabled = Boolean(
+    dependencies?.engineFactory && dependencies?.keyRepository && dependencies?.synthesisService
+  );
+  if (dependencies?.engineFactory && dependencies?.keyRepository && dependencies?.synthesisService) {
     setWebSocketDependencies({
       engineFactory: dependencies.engineFactory,
       keyRepository: dependencies.keyRepository,
+      synthesisService: dependencies.synthesisService,
+      voiceCatalog: dependencies.voiceCatalog,
+    });
+    setStreamInputDependencies({
+      keyRepository: dependencies.keyRepository,
+      synthesisService: dependencies.synthesisService,
     });
   }
 
@@ -218,8 +273,8 @@ export async function startServer(
     const httpServer = createHttpServer(getRequestListener(app.fetch));
 
     // Set up WebSocket on the HTTP server
-    if (dependencies?.engineFactory && dependencies?.keyRepository) {
-      setupWebSocket(httpServer);
+    if (wsEnabled) {
+      attachWebSockets(httpServer);
     }
 
     httpServer.on('error', (error) => {
@@ -227,7 +282,7 @@ export async function startServer(
     });
 
     httpServer.listen(port, host, () => {
-      console.log(`Server running at http://${host}:${port}`);
+      log.info(`Server running at http://${host}:${port}`);
 
       resolve({
         close: async () => {
@@ -240,3 +295,29 @@ export async function startServer(
     });
   });
 }
+
+/**
+ * Route WebSocket upgrades by path: /ws and the ElevenLabs stream-input endpoint
+ */
+function attachWebSockets(httpServer: Server): void {
+  const ws = setupWebSocket();
+  const streamInput = setupStreamInputWebSocket();
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+    const endpoint = pathname === '/ws' ? 'ws' : STREAM_INPUT_PATH.test(pathname) ? 'stream-input' : null;
+    if (!endpoint) {
+      socket.destroy();
+      return;
+    }
+
+    const wss = endpoint === 'ws' ? ws : streamInput;
+    wss.handleUpgrade(req, socket, head, (client) => {
+      const metrics = getMetricsService();
+      metrics.websocketOpened(endpoint);
+      client.once('close', () => metrics.websocketClosed(endpoint));
+      wss.emit('connection', client, req);
+    });
+  });
+  getLogger('WS').info('ElevenLabs stream-input available on /v1/text-to-speech/{voice_id}/stream-input');
+}
@@ -4,7 +4,7 @@
  */
 
 import { z } from 'zod';
-import type { EngineType } from '../../../types/engine.types.js';
+import { isEngineType, type EngineType } from '../../../types/engine.types.js';
 
 // Voice settings schema (ElevenLabs compatible)
 export const voiceSettingsSchema = z.object({
@@ -85,19 +85,11 @@ export const paginationSchema = z.object({
   limit: z.coerce.number().min(1).max(100).default(20),
 });
 
-// Engine type validation
-export const engineTypeSchema = z.enum([
-  'espeak',
-  'azure',
-  'elevenlabs',
-  'openai',
-  'google',
-  'polly',
-  'watson',
-  'playht',
-  'witai',
-  'sherpaonnx',
-] as const) satisfies z.ZodType<EngineType>;
+// Engine type validation; checked at request time, as configured engines are registered at startup
+export const engineTypeSchema = z
+  .string()
+  .refine(isEngineType, (value) => ({ message: `Unknown engine: ${value}` }))
+  .transform((value) => value as EngineType);
 
 // Audio format validation
 export const audioFormatSchema = z.enum(['mp3', 'wav', 'pcm', 'ogg', 'opus']);
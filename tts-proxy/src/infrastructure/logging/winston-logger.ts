@@ -0,0 +1,181 @@
+/**
+ * Winston Logger
+ * LoggerFactoryPort backed by winston: one JSON object per line to the
+ * console and/or a size-rotated file
+ */
+
+import path from 'path';
+import winston from 'winston';
+import type {
+  LogLevel,
+  LogMeta,
+  LoggerFactoryPort,
+  LoggerPort,
+  RequestLoggerPort,
+} from '../../application/ports/logger-port.js';
+
+export type LogFormat = 'json' | 'pretty';
+export type LogDestination = 'console' | 'file' | 'both';
+
+export interface WinstonLoggerConfig {
+  level: LogLevel;
+  format: LogFormat;
+  destination: LogDestination | 'none';
+  filePath: string;
+  maxFileSizeBytes: number; // rotate the file once it reaches this size
+  maxFiles: number; // rotated files kept, including the current one
+}
+
+const DEFAULT_CONFIG: WinstonLoggerConfig = {
+  level: 'info',
+  format: 'json',
+  destination: 'console',
+  filePath: path.join('logs', 'openvoiceproxy.log'),
+  maxFileSizeBytes: 10 * 1024 * 1024,
+  maxFiles: 5,
+};
+
+const jsonFormat = winston.format.combine(winston.format.timestamp(), winston.format.json());
+
+const prettyFormat = winston.format.combine(
+  winston.format.timestamp({ format: 'HH:mm:ss.SSS' }),
+  winston.format.printf(({ timestamp, level, message, context, ...meta }) => {
+    const prefix = context ? ` [${String(context)}]` : '';
+    const suffix = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    return `${String(timestamp)} ${level.toUpperCase().padEnd(5)}${prefix} ${String(message)}${suffix}`;
+  })
+);
+
+export class WinstonLoggerFactory implements LoggerFactoryPort {
+  private config: WinstonLoggerConfig;
+  private readonly root: winston.Logger;
+
+  constructor(config?: Partial<WinstonLoggerConfig>) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.root = winston.createLogger({ level: this.config.level });
+    this.applyTransports();
+  }
+
+  createLogger(context: string): LoggerPort {
+    return new WinstonLogger(this.root, { context });
+  }
+
+  createRequestLogger(requestId: string): RequestLoggerPort {
+    return new WinstonRequestLogger(this.root, { context: 'HTTP', requestId }, requestId);
+  }
+
+  configure(config: Partial<Pick<WinstonLoggerConfig, 'level' | 'format' | 'destination' | 'filePath'>>): void {
+    this.config = { ...this.config, ...config };
+    this.root.level = this.config.level;
+    this.applyTransports();
+  }
+
+  private applyTransports(): void {
+    const { destination } = this.config;
+    const format = this.config.format === 'pretty' ? prettyFormat : jsonFormat;
+    const transports: winston.transport[] = [];
+
+    if (destination === 'console' || destination === 'both') {
+      transports.push(new winston.transports.Console({ format }));
+    }
+    if (destination === 'file' || destination === 'both') {
+      // tailable keeps the newest lines in the base file name; older ones move to openvoiceproxy1.log, 2, ...
+      transports.push(
+        new winston.transports.File({
+          filename: this.config.filePath,
+          format: jsonFormat,
+          maxsize: this.config.maxFileSizeBytes,
+          maxFiles: this.config.maxFiles,
+          tailable: true,
+        })
+      );
+    }
+
+    this.root.clear();
+    for (const transport of transports) {
+      this.root.add(transport);
+    }
+    // Winston complains about writes without transports
+    this.root.silent = transports.length === 0;
+  }
+}
+
+/**
+ * A logger with default metadata. Levels are shared by every logger of a factory.
+ */
+class WinstonLogger implements LoggerPort {
+  constructor(
+    protected readonly root: winston.Logger,
+    protected readonly meta: LogMeta
+  ) {}
+
+  debug(message: string, meta?: LogMeta): void {
+    this.root.debug(message, { ...this.meta, ...meta });
+  }
+
+  info(message: string, meta?: LogMeta): void {
+    this.root.info(message, { ...this.meta, ...meta });
+  }
+
+  warn(message: string, meta?: LogMeta): void {
+    this.root.warn(message, { ...this.meta, ...meta });
+  }
+
+  error(message: string, error?: Error | unknown, meta?: LogMeta): void {
+    this.root.error(message, { ...this.meta, ...meta, ...serializeError(error) });
+  }
+
+  child(meta: LogMeta): LoggerPort {
+    return new WinstonLogger(this.root, { ...this.meta, ...meta });
+  }
+
+  setLevel(level: LogLevel): void {
+    this.root.level = level;
+  }
+
+  getLevel(): LogLevel {
+    return this.root.level as LogLevel;
+  }
+
+  isLevelEnabled(level: LogLevel): boolean {
+    return this.root.isLevelEnabled(level);
+  }
+}
+
+class WinstonRequestLogger extends WinstonLogger implements RequestLoggerPort {
+  constructor(
+    root: winston.Logger,
+    meta: LogMeta,
+    readonly requestId: string
+  ) {
+    super(root, meta);
+  }
+
+  logRequest(params: { method: string; path: string; ip?: string; userAgent?: string }): void {
+    this.debug('Request started', params);
+  }
+
+  logResponse(params: { statusCode: number; durationMs: number; contentLength?: number }): void {
+    const level = params.statusCode >= 500 ? 'error' : params.statusCode >= 400 ? 'warn' : 'info';
+    this.root.log(level, 'Request completed', { ...this.meta, ...params });
+  }
+
+  logRequestError(error: Error, statusCode?: number): void {
+    this.error('Request failed', error, statusCode ? { statusCode } : undefined);
+  }
+}
+
+function serializeError(error: unknown): LogMeta {
+  if (error === undefined) return {};
+  if (!(error instanceof Error)) return { error: String(error) };
+
+  const code = (error as { code?: unknown }).code;
+  return {
+    error: {
+      name: error.name,
+      message: error.message,
+      ...(code !== undefined ? { code } : {}),
+      stack: error.stack,
+    },
+  };
+}
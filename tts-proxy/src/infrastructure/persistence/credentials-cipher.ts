@@ -0,0 +1,192 @@
+/**
+ * Credentials Cipher
+ * Encrypts engine credentials at rest with AES-256-GCM under a master key
+ * from the environment (CREDENTIALS_MASTER_KEY)
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'crypto';
+import { ConfigurationError } from '../../domain/errors/domain-errors.js';
+import type { EngineKeyConfig } from '../../types/api-key.types.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const SALT_BYTES = 16;
+const MAX_CACHED_KEYS = 256;
+
+// Salt of credentials encrypted before each ciphertext carried its own
+const LEGACY_KEY_SALT = Buffer.from('openvoiceproxy-credentials', 'utf-8');
+
+/**
+ * One engine's credentials as stored when a master key is set
+ */
+export interface EncryptedCredentials {
+  alg: typeof ALGORITHM;
+  keyId: string; // fingerprint of the derived key, to tell a wrong master key from corrupt data
+  salt?: string; // base64; missing on credentials encrypted with the legacy salt
+  iv: string; // base64
+  tag: string; // base64
+  data: string; // base64
+}
+
+/**
+ * Credentials as stored: encrypted, or plaintext when saved without a master key
+ */
+export type StoredCredentials = Record<string, string> | EncryptedCredentials;
+
+interface DerivedKey {
+  key: Buffer;
+  keyId: string;
+}
+
+export class CredentialsCipher {
+  // AES keys by base64 salt; scrypt is slow, so stored credentials are not re-derived on every read
+  private readonly keys = new Map<string, DerivedKey>();
+
+  private constructor(private readonly masterKey: string) {}
+
+  /**
+   * Take a master key. Any string works; a long random one is best. Each
+   * ciphertext gets its own random salt, stored with it, and its own AES key.
+   */
+  static fromMasterKey(masterKey: string): CredentialsCipher {
+    if (masterKey.length < 16) {
+      throw new ConfigurationError('The credentials master key must be at least 16 characters');
+    }
+
+    return new CredentialsCipher(masterKey);
+  }
+
+  /**
+   * Fingerprint of the master key, for logs. Matches the key ID of
+   * credentials encrypted with the legacy salt.
+   */
+  get keyId(): string {
+    return this.deriveKey(LEGACY_KEY_SALT).keyId;
+  }
+
+  encrypt(credentials: Record<string, string>): EncryptedCredentials {
+    const salt = randomBytes(SALT_BYTES);
+    const { key, keyId } = this.deriveKey(salt);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf-8'), cipher.final()]);
+
+    return {
+      alg: ALGORITHM,
+      keyId,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  decrypt(encrypted: EncryptedCredentials): Record<string, string> {
+    const { key, keyId } = this.deriveKey(
+      encrypted.salt ? Buffer.from(encrypted.salt, 'base64') : LEGACY_KEY_SALT
+    );
+    if (encrypted.keyId !== keyId) {
+      throw new ConfigurationError(
+        `Credentials were encrypted with a different master key (key ID ${encrypted.keyId})`
+      );
+    }
+
+    try {
+      const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(encrypted.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(encrypted.data, 'base64')),
+        decipher.final(),
+      ]);
+      return JSON.parse(plaintext.toString('utf-8')) as Record<string, string>;
+    } catch {
+      throw new ConfigurationError('Stored credentials are corrupt and could not be decrypted');
+    }
+  }
+
+  private deriveKey(salt: Buffer): DerivedKey {
+    const cacheKey = salt.toString('base64');
+    let derived = this.keys.get(cacheKey);
+    if (!derived) {
+      const key = scryptSync(this.masterKey, salt, 32);
+      derived = { key, keyId: createHash('sha256').update(key).digest('hex').slice(0, 16) };
+      if (this.keys.size >= MAX_CACHED_KEYS) {
+        // Drop the oldest; Maps iterate in insertion order
+        this.keys.delete(this.keys.keys().next().value as string);
+      }
+      this.keys.set(cacheKey, derived);
+    }
+    return derived;
+  }
+}
+
+export function isEncryptedCredentials(stored: StoredCredentials): stored is EncryptedCredentials {
+  return stored.alg === ALGORITHM && typeof stored.data === 'string' && typeof stored.iv === 'string';
+}
+
+/**
+ * Prepare credentials for storage: encrypted when there is a cipher, as-is otherwise
+ */
+export function sealCredentials(
+  credentials: Record<string, string>,
+  cipher: CredentialsCipher | null
+): StoredCredentials {
+  return cipher ? cipher.encrypt(credentials) : credentials;
+}
+
+/**
+ * Read stored credentials. Plaintext entries from before encryption was
+ * turned on are returned as they are.
+ */
+export function openCredentials(
+  stored: StoredCredentials,
+  cipher: CredentialsCipher | null
+): Record<string, string> {
+  if (!isEncryptedCredentials(stored)) return stored;
+  if (!cipher) {
+    throw new ConfigurationError('Stored credentials are encrypted; set CREDENTIALS_MASTER_KEY to read them');
+  }
+  return cipher.decrypt(stored);
+}
+
+/**
+ * A key's per-engine settings as stored, custom credentials sealed
+ */
+export type StoredEngineConfig = Record<
+  string,
+  Omit<EngineKeyConfig, 'credentials'> & { credentials?: StoredCredentials }
+>;
+
+export function sealEngineConfig(
+  engineConfig: Record<string, EngineKeyConfig> | null,
+  cipher: CredentialsCipher | null
+): StoredEngineConfig | null {
+  if (!engineConfig) return null;
+  return Object.fromEntries(
+    Object.entries(engineConfig).map(([engineId, config]) => [
+      engineId,
+      config.credentials ? { ...config, credentials: sealCredentials(config.credentials, cipher) } : config,
+    ])
+  );
+}
+
+export function openEngineConfig(
+  stored: StoredEngineConfig | null | undefined,
+  cipher: CredentialsCipher | null
+): Record<string, EngineKeyConfig> | null {
+  if (!stored) return null;
+  return Object.fromEntries(
+    Object.entries(stored).map(([engineId, config]) => [
+      engineId,
+      config.credentials ? { ...config, credentials: openCredentials(config.credentials, cipher) } : config,
+    ])
+  ) as Record<string, EngineKeyConfig>;
+}
+
+/**
+ * Whether a key's stored settings hold custom credentials in plaintext
+ */
+export function hasPlaintextCredentials(stored: StoredEngineConfig | null | undefined): boolean {
+  return Object.values(stored ?? {}).some(
+    (config) => config.credentials !== undefined && !isEncryptedCredentials(config.credentials)
+  );
+}
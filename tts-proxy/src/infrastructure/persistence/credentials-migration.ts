@@ -0,0 +1,90 @@
+/**
+ * Credentials Migration
+ * Moves engine credentials between stores and master keys, including the
+ * custom credentials stored with API keys
+ */
+
+import type { CredentialsStoragePort } from '../../application/ports/storage-port.js';
+import type { KeyRepositoryPort } from '../../application/ports/key-repository-port.js';
+import type { ApiKey } from '../../domain/entities/api-key.js';
+import type { FileCredentialsStorage } from './file/file-storage.js';
+
+export interface CredentialsMigrationResult {
+  moved: number; // engines copied from the credentials file into the target store
+  encrypted: number; // engines whose plaintext credentials were encrypted
+}
+
+/**
+ * Bring stored credentials up to date at startup. When the file is the store,
+ * pass the same instance as target. When the target is another store
+ * (Postgres), credentials from data/system-credentials.json are copied
+ * over (entries already in the target win) and the file is removed. With a
+ * master key set, entries still stored in plaintext are then encrypted.
+ */
+export async function migrateCredentials(params: {
+  file: FileCredentialsStorage;
+  target: CredentialsStoragePort;
+  encrypt: boolean;
+}): Promise<CredentialsMigrationResult> {
+  const { file, target } = params;
+  let moved = 0;
+
+  if (target !== file) {
+    const fileCredentials = await file.getAllCredentials();
+    if (Object.keys(fileCredentials).length > 0) {
+      for (const [engineId, credentials] of Object.entries(fileCredentials)) {
+        if (await target.hasCredentials(engineId)) continue;
+        await target.saveCredentials(engineId, credentials);
+        moved++;
+      }
+      await file.clear();
+    }
+  }
+
+  let encrypted = 0;
+  if (params.encrypt) {
+    encrypted = await target.countPlaintextCredentials();
+    if (encrypted > 0) {
+      await target.replaceAllCredentials(await target.getAllCredentials());
+    }
+  }
+
+  return { moved, encrypted };
+}
+
+/**
+ * Rewrite every engine's credentials from one store into another, where both
+ * are usually the same backend opened with the old and the new master key
+ */
+export async function reencryptCredentials(
+  from: CredentialsStoragePort,
+  to: CredentialsStoragePort
+): Promise<number> {
+  const all = await from.getAllCredentials();
+  await to.replaceAllCredentials(all);
+  return Object.keys(all).length;
+}
+
+/**
+ * Encrypt the custom engine credentials of API keys still stored in
+ * plaintext; call once a master key is set. Returns how many keys had some.
+ */
+export async function encryptKeyCredentials(keys: KeyRepositoryPort): Promise<number> {
+  const plaintext = await keys.countPlaintextCredentials();
+  if (plaintext > 0) {
+    await keys.replaceAll(await keys.findAll());
+  }
+  return plaintext;
+}
+
+/**
+ * Rewrite every API key from one repository into another, re-encrypting
+ * their custom engine credentials. Returns how many keys have some.
+ */
+export async function reencryptKeyCredentials(from: KeyRepositoryPort, to: KeyRepositoryPort): Promise<number> {
+  const keys = await from.findAll();
+  await to.replaceAll(keys);
+  const hasCredentials = (apiKey: ApiKey) =>
+    Object.values(apiKey.engineConfig ?? {}).some((config) => config.credentials);
+  return keys.filter(hasCredentials).length;
+}
@@ -0,0 +1,98 @@
+/**
+ * File-based Audit Log
+ * Appends audit entries to one JSON Lines file per day (UTC)
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import type { AuditLogPort } from '../../../application/ports/audit-log-port.js';
+import { matchesAuditQuery, type AuditEntry, type AuditQuery } from '../../../domain/entities/audit.js';
+
+export interface FileAuditLogConfig {
+  dataDir: string;
+}
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+export class FileAuditLog implements AuditLogPort {
+  private readonly dataDir: string;
+
+  constructor(config: FileAuditLogConfig) {
+    this.dataDir = config.dataDir;
+  }
+
+  async append(entry: AuditEntry): Promise<void> {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const line = JSON.stringify({ ...entry, timestamp: entry.timestamp.toISOString() });
+    await fs.appendFile(join(this.dataDir, `audit-${dayOf(entry.timestamp)}.jsonl`), `${line}\n`, 'utf-8');
+  }
+
+  async query(query: AuditQuery = {}, limit = Infinity): Promise<AuditEntry[]> {
+    const entries: AuditEntry[] = [];
+
+    // Newest day first, so reading can stop once the limit is reached
+    for (const { day, file } of (await this.listFiles()).reverse()) {
+      if (query.since && day < dayOf(query.since)) break;
+      if (query.until && day > dayOf(query.until)) continue;
+
+      for (const entry of (await this.readFile(file)).reverse()) {
+        if (!matchesAuditQuery(entry, query)) continue;
+        entries.push(entry);
+        if (entries.length >= limit) return entries;
+      }
+    }
+
+    return entries;
+  }
+
+  async clearOldEntries(olderThan: Date): Promise<number> {
+    let removed = 0;
+    const cutoff = dayOf(olderThan);
+
+    for (const { day, file } of await this.listFiles()) {
+      // Only whole days before the cutoff are dropped
+      if (day >= cutoff) continue;
+      removed += (await this.readFile(file)).length;
+      await fs.unlink(file);
+    }
+
+    return removed;
+  }
+
+  private async listFiles(): Promise<Array<{ day: string; file: string }>> {
+    let names: string[];
+    try {
+      names = await fs.readdir(this.dataDir);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return names
+      .map((name) => ({ name, match: FILE_PATTERN.exec(name) }))
+      .filter((f): f is { name: string; match: RegExpExecArray } => f.match !== null)
+      .map((f) => ({ day: f.match[1]!, file: join(this.dataDir, f.name) }))
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  private async readFile(file: string): Promise<AuditEntry[]> {
+    const content = await fs.readFile(file, 'utf-8');
+    const entries: AuditEntry[] = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const data = JSON.parse(line) as Omit<AuditEntry, 'timestamp'> & { timestamp: string };
+        entries.push({ ...data, timestamp: new Date(data.timestamp) });
+      } catch {
+        // A torn write from a crash loses one entry, not the whole day
+      }
+    }
+
+    return entries;
+  }
+}
+
+function dayOf(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
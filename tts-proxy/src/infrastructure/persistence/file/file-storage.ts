@@ -6,6 +6,13 @@
 import { promises as fs } from 'fs';
 import { join, dirname } from 'path';
 import type { StoragePort, CredentialsStoragePort } from '../../../application/ports/storage-port.js';
+import {
+  isEncryptedCredentials,
+  openCredentials,
+  sealCredentials,
+  type CredentialsCipher,
+  type StoredCredentials,
+} from '../credentials-cipher.js';
 
 export interface FileStorageConfig {
   dataDir: string;
@@ -44,6 +51,40 @@ export class FileStorage implements StoragePort {
     await fs.rename(tempPath, filePath);
   }
 
+  async readBinary(key: string, extension = 'bin'): Promise<Buffer | null> {
+    const filePath = this.resolvePath(key, extension);
+    try {
+      return await fs.readFile(filePath);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeBinary(key: string, data: Buffer, extension = 'bin'): Promise<void> {
+    const filePath = this.resolvePath(key, extension);
+    await fs.mkdir(dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async deleteBinary(key: string, extension = 'bin'): Promise<boolean> {
+    const filePath = this.resolvePath(key, extension);
+    try {
+      await fs.unlink(filePath);
+      return true;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
   async exists(key: string): Promise<boolean> {
     const filePath = this.getPath(key);
     try {
@@ -87,9 +128,7 @@ export class FileStorage implements StoragePort {
   }
 
   getPath(key: string): string {
-    // Sanitize key to prevent path traversal
-    const sanitized = key.replace(/[^a-zA-Z0-9-_]/g, '_');
-    return join(this.dataDir, `${sanitized}.json`);
+    return this.resolvePath(key, 'json');
   }
 
   async isAvailable(): Promise<boolean> {
@@ -106,32 +145,42 @@ export class FileStorage implements StoragePort {
       }
     }
   }
+
+  private resolvePath(key: string, extension: string): string {
+    // Sanitize key to prevent path traversal
+    const sanitized = key.replace(/[^a-zA-Z0-9-_]/g, '_');
+    const ext = extension.replace(/[^a-zA-Z0-9]/g, '');
+    return join(this.dataDir, `${sanitized}.${ext}`);
+  }
 }
 
 /**
- * Credentials storage using file system
+ * Credentials storage using file system. With a cipher, each engine's
+ * credentials are encrypted; plaintext entries written before are still read.
  */
 export class FileCredentialsStorage implements CredentialsStoragePort {
   private readonly storage: FileStorage;
+  private readonly cipher: CredentialsCipher | null;
   private readonly credentialsKey = 'system-credentials';
 
-  constructor(storage: FileStorage) {
+  constructor(storage: FileStorage, cipher: CredentialsCipher | null = null) {
     this.storage = storage;
+    this.cipher = cipher;
   }
 
   async getCredentials(engineId: string): Promise<Record<string, string> | null> {
-    const all = await this.getAllCredentials();
-    return all[engineId] ?? null;
+    const stored = (await this.readStored())[engineId];
+    return stored ? openCredentials(stored, this.cipher) : null;
   }
 
   async saveCredentials(engineId: string, credentials: Record<string, string>): Promise<void> {
-    const all = await this.getAllCredentials();
-    all[engineId] = credentials;
+    const all = await this.readStored();
+    all[engineId] = sealCredentials(credentials, this.cipher);
     await this.storage.writeJson(this.credentialsKey, all);
   }
 
   async deleteCredentials(engineId: string): Promise<boolean> {
-    const all = await this.getAllCredentials();
+    const all = await this.readStored();
     if (!(engineId in all)) return false;
 
     delete all[engineId];
@@ -140,16 +189,39 @@ export class FileCredentialsStorage implements CredentialsStoragePort {
   }
 
   async getAllCredentials(): Promise<Record<string, Record<string, string>>> {
-    const data = await this.storage.readJson<Record<string, Record<string, string>>>(
-      this.credentialsKey
+    const all = await this.readStored();
+    return Object.fromEntries(
+      Object.entries(all).map(([engineId, stored]) => [engineId, openCredentials(stored, this.cipher)])
     );
-    return data ?? {};
   }
 
   async hasCredentials(engineId: string): Promise<boolean> {
     const creds = await this.getCredentials(engineId);
     return creds !== null && Object.keys(creds).length > 0;
   }
+
+  async replaceAllCredentials(credentials: Record<string, Record<string, string>>): Promise<void> {
+    const all = Object.fromEntries(
+      Object.entries(credentials).map(([engineId, creds]) => [engineId, sealCredentials(creds, this.cipher)])
+    );
+    await this.storage.writeJson(this.credentialsKey, all);
+  }
+
+  async countPlaintextCredentials(): Promise<number> {
+    const all = await this.readStored();
+    return Object.values(all).filter((stored) => !isEncryptedCredentials(stored)).length;
+  }
+
+  /**
+   * Remove the credentials file, once its contents live elsewhere
+   */
+  async clear(): Promise<void> {
+    await this.storage.delete(this.credentialsKey);
+  }
+
+  private async readStored(): Promise<Record<string, StoredCredentials>> {
+    return (await this.storage.readJson<Record<string, StoredCredentials>>(this.credentialsKey)) ?? {};
+  }
 }
 
 // Factory function
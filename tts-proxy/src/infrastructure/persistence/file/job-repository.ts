@@ -0,0 +1,42 @@
+/**
+ * File-based Job Repository
+ * Keeps each job as <id>.json with its audio beside it as <id>.<format>
+ */
+
+import type { JobRepositoryPort } from '../../../application/ports/job-repository-port.js';
+import type { SynthesisJob } from '../../../domain/entities/job.js';
+import type { FileStorage } from './file-storage.js';
+
+export class FileJobRepository implements JobRepositoryPort {
+  private readonly storage: FileStorage;
+
+  constructor(storage: FileStorage) {
+    this.storage = storage;
+  }
+
+  async findAll(): Promise<SynthesisJob[]> {
+    const jobs: SynthesisJob[] = [];
+    for (const key of await this.storage.list()) {
+      const job = await this.storage.readJson<SynthesisJob>(key).catch(() => null);
+      if (job?.id) jobs.push(job);
+    }
+    return jobs;
+  }
+
+  async save(job: SynthesisJob): Promise<void> {
+    await this.storage.writeJson(job.id, job);
+  }
+
+  async delete(job: SynthesisJob): Promise<boolean> {
+    await this.storage.deleteBinary(job.id, job.format);
+    return this.storage.delete(job.id);
+  }
+
+  async saveAudio(job: SynthesisJob, audio: Buffer): Promise<void> {
+    await this.storage.writeBinary(job.id, audio, job.format);
+  }
+
+  async readAudio(job: SynthesisJob): Promise<Buffer | null> {
+    return this.storage.readBinary(job.id, job.format);
+  }
+}
@@ -5,7 +5,15 @@
 
 import type { KeyRepositoryPort } from '../../../application/ports/key-repository-port.js';
 import { ApiKey } from '../../../domain/entities/api-key.js';
+import type { CharacterQuota, ApiKeyScope } from '../../../types/api-key.types.js';
 import type { FileStorage } from './file-storage.js';
+import {
+  hasPlaintextCredentials,
+  openEngineConfig,
+  sealEngineConfig,
+  type CredentialsCipher,
+  type StoredEngineConfig,
+} from '../credentials-cipher.js';
 
 interface StoredApiKey {
   id: string;
@@ -20,7 +28,11 @@ interface StoredApiKey {
   createdAt: string;
   lastUsed: string | null;
   requestCount: number;
-  engineConfig?: Record<string, unknown> | null;
+  engineConfig?: StoredEngineConfig | null;
+  characterQuota?: CharacterQuota | null;
+  scopes?: ApiKeyScope[] | null;
+  previousKeyHash?: string | null;
+  previousKeyExpiresAt?: string | null;
 }
 
 // Can be either new format or legacy array
@@ -28,7 +40,10 @@ type ApiKeysFile = { keys: StoredApiKey[]; version: number } | StoredApiKey[];
 
 const KEYS_FILE = 'api-keys';
 
-function storedToApiKey(stored: StoredApiKey): { apiKey: ApiKey; plainKey?: string } {
+function storedToApiKey(
+  stored: StoredApiKey,
+  cipher: CredentialsCipher | null
+): { apiKey: ApiKey; plainKey?: string } {
   // Handle legacy format with plaintext key
   const keyHash = stored.keyHash ?? (stored.key ? ApiKey.hashKey(stored.key) : '');
   const keySuffix = stored.keySuffix ?? (stored.key ? stored.key.slice(-8) : '');
@@ -53,14 +68,18 @@ function storedToApiKey(stored: StoredApiKey): { apiKey: ApiKey; plainKey?: stri
       expiresAt: stored.expiresAt ? new Date(stored.expiresAt) : null,
       lastUsed: stored.lastUsed ? new Date(stored.lastUsed) : null,
       requestCount: stored.requestCount,
-      engineConfig: stored.engineConfig as ApiKey['engineConfig'],
+      engineConfig: openEngineConfig(stored.engineConfig, cipher),
+      characterQuota: stored.characterQuota ?? null,
+      scopes: stored.scopes ?? null,
+      previousKeyHash: stored.previousKeyHash ?? null,
+      previousKeyExpiresAt: stored.previousKeyExpiresAt ? new Date(stored.previousKeyExpiresAt) : null,
       createdAt: new Date(stored.createdAt),
     }),
     plainKey: stored.key, // Pass plaintext key for legacy lookup
   };
 }
 
-function apiKeyToStored(apiKey: ApiKey): StoredApiKey {
+function apiKeyToStored(apiKey: ApiKey, cipher: CredentialsCipher | null): StoredApiKey {
   const data = apiKey.toData();
   return {
     id: data.id,
@@ -74,35 +93,42 @@ function apiKeyToStored(apiKey: ApiKey): StoredApiKey {
     createdAt: data.createdAt.toISOString(),
     lastUsed: data.lastUsed?.toISOString() ?? null,
     requestCount: data.requestCount,
-    engineConfig: data.engineConfig,
+    engineConfig: sealEngineConfig(data.engineConfig, cipher),
+    characterQuota: data.characterQuota ?? null,
+    scopes: data.scopes ?? null,
+    previousKeyHash: data.previousKeyHash ?? null,
+    previousKeyExpiresAt: data.previousKeyExpiresAt?.toISOString() ?? null,
   };
 }
 
+/**
+ * With a cipher, the keys' custom engine credentials are encrypted like the
+ * engines' own; plaintext ones written before are still read.
+ */
 export class FileKeyRepository implements KeyRepositoryPort {
   private readonly storage: FileStorage;
+  private readonly cipher: CredentialsCipher | null;
   private cache: Map<string, ApiKey> | null = null;
   private cacheByHash: Map<string, ApiKey> | null = null;
   private cacheByPlainKey: Map<string, ApiKey> | null = null; // For legacy format
 
-  constructor(storage: FileStorage) {
+  constructor(storage: FileStorage, cipher: CredentialsCipher | null = null) {
     this.storage = storage;
+    this.cipher = cipher;
   }
 
   private async loadKeys(): Promise<Map<string, ApiKey>> {
     if (this.cache) return this.cache;
 
-    const data = await this.storage.readJson<ApiKeysFile>(KEYS_FILE);
+    const keysArray = await this.readStored();
     this.cache = new Map();
     this.cacheByHash = new Map();
     this.cacheByPlainKey = new Map();
 
-    // Handle both formats: array or { keys: [], version }
-    const keysArray = Array.isArray(data) ? data : data?.keys ?? [];
-
     for (const stored of keysArray) {
-      const { apiKey, plainKey } = storedToApiKey(stored);
+      const { apiKey, plainKey } = storedToApiKey(stored, this.cipher);
       this.cache.set(apiKey.id, apiKey);
-      this.cacheByHash.set(apiKey.keyHash, apiKey);
+      this.indexKey(apiKey);
       // Also store by plaintext key for legacy lookup
       if (plainKey) {
         this.cacheByPlainKey.set(plainKey, apiKey);
@@ -112,17 +138,40 @@ export class FileKeyRepository implements KeyRepositoryPort {
     return this.cache;
   }
 
+  private async readStored(): Promise<StoredApiKey[]> {
+    const data = await this.storage.readJson<ApiKeysFile>(KEYS_FILE);
+    // Handle both formats: array or { keys: [], version }
+    return Array.isArray(data) ? data : data?.keys ?? [];
+  }
+
   private async saveKeys(): Promise<void> {
     if (!this.cache) return;
 
     const data: ApiKeysFile = {
-      keys: Array.from(this.cache.values()).map(apiKeyToStored),
+      keys: Array.from(this.cache.values()).map((apiKey) => apiKeyToStored(apiKey, this.cipher)),
       version: 1,
     };
 
     await this.storage.writeJson(KEYS_FILE, data);
   }
 
+  // A rotated key is reachable by its previous secret's hash until the grace period ends
+  private indexKey(apiKey: ApiKey): void {
+    const data = apiKey.toData();
+    this.cacheByHash?.set(data.keyHash, apiKey);
+    if (data.previousKeyHash) {
+      this.cacheByHash?.set(data.previousKeyHash, apiKey);
+    }
+  }
+
+  private unindexKey(apiKey: ApiKey): void {
+    const data = apiKey.toData();
+    this.cacheByHash?.delete(data.keyHash);
+    if (data.previousKeyHash) {
+      this.cacheByHash?.delete(data.previousKeyHash);
+    }
+  }
+
   private invalidateCache(): void {
     this.cache = null;
     this.cacheByHash = null;
@@ -135,20 +184,20 @@ export class FileKeyRepository implements KeyRepositoryPort {
   }
 
   async findByKey(plainKey: string): Promise<ApiKey | null> {
-    await this.loadKeys();
-
-    // First try plaintext key lookup (for legacy format)
-    if (this.cacheByPlainKey?.has(plainKey)) {
-      return this.cacheByPlainKey.get(plainKey) ?? null;
+    const keys = await this.loadKeys();
+    const keyHash = ApiKey.hashKey(plainKey);
+
+    // First try plaintext key lookup (for legacy format). The entry may be
+    // stale, so resolve the current key and check the secret is still its own.
+    const legacy = this.cacheByPlainKey?.get(plainKey);
+    if (legacy) {
+      const current = keys.get(legacy.id);
+      if (current?.acceptsKeyHash(keyHash)) return current;
     }
 
     // Then try hash lookup
-    if (this.cacheByHash) {
-      const keyHash = ApiKey.hashKey(plainKey);
-      return this.cacheByHash.get(keyHash) ?? null;
-    }
-
-    return null;
+    const apiKey = this.cacheByHash?.get(keyHash);
+    return apiKey?.acceptsKeyHash(keyHash) ? apiKey : null;
   }
 
   async findAll(): Promise<ApiKey[]> {
@@ -168,10 +217,11 @@ export class FileKeyRepository implements KeyRepositoryPort {
 
   async save(apiKey: ApiKey): Promise<void> {
     const keys = await this.loadKeys();
+    const existing = keys.get(apiKey.id);
+    if (existing) this.unindexKey(existing);
+
     keys.set(apiKey.id, apiKey);
-    if (this.cacheByHash) {
-      this.cacheByHash.set(apiKey.keyHash, apiKey);
-    }
+    this.indexKey(apiKey);
     await this.saveKeys();
   }
 
@@ -181,9 +231,7 @@ export class FileKeyRepository implements KeyRepositoryPort {
     if (!apiKey) return false;
 
     keys.delete(id);
-    if (this.cacheByHash) {
-      this.cacheByHash.delete(apiKey.keyHash);
-    }
+    this.unindexKey(apiKey);
     await this.saveKeys();
     return true;
   }
@@ -200,12 +248,27 @@ export class FileKeyRepository implements KeyRepositoryPort {
 
     const updated = apiKey.withIncrementedRequestCount();
     keys.set(id, updated);
-    if (this.cacheByHash) {
-      this.cacheByHash.set(updated.keyHash, updated);
-    }
+    this.indexKey(updated);
+    await this.saveKeys();
+  }
+
+  /**
+   * Write the keys without reading the file first, so a repository opened
+   * with a new master key can re-encrypt what one with the old key read
+   */
+  async replaceAll(apiKeys: ApiKey[]): Promise<void> {
+    this.cache = new Map(apiKeys.map((apiKey) => [apiKey.id, apiKey]));
+    this.cacheByHash = new Map();
+    this.cacheByPlainKey = new Map();
+    apiKeys.forEach((apiKey) => this.indexKey(apiKey));
     await this.saveKeys();
   }
 
+  async countPlaintextCredentials(): Promise<number> {
+    const stored = await this.readStored();
+    return stored.filter((key) => hasPlaintextCredentials(key.engineConfig)).length;
+  }
+
   async isAvailable(): Promise<boolean> {
     return this.storage.isAvailable();
   }
@@ -220,6 +283,9 @@ export class FileKeyRepository implements KeyRepositoryPort {
 }
 
 // Factory function
-export function createFileKeyRepository(storage: FileStorage): FileKeyRepository {
-  return new FileKeyRepository(storage);
+export function createFileKeyRepository(
+  storage: FileStorage,
+  cipher: CredentialsCipher | null = null
+): FileKeyRepository {
+  return new FileKeyRepository(storage, cipher);
 }
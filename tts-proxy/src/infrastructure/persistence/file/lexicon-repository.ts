@@ -0,0 +1,52 @@
+/**
+ * File-based Lexicon Repository
+ * Keeps all pronunciation lexicons in a single lexicons.json
+ */
+
+import type { LexiconRepositoryPort } from '../../../application/ports/lexicon-repository-port.js';
+import type { Lexicon } from '../../../types/tts.types.js';
+import type { FileStorage } from './file-storage.js';
+
+const LEXICONS_KEY = 'lexicons';
+
+interface LexiconsFile {
+  lexicons: Lexicon[];
+}
+
+export class FileLexiconRepository implements LexiconRepositoryPort {
+  private readonly storage: FileStorage;
+
+  constructor(storage: FileStorage) {
+    this.storage = storage;
+  }
+
+  async findAll(): Promise<Lexicon[]> {
+    const data = await this.storage.readJson<LexiconsFile>(LEXICONS_KEY);
+    return data?.lexicons ?? [];
+  }
+
+  async save(lexicon: Lexicon): Promise<void> {
+    const lexicons = await this.findAll();
+
+    const index = lexicons.findIndex((l) => l.scope === lexicon.scope);
+    if (index >= 0) {
+      lexicons[index] = lexicon;
+    } else {
+      lexicons.push(lexicon);
+    }
+
+    await this.storage.writeJson<LexiconsFile>(LEXICONS_KEY, { lexicons });
+  }
+
+  async delete(scope: string): Promise<boolean> {
+    const lexicons = await this.findAll();
+    const remaining = lexicons.filter((l) => l.scope !== scope);
+
+    if (remaining.length === lexicons.length) {
+      return false;
+    }
+
+    await this.storage.writeJson<LexiconsFile>(LEXICONS_KEY, { lexicons: remaining });
+    return true;
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * File-based Usage Storage
+ * Appends usage records to one JSON Lines file per day (UTC)
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import type { UsageStoragePort } from '../../../application/ports/storage-port.js';
+import { matchesUsageQuery, type UsageRecord, type UsageQuery } from '../../../domain/entities/usage.js';
+
+export interface FileUsageStorageConfig {
+  dataDir: string;
+}
+
+const FILE_PATTERN = /^usage-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+export class FileUsageStorage implements UsageStoragePort {
+  private readonly dataDir: string;
+
+  constructor(config: FileUsageStorageConfig) {
+    this.dataDir = config.dataDir;
+  }
+
+  async appendUsage(record: UsageRecord): Promise<void> {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const line = JSON.stringify({ ...record, timestamp: record.timestamp.toISOString() });
+    await fs.appendFile(join(this.dataDir, `usage-${dayOf(record.timestamp)}.jsonl`), `${line}\n`, 'utf-8');
+  }
+
+  async getUsage(query: UsageQuery = {}): Promise<UsageRecord[]> {
+    const records: UsageRecord[] = [];
+
+    for (const { day, file } of await this.listFiles()) {
+      // Skip whole days outside the range
+      if (query.since && day < dayOf(query.since)) continue;
+      if (query.until && day > dayOf(query.until)) continue;
+
+      for (const record of await this.readFile(file)) {
+        if (matchesUsageQuery(record, query)) records.push(record);
+      }
+    }
+
+    return records;
+  }
+
+  async getCharacterCount(keyId: string, since: Date): Promise<number> {
+    const records = await this.getUsage({ keyId, since });
+    return records
+      .filter((r) => r.statusCode >= 200 && r.statusCode < 300)
+      .reduce((sum, r) => sum + r.characterCount, 0);
+  }
+
+  async clearOldRecords(olderThan: Date): Promise<number> {
+    let removed = 0;
+    const cutoff = dayOf(olderThan);
+
+    for (const { day, file } of await this.listFiles()) {
+      // Only whole days before the cutoff are dropped
+      if (day >= cutoff) continue;
+      removed += (await this.readFile(file)).length;
+      await fs.unlink(file);
+    }
+
+    return removed;
+  }
+
+  private async listFiles(): Promise<Array<{ day: string; file: string }>> {
+    let names: string[];
+    try {
+      names = await fs.readdir(this.dataDir);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return names
+      .map((name) => ({ name, match: FILE_PATTERN.exec(name) }))
+      .filter((f): f is { name: string; match: RegExpExecArray } => f.match !== null)
+      .map((f) => ({ day: f.match[1]!, file: join(this.dataDir, f.name) }))
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  private async readFile(file: string): Promise<UsageRecord[]> {
+    const content = await fs.readFile(file, 'utf-8');
+    const records: UsageRecord[] = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const data = JSON.parse(line) as Omit<UsageRecord, 'timestamp'> & { timestamp: string };
+        records.push({ ...data, timestamp: new Date(data.timestamp) });
+      } catch {
+        // A torn write from a crash loses one record, not the whole day
+      }
+    }
+
+    return records;
+  }
+}
+
+function dayOf(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
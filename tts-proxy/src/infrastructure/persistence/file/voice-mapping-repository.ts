@@ -0,0 +1,68 @@
+/**
+ * File-based Voice Mapping Repository
+ * Reads and writes the voiceMapping section of config.json, leaving the rest of the file untouched
+ */
+
+import type { VoiceMappingRepositoryPort } from '../../../application/ports/voice-mapping-repository-port.js';
+import type { VoiceMapping } from '../../../types/tts.types.js';
+import type { FileStorage } from './file-storage.js';
+
+interface ConfigFile {
+  voiceMapping?: VoiceMapping[];
+  [key: string]: unknown;
+}
+
+export class FileVoiceMappingRepository implements VoiceMappingRepositoryPort {
+  private readonly storage: FileStorage;
+  private readonly configKey: string;
+
+  /**
+   * @param storage - storage rooted at the config file's directory
+   * @param configKey - config file name without the .json extension
+   */
+  constructor(storage: FileStorage, configKey = 'config') {
+    this.storage = storage;
+    this.configKey = configKey;
+  }
+
+  async findAll(): Promise<VoiceMapping[]> {
+    const config = await this.readConfig();
+    return config.voiceMapping ?? [];
+  }
+
+  async findById(elevenLabsId: string): Promise<VoiceMapping | null> {
+    const mappings = await this.findAll();
+    return mappings.find((m) => m.elevenLabsId === elevenLabsId) ?? null;
+  }
+
+  async save(mapping: VoiceMapping): Promise<void> {
+    const config = await this.readConfig();
+    const mappings = config.voiceMapping ?? [];
+
+    const index = mappings.findIndex((m) => m.elevenLabsId === mapping.elevenLabsId);
+    if (index >= 0) {
+      mappings[index] = mapping;
+    } else {
+      mappings.push(mapping);
+    }
+
+    await this.storage.writeJson(this.configKey, { ...config, voiceMapping: mappings });
+  }
+
+  async delete(elevenLabsId: string): Promise<boolean> {
+    const config = await this.readConfig();
+    const mappings = config.voiceMapping ?? [];
+    const remaining = mappings.filter((m) => m.elevenLabsId !== elevenLabsId);
+
+    if (remaining.length === mappings.length) {
+      return false;
+    }
+
+    await this.storage.writeJson(this.configKey, { ...config, voiceMapping: remaining });
+    return true;
+  }
+
+  private async readConfig(): Promise<ConfigFile> {
+    return (await this.storage.readJson<ConfigFile>(this.configKey)) ?? {};
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * File-based Voice Preview Repository
+ * Keeps each preview as <key>.json with its audio beside it as <key>.<format>
+ */
+
+import type {
+  VoicePreview,
+  VoicePreviewRepositoryPort,
+} from '../../../application/ports/voice-preview-repository-port.js';
+import type { FileStorage } from './file-storage.js';
+
+export class FileVoicePreviewRepository implements VoicePreviewRepositoryPort {
+  private readonly storage: FileStorage;
+
+  constructor(storage: FileStorage) {
+    this.storage = storage;
+  }
+
+  async find(key: string): Promise<VoicePreview | null> {
+    return this.storage.readJson<VoicePreview>(key).catch(() => null);
+  }
+
+  async save(preview: VoicePreview, audio: Buffer): Promise<void> {
+    // A replaced preview may have been stored in another format
+    const previous = await this.find(preview.key);
+    if (previous && previous.format !== preview.format) {
+      await this.storage.deleteBinary(previous.key, previous.format);
+    }
+
+    await this.storage.writeBinary(preview.key, audio, preview.format);
+    await this.storage.writeJson(preview.key, preview);
+  }
+
+  async readAudio(preview: VoicePreview): Promise<Buffer | null> {
+    return this.storage.readBinary(preview.key, preview.format);
+  }
+
+  async delete(preview: VoicePreview): Promise<boolean> {
+    await this.storage.deleteBinary(preview.key, preview.format);
+    return this.storage.delete(preview.key);
+  }
+}
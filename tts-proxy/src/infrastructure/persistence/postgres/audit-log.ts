@@ -0,0 +1,105 @@
+/**
+ * PostgreSQL Audit Log
+ * Implements AuditLogPort for PostgreSQL storage
+ */
+
+import type { AuditLogPort } from '../../../application/ports/audit-log-port.js';
+import type { AuditAction, AuditEntry, AuditQuery } from '../../../domain/entities/audit.js';
+import { query } from './connection.js';
+
+interface AuditRow {
+  id: string;
+  action: string;
+  actor: string;
+  actor_name: string | null;
+  target: string | null;
+  details: Record<string, unknown> | null;
+  request_id: string | null;
+  ip: string | null;
+  created_at: Date;
+}
+
+function rowToEntry(row: AuditRow): AuditEntry {
+  return {
+    id: row.id,
+    timestamp: row.created_at,
+    action: row.action as AuditAction,
+    actor: row.actor,
+    ...(row.actor_name ? { actorName: row.actor_name } : {}),
+    ...(row.target ? { target: row.target } : {}),
+    ...(row.details ? { details: row.details } : {}),
+    ...(row.request_id ? { requestId: row.request_id } : {}),
+    ...(row.ip ? { ip: row.ip } : {}),
+  };
+}
+
+export class PostgresAuditLog implements AuditLogPort {
+  async append(entry: AuditEntry): Promise<void> {
+    await query(
+      `INSERT INTO audit_log
+        (id, action, actor, actor_name, target, details, request_id, ip, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        entry.id,
+        entry.action,
+        entry.actor,
+        entry.actorName ?? null,
+        entry.target ?? null,
+        entry.details ? JSON.stringify(entry.details) : null,
+        entry.requestId ?? null,
+        entry.ip ?? null,
+        entry.timestamp,
+      ]
+    );
+  }
+
+  async query(auditQuery: AuditQuery = {}, limit?: number): Promise<AuditEntry[]> {
+    const conditions: string[] = [];
+    const params: unknown[] = [];
+
+    if (auditQuery.since) {
+      params.push(auditQuery.since);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (auditQuery.until) {
+      params.push(auditQuery.until);
+      conditions.push(`created_at < $${params.length}`);
+    }
+    if (auditQuery.action) {
+      params.push(auditQuery.action, `${auditQuery.action}.%`);
+      conditions.push(`(action = $${params.length - 1} OR action LIKE $${params.length})`);
+    }
+    if (auditQuery.actor) {
+      params.push(auditQuery.actor);
+      conditions.push(`actor = $${params.length}`);
+    }
+    if (auditQuery.target) {
+      params.push(auditQuery.target);
+      conditions.push(`target = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    let sql = `SELECT * FROM audit_log ${where} ORDER BY created_at DESC`;
+    if (limit !== undefined && Number.isFinite(limit)) {
+      params.push(limit);
+      sql += ` LIMIT $${params.length}`;
+    }
+    const result = await query<AuditRow>(sql, params);
+    return result.rows.map(rowToEntry);
+  }
+
+  async clearOldEntries(olderThan: Date): Promise<number> {
+    const result = await query('DELETE FROM audit_log WHERE created_at < $1', [olderThan]);
+    return result.rowCount ?? 0;
+  }
+}
+
+// Singleton instance
+let instance: PostgresAuditLog | null = null;
+
+export function getPostgresAuditLog(): PostgresAuditLog {
+  if (!instance) {
+    instance = new PostgresAuditLog();
+  }
+  return instance;
+}
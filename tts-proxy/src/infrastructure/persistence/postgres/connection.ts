@@ -5,6 +5,9 @@
 
 import pg from 'pg';
 import { getEnv } from '../../../config/env.js';
+import { getLogger } from '../../../domain/services/log-service.js';
+
+const log = getLogger('Database');
 
 const { Pool } = pg;
 
@@ -49,7 +52,7 @@ export function getPool(config?: DatabaseConfig): pg.Pool {
 
   // Handle pool errors
   pool.on('error', (err) => {
-    console.error('Unexpected database pool error:', err);
+    log.error('Unexpected database pool error', err);
   });
 
   return pool;
@@ -93,19 +96,94 @@ export async function initializeSchema(): Promise<void> {
       created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
       last_used TIMESTAMP WITH TIME ZONE,
       request_count INTEGER NOT NULL DEFAULT 0,
-      engine_config JSONB
+      engine_config JSONB,
+      character_quota JSONB,
+      scopes JSONB,
+      previous_key_hash VARCHAR(64),
+      previous_key_expires_at TIMESTAMP WITH TIME ZONE
     )
   `);
 
+  // Added after the first release - existing tables need the columns
+  await p.query(`
+    ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS character_quota JSONB
+  `);
+  await p.query(`
+    ALTER TABLE api_keys
+      ADD COLUMN IF NOT EXISTS scopes JSONB,
+      ADD COLUMN IF NOT EXISTS previous_key_hash VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS previous_key_expires_at TIMESTAMP WITH TIME ZONE
+  `);
+
   // Create index on key_hash for fast lookups
   await p.query(`
     CREATE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys(key_hash)
   `);
+  await p.query(`
+    CREATE INDEX IF NOT EXISTS idx_api_keys_previous_key_hash ON api_keys(previous_key_hash)
+      WHERE previous_key_hash IS NOT NULL
+  `);
 
   // Create index on active for filtering
   await p.query(`
     CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(active)
   `);
+
+  // Create usage_records table
+  await p.query(`
+    CREATE TABLE IF NOT EXISTS usage_records (
+      id VARCHAR(64) PRIMARY KEY,
+      key_id VARCHAR(64) NOT NULL,
+      engine VARCHAR(32) NOT NULL,
+      path VARCHAR(255) NOT NULL,
+      character_count INTEGER NOT NULL DEFAULT 0,
+      duration_ms INTEGER NOT NULL DEFAULT 0,
+      status_code INTEGER NOT NULL,
+      metadata JSONB,
+      created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // Usage queries filter by time range, usually per key
+  await p.query(`
+    CREATE INDEX IF NOT EXISTS idx_usage_records_created_at ON usage_records(created_at)
+  `);
+  await p.query(`
+    CREATE INDEX IF NOT EXISTS idx_usage_records_key_created ON usage_records(key_id, created_at)
+  `);
+
+  // Create engine_credentials table; credentials hold an encrypted envelope
+  // unless the server runs without CREDENTIALS_MASTER_KEY
+  await p.query(`
+    CREATE TABLE IF NOT EXISTS engine_credentials (
+      engine_id VARCHAR(32) PRIMARY KEY,
+      credentials JSONB NOT NULL,
+      updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // Create audit_log table
+  await p.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id VARCHAR(64) PRIMARY KEY,
+      action VARCHAR(64) NOT NULL,
+      actor VARCHAR(64) NOT NULL,
+      actor_name VARCHAR(255),
+      target VARCHAR(255),
+      details JSONB,
+      request_id VARCHAR(128),
+      ip VARCHAR(64),
+      created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // Audit queries list the newest entries, optionally for one action
+  await p.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)
+  `);
+  await p.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_log_action_created ON audit_log(action, created_at)
+  `);
 }
 
 /**
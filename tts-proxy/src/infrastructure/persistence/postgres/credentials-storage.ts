@@ -0,0 +1,84 @@
+/**
+ * PostgreSQL Credentials Storage
+ * Implements CredentialsStoragePort for PostgreSQL storage, one row per engine
+ */
+
+import type { CredentialsStoragePort } from '../../../application/ports/storage-port.js';
+import {
+  isEncryptedCredentials,
+  openCredentials,
+  sealCredentials,
+  type CredentialsCipher,
+  type StoredCredentials,
+} from '../credentials-cipher.js';
+import { query, transaction } from './connection.js';
+
+interface CredentialsRow {
+  engine_id: string;
+  credentials: StoredCredentials;
+  updated_at: Date;
+}
+
+export class PostgresCredentialsStorage implements CredentialsStoragePort {
+  constructor(private readonly cipher: CredentialsCipher | null = null) {}
+
+  async getCredentials(engineId: string): Promise<Record<string, string> | null> {
+    const result = await query<CredentialsRow>(
+      'SELECT * FROM engine_credentials WHERE engine_id = $1',
+      [engineId]
+    );
+
+    if (result.rows.length === 0) return null;
+    return openCredentials(result.rows[0]!.credentials, this.cipher);
+  }
+
+  async saveCredentials(engineId: string, credentials: Record<string, string>): Promise<void> {
+    await query(
+      `INSERT INTO engine_credentials (engine_id, credentials, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (engine_id) DO UPDATE SET
+         credentials = EXCLUDED.credentials,
+         updated_at = EXCLUDED.updated_at`,
+      [engineId, JSON.stringify(sealCredentials(credentials, this.cipher))]
+    );
+  }
+
+  async deleteCredentials(engineId: string): Promise<boolean> {
+    const result = await query('DELETE FROM engine_credentials WHERE engine_id = $1', [engineId]);
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  async getAllCredentials(): Promise<Record<string, Record<string, string>>> {
+    const result = await query<CredentialsRow>('SELECT * FROM engine_credentials ORDER BY engine_id');
+    return Object.fromEntries(
+      result.rows.map((row) => [row.engine_id, openCredentials(row.credentials, this.cipher)])
+    );
+  }
+
+  async hasCredentials(engineId: string): Promise<boolean> {
+    const creds = await this.getCredentials(engineId);
+    return creds !== null && Object.keys(creds).length > 0;
+  }
+
+  async replaceAllCredentials(credentials: Record<string, Record<string, string>>): Promise<void> {
+    await transaction(async (client) => {
+      await client.query('DELETE FROM engine_credentials');
+      for (const [engineId, creds] of Object.entries(credentials)) {
+        await client.query(
+          'INSERT INTO engine_credentials (engine_id, credentials, updated_at) VALUES ($1, $2, NOW())',
+          [engineId, JSON.stringify(sealCredentials(creds, this.cipher))]
+        );
+      }
+    });
+  }
+
+  async countPlaintextCredentials(): Promise<number> {
+    const result = await query<CredentialsRow>('SELECT * FROM engine_credentials');
+    return result.rows.filter((row) => !isEncryptedCredentials(row.credentials)).length;
+  }
+}
+
+// Factory function; the cipher comes from CREDENTIALS_MASTER_KEY
+export function createPostgresCredentialsStorage(cipher: CredentialsCipher | null): PostgresCredentialsStorage {
+  return new PostgresCredentialsStorage(cipher);
+}
@@ -5,7 +5,15 @@
 
 import type { KeyRepositoryPort } from '../../../application/ports/key-repository-port.js';
 import { ApiKey } from '../../../domain/entities/api-key.js';
-import { query, isDatabaseAvailable } from './connection.js';
+import type { CharacterQuota, ApiKeyScope } from '../../../types/api-key.types.js';
+import { query, isDatabaseAvailable, transaction } from './connection.js';
+import {
+  hasPlaintextCredentials,
+  openEngineConfig,
+  sealEngineConfig,
+  type CredentialsCipher,
+  type StoredEngineConfig,
+} from '../credentials-cipher.js';
 
 interface ApiKeyRow {
   id: string;
@@ -19,10 +27,36 @@ interface ApiKeyRow {
   created_at: Date;
   last_used: Date | null;
   request_count: number;
-  engine_config: Record<string, unknown> | null;
+  engine_config: StoredEngineConfig | null;
+  character_quota: CharacterQuota | null;
+  scopes: ApiKeyScope[] | null;
+  previous_key_hash: string | null;
+  previous_key_expires_at: Date | null;
 }
 
-function rowToApiKey(row: ApiKeyRow): ApiKey {
+const UPSERT_KEY_SQL = `INSERT INTO api_keys (
+    id, key_hash, key_suffix, name, is_admin, active,
+    rate_limit, expires_at, created_at, last_used,
+    request_count, engine_config, character_quota,
+    scopes, previous_key_hash, previous_key_expires_at
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+  ON CONFLICT (id) DO UPDATE SET
+    key_hash = EXCLUDED.key_hash,
+    key_suffix = EXCLUDED.key_suffix,
+    name = EXCLUDED.name,
+    is_admin = EXCLUDED.is_admin,
+    active = EXCLUDED.active,
+    rate_limit = EXCLUDED.rate_limit,
+    expires_at = EXCLUDED.expires_at,
+    last_used = EXCLUDED.last_used,
+    request_count = EXCLUDED.request_count,
+    engine_config = EXCLUDED.engine_config,
+    character_quota = EXCLUDED.character_quota,
+    scopes = EXCLUDED.scopes,
+    previous_key_hash = EXCLUDED.previous_key_hash,
+    previous_key_expires_at = EXCLUDED.previous_key_expires_at`;
+
+function rowToApiKey(row: ApiKeyRow, cipher: CredentialsCipher | null): ApiKey {
   return ApiKey.fromData({
     id: row.id,
     name: row.name,
@@ -34,12 +68,22 @@ function rowToApiKey(row: ApiKeyRow): ApiKey {
     expiresAt: row.expires_at,
     lastUsed: row.last_used,
     requestCount: row.request_count,
-    engineConfig: row.engine_config as ApiKey['engineConfig'],
+    engineConfig: openEngineConfig(row.engine_config, cipher),
+    characterQuota: row.character_quota,
+    scopes: row.scopes,
+    previousKeyHash: row.previous_key_hash,
+    previousKeyExpiresAt: row.previous_key_expires_at,
     createdAt: row.created_at,
   });
 }
 
+/**
+ * With a cipher, the keys' custom engine credentials are encrypted like the
+ * engines' own; plaintext ones written before are still read.
+ */
 export class PostgresKeyRepository implements KeyRepositoryPort {
+  constructor(private readonly cipher: CredentialsCipher | null = null) {}
+
   async findById(id: string): Promise<ApiKey | null> {
     const result = await query<ApiKeyRow>(
       'SELECT * FROM api_keys WHERE id = $1',
@@ -47,25 +91,29 @@ export class PostgresKeyRepository implements KeyRepositoryPort {
     );
 
     if (result.rows.length === 0) return null;
-    return rowToApiKey(result.rows[0]!);
+    return rowToApiKey(result.rows[0]!, this.cipher);
   }
 
   async findByKey(plainKey: string): Promise<ApiKey | null> {
     const keyHash = ApiKey.hashKey(plainKey);
+    // A rotated key also answers to its previous secret during the grace period
     const result = await query<ApiKeyRow>(
-      'SELECT * FROM api_keys WHERE key_hash = $1',
+      `SELECT * FROM api_keys
+       WHERE key_hash = $1
+       OR (previous_key_hash = $1 AND previous_key_expires_at > NOW())
+       LIMIT 1`,
       [keyHash]
     );
 
     if (result.rows.length === 0) return null;
-    return rowToApiKey(result.rows[0]!);
+    return rowToApiKey(result.rows[0]!, this.cipher);
   }
 
   async findAll(): Promise<ApiKey[]> {
     const result = await query<ApiKeyRow>(
       'SELECT * FROM api_keys ORDER BY created_at DESC'
     );
-    return result.rows.map(rowToApiKey);
+    return result.rows.map((row) => rowToApiKey(row, this.cipher));
   }
 
   async findAllActive(): Promise<ApiKey[]> {
@@ -75,41 +123,31 @@ export class PostgresKeyRepository implements KeyRepositoryPort {
        AND (expires_at IS NULL OR expires_at > NOW())
        ORDER BY created_at DESC`
     );
-    return result.rows.map(rowToApiKey);
+    return result.rows.map((row) => rowToApiKey(row, this.cipher));
   }
 
   async save(apiKey: ApiKey): Promise<void> {
-    const data = apiKey.toData();
-    await query(
-      `INSERT INTO api_keys (
-        id, key_hash, key_suffix, name, is_admin, active,
-        rate_limit, expires_at, created_at, last_used,
-        request_count, engine_config
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-      ON CONFLICT (id) DO UPDATE SET
-        name = EXCLUDED.name,
-        is_admin = EXCLUDED.is_admin,
-        active = EXCLUDED.active,
-        rate_limit = EXCLUDED.rate_limit,
-        expires_at = EXCLUDED.expires_at,
-        last_used = EXCLUDED.last_used,
-        request_count = EXCLUDED.request_count,
-        engine_config = EXCLUDED.engine_config`,
-      [
-        data.id,
-        data.keyHash,
-        data.keySuffix,
-        data.name,
-        data.isAdmin,
-        data.active,
-        data.rateLimit,
-        data.expiresAt,
-        data.createdAt,
-        data.lastUsed,
-        data.requestCount,
-        data.engineConfig ? JSON.stringify(data.engineConfig) : null,
-      ]
+    await query(UPSERT_KEY_SQL, this.toParams(apiKey));
+  }
+
+  /**
+   * Write the keys without reading them first, so a repository opened with a
+   * new master key can re-encrypt what one with the old key read
+   */
+  async replaceAll(apiKeys: ApiKey[]): Promise<void> {
+    await transaction(async (client) => {
+      await client.query('DELETE FROM api_keys WHERE NOT (id = ANY($1))', [apiKeys.map((apiKey) => apiKey.id)]);
+      for (const apiKey of apiKeys) {
+        await client.query(UPSERT_KEY_SQL, this.toParams(apiKey));
+      }
+    });
+  }
+
+  async countPlaintextCredentials(): Promise<number> {
+    const result = await query<Pick<ApiKeyRow, 'engine_config'>>(
+      'SELECT engine_config FROM api_keys WHERE engine_config IS NOT NULL'
     );
+    return result.rows.filter((row) => hasPlaintextCredentials(row.engine_config)).length;
   }
 
   async delete(id: string): Promise<boolean> {
@@ -141,14 +179,31 @@ export class PostgresKeyRepository implements KeyRepositoryPort {
   async isAvailable(): Promise<boolean> {
     return isDatabaseAvailable();
   }
-}
-
-// Singleton instance
-let instance: PostgresKeyRepository | null = null;
 
-export function getPostgresKeyRepository(): PostgresKeyRepository {
-  if (!instance) {
-    instance = new PostgresKeyRepository();
+  private toParams(apiKey: ApiKey): unknown[] {
+    const data = apiKey.toData();
+    return [
+      data.id,
+      data.keyHash,
+      data.keySuffix,
+      data.name,
+      data.isAdmin,
+      data.active,
+      data.rateLimit,
+      data.expiresAt,
+      data.createdAt,
+      data.lastUsed,
+      data.requestCount,
+      data.engineConfig ? JSON.stringify(sealEngineConfig(data.engineConfig, this.cipher)) : null,
+      data.characterQuota ? JSON.stringify(data.characterQuota) : null,
+      data.scopes ? JSON.stringify(data.scopes) : null,
+      data.previousKeyHash ?? null,
+      data.previousKeyExpiresAt ?? null,
+    ];
   }
-  return instance;
+}
+
+// Factory function; the cipher comes from CREDENTIALS_MASTER_KEY
+export function createPostgresKeyRepository(cipher: CredentialsCipher | null): PostgresKeyRepository {
+  return new PostgresKeyRepository(cipher);
 }
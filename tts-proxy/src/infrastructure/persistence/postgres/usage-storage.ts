@@ -0,0 +1,106 @@
+/**
+ * PostgreSQL Usage Storage
+ * Implements UsageStoragePort for PostgreSQL storage
+ */
+
+import type { UsageStoragePort } from '../../../application/ports/storage-port.js';
+import type { UsageRecord, UsageQuery } from '../../../domain/entities/usage.js';
+import type { EngineType } from '../../../types/engine.types.js';
+import { query } from './connection.js';
+
+interface UsageRow {
+  id: string;
+  key_id: string;
+  engine: string;
+  path: string;
+  character_count: number;
+  duration_ms: number;
+  status_code: number;
+  metadata: Record<string, unknown> | null;
+  created_at: Date;
+}
+
+function rowToRecord(row: UsageRow): UsageRecord {
+  return {
+    id: row.id,
+    apiKeyId: row.key_id,
+    engine: row.engine as EngineType,
+    path: row.path,
+    characterCount: row.character_count,
+    durationMs: row.duration_ms,
+    statusCode: row.status_code,
+    timestamp: row.created_at,
+    ...(row.metadata ? { metadata: row.metadata } : {}),
+  };
+}
+
+export class PostgresUsageStorage implements UsageStoragePort {
+  async appendUsage(record: UsageRecord): Promise<void> {
+    await query(
+      `INSERT INTO usage_records
+        (id, key_id, engine, path, character_count, duration_ms, status_code, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        record.id,
+        record.apiKeyId,
+        record.engine,
+        record.path,
+        record.characterCount,
+        record.durationMs,
+        record.statusCode,
+        record.metadata ? JSON.stringify(record.metadata) : null,
+        record.timestamp,
+      ]
+    );
+  }
+
+  async getUsage(usageQuery: UsageQuery = {}): Promise<UsageRecord[]> {
+    const conditions: string[] = [];
+    const params: unknown[] = [];
+
+    if (usageQuery.since) {
+      params.push(usageQuery.since);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (usageQuery.until) {
+      params.push(usageQuery.until);
+      conditions.push(`created_at < $${params.length}`);
+    }
+    if (usageQuery.keyId) {
+      params.push(usageQuery.keyId);
+      conditions.push(`key_id = $${params.length}`);
+    }
+    if (usageQuery.engine) {
+      params.push(usageQuery.engine);
+      conditions.push(`engine = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await query<UsageRow>(`SELECT * FROM usage_records ${where} ORDER BY created_at`, params);
+    return result.rows.map(rowToRecord);
+  }
+
+  async getCharacterCount(keyId: string, since: Date): Promise<number> {
+    const result = await query<{ total: string | null }>(
+      `SELECT SUM(character_count) AS total FROM usage_records
+       WHERE key_id = $1 AND created_at >= $2 AND status_code BETWEEN 200 AND 299`,
+      [keyId, since]
+    );
+    return Number(result.rows[0]?.total ?? 0);
+  }
+
+  async clearOldRecords(olderThan: Date): Promise<number> {
+    const result = await query('DELETE FROM usage_records WHERE created_at < $1', [olderThan]);
+    return result.rowCount ?? 0;
+  }
+}
+
+// Singleton instance
+let instance: PostgresUsageStorage | null = null;
+
+export function getPostgresUsageStorage(): PostgresUsageStorage {
+  if (!instance) {
+    instance = new PostgresUsageStorage();
+  }
+  return instance;
+}
@@ -12,14 +12,27 @@ import type {
   SpeechResponse,
   StreamingChunk,
   TimestampedSpeechResponse,
+  TimestampSupport,
+  AlignmentData,
   AudioFormat,
 } from '../../types/tts.types.js';
-import { SpeechGenerationError, EngineCredentialsMissingError } from '../../domain/errors/domain-errors.js';
+import {
+  SpeechGenerationError,
+  EngineCredentialsMissingError,
+  EngineCircuitOpenError,
+} from '../../domain/errors/domain-errors.js';
+import type { CircuitBreaker, CircuitBreakerSnapshot } from '../../domain/services/circuit-breaker.js';
+import type { EngineScheduler } from '../../domain/services/engine-scheduler.js';
+import { estimateAlignment } from '../../domain/services/alignment.js';
+import { getAudioDuration } from '../audio/duration.js';
+
+// Speaking rate assumed when the audio duration can't be measured
+const FALLBACK_CHARS_PER_SECOND = 15;
 
 export interface BaseEngineConfig {
   supportedFormats: AudioFormat[];
   supportsStreaming: boolean;
-  supportsTimestamps: boolean;
+  supportsTimestamps: TimestampSupport;
   supportsSSML: boolean;
   defaultVoice?: string;
 }
@@ -32,11 +45,27 @@ export abstract class BaseEngine implements TTSEnginePort {
   protected initialized = false;
   protected lastError?: string;
   protected config: BaseEngineConfig;
+  private circuitBreaker?: CircuitBreaker;
+  private scheduler?: EngineScheduler;
 
   constructor(config: BaseEngineConfig) {
     this.config = config;
   }
 
+  /**
+   * Attach the circuit breaker shared by all instances of this engine type
+   */
+  setCircuitBreaker(breaker: CircuitBreaker): void {
+    this.circuitBreaker = breaker;
+  }
+
+  /**
+   * Attach the scheduler that limits concurrent calls to this engine type
+   */
+  setScheduler(scheduler: EngineScheduler): void {
+    this.scheduler = scheduler;
+  }
+
   async initialize(credentials?: EngineCredentials): Promise<void> {
     this.credentials = credentials;
 
@@ -77,21 +106,67 @@ export abstract class BaseEngine implements TTSEnginePort {
     return this.voices;
   }
 
+  async refreshVoices(): Promise<Voice[]> {
+    if (!this.initialized) return this.getVoices();
+    this.voices = await this.fetchVoices();
+    return this.voices;
+  }
+
   async synthesize(request: SpeechRequest): Promise<SpeechResponse> {
     if (!this.initialized) {
       throw new SpeechGenerationError(this.engineId, 'Engine not initialized');
     }
 
-    try {
+    return this.runEngineCall(request, async () => {
       const audio = await this.doSynthesize(request);
+      const { format, sampleRate } = this.describeAudio(audio, request);
 
       return {
         audio,
-        format: request.outputFormat ?? 'wav',
-        sampleRate: request.sampleRate ?? 22050,
+        format,
+        sampleRate,
+        duration: getAudioDuration(audio, format, sampleRate) ?? undefined,
         characterCount: request.text.length,
       };
+    });
+  }
+
+  /**
+   * Format and sample rate of the audio doSynthesize returned; by default
+   * the ones that were asked for
+   */
+  protected describeAudio(_audio: Buffer, request: SpeechRequest): { format: AudioFormat; sampleRate: number } {
+    return { format: request.outputFormat ?? 'wav', sampleRate: request.sampleRate ?? 22050 };
+  }
+
+  /**
+   * Run an engine call once the scheduler gives it a turn, through the circuit breaker
+   */
+  protected async runEngineCall<T>(request: SpeechRequest, fn: () => Promise<T>): Promise<T> {
+    if (!this.scheduler) return this.withCircuitBreaker(fn);
+
+    // No point waiting for an engine that is being skipped anyway
+    if (this.circuitBreaker?.isOpen()) {
+      throw new EngineCircuitOpenError(this.engineId, this.circuitBreaker.getRetryAfter());
+    }
+    return this.scheduler.run(() => this.withCircuitBreaker(fn), request.priority);
+  }
+
+  /**
+   * Run an engine call through the circuit breaker, wrapping failures in SpeechGenerationError
+   */
+  protected async withCircuitBreaker<T>(fn: () => Promise<T>): Promise<T> {
+    if (this.circuitBreaker && !this.circuitBreaker.canRequest()) {
+      throw new EngineCircuitOpenError(this.engineId, this.circuitBreaker.getRetryAfter());
+    }
+
+    try {
+      const result = await fn();
+      this.circuitBreaker?.recordSuccess();
+      return result;
     } catch (error) {
+      this.circuitBreaker?.recordFailure(error);
+      if (error instanceof SpeechGenerationError) throw error;
       throw new SpeechGenerationError(
         this.engineId,
         error instanceof Error ? error.message : String(error),
@@ -108,15 +183,43 @@ export abstract class BaseEngine implements TTSEnginePort {
     throw new Error(`Streaming not supported by ${this.engineId}`);
   }
 
-  async synthesizeWithTimestamps?(_request: SpeechRequest): Promise<TimestampedSpeechResponse> {
-    throw new Error(`Timestamps not supported by ${this.engineId}`);
+  /**
+   * Synthesize speech with per-character timings.
+   * Engines that report their own timings override buildAlignment.
+   */
+  async synthesizeWithTimestamps(request: SpeechRequest): Promise<TimestampedSpeechResponse> {
+    if (this.config.supportsTimestamps === 'none') {
+      throw new Error(`Timestamps not supported by ${this.engineId}`);
+    }
+
+    const response = await this.synthesize(request);
+    const { alignment, timing } = await this.buildAlignment(request, response);
+
+    return {
+      ...response,
+      alignment,
+      normalized_alignment: alignment,
+      timing,
+    };
+  }
+
+  /**
+   * Build the alignment for a synthesized response.
+   * The default estimates timings from the audio duration and the text.
+   */
+  protected async buildAlignment(
+    request: SpeechRequest,
+    response: SpeechResponse
+  ): Promise<{ alignment: AlignmentData; timing: 'exact' | 'estimated' }> {
+    const duration = response.duration ?? request.text.length / FALLBACK_CHARS_PER_SECOND;
+    return { alignment: estimateAlignment(request.text, duration), timing: 'estimated' };
   }
 
   supportsStreaming(): boolean {
     return this.config.supportsStreaming;
   }
 
-  supportsTimestamps(): boolean {
+  supportsTimestamps(): TimestampSupport {
     return this.config.supportsTimestamps;
   }
 
@@ -134,12 +237,16 @@ export abstract class BaseEngine implements TTSEnginePort {
     voiceCount: number;
     message: string;
     error?: string;
+    circuit?: CircuitBreakerSnapshot;
   } {
+    const circuit = this.circuitBreaker?.getSnapshot();
+
     if (!this.initialized) {
       return {
         available: false,
         voiceCount: 0,
         message: 'Not initialized',
+        ...(circuit ? { circuit } : {}),
       };
     }
 
@@ -149,6 +256,17 @@ export abstract class BaseEngine implements TTSEnginePort {
         voiceCount: this.voices.length,
         message: 'Error',
         error: this.lastError,
+        ...(circuit ? { circuit } : {}),
+      };
+    }
+
+    if (circuit?.state === 'open') {
+      return {
+        available: false,
+        voiceCount: this.voices.length,
+        message: `Circuit open after ${circuit.consecutiveFailures} failures`,
+        ...(circuit.lastFailure ? { error: circuit.lastFailure } : {}),
+        circuit,
       };
     }
 
@@ -156,6 +274,7 @@ export abstract class BaseEngine implements TTSEnginePort {
       available: true,
       voiceCount: this.voices.length,
       message: `Ready (${this.voices.length} voices)`,
+      ...(circuit ? { circuit } : {}),
     };
   }
 
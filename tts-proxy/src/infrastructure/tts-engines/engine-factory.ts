@@ -3,19 +3,35 @@
  * Creates and manages TTS engine instances using js-tts-wrapper
  */
 
+import { createHash } from 'crypto';
 import type { TTSEnginePort, TTSEngineFactoryPort } from '../../application/ports/tts-engine-port.js';
 import type { EngineType, EngineCredentials } from '../../types/engine.types.js';
-import { ENGINE_DEFINITIONS } from '../../types/engine.types.js';
-import { EngineNotAvailableError } from '../../domain/errors/domain-errors.js';
+import { getEngineDefinition, registerEngineDefinition } from '../../types/engine.types.js';
+import { EngineNotAvailableError, EngineCircuitOpenError } from '../../domain/errors/domain-errors.js';
+import {
+  CircuitBreaker,
+  type CircuitBreakerConfig,
+  type CircuitBreakerSnapshot,
+} from '../../domain/services/circuit-breaker.js';
+import {
+  EngineScheduler,
+  type EngineQueueSnapshot,
+  type EngineSchedulerConfig,
+} from '../../domain/services/engine-scheduler.js';
 
 // Import js-tts-wrapper
 import { createTTSClient, type SupportedTTS } from 'js-tts-wrapper';
 
 import { JsTtsWrapperEngine } from './wrapper-engine.js';
 import { NativeEspeakEngine } from './espeak-engine.js';
+import { HttpEngine } from './http-engine.js';
+import { SherpaOnnxEngine } from './sherpaonnx-engine.js';
+import type { SherpaOnnxModelRegistry } from './sherpaonnx-models.js';
+import { httpEngineDefinition, httpEngineId, type HttpEngineConfig } from './http-engine-config.js';
+import type { BaseEngine } from './base-engine.js';
 
 /**
- * Supported engine types
+ * Built-in engine types; self-hosted HTTP engines are added from config.json
  */
 const SUPPORTED_ENGINES: EngineType[] = [
   'espeak',
@@ -30,9 +46,115 @@ const SUPPORTED_ENGINES: EngineType[] = [
   'sherpaonnx',
 ];
 
+// Engine instances kept for callers' own credentials before the least recently used is dropped
+const MAX_CUSTOM_ENGINES = 100;
+
+/**
+ * Identify a credential set without keeping the secrets in the cache key
+ */
+function fingerprintCredentials(credentials: EngineCredentials): string {
+  const sorted = Object.entries(credentials).sort(([a], [b]) => a.localeCompare(b));
+  return createHash('sha256').update(JSON.stringify(sorted)).digest('hex').slice(0, 16);
+}
+
 export class TTSEngineFactory implements TTSEngineFactoryPort {
   private readonly engines: Map<EngineType, TTSEnginePort> = new Map();
   private readonly defaultCredentials: Map<EngineType, EngineCredentials> = new Map();
+  private readonly circuitBreakers: Map<EngineType, CircuitBreaker> = new Map();
+  private readonly httpEngines: Map<EngineType, HttpEngineConfig> = new Map();
+  private sherpaOnnxModels: SherpaOnnxModelRegistry | null = null;
+  // Engines created with a caller's own credentials, keyed by engine and credential fingerprint
+  private readonly customEngines: Map<string, TTSEnginePort> = new Map();
+  private readonly customCircuitBreakers: Map<string, CircuitBreaker> = new Map();
+  private circuitBreakerConfig: Partial<CircuitBreakerConfig> = {};
+  // One per engine type, shared by its default and custom-credential instances
+  private readonly schedulers: Map<EngineType, EngineScheduler> = new Map();
+  private schedulerConfig: Partial<EngineSchedulerConfig> = {};
+  private concurrencyLimits: Map<EngineType, number> = new Map();
+
+  /**
+   * Configure the circuit breakers (applies to breakers created afterwards)
+   */
+  configureCircuitBreakers(config: Partial<CircuitBreakerConfig>): void {
+    this.circuitBreakerConfig = config;
+  }
+
+  /**
+   * Get (or create) the circuit breaker for an engine
+   */
+  getCircuitBreaker(engineId: EngineType): CircuitBreaker {
+    let breaker = this.circuitBreakers.get(engineId);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.circuitBreakerConfig);
+      this.circuitBreakers.set(engineId, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Get circuit breaker state for every engine that has been used
+   */
+  getCircuitStates(): Partial<Record<EngineType, CircuitBreakerSnapshot>> {
+    const states: Partial<Record<EngineType, CircuitBreakerSnapshot>> = {};
+    for (const [engineId, breaker] of this.circuitBreakers) {
+      states[engineId] = breaker.getSnapshot();
+    }
+    return states;
+  }
+
+  /**
+   * Configure the schedulers, with per-engine concurrency limits over the
+   * default one (applies to schedulers created afterwards)
+   */
+  configureSchedulers(config: Partial<EngineSchedulerConfig>, concurrencyLimits: Map<EngineType, number>): void {
+    this.schedulerConfig = config;
+    this.concurrencyLimits = concurrencyLimits;
+  }
+
+  /**
+   * Get (or create) the scheduler for an engine
+   */
+  getScheduler(engineId: EngineType): EngineScheduler {
+    let scheduler = this.schedulers.get(engineId);
+    if (!scheduler) {
+      const concurrency = this.concurrencyLimits.get(engineId);
+      scheduler = new EngineScheduler(engineId, {
+        ...this.schedulerConfig,
+        ...(concurrency ? { concurrency } : {}),
+      });
+      this.schedulers.set(engineId, scheduler);
+    }
+    return scheduler;
+  }
+
+  /**
+   * Get the running and waiting calls of every engine that has been used
+   */
+  getQueueStates(): Partial<Record<EngineType, EngineQueueSnapshot>> {
+    const states: Partial<Record<EngineType, EngineQueueSnapshot>> = {};
+    for (const [engineId, scheduler] of this.schedulers) {
+      states[engineId] = scheduler.getSnapshot();
+    }
+    return states;
+  }
+
+  /**
+   * Add the self-hosted TTS servers from config.json as engines of their own
+   */
+  configureHttpEngines(configs: HttpEngineConfig[]): void {
+    for (const config of configs) {
+      registerEngineDefinition(httpEngineDefinition(config));
+      this.httpEngines.set(httpEngineId(config.name), config);
+    }
+  }
+
+  /**
+   * Serve the sherpaonnx engine from the models of a local model registry
+   * instead of js-tts-wrapper's downloaded ones
+   */
+  configureSherpaOnnxModels(registry: SherpaOnnxModelRegistry): void {
+    this.sherpaOnnxModels = registry;
+  }
 
   /**
    * Set default credentials for an engine
@@ -42,7 +164,53 @@ export class TTSEngineFactory implements TTSEngineFactoryPort {
   }
 
   /**
-   * Create or get an engine instance
+   * Replace an engine's default credentials and rebuild its shared instance.
+   * Requests keep using the old instance until the new one is ready; it is
+   * disposed afterwards, and the circuit breaker starts closed again.
+   */
+  async reloadEngine(
+    engineId: EngineType,
+    credentials: EngineCredentials | null
+  ): Promise<TTSEnginePort | null> {
+    if (!this.isEngineSupported(engineId)) {
+      throw new EngineNotAvailableError(engineId, 'Engine type not supported');
+    }
+
+    if (credentials && Object.keys(credentials).length > 0) {
+      this.defaultCredentials.set(engineId, credentials);
+    } else {
+      this.defaultCredentials.delete(engineId);
+    }
+
+    const previous = this.engines.get(engineId);
+    const breaker = new CircuitBreaker(this.circuitBreakerConfig);
+    this.circuitBreakers.set(engineId, breaker);
+
+    try {
+      if (getEngineDefinition(engineId)?.requiresCredentials && !this.defaultCredentials.has(engineId)) {
+        this.engines.delete(engineId);
+        return null;
+      }
+
+      try {
+        const engine = await this.instantiateEngine(engineId, breaker, this.defaultCredentials.get(engineId));
+        this.engines.set(engineId, engine);
+        return engine;
+      } catch (error) {
+        // The old instance ran on credentials that no longer apply
+        this.engines.delete(engineId);
+        breaker.recordFailure(error);
+        throw error;
+      }
+    } finally {
+      await previous?.dispose?.();
+    }
+  }
+
+  /**
+   * Create or get an engine instance.
+   * Without credentials this is the shared engine using the default credentials;
+   * with them, an instance of its own cached per credential set.
    */
   async createEngine(
     engineId: EngineType,
@@ -53,31 +221,101 @@ export class TTSEngineFactory implements TTSEngineFactoryPort {
       throw new EngineNotAvailableError(engineId, 'Engine type not supported');
     }
 
-    // Use provided credentials or fall back to defaults
-    const creds = credentials ?? this.defaultCredentials.get(engineId);
+    if (credentials) {
+      return this.createCustomEngine(engineId, credentials);
+    }
+
+    const creds = this.defaultCredentials.get(engineId);
 
-    // Check if we have a cached instance with the same credentials
+    // Check if we have a cached instance
     const existing = this.engines.get(engineId);
     if (existing && existing.isAvailable()) {
       return existing;
     }
 
+    // Don't keep re-initializing an engine that has been failing
+    const breaker = this.getCircuitBreaker(engineId);
+    if (breaker.isOpen()) {
+      throw new EngineCircuitOpenError(engineId, breaker.getRetryAfter());
+    }
+
     // Create new engine instance
-    const engine = await this.instantiateEngine(engineId, creds);
+    let engine: TTSEnginePort;
+    try {
+      engine = await this.instantiateEngine(engineId, breaker, creds);
+    } catch (error) {
+      breaker.recordFailure(error);
+      throw error;
+    }
     this.engines.set(engineId, engine);
 
     return engine;
   }
 
+  /**
+   * Create or get an engine instance for a caller's own credentials.
+   * Each credential set has its own circuit breaker, so bad customer
+   * credentials never take the shared engine offline.
+   */
+  private async createCustomEngine(engineId: EngineType, credentials: EngineCredentials): Promise<TTSEnginePort> {
+    const cacheKey = `${engineId}:${fingerprintCredentials(credentials)}`;
+
+    const existing = this.customEngines.get(cacheKey);
+    if (existing && existing.isAvailable()) {
+      // Move to the back of the eviction order
+      this.customEngines.delete(cacheKey);
+      this.customEngines.set(cacheKey, existing);
+      return existing;
+    }
+
+    let breaker = this.customCircuitBreakers.get(cacheKey);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.circuitBreakerConfig);
+      this.customCircuitBreakers.set(cacheKey, breaker);
+    }
+    if (breaker.isOpen()) {
+      throw new EngineCircuitOpenError(engineId, breaker.getRetryAfter());
+    }
+
+    let engine: TTSEnginePort;
+    try {
+      engine = await this.instantiateEngine(engineId, breaker, credentials);
+    } catch (error) {
+      breaker.recordFailure(error);
+      throw error;
+    }
+    this.customEngines.delete(cacheKey);
+    this.customEngines.set(cacheKey, engine);
+    await this.evictCustomEngines();
+
+    return engine;
+  }
+
+  /**
+   * Drop the least recently used custom engines (and breakers) beyond the limit
+   */
+  private async evictCustomEngines(): Promise<void> {
+    for (const [cacheKey, engine] of this.customEngines) {
+      if (this.customEngines.size <= MAX_CUSTOM_ENGINES) break;
+      this.customEngines.delete(cacheKey);
+      this.customCircuitBreakers.delete(cacheKey);
+      await engine.dispose?.();
+    }
+    for (const cacheKey of this.customCircuitBreakers.keys()) {
+      if (this.customCircuitBreakers.size <= MAX_CUSTOM_ENGINES) break;
+      if (!this.customEngines.has(cacheKey)) this.customCircuitBreakers.delete(cacheKey);
+    }
+  }
+
   /**
    * Get all available engine IDs
    */
   getAvailableEngines(): EngineType[] {
-    return SUPPORTED_ENGINES.filter((id) => {
-      const def = ENGINE_DEFINITIONS[id];
+    return [...SUPPORTED_ENGINES, ...this.httpEngines.keys()].filter((id) => {
+      const def = getEngineDefinition(id);
       // Free engines are always "available"
       // Paid engines need credentials
-      if (!def.requiresCredentials) return true;
+      if (!def?.requiresCredentials) return true;
       return this.defaultCredentials.has(id);
     });
   }
@@ -86,7 +324,7 @@ export class TTSEngineFactory implements TTSEngineFactoryPort {
    * Check if an engine type is supported
    */
   isEngineSupported(engineId: EngineType): boolean {
-    return SUPPORTED_ENGINES.includes(engineId);
+    return SUPPORTED_ENGINES.includes(engineId) || this.httpEngines.has(engineId);
   }
 
   /**
@@ -103,7 +341,12 @@ export class TTSEngineFactory implements TTSEngineFactoryPort {
     for (const engine of this.engines.values()) {
       await engine.dispose?.();
     }
+    for (const engine of this.customEngines.values()) {
+      await engine.dispose?.();
+    }
     this.engines.clear();
+    this.customEngines.clear();
+    this.customCircuitBreakers.clear();
   }
 
   /**
@@ -118,22 +361,38 @@ export class TTSEngineFactory implements TTSEngineFactoryPort {
    */
   private async instantiateEngine(
     engineId: EngineType,
+    circuitBreaker: CircuitBreaker,
     credentials?: EngineCredentials
   ): Promise<TTSEnginePort> {
-    const definition = ENGINE_DEFINITIONS[engineId];
+    const definition = getEngineDefinition(engineId);
     if (!definition) {
       throw new EngineNotAvailableError(engineId, 'Unknown engine');
     }
 
-    let engine: TTSEnginePort;
+    let engine: BaseEngine;
+    const httpEngine = this.httpEngines.get(engineId);
 
-    // Use native espeak engine instead of js-tts-wrapper
-    // js-tts-wrapper plays audio via aplay instead of returning buffer
-    if (engineId === 'espeak') {
+    if (httpEngine) {
+      engine = new HttpEngine(httpEngine, {
+        supportedFormats: [httpEngine.response.format],
+        supportsStreaming: false,
+        supportsTimestamps: definition.timestamps,
+        supportsSSML: definition.supportsSSML,
+      });
+    } else if (engineId === 'sherpaonnx' && this.sherpaOnnxModels) {
+      engine = new SherpaOnnxEngine(this.sherpaOnnxModels, {
+        supportedFormats: ['wav'],
+        supportsStreaming: false,
+        supportsTimestamps: definition.timestamps,
+        supportsSSML: false,
+      });
+    } else if (engineId === 'espeak') {
+      // Use native espeak engine instead of js-tts-wrapper
+      // js-tts-wrapper plays audio via aplay instead of returning buffer
       engine = new NativeEspeakEngine({
         supportedFormats: ['wav'] as Array<'mp3' | 'wav' | 'pcm' | 'ogg' | 'opus'>,
         supportsStreaming: false,
-        supportsTimestamps: false,
+        supportsTimestamps: definition.timestamps,
         supportsSSML: false,
       });
     } else {
@@ -141,11 +400,13 @@ export class TTSEngineFactory implements TTSEngineFactoryPort {
       engine = new JsTtsWrapperEngine(engineId, {
         supportedFormats: definition.supportedFormats as Array<'mp3' | 'wav' | 'pcm' | 'ogg' | 'opus'>,
         supportsStreaming: definition.supportsStreaming,
-        supportsTimestamps: false, // js-tts-wrapper doesn't support timestamps
+        supportsTimestamps: definition.timestamps,
         supportsSSML: definition.supportsSSML,
       });
     }
 
+    engine.setCircuitBreaker(circuitBreaker);
+    engine.setScheduler(this.getScheduler(engineId));
     await engine.initialize(credentials);
 
     return engine;
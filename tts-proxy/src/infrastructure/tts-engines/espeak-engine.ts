@@ -7,7 +7,11 @@ import { spawn } from 'child_process';
 import { BaseEngine, type BaseEngineConfig } from './base-engine.js';
 import type { Voice } from '../../domain/entities/voice.js';
 import { Voice as VoiceEntity } from '../../domain/entities/voice.js';
-import type { SpeechRequest } from '../../types/tts.types.js';
+import type { SpeechRequest, SpeechResponse, AlignmentData } from '../../types/tts.types.js';
+import { estimateAlignment, findWords } from '../../domain/services/alignment.js';
+import { errorMessage, getLogger } from '../../domain/services/log-service.js';
+
+const log = getLogger('espeak');
 
 interface EspeakVoice {
   name: string;
@@ -143,18 +147,17 @@ export class NativeEspeakEngine extends BaseEngine {
     );
   }
 
-  protected async doSynthesize(request: SpeechRequest): Promise<Buffer> {
+  /**
+   * Build the voice, speed and pitch arguments for a request
+   */
+  private buildVoiceArgs(request: SpeechRequest): string[] {
     // Extract voice ID
     let voiceId = request.voiceId;
     if (voiceId.includes(':')) {
       voiceId = voiceId.split(':')[1] || 'en';
     }
 
-    // Build espeak arguments
-    const args: string[] = [
-      '-v', voiceId,
-      '--stdout', // Output to stdout as WAV
-    ];
+    const args: string[] = ['-v', voiceId];
 
     // Add speed if specified
     if (request.voiceSettings?.speed) {
@@ -168,6 +171,56 @@ export class NativeEspeakEngine extends BaseEngine {
       args.push('-p', pitch.toString());
     }
 
+    return args;
+  }
+
+  /**
+   * Weight each word by its phoneme count from espeak's own transcription,
+   * scaled to the measured audio duration
+   */
+  protected async buildAlignment(
+    request: SpeechRequest,
+    response: SpeechResponse
+  ): Promise<{ alignment: AlignmentData; timing: 'exact' | 'estimated' }> {
+    if (!response.duration) {
+      return super.buildAlignment(request, response);
+    }
+
+    let weights: number[] | undefined;
+    try {
+      // A second espeak process, so it waits for a turn like the synthesis did
+      const output = await this.runEngineCall(request, () =>
+        this.runEspeak([...this.buildVoiceArgs(request), '-q', '-x', '--sep=_', request.text])
+      );
+      const phonemeWords = output.split(/\s+/).filter(Boolean);
+
+      // Only usable when espeak kept the word boundaries (numbers, abbreviations
+      // and contractions can expand or merge words)
+      if (phonemeWords.length === findWords(request.text).length) {
+        weights = phonemeWords.map((word) => word.split('_').filter((p) => p.replace(/[',]/g, '')).length);
+      }
+    } catch (error) {
+      log.warn('Phoneme transcription failed', { error: errorMessage(error) });
+    }
+
+    return {
+      alignment: estimateAlignment(request.text, response.duration, weights),
+      timing: 'estimated',
+    };
+  }
+
+  protected async doSynthesize(request: SpeechRequest): Promise<Buffer> {
+    // Build espeak arguments
+    const args: string[] = [
+      ...this.buildVoiceArgs(request),
+      '--stdout', // Output to stdout as WAV
+    ];
+
+    // Let espeak interpret SSML markup instead of reading it aloud
+    if (request.ssml) {
+      args.push('-m');
+    }
+
     // Add the text
     args.push(request.text);
 
@@ -187,7 +240,7 @@ export class NativeEspeakEngine extends BaseEngine {
           // espeak sometimes outputs info to stderr, ignore it
           const msg = data.toString();
           if (msg.includes('error') || msg.includes('Error')) {
-            console.warn('[espeak] stderr:', msg);
+            log.warn('espeak reported an error', { stderr: msg.trim() });
           }
         });
 
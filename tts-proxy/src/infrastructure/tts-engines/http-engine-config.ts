@@ -0,0 +1,204 @@
+/**
+ * HTTP Engine Configuration
+ * Self-hosted TTS servers (Coqui, Piper, XTTS, ...) described in the
+ * httpEngines section of config.json, each one becoming an engine "http-<name>"
+ */
+
+import { z } from 'zod';
+import type { EngineDefinition, HttpEngineType } from '../../types/engine.types.js';
+import { ConfigurationError } from '../../domain/errors/domain-errors.js';
+
+// {{text}}, {{voice}}, {{credentials.PIPER_TOKEN}}, ...
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+// Values a request template can use besides the engine's credentials
+const REQUEST_PLACEHOLDERS = ['text', 'voice', 'language', 'speed', 'pitch'];
+
+const RAW_FORMATS: string[] = ['pcm', 'ulaw'];
+
+const headersSchema = z.record(z.string()).default({});
+
+const urlTemplateSchema = z.string().regex(/^https?:\/\//, 'must be an http(s) URL');
+
+const voiceSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().optional(),
+  language: z.string().optional(), // e.g. "en-US"
+  gender: z.string().optional(),
+});
+
+const voicesEndpointSchema = z.object({
+  url: urlTemplateSchema,
+  method: z.enum(['GET', 'POST']).default('GET'),
+  headers: headersSchema,
+  path: z.string().optional(), // where the list is in the response, e.g. "data.voices"
+  // Fields of each listed voice; a list of plain strings gives IDs only
+  fields: z
+    .object({
+      id: z.string().default('id'),
+      name: z.string().default('name'),
+      language: z.string().default('language'),
+      gender: z.string().default('gender'),
+    })
+    .default({}),
+});
+
+export const httpEngineConfigSchema = z
+  .object({
+    name: z.string().regex(/^[a-z0-9][a-z0-9_-]*$/, 'use lowercase letters, digits, "-" and "_"'),
+    label: z.string().optional(),
+    description: z.string().optional(),
+    request: z.object({
+      url: urlTemplateSchema,
+      method: z.enum(['GET', 'POST', 'PUT']).default('POST'),
+      headers: headersSchema,
+      body: z.union([z.string(), z.record(z.unknown())]).optional(), // JSON (object) or text template
+      timeoutMs: z.number().int().positive().default(30000),
+    }),
+    response: z
+      .object({
+        audioPath: z.string().optional(), // base64 audio inside a JSON response; the body is the audio without it
+        format: z.enum(['wav', 'mp3', 'pcm', 'ogg', 'opus', 'flac', 'aac', 'ulaw']).default('wav'),
+        sampleRate: z.number().int().positive().optional(), // read from the header of WAV audio
+      })
+      .default({}),
+    voices: z.union([z.array(voiceSchema).min(1), voicesEndpointSchema]),
+    credentials: z.array(z.string().regex(/^[A-Z][A-Z0-9_]*$/)).default([]), // env vars, used as {{credentials.NAME}}
+    supportsSSML: z.boolean().default(false),
+  })
+  .superRefine((config, ctx) => {
+    // Raw audio carries no header to read the rate from
+    if (RAW_FORMATS.includes(config.response.format) && !config.response.sampleRate) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['response', 'sampleRate'],
+        message: `required for ${config.response.format} audio`,
+      });
+    }
+
+    const known = new Set([...REQUEST_PLACEHOLDERS, ...config.credentials.map((name) => `credentials.${name}`)]);
+    const { request, voices } = config;
+    const templates: Array<[string, unknown]> = [
+      ['request', request],
+      ['voices', Array.isArray(voices) ? undefined : { url: voices.url, headers: voices.headers }],
+    ];
+    for (const [section, template] of templates) {
+      for (const name of findPlaceholders(template)) {
+        // Voice lists are fetched without a request to take values from
+        const allowed = section === 'request' ? known.has(name) : name.startsWith('credentials.') && known.has(name);
+        if (!allowed) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [section],
+            message: `unknown placeholder {{${name}}}`,
+          });
+        }
+      }
+    }
+  });
+
+export type HttpEngineConfig = z.infer<typeof httpEngineConfigSchema>;
+export type HttpEngineVoicesEndpoint = z.infer<typeof voicesEndpointSchema>;
+
+export type TemplateValues = Record<string, string | number | undefined>;
+
+/**
+ * Validate the httpEngines section of config.json
+ */
+export function parseHttpEngineConfigs(section: unknown): HttpEngineConfig[] {
+  if (section === undefined) return [];
+
+  const result = z.array(httpEngineConfigSchema).safeParse(section);
+  if (!result.success) {
+    const issue = result.error.issues[0]!;
+    throw new ConfigurationError(`Invalid httpEngines entry at ${issue.path.join('.')}: ${issue.message}`);
+  }
+
+  const names = new Set<string>();
+  for (const config of result.data) {
+    if (names.has(config.name)) {
+      throw new ConfigurationError(`Duplicate httpEngines name: ${config.name}`);
+    }
+    names.add(config.name);
+  }
+  return result.data;
+}
+
+export function httpEngineId(name: string): HttpEngineType {
+  return `http-${name}`;
+}
+
+/**
+ * The engine definition listed for a configured server
+ */
+export function httpEngineDefinition(config: HttpEngineConfig): EngineDefinition {
+  return {
+    id: httpEngineId(config.name),
+    name: config.label ?? config.name,
+    category: 'free',
+    requiresCredentials: config.credentials.length > 0,
+    credentialFields: config.credentials.map((envVar) => ({ name: envVar, envVar, required: true, secret: true })),
+    description: config.description ?? `Self-hosted TTS server at ${new URL(config.request.url).host}`,
+    supportedFormats: [config.response.format],
+    supportsStreaming: false,
+    supportsSSML: config.supportsSSML,
+    timestamps: 'estimated',
+  };
+}
+
+/**
+ * Fill the placeholders of a text template; encode is applied to each value
+ * (e.g. encodeURIComponent for URLs). Missing values become empty.
+ */
+export function fillTemplate(
+  template: string,
+  values: TemplateValues,
+  encode: (value: string) => string = (value) => value
+): string {
+  return template.replace(PLACEHOLDER, (_match, name: string) => encode(String(values[name] ?? '')));
+}
+
+/**
+ * Fill the placeholders of a JSON body template. A string that is just a
+ * placeholder takes the value as it is, so {"speed": "{{speed}}"} sends a number;
+ * a value that is not set drops the property.
+ */
+export function fillJsonTemplate(template: unknown, values: TemplateValues): unknown {
+  if (typeof template === 'string') {
+    const whole = WHOLE_PLACEHOLDER.exec(template);
+    return whole ? values[whole[1]!] : fillTemplate(template, values);
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => fillJsonTemplate(item, values));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, fillJsonTemplate(value, values)])
+    );
+  }
+  return template;
+}
+
+/**
+ * Read a dot path such as "data.audio" or "voices.0.id" from parsed JSON
+ */
+export function readPath(value: unknown, path: string | undefined): unknown {
+  if (!path) return value;
+  return path
+    .split('.')
+    .reduce<unknown>(
+      (current, key) => (current && typeof current === 'object' ? (current as Record<string, unknown>)[key] : undefined),
+      value
+    );
+}
+
+function findPlaceholders(template: unknown): string[] {
+  if (typeof template === 'string') {
+    return [...template.matchAll(PLACEHOLDER)].map((match) => match[1]!);
+  }
+  if (template && typeof template === 'object') {
+    return Object.values(template).flatMap(findPlaceholders);
+  }
+  return [];
+}
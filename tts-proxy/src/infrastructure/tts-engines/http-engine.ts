@@ -0,0 +1,188 @@
+/**
+ * HTTP Engine
+ * Calls a self-hosted TTS server as described by its httpEngines entry in config.json
+ */
+
+import { BaseEngine, type BaseEngineConfig } from './base-engine.js';
+import type { Voice } from '../../domain/entities/voice.js';
+import type { HttpEngineType } from '../../types/engine.types.js';
+import type { AudioFormat, SpeechRequest } from '../../types/tts.types.js';
+import { parseWav } from '../audio/wav.js';
+import { errorMessage } from '../../domain/services/log-service.js';
+import {
+  fillJsonTemplate,
+  fillTemplate,
+  httpEngineId,
+  readPath,
+  type HttpEngineConfig,
+  type HttpEngineVoicesEndpoint,
+  type TemplateValues,
+} from './http-engine-config.js';
+
+// Rate reported for compressed audio when the config doesn't give one
+const DEFAULT_SAMPLE_RATE = 22050;
+
+// Longest part of an error response quoted in the error message
+const MAX_ERROR_BODY = 200;
+
+export class HttpEngine extends BaseEngine {
+  readonly engineId: HttpEngineType;
+  private readonly server: HttpEngineConfig;
+
+  constructor(server: HttpEngineConfig, config: BaseEngineConfig) {
+    super(config);
+    this.engineId = httpEngineId(server.name);
+    this.server = server;
+  }
+
+  protected async doInitialize(): Promise<void> {
+    for (const envVar of this.server.credentials) {
+      this.requireCredential(envVar);
+    }
+  }
+
+  protected async fetchVoices(): Promise<Voice[]> {
+    const { voices } = this.server;
+    if (Array.isArray(voices)) {
+      return voices.map((voice) =>
+        this.createVoice({
+          id: voice.id,
+          name: voice.name ?? voice.id,
+          language: voice.language,
+          languageCode: voice.language,
+          gender: voice.gender,
+        })
+      );
+    }
+    return this.fetchVoiceList(voices);
+  }
+
+  /**
+   * The server answers in its own format, so report that rather than the one asked for
+   */
+  protected describeAudio(audio: Buffer): { format: AudioFormat; sampleRate: number } {
+    const { format, sampleRate } = this.server.response;
+    return { format, sampleRate: parseWav(audio)?.sampleRate ?? sampleRate ?? DEFAULT_SAMPLE_RATE };
+  }
+
+  protected async doSynthesize(request: SpeechRequest): Promise<Buffer> {
+    const { request: template, response: expected } = this.server;
+    const values = this.templateValues(request);
+
+    const body =
+      template.body === undefined
+        ? undefined
+        : typeof template.body === 'string'
+          ? fillTemplate(template.body, values)
+          : JSON.stringify(fillJsonTemplate(template.body, values));
+    const headers = this.fillHeaders(template.headers, values);
+    if (typeof template.body === 'object' && !hasHeader(headers, 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await this.send(fillTemplate(template.url, values, encodeURIComponent), {
+      method: template.method,
+      headers,
+      body,
+    });
+
+    if (!expected.audioPath) {
+      const audio = Buffer.from(await response.arrayBuffer());
+      if (audio.length === 0) throw new Error('TTS server returned no audio');
+      return audio;
+    }
+
+    const encoded = readPath(await response.json(), expected.audioPath);
+    if (typeof encoded !== 'string' || encoded.length === 0) {
+      throw new Error(`TTS server response has no audio at "${expected.audioPath}"`);
+    }
+    // Some servers answer with a data: URI
+    return Buffer.from(encoded.replace(/^data:[^,]*,/, ''), 'base64');
+  }
+
+  private async fetchVoiceList(endpoint: HttpEngineVoicesEndpoint): Promise<Voice[]> {
+    const values = this.templateValues();
+    const response = await this.send(fillTemplate(endpoint.url, values, encodeURIComponent), {
+      method: endpoint.method,
+      headers: this.fillHeaders(endpoint.headers, values),
+    });
+
+    const list = readPath(await response.json(), endpoint.path);
+    if (!Array.isArray(list)) {
+      throw new Error(`TTS server voice list is not an array${endpoint.path ? ` at "${endpoint.path}"` : ''}`);
+    }
+
+    const { fields } = endpoint;
+    return list.flatMap((item: unknown) => {
+      if (typeof item === 'string') return [this.createVoice({ id: item, name: item })];
+
+      const id = readPath(item, fields.id);
+      if (typeof id !== 'string' && typeof id !== 'number') return [];
+      const name = readPath(item, fields.name);
+      const language = readPath(item, fields.language);
+      const gender = readPath(item, fields.gender);
+      return [
+        this.createVoice({
+          id: String(id),
+          name: typeof name === 'string' ? name : String(id),
+          language: typeof language === 'string' ? language : undefined,
+          languageCode: typeof language === 'string' ? language : undefined,
+          gender: typeof gender === 'string' ? gender : undefined,
+        }),
+      ];
+    });
+  }
+
+  /**
+   * Values for the placeholders; without a request only the credentials are set
+   */
+  private templateValues(request?: SpeechRequest): TemplateValues {
+    const values: TemplateValues = {};
+    for (const envVar of this.server.credentials) {
+      values[`credentials.${envVar}`] = this.credentials?.[envVar];
+    }
+    if (!request) return values;
+
+    const prefix = `${this.engineId}:`;
+    const voice = request.voiceId.startsWith(prefix) ? request.voiceId.slice(prefix.length) : request.voiceId;
+    return {
+      ...values,
+      text: request.text,
+      voice,
+      language: this.voices.find((v) => v.nativeVoiceId === voice)?.languageCode,
+      speed: request.voiceSettings?.speed,
+      pitch: request.voiceSettings?.pitch,
+    };
+  }
+
+  private fillHeaders(headers: Record<string, string>, values: TemplateValues): Record<string, string> {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, fillTemplate(value, values)]));
+  }
+
+  /**
+   * Make a request to the server, failing on timeouts and error statuses
+   */
+  private async send(url: string, init: RequestInit): Promise<Response> {
+    let response: Response;
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(this.server.request.timeoutMs) });
+    } catch (error) {
+      // fetch reports connection failures as "fetch failed" with the reason as the cause
+      const reason =
+        error instanceof Error && error.name === 'TimeoutError'
+          ? 'timed out'
+          : errorMessage(error instanceof Error && error.cause ? error.cause : error);
+      throw new Error(`TTS server request to ${new URL(url).host} failed: ${reason}`);
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, MAX_ERROR_BODY);
+      throw new Error(`TTS server answered ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return response;
+  }
+}
+
+function hasHeader(headers: Record<string, string>, name: string): boolean {
+  return Object.keys(headers).some((header) => header.toLowerCase() === name);
+}
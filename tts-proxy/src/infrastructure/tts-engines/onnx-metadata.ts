@@ -0,0 +1,117 @@
+/**
+ * ONNX Model Metadata
+ * Reads the metadata_props of an .onnx file (sample_rate, n_speakers, ...)
+ * without loading the model: the graph before them is skipped, not read
+ */
+
+import { open, type FileHandle } from 'fs/promises';
+
+// ModelProto field number of metadata_props
+const METADATA_PROPS_FIELD = 14;
+
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+const FIXED32 = 5;
+
+// A metadata entry larger than this is not a key/value pair worth reading
+const MAX_ENTRY_BYTES = 1024 * 1024;
+
+/**
+ * The key/value metadata of an ONNX model; empty if the file has none
+ */
+export async function readOnnxMetadata(path: string): Promise<Record<string, string>> {
+  const file = await open(path, 'r');
+  try {
+    const { size } = await file.stat();
+    const metadata: Record<string, string> = {};
+    let offset = 0;
+
+    while (offset < size) {
+      const tag = await readVarint(file, offset);
+      offset = tag.next;
+      const field = Math.floor(tag.value / 8);
+      const wireType = tag.value % 8;
+
+      switch (wireType) {
+        case VARINT:
+          offset = (await readVarint(file, offset)).next;
+          break;
+        case FIXED64:
+          offset += 8;
+          break;
+        case FIXED32:
+          offset += 4;
+          break;
+        case LENGTH_DELIMITED: {
+          const length = await readVarint(file, offset);
+          offset = length.next;
+          if (offset + length.value > size) throw new Error('Not an ONNX model');
+
+          // Everything else, the graph above all, is skipped
+          if (field === METADATA_PROPS_FIELD && length.value <= MAX_ENTRY_BYTES) {
+            const entry = Buffer.alloc(length.value);
+            await file.read(entry, 0, length.value, offset);
+            const [key, value] = parseStringPair(entry);
+            if (key !== undefined) metadata[key] = value ?? '';
+          }
+          offset += length.value;
+          break;
+        }
+        default:
+          throw new Error('Not an ONNX model');
+      }
+    }
+
+    return metadata;
+  } finally {
+    await file.close();
+  }
+}
+
+async function readVarint(file: FileHandle, offset: number): Promise<{ value: number; next: number }> {
+  const bytes = Buffer.alloc(10);
+  const { bytesRead } = await file.read(bytes, 0, bytes.length, offset);
+
+  // Multiplying rather than shifting keeps lengths over 2 GB exact
+  let value = 0;
+  let scale = 1;
+  for (let i = 0; i < bytesRead; i++) {
+    const byte = bytes[i]!;
+    value += (byte & 0x7f) * scale;
+    if (byte < 0x80) return { value, next: offset + i + 1 };
+    scale *= 128;
+  }
+  throw new Error('Not an ONNX model');
+}
+
+/**
+ * Parse a StringStringEntryProto: key is field 1, value field 2
+ */
+function parseStringPair(entry: Buffer): [string | undefined, string | undefined] {
+  let key: string | undefined;
+  let value: string | undefined;
+  let offset = 0;
+
+  while (offset < entry.length) {
+    const tag = entry[offset++]!;
+    if (tag % 8 !== LENGTH_DELIMITED) break;
+
+    let length = 0;
+    let scale = 1;
+    while (offset < entry.length) {
+      const byte = entry[offset++]!;
+      length += (byte & 0x7f) * scale;
+      if (byte < 0x80) break;
+      scale *= 128;
+    }
+
+    const text = entry.toString('utf8', offset, offset + length);
+    if (tag >> 3 === 1) key = text;
+    else if (tag >> 3 === 2) value = text;
+    offset += length;
+  }
+
+  return [key, value];
+}
@@ -0,0 +1,139 @@
+/**
+ * Native SherpaOnnx Engine
+ * Runs the models of the model registry with sherpa-onnx-node, fully offline
+ */
+
+import { cpus } from 'os';
+import { BaseEngine, type BaseEngineConfig } from './base-engine.js';
+import type { Voice } from '../../domain/entities/voice.js';
+import type { AudioFormat, SpeechRequest } from '../../types/tts.types.js';
+import { parseWav, pcmToWav } from '../audio/wav.js';
+import type { SherpaOnnxModel, SherpaOnnxModelRegistry } from './sherpaonnx-models.js';
+
+// Loaded at runtime so the proxy still starts where the native addon isn't installed
+const SHERPA_ONNX_MODULE = 'sherpa-onnx-node';
+
+// Threads each loaded model may use
+const NUM_THREADS = Math.min(4, Math.max(1, cpus().length));
+
+// Separates a multi-speaker model from the speaker in a voice ID: "<model>@<speaker ID>"
+const SPEAKER_SEPARATOR = '@';
+
+// The parts of sherpa-onnx-node used here
+interface OfflineTts {
+  generate(request: { text: string; sid: number; speed: number }): { samples: Float32Array; sampleRate: number };
+}
+
+interface SherpaOnnxModule {
+  OfflineTts: new (config: Record<string, unknown>) => OfflineTts;
+}
+
+export class SherpaOnnxEngine extends BaseEngine {
+  readonly engineId = 'sherpaonnx' as const;
+  private readonly registry: SherpaOnnxModelRegistry;
+  private sherpa: SherpaOnnxModule | null = null;
+  // Models are loaded on first use and kept
+  private readonly loaded = new Map<string, OfflineTts>();
+
+  constructor(registry: SherpaOnnxModelRegistry, config: BaseEngineConfig) {
+    super(config);
+    this.registry = registry;
+  }
+
+  protected async doInitialize(): Promise<void> {
+    try {
+      const mod = (await import(SHERPA_ONNX_MODULE)) as SherpaOnnxModule & { default?: SherpaOnnxModule };
+      this.sherpa = mod.default ?? mod;
+    } catch {
+      throw new Error(`${SHERPA_ONNX_MODULE} is not installed`);
+    }
+  }
+
+  protected async fetchVoices(): Promise<Voice[]> {
+    return this.registry.getEnabled().flatMap((model) =>
+      model.speakers.map((speaker) =>
+        this.createVoice({
+          id: model.speakers.length > 1 ? `${model.id}${SPEAKER_SEPARATOR}${speaker.id}` : model.id,
+          name: model.speakers.length > 1 ? `${model.name} (${speaker.name})` : model.name,
+          language: speaker.language ?? model.language,
+          languageCode: speaker.language ?? model.language,
+          gender: speaker.gender,
+          labels: { model: model.id, type: model.type },
+        })
+      )
+    );
+  }
+
+  /**
+   * Always WAV, at the model's own rate
+   */
+  protected describeAudio(audio: Buffer): { format: AudioFormat; sampleRate: number } {
+    return { format: 'wav', sampleRate: parseWav(audio)?.sampleRate ?? 22050 };
+  }
+
+  protected async doSynthesize(request: SpeechRequest): Promise<Buffer> {
+    const prefix = `${this.engineId}:`;
+    const voiceId = request.voiceId.startsWith(prefix) ? request.voiceId.slice(prefix.length) : request.voiceId;
+    const [modelId = '', speaker] = voiceId.split(SPEAKER_SEPARATOR);
+
+    const model = this.registry.get(modelId);
+    if (!model?.enabled) {
+      throw new Error(`Unknown or disabled model: ${modelId}`);
+    }
+
+    const tts = this.loadModel(model);
+    const { samples, sampleRate } = tts.generate({
+      text: request.text,
+      sid: Number(speaker ?? 0),
+      speed: request.voiceSettings?.speed ?? 1,
+    });
+    if (samples.length === 0) throw new Error('Model returned no audio');
+
+    return pcmToWav(floatToPcm16(samples), sampleRate);
+  }
+
+  async dispose(): Promise<void> {
+    this.loaded.clear();
+    await super.dispose?.();
+  }
+
+  private loadModel(model: SherpaOnnxModel): OfflineTts {
+    const existing = this.loaded.get(model.id);
+    if (existing) return existing;
+    if (!this.sherpa) throw new Error('Engine not initialized');
+
+    const { files } = model;
+    const path = (file: string | undefined) => (file ? this.registry.resolve(model, file) : '');
+    const shared = {
+      model: path(files.model),
+      tokens: path(files.tokens),
+      // Several lexicons are one comma-separated value
+      lexicon: files.lexicon?.split(',').map(path).join(',') ?? '',
+      dataDir: path(files.dataDir),
+      dictDir: path(files.dictDir),
+    };
+
+    const tts = new this.sherpa.OfflineTts({
+      model: {
+        ...(model.type === 'kokoro' ? { kokoro: { ...shared, voices: path(files.voices) } } : { vits: shared }),
+        numThreads: NUM_THREADS,
+        provider: 'cpu',
+      },
+      maxNumSentences: 1,
+    });
+    this.loaded.set(model.id, tts);
+    return tts;
+  }
+}
+
+/**
+ * Samples in [-1, 1] as 16-bit little-endian PCM
+ */
+function floatToPcm16(samples: Float32Array): Buffer {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]!));
+    pcm.writeInt16LE(Math.round(sample * 0x7fff), i * 2);
+  }
+  return pcm;
+}
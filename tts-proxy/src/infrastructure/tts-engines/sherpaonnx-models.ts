@@ -0,0 +1,307 @@
+/**
+ * SherpaOnnx Model Registry
+ * The sherpa-onnx and Piper model folders in SHERPAONNX_MODELS_DIR that the
+ * sherpaonnx engine serves voices from. Each model's language, speakers and
+ * sample rate come from its Piper .onnx.json or the metadata in the .onnx file.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import type { FileStorage } from '../persistence/file/file-storage.js';
+import { ValidationError } from '../../domain/errors/domain-errors.js';
+import { errorMessage, getLogger } from '../../domain/services/log-service.js';
+import { readOnnxMetadata } from './onnx-metadata.js';
+
+const log = getLogger('SherpaOnnx');
+
+const STORAGE_KEY = 'sherpaonnx-models';
+
+// A folder directly inside the models directory, never a path out of it
+const MODEL_FOLDER = /^[A-Za-z0-9][\w.+-]*$/;
+
+// Kokoro speaker names start with language and gender, e.g. "af", "af_bella", "bm_george"
+const KOKORO_LANGUAGES: Record<string, string> = {
+  a: 'en-US',
+  b: 'en-GB',
+  e: 'es',
+  f: 'fr',
+  h: 'hi',
+  i: 'it',
+  j: 'ja',
+  p: 'pt-BR',
+  z: 'zh',
+};
+
+export type SherpaOnnxModelType = 'vits' | 'kokoro';
+
+export interface SherpaOnnxSpeaker {
+  id: number; // sherpa-onnx speaker ID (sid)
+  name: string;
+  language?: string;
+  gender?: 'male' | 'female';
+}
+
+export interface SherpaOnnxModel {
+  id: string; // the folder name
+  name: string;
+  type: SherpaOnnxModelType;
+  // Files in the model folder
+  files: {
+    model: string;
+    tokens: string;
+    voices?: string; // Kokoro speaker embeddings
+    lexicon?: string; // comma-separated when there are several
+    dataDir?: string; // espeak-ng-data
+    dictDir?: string;
+  };
+  language?: string; // e.g. "en-US"
+  sampleRate?: number;
+  speakers: SherpaOnnxSpeaker[];
+  enabled: boolean;
+  registeredAt: string;
+}
+
+export type SherpaOnnxModelInfo = Omit<SherpaOnnxModel, 'enabled' | 'registeredAt'>;
+
+/**
+ * A folder of the models directory that is not registered, with what was
+ * found in it or why it can't be used
+ */
+export interface SherpaOnnxFolder {
+  folder: string;
+  model?: SherpaOnnxModelInfo;
+  error?: string;
+}
+
+interface PiperConfig {
+  dataset?: string;
+  audio?: { sample_rate?: number; quality?: string };
+  language?: { code?: string };
+  espeak?: { voice?: string };
+  num_speakers?: number;
+  speaker_id_map?: Record<string, number>;
+}
+
+export class SherpaOnnxModelRegistry {
+  readonly modelsDir: string;
+  private readonly storage: FileStorage;
+  private models = new Map<string, SherpaOnnxModel>();
+
+  /**
+   * @param modelsDir - the folder holding one folder per model
+   * @param storage - where the registrations are kept
+   */
+  constructor(modelsDir: string, storage: FileStorage) {
+    this.modelsDir = modelsDir;
+    this.storage = storage;
+  }
+
+  /**
+   * Load the registrations. Until there are any, every usable model in the
+   * directory is registered, so an offline install has voices right away.
+   */
+  async load(): Promise<void> {
+    const stored = await this.storage.readJson<SherpaOnnxModel[]>(STORAGE_KEY);
+    if (stored) {
+      this.models = new Map(stored.map((model) => [model.id, model]));
+      return;
+    }
+
+    for (const { model } of await this.scan()) {
+      if (!model) continue;
+      this.models.set(model.id, { ...model, enabled: true, registeredAt: new Date().toISOString() });
+    }
+    // Until a model turns up, every start looks again
+    if (this.models.size === 0) return;
+    await this.persist();
+    log.info('Registered models found in models directory', { count: this.models.size, dir: this.modelsDir });
+  }
+
+  list(): SherpaOnnxModel[] {
+    return [...this.models.values()];
+  }
+
+  get(id: string): SherpaOnnxModel | undefined {
+    return this.models.get(id);
+  }
+
+  getEnabled(): SherpaOnnxModel[] {
+    return this.list().filter((model) => model.enabled);
+  }
+
+  /**
+   * The folders of the models directory that are not registered
+   */
+  async scan(): Promise<SherpaOnnxFolder[]> {
+    const entries = await readdir(this.modelsDir, { withFileTypes: true }).catch(() => []);
+    const folders: SherpaOnnxFolder[] = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !MODEL_FOLDER.test(entry.name) || this.models.has(entry.name)) continue;
+      try {
+        folders.push({ folder: entry.name, model: await this.readModel(entry.name) });
+      } catch (error) {
+        folders.push({ folder: entry.name, error: errorMessage(error) });
+      }
+    }
+    return folders.sort((a, b) => a.folder.localeCompare(b.folder));
+  }
+
+  /**
+   * Register a folder of the models directory, or read an already registered
+   * one again (keeping whether it is enabled unless told otherwise)
+   */
+  async register(folder: string, enabled?: boolean): Promise<SherpaOnnxModel> {
+    if (!MODEL_FOLDER.test(folder)) {
+      throw new ValidationError(`Not a folder name: ${folder}`, 'folder');
+    }
+
+    const existing = this.models.get(folder);
+    const model: SherpaOnnxModel = {
+      ...(await this.readModel(folder)),
+      enabled: enabled ?? existing?.enabled ?? true,
+      registeredAt: existing?.registeredAt ?? new Date().toISOString(),
+    };
+    this.models.set(model.id, model);
+    await this.persist();
+    return model;
+  }
+
+  async setEnabled(id: string, enabled: boolean): Promise<SherpaOnnxModel | null> {
+    const model = this.models.get(id);
+    if (!model) return null;
+
+    const updated = { ...model, enabled };
+    this.models.set(id, updated);
+    await this.persist();
+    return updated;
+  }
+
+  /**
+   * Unregister a model; its files stay in the models directory
+   */
+  async remove(id: string): Promise<boolean> {
+    if (!this.models.delete(id)) return false;
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Absolute path of a file of a model
+   */
+  resolve(model: SherpaOnnxModel, file: string): string {
+    return join(this.modelsDir, model.id, file);
+  }
+
+  private async persist(): Promise<void> {
+    await this.storage.writeJson(STORAGE_KEY, this.list());
+  }
+
+  /**
+   * Work out a model folder's files and read its metadata
+   */
+  private async readModel(folder: string): Promise<SherpaOnnxModelInfo> {
+    const dir = join(this.modelsDir, folder);
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => {
+      throw new ValidationError(`No such folder in the models directory: ${folder}`, 'folder');
+    });
+    const files = entries.filter((entry) => entry.isFile()).map((entry) => entry.name);
+    const dirs = entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+
+    const model = pickModelFile(files);
+    if (!model) throw new ValidationError(`No .onnx model in ${folder}`, 'folder');
+    if (!files.includes('tokens.txt')) throw new ValidationError(`No tokens.txt in ${folder}`, 'folder');
+
+    const piper = files.includes(`${model}.json`)
+      ? await readFile(join(dir, `${model}.json`), 'utf-8')
+          .then((config) => JSON.parse(config) as PiperConfig)
+          .catch((error) => {
+            throw new ValidationError(`Can't read ${folder}/${model}.json: ${errorMessage(error)}`, 'folder');
+          })
+      : undefined;
+    const metadata = await readOnnxMetadata(join(dir, model)).catch((error) => {
+      throw new ValidationError(`Can't read ${folder}/${model}: ${errorMessage(error)}`, 'folder');
+    });
+
+    const modelType = metadata['model_type'] ?? '';
+    const type: SherpaOnnxModelType = files.includes('voices.bin') || modelType === 'kokoro' ? 'kokoro' : 'vits';
+    if (modelType === 'matcha') {
+      throw new ValidationError(`${folder} is a Matcha model, which needs a vocoder and is not supported`, 'folder');
+    }
+    if (type === 'kokoro' && !files.includes('voices.bin')) {
+      throw new ValidationError(`No voices.bin in Kokoro model ${folder}`, 'folder');
+    }
+
+    const lexicons = files.filter((file) => /^lexicon.*\.txt$/.test(file)).sort();
+    const language = languageTag(piper?.language?.code ?? piper?.espeak?.voice ?? metadata['voice']);
+    const sampleRate = Number(piper?.audio?.sample_rate ?? metadata['sample_rate']) || undefined;
+
+    return {
+      id: folder,
+      name: piper?.dataset ? `${piper.dataset}${piper.audio?.quality ? ` (${piper.audio.quality})` : ''}` : folder,
+      type,
+      files: {
+        model,
+        tokens: 'tokens.txt',
+        ...(type === 'kokoro' ? { voices: 'voices.bin' } : {}),
+        ...(lexicons.length > 0 ? { lexicon: lexicons.join(',') } : {}),
+        ...(dirs.includes('espeak-ng-data') ? { dataDir: 'espeak-ng-data' } : {}),
+        ...(dirs.includes('dict') ? { dictDir: 'dict' } : {}),
+      },
+      language,
+      sampleRate,
+      speakers: readSpeakers(type, piper, metadata),
+    };
+  }
+}
+
+/**
+ * The model file of a folder: the one with a Piper config, else the full
+ * precision one, as int8 copies often ship next to it
+ */
+function pickModelFile(files: string[]): string | undefined {
+  const models = files.filter((file) => file.endsWith('.onnx')).sort();
+  return (
+    models.find((file) => files.includes(`${file}.json`)) ??
+    models.find((file) => !file.includes('int8')) ??
+    models[0]
+  );
+}
+
+function readSpeakers(
+  type: SherpaOnnxModelType,
+  piper: PiperConfig | undefined,
+  metadata: Record<string, string>
+): SherpaOnnxSpeaker[] {
+  if (piper?.speaker_id_map && Object.keys(piper.speaker_id_map).length > 0) {
+    return Object.entries(piper.speaker_id_map)
+      .map(([name, id]) => ({ id, name }))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  const names = metadata['speaker_names']?.split(',').filter(Boolean);
+  if (names?.length) {
+    return names.map((name, id) => ({ id, name, ...(type === 'kokoro' ? kokoroSpeaker(name) : {}) }));
+  }
+
+  const count = Number(piper?.num_speakers ?? metadata['n_speakers']) || 1;
+  return Array.from({ length: count }, (_, id) => ({ id, name: count > 1 ? `Speaker ${id}` : 'Default' }));
+}
+
+function kokoroSpeaker(name: string): Pick<SherpaOnnxSpeaker, 'language' | 'gender'> {
+  const match = /^([a-z])([fm])(_|$)/.exec(name);
+  if (!match) return {};
+  return {
+    language: KOKORO_LANGUAGES[match[1]!],
+    gender: match[2] === 'f' ? 'female' : 'male',
+  };
+}
+
+/**
+ * "en_US" or espeak's "en-us" as "en-US"
+ */
+function languageTag(code: string | undefined): string | undefined {
+  if (!code) return undefined;
+  const [language, region] = code.split(/[-_]/);
+  return region ? `${language!.toLowerCase()}-${region.toUpperCase()}` : language!.toLowerCase();
+}
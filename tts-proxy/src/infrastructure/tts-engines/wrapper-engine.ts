@@ -7,10 +7,15 @@ import { BaseEngine, type BaseEngineConfig } from './base-engine.js';
 import type { Voice } from '../../domain/entities/voice.js';
 import { Voice as VoiceEntity } from '../../domain/entities/voice.js';
 import type { EngineType, EngineCredentials } from '../../types/engine.types.js';
-import type { SpeechRequest, StreamingChunk } from '../../types/tts.types.js';
+import type { SpeechRequest, StreamingChunk, TimestampedSpeechResponse } from '../../types/tts.types.js';
+import { alignmentFromWordTimings } from '../../domain/services/alignment.js';
+import { getAudioDuration } from '../audio/duration.js';
+import { errorMessage, getLogger } from '../../domain/services/log-service.js';
 
 import { createTTSClient, type SupportedTTS } from 'js-tts-wrapper';
 
+const log = getLogger('Engines');
+
 // Map our engine IDs to js-tts-wrapper engine names
 const ENGINE_MAP: Record<EngineType, SupportedTTS> = {
   espeak: 'espeak',
@@ -61,6 +66,14 @@ const CREDENTIAL_MAP: Record<EngineType, Record<string, string>> = {
   sherpaonnx: {},
 };
 
+// Seconds per unit of the word boundary offsets each js-tts-wrapper engine reports
+const WORD_BOUNDARY_UNITS: Partial<Record<EngineType, number>> = {
+  azure: 0.001,
+  polly: 0.001,
+  elevenlabs: 0.0001,
+  google: 0.0001,
+};
+
 export class JsTtsWrapperEngine extends BaseEngine {
   readonly engineId: EngineType;
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
@@ -119,16 +132,15 @@ export class JsTtsWrapperEngine extends BaseEngine {
         })
       );
     } catch (error) {
-      console.warn(`Failed to fetch voices for ${this.engineId}:`, error);
+      log.warn('Failed to fetch voices', { engine: this.engineId, error: errorMessage(error) });
       return [];
     }
   }
 
-  protected async doSynthesize(request: SpeechRequest): Promise<Buffer> {
-    if (!this.client) {
-      throw new Error('Engine not initialized');
-    }
-
+  /**
+   * Build js-tts-wrapper options for a request
+   */
+  private buildOptions(request: SpeechRequest): Record<string, unknown> {
     // Extract the native voice ID (remove engine prefix if present)
     let voiceId = request.voiceId;
     if (voiceId.includes(':')) {
@@ -163,6 +175,16 @@ export class JsTtsWrapperEngine extends BaseEngine {
       }
     }
 
+    return options;
+  }
+
+  protected async doSynthesize(request: SpeechRequest): Promise<Buffer> {
+    if (!this.client) {
+      throw new Error('Engine not initialized');
+    }
+
+    const options = this.buildOptions(request);
+
     let result;
 
     // For espeak (and similar engines that save to temp files but don't return audio),
@@ -178,11 +200,11 @@ export class JsTtsWrapperEngine extends BaseEngine {
           if (existsSync(tmpPath)) {
             const audioBuffer = readFileSync(tmpPath);
             try { unlinkSync(tmpPath); } catch { /* cleanup */ }
-            console.log(`[espeak] Got audio via toFile, size: ${audioBuffer.length}`);
+            log.debug('Got audio via toFile', { engine: this.engineId, bytes: audioBuffer.length });
             return audioBuffer;
           }
         } catch (e) {
-          console.warn(`[espeak] toFile failed:`, e);
+          log.warn('toFile failed', { engine: this.engineId, error: errorMessage(e) });
         }
       }
 
@@ -191,7 +213,7 @@ export class JsTtsWrapperEngine extends BaseEngine {
         try {
           const audio = await this.client.synth(request.text, options);
           if (audio) {
-            console.log(`[espeak] Got audio via synth, type: ${typeof audio}`);
+            log.debug('Got audio via synth', { engine: this.engineId, type: typeof audio });
             if (Buffer.isBuffer(audio)) return audio;
             if (audio instanceof Uint8Array) return Buffer.from(audio);
             if (typeof audio === 'object' && audio.audio) {
@@ -199,7 +221,7 @@ export class JsTtsWrapperEngine extends BaseEngine {
             }
           }
         } catch (e) {
-          console.warn(`[espeak] synth failed:`, e);
+          log.warn('synth failed', { engine: this.engineId, error: errorMessage(e) });
         }
       }
 
@@ -208,12 +230,12 @@ export class JsTtsWrapperEngine extends BaseEngine {
         try {
           const audio = await this.client.getAudio(request.text, options);
           if (audio) {
-            console.log(`[espeak] Got audio via getAudio`);
+            log.debug('Got audio via getAudio', { engine: this.engineId });
             if (Buffer.isBuffer(audio)) return audio;
             if (audio instanceof Uint8Array) return Buffer.from(audio);
           }
         } catch (e) {
-          console.warn(`[espeak] getAudio failed:`, e);
+          log.warn('getAudio failed', { engine: this.engineId, error: errorMessage(e) });
         }
       }
     }
@@ -224,7 +246,7 @@ export class JsTtsWrapperEngine extends BaseEngine {
         result = await this.client.getAudioBuffer(request.text, options);
         if (result) return Buffer.isBuffer(result) ? result : Buffer.from(result);
       } catch (e) {
-        console.warn(`getAudioBuffer failed for ${this.engineId}:`, e);
+        log.warn('getAudioBuffer failed', { engine: this.engineId, error: errorMessage(e) });
       }
     }
 
@@ -234,7 +256,7 @@ export class JsTtsWrapperEngine extends BaseEngine {
         result = await this.client.synthToBuffer(request.text, options);
         if (result) return Buffer.isBuffer(result) ? result : Buffer.from(result);
       } catch (e) {
-        console.warn(`synthToBuffer failed for ${this.engineId}:`, e);
+        log.warn('synthToBuffer failed', { engine: this.engineId, error: errorMessage(e) });
       }
     }
 
@@ -244,7 +266,7 @@ export class JsTtsWrapperEngine extends BaseEngine {
         result = await this.client.synthToBytesWithFormat(request.text, options);
         if (result) return Buffer.isBuffer(result) ? result : Buffer.from(result);
       } catch (e) {
-        console.warn(`synthToBytesWithFormat failed for ${this.engineId}:`, e);
+        log.warn('synthToBytesWithFormat failed', { engine: this.engineId, error: errorMessage(e) });
       }
     }
 
@@ -253,7 +275,7 @@ export class JsTtsWrapperEngine extends BaseEngine {
         result = await this.client.synthToBytes(request.text, options);
         if (result) return Buffer.isBuffer(result) ? result : Buffer.from(result);
       } catch (e) {
-        console.warn(`synthToBytes failed for ${this.engineId}:`, e);
+        log.warn('synthToBytes failed', { engine: this.engineId, error: errorMessage(e) });
       }
     }
 
@@ -322,29 +344,87 @@ export class JsTtsWrapperEngine extends BaseEngine {
       format: request.outputFormat ?? 'wav',
     };
 
-    if (this.client.speakStream) {
-      const stream = await this.client.speakStream(request.text, options);
+    await this.runEngineCall(request, async () => {
+      if (this.client.speakStream) {
+        const stream = await this.client.speakStream(request.text, options);
 
-      for await (const chunk of stream) {
-        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        for await (const chunk of stream) {
+          const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+          onChunk({
+            audio: buffer,
+            isFinal: false,
+          });
+        }
+
+        onChunk({
+          audio: Buffer.alloc(0),
+          isFinal: true,
+        });
+      } else {
+        // Fall back to non-streaming
+        const audio = await this.doSynthesize(request);
         onChunk({
-          audio: buffer,
-          isFinal: false,
+          audio,
+          isFinal: true,
         });
       }
+    });
+  }
 
-      onChunk({
-        audio: Buffer.alloc(0),
-        isFinal: true,
-      });
-    } else {
-      // Fall back to non-streaming
-      const audio = await this.doSynthesize(request);
-      onChunk({
-        audio,
-        isFinal: true,
+  /**
+   * Use the engine's own word boundaries where js-tts-wrapper exposes them,
+   * falling back to estimated timings otherwise
+   */
+  async synthesizeWithTimestamps(request: SpeechRequest): Promise<TimestampedSpeechResponse> {
+    const unit = WORD_BOUNDARY_UNITS[this.engineId];
+    if (this.config.supportsTimestamps !== 'exact' || !unit || !this.client?.synthToBytestream) {
+      return super.synthesizeWithTimestamps(request);
+    }
+
+    const format = request.outputFormat ?? 'wav';
+    const sampleRate = request.sampleRate ?? 22050;
+
+    const { audio, boundaries } = await this.runEngineCall(request, async () => {
+      const result = await this.client.synthToBytestream(request.text, {
+        ...this.buildOptions(request),
+        useWordBoundary: true,
+        useTimestamps: true,
       });
+
+      const chunks: Buffer[] = [];
+      for await (const chunk of result.audioStream) {
+        chunks.push(Buffer.from(chunk));
+      }
+      return {
+        audio: Buffer.concat(chunks),
+        boundaries: (result.wordBoundaries ?? []) as Array<{ text: string; offset: number; duration: number }>,
+      };
+    });
+
+    const response = {
+      audio,
+      format,
+      sampleRate,
+      duration: getAudioDuration(audio, format, sampleRate) ?? undefined,
+      characterCount: request.text.length,
+    };
+
+    if (boundaries.length === 0) {
+      // e.g. Azure over REST or Google without the beta API
+      const { alignment, timing } = await this.buildAlignment(request, response);
+      return { ...response, alignment, normalized_alignment: alignment, timing };
     }
+
+    const words = boundaries.map((b) => ({
+      text: b.text,
+      startTime: b.offset * unit,
+      endTime: b.duration > 0 ? (b.offset + b.duration) * unit : undefined,
+    }));
+    const lastWord = words[words.length - 1];
+    const duration = response.duration ?? lastWord?.endTime ?? lastWord?.startTime ?? 0;
+    const alignment = alignmentFromWordTimings(request.text, words, duration);
+
+    return { ...response, alignment, normalized_alignment: alignment, timing: 'exact' };
   }
 
   private mapCredentials(): Record<string, unknown> {
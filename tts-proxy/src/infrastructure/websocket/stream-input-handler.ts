@@ -0,0 +1,395 @@
+/**
+ * ElevenLabs-compatible stream-input WebSocket
+ * wss://<host>/v1/text-to-speech/{voice_id}/stream-input
+ *
+ * Clients send text in pieces as it is generated ({"text": "Hello "}), a
+ * {"flush": true} to speak what is buffered, and {"text": ""} to finish.
+ * Whole sentences are synthesized as soon as they are complete and sent back
+ * as {"audio": base64, "isFinal": null, "alignment": ...} messages, followed
+ * by {"isFinal": true}.
+ */
+
+import { randomUUID } from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import type { IncomingMessage } from 'http';
+import { z } from 'zod';
+import type { KeyRepositoryPort } from '../../application/ports/key-repository-port.js';
+import type { SynthesisService } from '../../application/services/synthesis-service.js';
+import type { ApiKey } from '../../domain/entities/api-key.js';
+import type { Voice } from '../../domain/entities/voice.js';
+import type { AlignmentData, AudioSpec, VoiceSettings } from '../../types/tts.types.js';
+import type { EngineType } from '../../types/engine.types.js';
+import { SentenceBuffer } from '../../domain/services/text-splitter.js';
+import { getUsageService } from '../../domain/services/usage-service.js';
+import { getLogger, withLogContext } from '../../domain/services/log-service.js';
+import { QuotaExceededError } from '../../domain/errors/domain-errors.js';
+import {
+  ELEVENLABS_OUTPUT_FORMATS,
+  parseOutputFormat,
+  type ElevenLabsOutputFormat,
+} from '../../domain/services/output-format.js';
+import { isAuthRequired } from '../../config/env.js';
+import { findVoice, voiceSettingsSchema, withDefaults } from '../http/routes/tts.routes.js';
+import { getErrorStatus } from '../http/middleware/error-handler.middleware.js';
+import { authenticateWebSocketKey } from './ws-auth.js';
+
+export const STREAM_INPUT_PATH = /^\/v1\/text-to-speech\/([^/]+)\/stream-input$/;
+
+// Recorded as the path of every generation, like routePath on HTTP requests
+const USAGE_PATH = '/v1/text-to-speech/:voiceId/stream-input';
+
+const DEFAULT_OUTPUT_FORMAT: ElevenLabsOutputFormat = 'mp3_44100_128';
+
+// ElevenLabs' defaults: seconds without text before closing, and buffer sizes that force generation
+const DEFAULT_INACTIVITY_TIMEOUT = 20;
+const MAX_INACTIVITY_TIMEOUT = 180;
+const DEFAULT_CHUNK_LENGTH_SCHEDULE = [120, 160, 250, 290];
+
+// Close codes: policy violation (bad input, auth, quota) and internal error
+const CLOSE_POLICY = 1008;
+const CLOSE_ERROR = 1011;
+
+const messageSchema = z.object({
+  text: z.string().max(10000).optional(),
+  flush: z.boolean().optional(),
+  try_trigger_generation: z.boolean().optional(),
+  voice_settings: voiceSettingsSchema.optional(),
+  generation_config: z
+    .object({
+      chunk_length_schedule: z.array(z.number().int().min(50).max(500)).min(1).optional(),
+    })
+    .optional(),
+  xi_api_key: z.string().optional(),
+});
+
+type StreamInputMessage = z.infer<typeof messageSchema>;
+
+interface StreamInputDependencies {
+  keyRepository: KeyRepositoryPort;
+  synthesisService: SynthesisService;
+}
+
+interface StreamInputSession {
+  voiceId: string;
+  output: AudioSpec;
+  autoMode: boolean;
+  inactivityMs: number;
+  authenticated: boolean;
+  apiKey?: ApiKey;
+  keyId: string;
+  voice?: Voice;
+  voiceSettings?: VoiceSettings;
+  schedule: number[];
+  generations: number;
+  buffer: SentenceBuffer;
+  generating: Promise<void>; // generations run one after another, in order
+  controller: AbortController;
+  inactivityTimer?: NodeJS.Timeout;
+}
+
+const log = getLogger('StreamInput');
+
+let deps: StreamInputDependencies | null = null;
+
+export function setStreamInputDependencies(dependencies: StreamInputDependencies): void {
+  deps = dependencies;
+}
+
+/**
+ * Create the stream-input server; connections are handed to it by the HTTP server's upgrade handler
+ */
+export function setupStreamInputWebSocket(): WebSocketServer {
+  const wss = new WebSocketServer({ noServer: true });
+
+  wss.on('connection', (ws: WebSocket, req: IncomingMessage) => {
+    const session = openSession(ws, req);
+    if (!session) return;
+
+    const connectionId = randomUUID();
+    log.info('Client connected', { connectionId, voiceId: session.voiceId });
+
+    // Messages are handled one at a time, after the key and voice have been
+    // looked up, with the connection's ID on everything they log
+    let ready = Promise.resolve();
+    const enqueue = (task: () => Promise<void>): void => {
+      ready = ready.then(() => withLogContext({ connectionId }, task)).catch((error) => {
+        log.error('Message handling error', error, { connectionId });
+        closeWithError(ws, error instanceof Error ? error.message : 'Internal error', 'internal_error', CLOSE_ERROR);
+      });
+    };
+
+    const url = new URL(req.url ?? '', `http://${req.headers.host}`);
+    const plainKey =
+      (req.headers['xi-api-key'] as string | undefined) ??
+      url.searchParams.get('xi_api_key') ??
+      url.searchParams.get('api_key') ??
+      undefined;
+    // Otherwise the key comes with the first message
+    if (plainKey || !isAuthRequired()) {
+      enqueue(() => authenticate(ws, session, plainKey));
+    }
+
+    ws.on('message', (message: Buffer | string) => {
+      resetInactivityTimer(ws, session);
+      enqueue(() => handleMessage(ws, session, message.toString()));
+    });
+
+    ws.on('close', () => {
+      clearTimeout(session.inactivityTimer);
+      session.controller.abort();
+      log.info('Client disconnected', { connectionId });
+    });
+
+    ws.on('error', (error) => {
+      log.error('Connection error', error, { connectionId });
+    });
+
+    resetInactivityTimer(ws, session);
+  });
+
+  return wss;
+}
+
+/**
+ * Read the connection's options from its URL
+ */
+function openSession(ws: WebSocket, req: IncomingMessage): StreamInputSession | null {
+  const url = new URL(req.url ?? '', `http://${req.headers.host}`);
+  const voiceId = decodeURIComponent(url.pathname.match(STREAM_INPUT_PATH)?.[1] ?? '');
+
+  const outputFormat = url.searchParams.get('output_format') ?? DEFAULT_OUTPUT_FORMAT;
+  if (!ELEVENLABS_OUTPUT_FORMATS.includes(outputFormat as ElevenLabsOutputFormat)) {
+    closeWithError(ws, `Unsupported output_format: ${outputFormat}`, 'invalid_output_format', CLOSE_POLICY);
+    return null;
+  }
+
+  const timeout = Number(url.searchParams.get('inactivity_timeout') ?? DEFAULT_INACTIVITY_TIMEOUT);
+  const inactivitySeconds = Number.isFinite(timeout)
+    ? Math.min(Math.max(timeout, 1), MAX_INACTIVITY_TIMEOUT)
+    : DEFAULT_INACTIVITY_TIMEOUT;
+
+  return {
+    voiceId,
+    output: parseOutputFormat(outputFormat as ElevenLabsOutputFormat),
+    autoMode: url.searchParams.get('auto_mode') === 'true',
+    inactivityMs: inactivitySeconds * 1000,
+    authenticated: false,
+    keyId: 'anonymous',
+    schedule: DEFAULT_CHUNK_LENGTH_SCHEDULE,
+    generations: 0,
+    buffer: new SentenceBuffer(),
+    generating: Promise.resolve(),
+    controller: new AbortController(),
+  };
+}
+
+const STREAM_INPUT_AUTH_ERRORS = {
+  key_required: 'invalid_api_key',
+  invalid_key: 'invalid_api_key',
+  expired_key: 'invalid_api_key',
+  insufficient_scope: 'insufficient_scope',
+  rate_limited: 'rate_limited',
+} as const;
+
+/**
+ * Check the key (from the URL, headers or first message) and find the voice
+ */
+async function authenticate(ws: WebSocket, session: StreamInputSession, plainKey?: string): Promise<void> {
+  if (!deps) {
+    closeWithError(ws, 'Service not initialized', 'service_unavailable', CLOSE_ERROR);
+    return;
+  }
+
+  const auth = await authenticateWebSocketKey(deps.keyRepository, plainKey, 'tts');
+  if (!auth.ok) {
+    closeWithError(ws, auth.message, STREAM_INPUT_AUTH_ERRORS[auth.reason], CLOSE_POLICY);
+    return;
+  }
+  session.apiKey = auth.apiKey;
+  session.keyId = auth.keyId;
+
+  const voice = await findVoice(session.voiceId, session.apiKey);
+  if (!voice) {
+    closeWithError(ws, `Voice not found: ${session.voiceId}`, 'voice_not_found', CLOSE_POLICY);
+    return;
+  }
+  if (session.apiKey && !session.apiKey.canAccessEngine(voice.engine)) {
+    closeWithError(ws, `API key is not allowed to use engine: ${voice.engine}`, 'engine_access_denied', CLOSE_POLICY);
+    return;
+  }
+
+  session.voice = voice;
+  session.voiceSettings = withDefaults(voice, session.voiceSettings);
+  session.authenticated = true;
+}
+
+async function handleMessage(ws: WebSocket, session: StreamInputSession, data: string): Promise<void> {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  let message: StreamInputMessage;
+  try {
+    message = messageSchema.parse(JSON.parse(data));
+  } catch (error) {
+    const reason = error instanceof z.ZodError ? error.errors.map((e) => e.message).join(', ') : 'Invalid JSON';
+    closeWithError(ws, `Invalid message: ${reason}`, 'invalid_message', CLOSE_POLICY);
+    return;
+  }
+
+  // The first message may carry settings and the key
+  if (message.voice_settings) {
+    session.voiceSettings = session.voice ? withDefaults(session.voice, message.voice_settings) : message.voice_settings;
+  }
+  if (message.generation_config?.chunk_length_schedule) {
+    session.schedule = message.generation_config.chunk_length_schedule;
+  }
+  if (!session.authenticated) {
+    await authenticate(ws, session, message.xi_api_key);
+    if (!session.authenticated) return;
+  }
+
+  // An empty string ends the input: speak the rest and close
+  if (message.text === '') {
+    generate(ws, session, session.buffer.flush());
+    await session.generating;
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ isFinal: true }));
+      ws.close(1000);
+    }
+    return;
+  }
+
+  if (message.text) {
+    // auto_mode speaks each sentence as it completes; otherwise long text is
+    // also released once the buffer reaches the chunk length schedule
+    const threshold = session.autoMode
+      ? undefined
+      : session.schedule[Math.min(session.generations, session.schedule.length - 1)];
+    generate(ws, session, session.buffer.push(message.text, threshold));
+  }
+
+  if (message.flush) {
+    generate(ws, session, session.buffer.flush());
+  }
+}
+
+/**
+ * Queue sentences for synthesis; their audio is sent in order
+ */
+function generate(ws: WebSocket, session: StreamInputSession, sentences: string[]): void {
+  for (const text of sentences) {
+    session.generations++;
+    session.generating = session.generating.then(() => synthesizeSentence(ws, session, text));
+  }
+}
+
+async function synthesizeSentence(ws: WebSocket, session: StreamInputSession, text: string): Promise<void> {
+  const { signal } = session.controller;
+  if (!deps || !session.voice || signal.aborted || ws.readyState !== WebSocket.OPEN) return;
+
+  const startedAt = Date.now();
+  let engine = session.voice.engine;
+
+  try {
+    const quota = session.apiKey?.characterQuota;
+    if (quota) {
+      await getUsageService().checkQuotaOrThrow(session.keyId, quota, text.length);
+    }
+
+    const result = await deps.synthesisService.synthesizeWithTimestamps({
+      engine: session.voice.engine,
+      text,
+      voiceId: session.voice.nativeVoiceId,
+      voice: session.voice,
+      voiceSettings: session.voiceSettings,
+      outputFormat: session.output.format,
+      sampleRate: session.output.sampleRate,
+      bitrate: session.output.bitrate,
+      access: session.apiKey,
+      priority: 'interactive',
+      signal,
+    });
+    engine = result.engine;
+
+    if (ws.readyState === WebSocket.OPEN) {
+      const alignment = result.timing === 'none' ? null : toStreamAlignment(result.alignment);
+      ws.send(
+        JSON.stringify({
+          audio: result.audio.toString('base64'),
+          isFinal: null,
+          normalizedAlignment: alignment,
+          alignment,
+        })
+      );
+    }
+    recordUsage(session, engine, text.length, Date.now() - startedAt, 200);
+  } catch (error) {
+    // The client went away mid-sentence
+    if (signal.aborted) return;
+
+    const message = error instanceof Error ? error.message : 'Speech generation failed';
+    recordUsage(session, engine, text.length, Date.now() - startedAt, getErrorStatus(error));
+    if (error instanceof QuotaExceededError) {
+      closeWithError(ws, message, 'quota_exceeded', CLOSE_POLICY);
+    } else {
+      log.error('Synthesis failed', error, { voiceId: session.voiceId });
+      closeWithError(ws, message, 'speech_failed', CLOSE_ERROR);
+    }
+    session.controller.abort();
+  }
+}
+
+/**
+ * ElevenLabs stream-input alignment: per-character start times and durations in ms
+ */
+function toStreamAlignment(alignment: AlignmentData): {
+  chars: string[];
+  charStartTimesMs: number[];
+  charsDurationsMs: number[];
+} | null {
+  if (alignment.characters.length === 0) return null;
+  return {
+    chars: alignment.characters,
+    charStartTimesMs: alignment.character_start_times_seconds.map((start) => Math.round(start * 1000)),
+    charsDurationsMs: alignment.character_start_times_seconds.map((start, i) =>
+      Math.round(((alignment.character_end_times_seconds[i] ?? start) - start) * 1000)
+    ),
+  };
+}
+
+function resetInactivityTimer(ws: WebSocket, session: StreamInputSession): void {
+  clearTimeout(session.inactivityTimer);
+  session.inactivityTimer = setTimeout(() => {
+    closeWithError(
+      ws,
+      `Have not received new text for ${session.inactivityMs / 1000} seconds. Closing the connection.`,
+      'input_timeout_exceeded',
+      CLOSE_POLICY
+    );
+  }, session.inactivityMs);
+}
+
+function recordUsage(
+  session: StreamInputSession,
+  engine: EngineType,
+  characterCount: number,
+  durationMs: number,
+  statusCode: number
+): void {
+  getUsageService().recordRequest({
+    apiKeyId: session.keyId,
+    engine,
+    path: USAGE_PATH,
+    characterCount,
+    durationMs,
+    statusCode,
+  });
+}
+
+/**
+ * Send an ElevenLabs-style error message and close the connection
+ */
+function closeWithError(ws: WebSocket, message: string, error: string, code: number): void {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ message, error, code }));
+  ws.close(code, error);
+}
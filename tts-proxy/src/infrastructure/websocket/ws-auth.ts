@@ -0,0 +1,72 @@
+/**
+ * WebSocket key check
+ * Checks the API key of a WebSocket connection the way authMiddleware and
+ * rateLimitMiddleware check HTTP requests. Each handler reports failures in
+ * its own protocol.
+ */
+
+import type { KeyRepositoryPort } from '../../application/ports/key-repository-port.js';
+import type { ApiKey } from '../../domain/entities/api-key.js';
+import type { ApiKeyScope } from '../../types/api-key.types.js';
+import { ApiKeyRateLimitedError } from '../../domain/errors/domain-errors.js';
+import { getEnv, isAuthRequired } from '../../config/env.js';
+import { getUsageKeyId } from '../http/middleware/usage.middleware.js';
+import { consumeRateLimit } from '../http/middleware/rate-limit.middleware.js';
+
+export type WebSocketAuthResult =
+  | { ok: true; keyId: string; apiKey?: ApiKey }
+  | {
+      ok: false;
+      reason: 'key_required' | 'invalid_key' | 'expired_key' | 'insufficient_scope' | 'rate_limited';
+      message: string;
+    };
+
+/**
+ * Check a connection's key. Dev mode, local mode and ADMIN_API_KEY pass as
+ * admin; stored keys must be active, unexpired, have the scope and be under
+ * their rate limit, the connection counting as one request.
+ */
+export async function authenticateWebSocketKey(
+  keyRepository: KeyRepositoryPort,
+  plainKey: string | undefined,
+  scope: ApiKeyScope
+): Promise<WebSocketAuthResult> {
+  const env = getEnv();
+  if (!isAuthRequired()) {
+    return { ok: true, keyId: getUsageKeyId({ isAdmin: true, isDevMode: true, isLocalMode: false }) };
+  }
+  if (env.LOCAL_MODE) {
+    return { ok: true, keyId: getUsageKeyId({ isAdmin: true, isDevMode: false, isLocalMode: true }) };
+  }
+  if (!plainKey) {
+    return { ok: false, reason: 'key_required', message: 'API key required' };
+  }
+  if (env.ADMIN_API_KEY && plainKey === env.ADMIN_API_KEY) {
+    return { ok: true, keyId: getUsageKeyId({ isAdmin: true, isDevMode: false, isLocalMode: false }) };
+  }
+
+  const apiKey = await keyRepository.findByKey(plainKey);
+  if (!apiKey || !apiKey.active) {
+    return { ok: false, reason: 'invalid_key', message: 'Invalid API key' };
+  }
+  if (apiKey.isExpired()) {
+    return { ok: false, reason: 'expired_key', message: 'API key has expired' };
+  }
+  if (!apiKey.hasScope(scope)) {
+    return { ok: false, reason: 'insufficient_scope', message: `API key lacks the '${scope}' scope` };
+  }
+  if (!apiKey.isAdmin) {
+    try {
+      consumeRateLimit(apiKey.id, apiKey.rateLimit);
+    } catch (error) {
+      if (!(error instanceof ApiKeyRateLimitedError)) throw error;
+      return { ok: false, reason: 'rate_limited', message: `${error.message}, retry in ${error.retryAfter}s` };
+    }
+  }
+
+  return {
+    ok: true,
+    keyId: getUsageKeyId({ apiKey, isAdmin: apiKey.isAdmin, isDevMode: false, isLocalMode: false }),
+    apiKey,
+  };
+}
@@ -1,31 +1,86 @@
 /**
  * WebSocket Handler for ESP32/Embedded Devices
  * Provides real-time TTS streaming over WebSocket
+ *
+ * Protocol v1 is the original one-request-at-a-time exchange. Clients that
+ * send {"type":"hello","version":2} may run several requests at once and get
+ * typed error messages; request IDs, cancel and ping work in both.
  */
 
+import { randomUUID } from 'crypto';
 import { WebSocketServer, WebSocket } from 'ws';
 import type { IncomingMessage } from 'http';
-import type { Server } from 'http';
 import type { TTSEngineFactoryPort } from '../../application/ports/tts-engine-port.js';
 import type { KeyRepositoryPort } from '../../application/ports/key-repository-port.js';
+import type { SynthesisService } from '../../application/services/synthesis-service.js';
+import type { VoiceCatalog } from '../../application/services/voice-catalog.js';
 import type { EngineType } from '../../types/engine.types.js';
+import type { ApiKey } from '../../domain/entities/api-key.js';
+import { getUsageService } from '../../domain/services/usage-service.js';
+import { validateSsml } from '../../domain/services/ssml.js';
+import { getLogger, withLogContext } from '../../domain/services/log-service.js';
 import { getEnv } from '../../config/env.js';
+import { getErrorStatus } from '../http/middleware/error-handler.middleware.js';
+import { toVoiceFilter, toVoicePageRequest, voiceQuerySchema } from '../http/routes/tts.routes.js';
+import { authenticateWebSocketKey } from './ws-auth.js';
+import { ValidationError } from '../../domain/errors/domain-errors.js';
+import type { VoicePage } from '../../domain/entities/voice.js';
 
 interface WSCommand {
-  type?: 'speak' | 'voices' | 'engines';
+  type?: 'speak' | 'voices' | 'engines' | 'hello' | 'cancel' | 'ping';
+  id?: string; // echoed on every message about this request
+  version?: number; // hello: the protocol version the client speaks
   text?: string;
   voice?: string;
   engine?: string;
-  format?: 'pcm16' | 'wav' | 'mp3';
+  format?: DeviceFormat;
   sample_rate?: number;
   ssml?: boolean;
   stream?: boolean;
   chunk_size?: number;
+  // voices: the filters and paging of GET /api/voices
+  language?: string;
+  gender?: string;
+  search?: string;
+  page_size?: number;
+  cursor?: string;
+}
+
+type DeviceFormat = 'pcm16' | 'wav' | 'mp3' | 'ogg' | 'ulaw';
+
+const DEVICE_FORMATS: DeviceFormat[] = ['pcm16', 'wav', 'mp3', 'ogg', 'ulaw'];
+
+const PROTOCOL_VERSION = 2;
+
+const log = getLogger('WS');
+
+// How often to check whether a slow socket has drained
+const DRAIN_POLL_MS = 20;
+
+// Recorded for requests the client cancelled (nginx's "client closed request")
+const CANCELLED_STATUS = 499;
+
+interface WSRequest {
+  id?: string;
+  controller: AbortController;
+}
+
+interface WSClient {
+  apiKey?: ApiKey;
+  keyId: string; // usage is recorded under this ID
+  protocol: number;
+  requests: Set<WSRequest>; // running and queued speak requests
+  running: number;
+  waiting: Array<() => void>; // requests queued for a slot, in order
+  sending: Promise<void>; // audio of one request is never interleaved with another's
+  lastActivity: number;
 }
 
 interface WSDependencies {
   engineFactory: TTSEngineFactoryPort;
   keyRepository: KeyRepositoryPort;
+  synthesisService: SynthesisService;
+  voiceCatalog?: VoiceCatalog;
 }
 
 let deps: WSDependencies | null = null;
@@ -34,80 +89,110 @@ export function setWebSocketDependencies(dependencies: WSDependencies): void {
   deps = dependencies;
 }
 
-export function setupWebSocket(server: Server): WebSocketServer {
-  const wss = new WebSocketServer({
-    server,
-    path: '/ws'
-  });
+/**
+ * Create the /ws server; connections are handed to it by the HTTP server's upgrade handler
+ */
+export function setupWebSocket(): WebSocketServer {
+  const wss = new WebSocketServer({ noServer: true });
 
   wss.on('connection', async (ws: WebSocket, req: IncomingMessage) => {
-    // Authenticate the connection
-    const authenticated = await authenticateWebSocket(ws, req);
-    if (!authenticated) {
-      return;
-    }
+    // Logged with every line about this connection; timers started here inherit it
+    const connectionId = randomUUID();
+
+    await withLogContext({ connectionId }, async () => {
+      // Authenticate the connection
+      const client = await authenticateWebSocket(ws, req);
+      if (!client) {
+        return;
+      }
 
-    console.log('[WS] Client connected and authenticated');
+      log.info('Client connected', { keyId: client.keyId });
+      const stopHeartbeat = startHeartbeat(ws, client);
 
-    ws.on('message', async (message: Buffer | string) => {
-      try {
-        const data = message.toString();
-        let command: WSCommand;
+      ws.on('message', (message: Buffer | string) => {
+        client.lastActivity = Date.now();
 
+        let command: WSCommand;
         try {
-          command = JSON.parse(data);
+          command = JSON.parse(message.toString());
         } catch {
-          sendError(ws, 'Invalid JSON', 'INVALID_JSON');
+          sendError(ws, 'Invalid JSON', 'INVALID_JSON', client);
           return;
         }
-
-        // Handle different command types
-        const type = command.type ?? 'speak';
-
-        switch (type) {
-          case 'speak':
-            await handleSpeak(ws, command);
-            break;
-          case 'voices':
-            await handleVoices(ws);
-            break;
-          case 'engines':
-            await handleEngines(ws);
-            break;
-          default:
-            sendError(ws, 'Unknown command type', 'UNKNOWN_COMMAND');
+        // Valid JSON such as null or 42 is still not a command
+        if (!command || typeof command !== 'object' || Array.isArray(command)) {
+          sendError(ws, 'Command must be a JSON object', 'INVALID_JSON', client);
+          return;
         }
-      } catch (error) {
-        console.error('[WS] Message handling error:', error);
-        sendError(ws, error instanceof Error ? error.message : 'Internal error', 'INTERNAL_ERROR');
-      }
-    });
+        if (command.id !== undefined) command.id = String(command.id);
 
-    ws.on('close', () => {
-      console.log('[WS] Client disconnected');
-    });
+        // Event handlers run outside the connection's context, so restore it
+        const meta = command.id !== undefined ? { connectionId, requestId: command.id } : { connectionId };
+        void withLogContext(meta, () => handleCommand(ws, command, client));
+      });
+
+      ws.on('close', () => {
+        stopHeartbeat();
+        for (const request of client.requests) request.controller.abort();
+        log.info('Client disconnected', { connectionId });
+      });
 
-    ws.on('error', (error) => {
-      console.error('[WS] Error:', error);
+      ws.on('error', (error) => {
+        log.error('Connection error', error, { connectionId });
+      });
     });
   });
 
-  console.log('[WS] WebSocket server initialized on /ws');
+  log.info('WebSocket server initialized on /ws');
   return wss;
 }
 
-async function authenticateWebSocket(ws: WebSocket, req: IncomingMessage): Promise<boolean> {
-  if (!deps) {
-    sendError(ws, 'Service not initialized', 'SERVICE_UNAVAILABLE');
-    ws.close();
-    return false;
+async function handleCommand(ws: WebSocket, command: WSCommand, client: WSClient): Promise<void> {
+  try {
+    // Handle different command types
+    const type = command.type ?? 'speak';
+
+    switch (type) {
+      case 'speak':
+        await handleSpeak(ws, command, client);
+        break;
+      case 'hello':
+        handleHello(ws, command, client);
+        break;
+      case 'cancel':
+        handleCancel(ws, command, client);
+        break;
+      case 'ping':
+        sendJson(ws, { type: 'pong', ...idField(command.id), time: Date.now() });
+        break;
+      case 'voices':
+        await handleVoices(ws, command, client);
+        break;
+      case 'engines':
+        await handleEngines(ws, command, client);
+        break;
+      default:
+        sendError(ws, 'Unknown command type', 'UNKNOWN_COMMAND', client, command.id);
+    }
+  } catch (error) {
+    log.error('Message handling error', error);
+    sendError(ws, error instanceof Error ? error.message : 'Internal error', 'INTERNAL_ERROR', client);
   }
+}
 
-  const env = getEnv();
+const DEVICE_AUTH_ERRORS = {
+  key_required: 'AUTH_REQUIRED',
+  invalid_key: 'INVALID_KEY',
+  expired_key: 'INVALID_KEY',
+  insufficient_scope: 'INSUFFICIENT_SCOPE',
+  rate_limited: 'RATE_LIMITED',
+} as const;
 
-  // Skip auth in development mode if API key not required
-  if (env.NODE_ENV === 'development' && !env.API_KEY_REQUIRED) {
-    return true;
+async function authenticateWebSocket(ws: WebSocket, req: IncomingMessage): Promise<WSClient | null> {
+  if (!deps) {
+    sendError(ws, 'Service not initialized', 'SERVICE_UNAVAILABLE');
+    ws.close();
+    return null;
   }
 
   // Get API key from query string or headers
@@ -117,26 +202,141 @@ async function authenticateWebSocket(ws: WebSocket, req: IncomingMessage): Promi
                  req.headers['x-api-key'] as string ??
                  req.headers['xi-api-key'] as string;
 
-  if (!apiKey) {
-    sendError(ws, 'API key required', 'AUTH_REQUIRED');
+  const auth = await authenticateWebSocketKey(deps.keyRepository, apiKey, 'devices');
+  if (!auth.ok) {
+    sendError(ws, auth.message, DEVICE_AUTH_ERRORS[auth.reason]);
     ws.close();
-    return false;
+    return null;
   }
 
-  // Validate API key
-  const keyData = await deps.keyRepository.findByKey(apiKey);
-  if (!keyData || !keyData.active) {
-    sendError(ws, 'Invalid API key', 'INVALID_KEY');
-    ws.close();
-    return false;
+  return newClient(auth.keyId, auth.apiKey);
+}
+
+function newClient(keyId: string, apiKey?: ApiKey): WSClient {
+  return {
+    apiKey,
+    keyId,
+    protocol: 1,
+    requests: new Set(),
+    running: 0,
+    waiting: [],
+    sending: Promise.resolve(),
+    lastActivity: Date.now(),
+  };
+}
+
+/**
+ * Ping the client regularly and drop it if it stops answering, or if it has
+ * sent nothing for the idle timeout while no request is in progress
+ */
+function startHeartbeat(ws: WebSocket, client: WSClient): () => void {
+  const env = getEnv();
+  const timers: NodeJS.Timeout[] = [];
+
+  if (env.WS_PING_INTERVAL_MS > 0) {
+    let alive = true;
+    ws.on('pong', () => {
+      alive = true;
+    });
+    timers.push(
+      setInterval(() => {
+        if (!alive) {
+          log.warn('Client stopped answering pings, disconnecting');
+          ws.terminate();
+          return;
+        }
+        alive = false;
+        ws.ping();
+      }, env.WS_PING_INTERVAL_MS)
+    );
   }
 
-  return true;
+  if (env.WS_IDLE_TIMEOUT_MS > 0) {
+    timers.push(
+      setInterval(() => {
+        if (client.requests.size === 0 && Date.now() - client.lastActivity >= env.WS_IDLE_TIMEOUT_MS) {
+          log.info('Closing idle connection');
+          ws.close(1000, 'Idle timeout');
+        }
+      }, Math.min(env.WS_IDLE_TIMEOUT_MS, 10000))
+    );
+  }
+
+  return () => timers.forEach((timer) => clearInterval(timer));
+}
+
+function handleHello(ws: WebSocket, command: WSCommand, client: WSClient): void {
+  const requested = Number(command.version ?? PROTOCOL_VERSION);
+  client.protocol = Math.max(1, Math.min(Number.isFinite(requested) ? requested : 1, PROTOCOL_VERSION));
+
+  const env = getEnv();
+  sendJson(ws, {
+    type: 'hello',
+    version: client.protocol,
+    max_concurrent: maxConcurrent(client),
+    max_queued: env.WS_MAX_QUEUED,
+    ping_interval_ms: env.WS_PING_INTERVAL_MS,
+    idle_timeout_ms: env.WS_IDLE_TIMEOUT_MS,
+  });
+}
+
+/**
+ * Stop a request (or, without an ID, every request) of this connection
+ */
+function handleCancel(ws: WebSocket, command: WSCommand, client: WSClient): void {
+  const targets = [...client.requests].filter((request) => command.id === undefined || request.id === command.id);
+  if (command.id !== undefined && targets.length === 0) {
+    sendError(ws, `No request in progress with id "${command.id}"`, 'UNKNOWN_REQUEST', client, command.id);
+    return;
+  }
+
+  for (const request of targets) request.controller.abort();
+}
+
+function maxConcurrent(client: WSClient): number {
+  // v1 clients can't tell interleaved responses apart, so they are served in order
+  return client.protocol >= 2 ? getEnv().WS_MAX_CONCURRENT : 1;
+}
+
+/**
+ * Wait for a free request slot. Resolves false if the request is cancelled first.
+ */
+function acquireSlot(client: WSClient, request: WSRequest): Promise<boolean> {
+  if (client.running < maxConcurrent(client)) {
+    client.running++;
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const { signal } = request.controller;
+    // A finished request hands its slot straight to the next one waiting
+    const start = (): void => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(true);
+    };
+    const onAbort = (): void => {
+      client.waiting = client.waiting.filter((wake) => wake !== start);
+      resolve(false);
+    };
+    client.waiting.push(start);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function releaseSlot(client: WSClient): void {
+  const next = client.waiting.shift();
+  if (next) {
+    next();
+  } else {
+    client.running--;
+  }
 }
 
-async function handleSpeak(ws: WebSocket, command: WSCommand): Promise<void> {
+async function handleSpeak(ws: WebSocket, command: WSCommand, client: WSClient): Promise<void> {
+  const { id } = command;
+
   if (!deps) {
-    sendError(ws, 'Service not initialized', 'SERVICE_UNAVAILABLE');
+    sendError(ws, 'Service not initialized', 'SERVICE_UNAVAILABLE', client, id);
     return;
   }
 
@@ -149,140 +349,270 @@ async function handleSpeak(ws: WebSocket, command: WSCommand): Promise<void> {
     sample_rate = env.ESP32_DEFAULT_SAMPLE_RATE,
     stream = false,
     chunk_size = 32000,
+    ssml = false,
   } = command;
 
   // Validate text
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
-    sendError(ws, 'Missing or empty "text" field', 'INVALID_TEXT');
+    sendError(ws, 'Missing or empty "text" field', 'INVALID_TEXT', client, id);
+    return;
+  }
+
+  if (!DEVICE_FORMATS.includes(format)) {
+    sendError(
+      ws,
+      `Unsupported format "${format}" (use one of ${DEVICE_FORMATS.join(', ')})`,
+      'INVALID_FORMAT',
+      client,
+      id
+    );
+    return;
+  }
+
+  if (!Number.isInteger(chunk_size) || chunk_size < 1) {
+    sendError(ws, '"chunk_size" must be a positive number of bytes', 'INVALID_CHUNK_SIZE', client, id);
     return;
   }
 
   const maxLength = 500; // Max text length for embedded devices
   if (text.length > maxLength) {
-    sendError(ws, `Text exceeds maximum length of ${maxLength} characters`, 'TEXT_TOO_LONG');
+    sendError(ws, `Text exceeds maximum length of ${maxLength} characters`, 'TEXT_TOO_LONG', client, id);
     return;
   }
 
-  console.log(`[WS] Speak request: engine=${engine}, voice=${voice}, format=${format}, len=${text.length}`);
+  if (ssml) {
+    try {
+      validateSsml(text);
+    } catch (error) {
+      sendError(ws, error instanceof Error ? error.message : 'Invalid SSML', 'INVALID_SSML', client, id);
+      return;
+    }
+  }
 
-  try {
-    // Get engine
-    const ttsEngine = await deps.engineFactory.createEngine(engine as EngineType);
+  if (id !== undefined && [...client.requests].some((request) => request.id === id)) {
+    sendError(ws, `A request with id "${id}" is already in progress`, 'DUPLICATE_ID', client, id);
+    return;
+  }
+
+  if (client.requests.size >= maxConcurrent(client) + env.WS_MAX_QUEUED) {
+    sendError(ws, 'Too many requests in progress on this connection', 'TOO_MANY_REQUESTS', client, id);
+    return;
+  }
+
+  log.info('Speak request', { engine, voice, format, characters: text.length });
+
+  const startedAt = Date.now();
+  const usage = { engine: engine as EngineType, characterCount: text.length };
+
+  if (client.apiKey && !client.apiKey.canAccessEngine(engine)) {
+    sendError(ws, `API key is not allowed to use engine: ${engine}`, 'ENGINE_ACCESS_DENIED', client, id);
+    return;
+  }
+
+  const quota = client.apiKey?.characterQuota;
+  if (quota) {
+    try {
+      await getUsageService().checkQuotaOrThrow(client.keyId, quota, text.length);
+    } catch (error) {
+      sendError(ws, error instanceof Error ? error.message : 'Quota exceeded', 'quota_exceeded', client, id);
+      return;
+    }
+  }
+
+  const request: WSRequest = { id, controller: new AbortController() };
+  const { signal } = request.controller;
+  client.requests.add(request);
 
-    // Determine output format for engine
-    let outputFormat: 'wav' | 'mp3' | 'pcm' = format === 'mp3' ? 'mp3' : 'wav';
+  if (!(await acquireSlot(client, request))) {
+    client.requests.delete(request);
+    sendJson(ws, { type: 'cancelled', ...idField(id), bytes_sent: 0 });
+    return;
+  }
 
-    // Synthesize
-    const result = await ttsEngine.synthesize({
+  try {
+    // Synthesize (served from the audio cache when possible), converted to the device's format
+    const result = await deps.synthesisService.synthesize({
+      engine: engine as EngineType,
       text,
       voiceId: voice,
-      outputFormat,
+      outputFormat: format === 'pcm16' ? 'pcm' : format,
       sampleRate: sample_rate,
+      ssml,
+      access: client.apiKey,
+      priority: 'interactive',
+      signal,
     });
+    usage.engine = result.engine;
+
+    // Send one request's audio at a time, so its binary frames sit between its meta and end
+    const sent = client.sending.then(() =>
+      sendAudio(ws, id, signal, result.audio, {
+        format,
+        sample_rate: result.sampleRate,
+        engine: result.engine,
+        voice: result.voiceId,
+        ...(result.fallbackFrom ? { fallback_from: result.fallbackFrom } : {}),
+        cached: result.cached,
+        stream,
+        chunk_size: stream ? chunk_size : undefined,
+      })
+    );
+    client.sending = sent.then(() => undefined, () => undefined);
+
+    const completed = await sent;
+    recordUsage(client, usage, Date.now() - startedAt, completed ? 200 : CANCELLED_STATUS);
+  } catch (error) {
+    if (signal.aborted) {
+      recordUsage(client, usage, Date.now() - startedAt, CANCELLED_STATUS);
+      sendJson(ws, { type: 'cancelled', ...idField(id), bytes_sent: 0 });
+      return;
+    }
 
-    let audioData = result.audio;
-    let actualSampleRate = sample_rate;
+    log.error('Speak error', error);
+    recordUsage(client, usage, Date.now() - startedAt, getErrorStatus(error));
+    sendError(ws, error instanceof Error ? error.message : 'Speech generation failed', 'SPEECH_FAILED', client, id);
+  } finally {
+    client.requests.delete(request);
+    releaseSlot(client);
+  }
+}
 
-    // Extract PCM if requested
-    if (format === 'pcm16' && outputFormat === 'wav') {
-      const pcmResult = extractPCM(audioData);
-      audioData = pcmResult.pcm;
-      actualSampleRate = pcmResult.sampleRate ?? sample_rate;
-    }
+/**
+ * Send a meta frame, the audio (in chunks when streaming) and an end frame.
+ * Chunks wait for the socket's buffer to drain so slow links don't pile up
+ * audio in memory. Returns false if the request was cancelled part-way.
+ */
+async function sendAudio(
+  ws: WebSocket,
+  id: string | undefined,
+  signal: AbortSignal,
+  audio: Buffer,
+  meta: { stream: boolean; chunk_size?: number } & Record<string, unknown>
+): Promise<boolean> {
+  if (signal.aborted) {
+    sendJson(ws, { type: 'cancelled', ...idField(id), bytes_sent: 0 });
+    return false;
+  }
 
-    // Send metadata
-    sendJson(ws, {
-      type: 'meta',
-      format,
-      sample_rate: actualSampleRate,
-      engine,
-      voice,
-      bytes: audioData.length,
-      stream,
-      chunk_size: stream ? chunk_size : undefined,
-      chunks: stream ? Math.ceil(audioData.length / chunk_size) : 1,
-    });
+  const chunkSize = meta.stream && meta.chunk_size ? meta.chunk_size : Math.max(audio.length, 1);
 
-    // Send audio data
-    if (stream) {
-      // Send in chunks
-      let offset = 0;
-      let chunksSent = 0;
-
-      while (offset < audioData.length && ws.readyState === WebSocket.OPEN) {
-        const end = Math.min(offset + chunk_size, audioData.length);
-        const chunk = audioData.subarray(offset, end);
-        ws.send(chunk);
-        chunksSent++;
-        offset = end;
-      }
+  sendJson(ws, {
+    type: 'meta',
+    ...idField(id),
+    ...meta,
+    bytes: audio.length,
+    chunks: meta.stream ? Math.ceil(audio.length / chunkSize) : 1,
+  });
 
-      // Send end message
-      sendJson(ws, {
-        type: 'end',
-        bytes: audioData.length,
-        chunks: chunksSent,
-      });
-    } else {
-      // Send all at once
-      ws.send(audioData);
-
-      sendJson(ws, {
-        type: 'end',
-        bytes: audioData.length,
-        chunks: 1,
-      });
+  let offset = 0;
+  let chunksSent = 0;
+
+  while (offset < audio.length && ws.readyState === WebSocket.OPEN) {
+    await waitForDrain(ws, signal);
+    if (signal.aborted) {
+      sendJson(ws, { type: 'cancelled', ...idField(id), bytes_sent: offset, chunks: chunksSent });
+      return false;
     }
-  } catch (error) {
-    console.error('[WS] Speak error:', error);
-    sendError(ws, error instanceof Error ? error.message : 'Speech generation failed', 'SPEECH_FAILED');
+
+    const end = Math.min(offset + chunkSize, audio.length);
+    ws.send(audio.subarray(offset, end));
+    chunksSent++;
+    offset = end;
   }
+
+  sendJson(ws, {
+    type: 'end',
+    ...idField(id),
+    bytes: audio.length,
+    chunks: chunksSent,
+  });
+  return true;
 }
 
-async function handleVoices(ws: WebSocket): Promise<void> {
-  if (!deps) {
-    sendError(ws, 'Service not initialized', 'SERVICE_UNAVAILABLE');
+async function waitForDrain(ws: WebSocket, signal: AbortSignal): Promise<void> {
+  const limit = getEnv().WS_MAX_BUFFERED_BYTES;
+  while (ws.readyState === WebSocket.OPEN && ws.bufferedAmount > limit && !signal.aborted) {
+    await new Promise((resolve) => setTimeout(resolve, DRAIN_POLL_MS));
+  }
+}
+
+function recordUsage(
+  client: WSClient,
+  usage: { engine: EngineType; characterCount: number },
+  durationMs: number,
+  statusCode: number
+): void {
+  getUsageService().recordRequest({
+    apiKeyId: client.keyId,
+    engine: usage.engine,
+    path: '/ws',
+    characterCount: usage.characterCount,
+    durationMs,
+    statusCode,
+  });
+}
+
+async function handleVoices(ws: WebSocket, command: WSCommand, client: WSClient): Promise<void> {
+  if (!deps?.voiceCatalog) {
+    sendError(ws, 'Service not initialized', 'SERVICE_UNAVAILABLE', client, command.id);
     return;
   }
 
-  const voices: Array<{ id: string; name: string; engine: string; language: string }> = [];
+  const query = voiceQuerySchema.safeParse({
+    language: command.language,
+    gender: command.gender,
+    engine: command.engine,
+    search: command.search,
+    page_size: command.page_size,
+    cursor: command.cursor,
+  });
+  if (!query.success) {
+    const issue = query.error.issues[0];
+    sendError(ws, `Invalid "${issue?.path.join('.')}": ${issue?.message}`, 'INVALID_QUERY', client, command.id);
+    return;
+  }
 
-  for (const engineId of deps.engineFactory.getAvailableEngines()) {
-    try {
-      const engine = await deps.engineFactory.createEngine(engineId);
-      const engineVoices = await engine.getVoices();
-
-      for (const voice of engineVoices) {
-        voices.push({
-          id: voice.id,
-          name: voice.name,
-          engine: voice.engine,
-          language: voice.languageCode,
-        });
-      }
-    } catch {
-      // Skip unavailable engines
-    }
+  let page: VoicePage;
+  try {
+    // As on /api/voices, only voices a device can name with an engine
+    page = await deps.voiceCatalog.findVoices(
+      client.apiKey,
+      { ...toVoiceFilter(query.data), mapped: false },
+      toVoicePageRequest(query.data)
+    );
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    sendError(ws, error.message, 'INVALID_QUERY', client, command.id);
+    return;
   }
 
+  const voices = page.voices.map((voice) => ({
+    id: voice.id,
+    name: voice.name,
+    engine: voice.engine,
+    language: voice.languageCode,
+  }));
   sendJson(ws, {
     type: 'voices',
+    ...idField(command.id),
     voices,
     count: voices.length,
+    total: page.total,
+    next_cursor: page.nextCursor,
   });
 }
 
-async function handleEngines(ws: WebSocket): Promise<void> {
+async function handleEngines(ws: WebSocket, command: WSCommand, client: WSClient): Promise<void> {
   if (!deps) {
-    sendError(ws, 'Service not initialized', 'SERVICE_UNAVAILABLE');
+    sendError(ws, 'Service not initialized', 'SERVICE_UNAVAILABLE', client, command.id);
     return;
   }
 
   const engines: Array<{ id: string; available: boolean; voiceCount: number }> = [];
 
-  for (const engineId of deps.engineFactory.getAvailableEngines()) {
+  for (const engineId of deps.synthesisService.getAccessibleEngines(client.apiKey)) {
     try {
-      const engine = await deps.engineFactory.createEngine(engineId);
+      const engine = await deps.synthesisService.getEngineFor(engineId, client.apiKey);
       const status = engine.getStatus();
 
       engines.push({
@@ -301,6 +631,7 @@ async function handleEngines(ws: WebSocket): Promise<void> {
 
   sendJson(ws, {
     type: 'engines',
+    ...idField(command.id),
     engines,
     count: engines.length,
   });
@@ -312,56 +643,18 @@ function sendJson(ws: WebSocket, data: object): void {
   }
 }
 
-function sendError(ws: WebSocket, message: string, code: string): void {
-  sendJson(ws, { error: message, code });
-}
-
 /**
- * Extract PCM data from WAV buffer
+ * v1 errors are { error, code }; v2 adds type "error". Both carry the request ID.
  */
-function extractPCM(wavBuffer: Buffer): { pcm: Buffer; sampleRate?: number } {
-  // WAV header is typically 44 bytes
-  // Check for RIFF header
-  if (wavBuffer.length < 44) {
-    return { pcm: wavBuffer };
-  }
-
-  const riff = wavBuffer.toString('ascii', 0, 4);
-  if (riff !== 'RIFF') {
-    return { pcm: wavBuffer };
-  }
-
-  // Find 'data' chunk
-  let offset = 12; // Skip RIFF header
-  let sampleRate: number | undefined;
-
-  while (offset < wavBuffer.length - 8) {
-    const chunkId = wavBuffer.toString('ascii', offset, offset + 4);
-    const chunkSize = wavBuffer.readUInt32LE(offset + 4);
-
-    if (chunkId === 'fmt ') {
-      // Read sample rate from fmt chunk
-      if (offset + 12 <= wavBuffer.length) {
-        sampleRate = wavBuffer.readUInt32LE(offset + 12);
-      }
-    }
-
-    if (chunkId === 'data') {
-      // Found data chunk - return PCM data
-      const dataStart = offset + 8;
-      const dataEnd = Math.min(dataStart + chunkSize, wavBuffer.length);
-      return {
-        pcm: wavBuffer.subarray(dataStart, dataEnd),
-        sampleRate,
-      };
-    }
-
-    offset += 8 + chunkSize;
-  }
+function sendError(ws: WebSocket, message: string, code: string, client?: WSClient, id?: string): void {
+  sendJson(ws, {
+    ...(client && client.protocol >= 2 ? { type: 'error' } : {}),
+    ...idField(id),
+    error: message,
+    code,
+  });
+}
 
-  // Fallback: skip standard 44-byte header
-  return {
-    pcm: wavBuffer.subarray(44),
-    sampleRate,
-  };
+function idField(id: string | undefined): { id?: string } {
+  return id === undefined ? {} : { id };
 }
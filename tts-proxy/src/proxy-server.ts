@@ -1,24 +1,55 @@
-import { resolve, dirname } from 'path';
+import { resolve, dirname, join, basename } from 'path';
 import { fileURLToPath } from 'url';
 
 import { loadEnv } from './config/load-env.js';
-import { getEnv, getEngineCredentials, hasEngineCredentials } from './config/env.js';
+import { getEnv, getEngineCredentials } from './config/env.js';
 import { createServer, startServer } from './infrastructure/http/server.js';
 import { setKeyRepository } from './infrastructure/http/middleware/auth.middleware.js';
 import { setHealthDependencies } from './infrastructure/http/routes/health.routes.js';
 import { setTtsDependencies } from './infrastructure/http/routes/tts.routes.js';
 import { setAdminDependencies } from './infrastructure/http/routes/admin.routes.js';
 import { setEsp32Dependencies } from './infrastructure/http/routes/esp32.routes.js';
+import { setJobDependencies } from './infrastructure/http/routes/jobs.routes.js';
 import { startRateLimitCleanup } from './infrastructure/http/middleware/rate-limit.middleware.js';
 import { getEngineFactory } from './infrastructure/tts-engines/engine-factory.js';
+import { httpEngineId, parseHttpEngineConfigs } from './infrastructure/tts-engines/http-engine-config.js';
+import { SherpaOnnxModelRegistry } from './infrastructure/tts-engines/sherpaonnx-models.js';
 import { FileStorage, FileCredentialsStorage } from './infrastructure/persistence/file/file-storage.js';
 import { FileKeyRepository } from './infrastructure/persistence/file/key-repository.js';
-import { getPostgresKeyRepository } from './infrastructure/persistence/postgres/key-repository.js';
+import { FileVoiceMappingRepository } from './infrastructure/persistence/file/voice-mapping-repository.js';
+import { FileUsageStorage } from './infrastructure/persistence/file/usage-storage.js';
+import { FileLexiconRepository } from './infrastructure/persistence/file/lexicon-repository.js';
+import { FileJobRepository } from './infrastructure/persistence/file/job-repository.js';
+import { FileVoicePreviewRepository } from './infrastructure/persistence/file/voice-preview-repository.js';
+import { FileAuditLog } from './infrastructure/persistence/file/audit-log.js';
+import { FileAudioCache } from './infrastructure/cache/audio-cache.js';
+import { AudioConverter } from './infrastructure/audio/converter.js';
+import { SynthesisService } from './application/services/synthesis-service.js';
+import { JobService } from './application/services/job-service.js';
+import { VoicePreviewService } from './application/services/voice-preview-service.js';
+import { VoiceCatalog } from './application/services/voice-catalog.js';
+import { createPostgresKeyRepository } from './infrastructure/persistence/postgres/key-repository.js';
+import { getPostgresUsageStorage } from './infrastructure/persistence/postgres/usage-storage.js';
+import { getPostgresAuditLog } from './infrastructure/persistence/postgres/audit-log.js';
+import { createPostgresCredentialsStorage } from './infrastructure/persistence/postgres/credentials-storage.js';
+import { CredentialsCipher } from './infrastructure/persistence/credentials-cipher.js';
+import { encryptKeyCredentials, migrateCredentials } from './infrastructure/persistence/credentials-migration.js';
 import { isDatabaseAvailable, initializeSchema } from './infrastructure/persistence/postgres/connection.js';
 import { getKeyService } from './domain/services/key-service.js';
+import { parseFailoverChains } from './domain/services/failover.js';
+import { parseConcurrencyLimits } from './domain/services/engine-scheduler.js';
+import { parseOpenAIVoiceMap } from './domain/services/openai-voices.js';
+import { getUsageService } from './domain/services/usage-service.js';
+import { getAuditService } from './domain/services/audit-service.js';
+import { getLexiconService } from './domain/services/lexicon-service.js';
+import { errorMessage, getLogger, setLoggerFactory } from './domain/services/log-service.js';
+import { WinstonLoggerFactory, type LogDestination } from './infrastructure/logging/winston-logger.js';
 import type { RunningServer } from './infrastructure/http/server.js';
 import type { KeyRepositoryPort } from './application/ports/key-repository-port.js';
-import type { EngineType } from './types/engine.types.js';
+import type { CredentialsStoragePort } from './application/ports/storage-port.js';
+import { getEngineIds } from './types/engine.types.js';
+
+const log = getLogger('Server');
 
 export interface ProxyServerOptions {
   port?: number;
@@ -37,6 +68,9 @@ export class ProxyServer {
   private readonly options: ProxyServerOptions;
   private runningServer: RunningServer | null = null;
   private portValue: number | null = null;
+  private audioCache: FileAudioCache | null = null;
+  private jobService: JobService | null = null;
+  private loggerFactory: WinstonLoggerFactory | null = null;
 
   constructor(options: ProxyServerOptions = {}) {
     this.options = options;
@@ -67,81 +101,234 @@ export class ProxyServer {
       env.DATA_DIR ??
       resolve(__dirname, '../data');
 
-    console.log('OpenVoiceProxy Server');
-    console.log('=====================');
-    console.log(`Environment: ${env.NODE_ENV}`);
-    console.log(`Port: ${this.options.port ?? env.PORT}`);
+    this.configureLogging(env);
+    log.info('Starting OpenVoiceProxy', { environment: env.NODE_ENV, port: this.options.port ?? env.PORT });
 
     const fileStorage = new FileStorage({ dataDir });
-    const credentialsStorage = new FileCredentialsStorage(fileStorage);
+    const credentialsCipher = env.CREDENTIALS_MASTER_KEY
+      ? CredentialsCipher.fromMasterKey(env.CREDENTIALS_MASTER_KEY)
+      : null;
+    const fileCredentials = new FileCredentialsStorage(fileStorage, credentialsCipher);
 
     let keyRepository: KeyRepositoryPort;
+    let usingDatabase = false;
     if (env.DATABASE_URL) {
-      console.log('Checking database connection...');
+      log.info('Checking database connection...');
       const dbAvailable = await isDatabaseAvailable();
 
       if (dbAvailable) {
-        console.log('Using PostgreSQL for key storage');
+        log.info('Using PostgreSQL for key storage');
         await initializeSchema();
-        keyRepository = getPostgresKeyRepository();
+        keyRepository = createPostgresKeyRepository(credentialsCipher);
+        usingDatabase = true;
       } else {
-        console.log('Database not available, using file storage');
-        keyRepository = new FileKeyRepository(fileStorage);
+        log.warn('Database not available, using file storage');
+        keyRepository = new FileKeyRepository(fileStorage, credentialsCipher);
       }
     } else {
-      console.log('Using file storage for keys');
-      keyRepository = new FileKeyRepository(fileStorage);
+      log.info('Using file storage for keys');
+      keyRepository = new FileKeyRepository(fileStorage, credentialsCipher);
     }
 
     await this.ensureLocalAdminKey(fileStorage, keyRepository, env);
 
-    console.log('Initializing TTS engines...');
+    // Engine credentials go where the keys go
+    const credentialsStorage: CredentialsStoragePort = usingDatabase
+      ? createPostgresCredentialsStorage(credentialsCipher)
+      : fileCredentials;
+    await this.migrateCredentials(fileCredentials, credentialsStorage, keyRepository, credentialsCipher);
+
+    // Voice mappings and self-hosted TTS servers live in config.json (see scripts/configure-voices.ts)
+    const configPath = env.VOICE_CONFIG_PATH ?? resolve(__dirname, '../config.json');
+    const configStorage = new FileStorage({ dataDir: dirname(configPath) });
+    const configKey = basename(configPath, '.json');
+
+    log.info('Initializing TTS engines...');
     const engineFactory = getEngineFactory();
-    const engineTypes: EngineType[] = [
-      'espeak',
-      'azure',
-      'elevenlabs',
-      'openai',
-      'google',
-      'polly',
-      'watson',
-      'playht',
-      'witai',
-      'sherpaonnx',
-    ];
-
-    for (const engineId of engineTypes) {
-      if (hasEngineCredentials(engineId)) {
-        const creds = getEngineCredentials(engineId);
+    engineFactory.configureCircuitBreakers({
+      failureThreshold: env.CIRCUIT_BREAKER_THRESHOLD,
+      resetTimeoutMs: env.CIRCUIT_BREAKER_RESET_MS,
+    });
+    const config = await configStorage.readJson<{ httpEngines?: unknown }>(configKey).catch((error) => {
+      log.warn('Could not read config file', { path: configPath, error: errorMessage(error) });
+      return null;
+    });
+    const httpEngines = parseHttpEngineConfigs(config?.httpEngines);
+    engineFactory.configureHttpEngines(httpEngines);
+    // Limits can name HTTP engines, so they are read once those are known
+    engineFactory.configureSchedulers(
+      {
+        concurrency: env.ENGINE_CONCURRENCY,
+        maxQueueDepth: env.ENGINE_QUEUE_MAX_DEPTH,
+        queueTimeoutMs: env.ENGINE_QUEUE_TIMEOUT_MS,
+      },
+      parseConcurrencyLimits(env.ENGINE_CONCURRENCY_LIMITS)
+    );
+    for (const httpEngine of httpEngines) {
+      log.info('HTTP engine configured', { engine: httpEngineId(httpEngine.name), url: httpEngine.request.url });
+    }
+
+    let sherpaModelRegistry: SherpaOnnxModelRegistry | undefined;
+    if (env.SHERPAONNX_MODELS_DIR) {
+      sherpaModelRegistry = new SherpaOnnxModelRegistry(resolve(env.SHERPAONNX_MODELS_DIR), fileStorage);
+      await sherpaModelRegistry.load();
+      engineFactory.configureSherpaOnnxModels(sherpaModelRegistry);
+      log.info('SherpaOnnx models loaded', {
+        dir: sherpaModelRegistry.modelsDir,
+        models: sherpaModelRegistry.list().length,
+        enabled: sherpaModelRegistry.getEnabled().length,
+      });
+    }
+
+    // Credentials saved in the admin UI override those from the environment
+    const storedCredentials = await this.loadStoredCredentials(credentialsStorage);
+    for (const engineId of getEngineIds()) {
+      const creds = { ...getEngineCredentials(engineId), ...storedCredentials[engineId] };
+      if (Object.keys(creds).length > 0) {
         engineFactory.setDefaultCredentials(engineId, creds);
-        console.log(`  - ${engineId}: credentials loaded`);
+        log.info('Engine credentials loaded', {
+          engine: engineId,
+          source: storedCredentials[engineId] ? 'stored' : 'environment',
+        });
       }
     }
 
     try {
       await engineFactory.createEngine('espeak');
-      console.log('  - espeak: initialized');
+      log.info('Engine initialized', { engine: 'espeak' });
     } catch {
-      console.log('  - espeak: not available');
+      log.info('Engine not available', { engine: 'espeak' });
     }
 
+    const audioCache = new FileAudioCache(
+      new FileStorage({ dataDir: env.CACHE_DIR ?? join(dataDir, 'audio-cache') }),
+      {
+        enabled: env.CACHE_ENABLED,
+        maxSizeBytes: env.CACHE_MAX_SIZE_MB * 1024 * 1024,
+        maxAgeMs: env.CACHE_MAX_AGE_HOURS * 60 * 60 * 1000,
+      }
+    );
+    if (env.CACHE_ENABLED) {
+      await audioCache.load();
+      const stats = audioCache.getStats();
+      log.info('Audio cache enabled', { entries: stats.entries, maxSizeMb: env.CACHE_MAX_SIZE_MB });
+    }
+    this.audioCache = audioCache;
+
+    // ElevenLabs voice-ID mappings
+    const voiceMappingRepository = new FileVoiceMappingRepository(configStorage, configKey);
+    const voiceMappings = await voiceMappingRepository.findAll().catch(() => []);
+    log.info('Voice mappings loaded', { count: voiceMappings.length, path: configPath });
+
+    // Pronunciation lexicons (global and per key) live next to the keys
+    const lexiconService = getLexiconService();
+    await lexiconService.setRepository(new FileLexiconRepository(fileStorage));
+    log.info('Lexicons loaded', { count: lexiconService.list().length });
+
+    // Usage history lives next to the keys
+    const usageService = getUsageService();
+    usageService.setStorage(
+      usingDatabase
+        ? getPostgresUsageStorage()
+        : new FileUsageStorage({ dataDir: env.USAGE_DIR ?? join(dataDir, 'usage') })
+    );
+    if (env.USAGE_RETENTION_DAYS > 0) {
+      const cutoff = new Date(Date.now() - env.USAGE_RETENTION_DAYS * 86400000);
+      const pruned = await usageService.pruneStorage(cutoff).catch(() => 0);
+      if (pruned > 0) {
+        log.info('Pruned old usage records', { count: pruned, retentionDays: env.USAGE_RETENTION_DAYS });
+      }
+    }
+
+    // The admin audit log is stored like usage history
+    const auditService = getAuditService();
+    auditService.setStorage(
+      usingDatabase ? getPostgresAuditLog() : new FileAuditLog({ dataDir: env.AUDIT_DIR ?? join(dataDir, 'audit') })
+    );
+    if (env.AUDIT_RETENTION_DAYS > 0) {
+      const cutoff = new Date(Date.now() - env.AUDIT_RETENTION_DAYS * 86400000);
+      const pruned = await auditService.pruneStorage(cutoff).catch(() => 0);
+      if (pruned > 0) {
+        log.info('Pruned old audit entries', { count: pruned, retentionDays: env.AUDIT_RETENTION_DAYS });
+      }
+    }
+
+    const failoverChains = parseFailoverChains(env.ENGINE_FAILOVER);
+    for (const chain of failoverChains.values()) {
+      log.info(`Failover: ${chain.join(' > ')}`);
+    }
+
+    const audioConverter = new AudioConverter({ ffmpegPath: env.FFMPEG_PATH });
+    const synthesisService = new SynthesisService({
+      engineFactory,
+      audioCache,
+      audioConverter,
+      failoverChains,
+    });
+    const voiceCatalog = new VoiceCatalog({
+      engineFactory,
+      voiceMappingRepository,
+      synthesisService,
+      config: { ttlMs: env.VOICE_CACHE_TTL_SECONDS * 1000 },
+    });
+    const voicePreviewService = new VoicePreviewService({
+      synthesisService,
+      voiceCatalog,
+      audioConverter,
+      repository: new FileVoicePreviewRepository(
+        new FileStorage({ dataDir: env.PREVIEWS_DIR ?? join(dataDir, 'previews') })
+      ),
+    });
+
+    // Long-form jobs and their audio live in their own directory
+    const jobService = new JobService({
+      synthesisService,
+      audioConverter,
+      repository: new FileJobRepository(new FileStorage({ dataDir: env.JOBS_DIR ?? join(dataDir, 'jobs') })),
+      config: {
+        maxTextLength: env.JOBS_MAX_TEXT_LENGTH,
+        chunkLength: env.JOBS_CHUNK_LENGTH,
+        concurrency: env.JOBS_CONCURRENCY,
+        maxRunning: env.JOBS_MAX_RUNNING,
+        maxQueued: env.JOBS_MAX_QUEUED,
+        maxQueuedPerKey: env.JOBS_MAX_QUEUED_PER_KEY,
+        ttlMs: env.JOBS_TTL_HOURS * 60 * 60 * 1000,
+      },
+    });
+    await jobService.load();
+    log.info('Jobs loaded', { count: jobService.list().length });
+    this.jobService = jobService;
+
     setKeyRepository(keyRepository);
     setHealthDependencies({
       engineFactory,
       keyRepository,
+      audioCache,
     });
     setTtsDependencies({
       engineFactory,
+      synthesisService,
+      voiceCatalog,
+      voicePreviewService,
+      openAIVoiceMap: parseOpenAIVoiceMap(env.OPENAI_VOICE_MAP),
     });
     setAdminDependencies({
       keyRepository,
       credentialsStorage,
       engineFactory,
       localKeyStorage: fileStorage,
+      audioCache,
+      voiceMappingRepository,
+      voiceCatalog,
+      voicePreviewService,
+      sherpaModelRegistry,
     });
     setEsp32Dependencies({
       engineFactory,
+      synthesisService,
+      voiceCatalog,
     });
+    setJobDependencies({ jobService });
 
     startRateLimitCleanup();
 
@@ -155,25 +342,113 @@ export class ProxyServer {
       {
         engineFactory,
         keyRepository,
+        synthesisService,
+        voiceCatalog,
       }
     );
 
     this.runningServer = server;
     this.portValue = server.port;
 
-    console.log('=====================');
-    console.log(`Server ready at http://${this.options.host ?? env.HOST}:${server.port}`);
-    console.log(`Admin UI at http://${this.options.host ?? env.HOST}:${server.port}/admin`);
-    console.log(`WebSocket at ws://${this.options.host ?? env.HOST}:${server.port}/ws`);
+    const host = this.options.host ?? env.HOST;
+    log.info(`Server ready at http://${host}:${server.port}`, {
+      adminUi: `http://${host}:${server.port}/admin`,
+      webSocket: `ws://${host}:${server.port}/ws`,
+    });
   }
 
   async stop(): Promise<void> {
     if (!this.runningServer) return;
     await this.runningServer.close();
+    this.jobService?.stop();
+    await this.audioCache?.flush();
+    await getUsageService().flush();
+    await getAuditService().flush();
     this.runningServer = null;
     this.portValue = null;
   }
 
+  /**
+   * Move credentials out of the file when the database is the store, and
+   * encrypt any left in plaintext (the engines' and the keys' custom ones)
+   * when there is a master key
+   */
+  private async migrateCredentials(
+    fileCredentials: FileCredentialsStorage,
+    credentialsStorage: CredentialsStoragePort,
+    keyRepository: KeyRepositoryPort,
+    cipher: CredentialsCipher | null
+  ): Promise<void> {
+    try {
+      const { moved, encrypted } = await migrateCredentials({
+        file: fileCredentials,
+        target: credentialsStorage,
+        encrypt: cipher !== null,
+      });
+      if (moved > 0) log.info('Moved engine credentials into the database', { engines: moved });
+      if (encrypted > 0) log.info('Encrypted stored engine credentials', { engines: encrypted, keyId: cipher?.keyId });
+
+      const plaintext = await credentialsStorage.countPlaintextCredentials();
+      if (plaintext > 0) {
+        log.warn('Engine credentials are stored unencrypted; set CREDENTIALS_MASTER_KEY', { engines: plaintext });
+      }
+
+      const keysEncrypted = cipher ? await encryptKeyCredentials(keyRepository) : 0;
+      if (keysEncrypted > 0) {
+        log.info('Encrypted custom engine credentials of API keys', { keys: keysEncrypted, keyId: cipher?.keyId });
+      }
+      const plaintextKeys = await keyRepository.countPlaintextCredentials();
+      if (plaintextKeys > 0) {
+        log.warn('Custom engine credentials of API keys are stored unencrypted; set CREDENTIALS_MASTER_KEY', {
+          keys: plaintextKeys,
+        });
+      }
+    } catch (error) {
+      // Usually a missing or wrong master key; the server still runs on env credentials
+      log.error('Stored engine credentials could not be read', error);
+    }
+  }
+
+  /**
+   * Stored engine credentials; none when they can't be read
+   */
+  private async loadStoredCredentials(
+    credentialsStorage: CredentialsStoragePort
+  ): Promise<Record<string, Record<string, string>>> {
+    try {
+      return await credentialsStorage.getAllCredentials();
+    } catch {
+      // Already reported while migrating
+      return {};
+    }
+  }
+
+  /**
+   * Send all logging to the console and/or a rotated file, as JSON lines.
+   * The factory outlives restarts, so the log file is opened once.
+   */
+  private configureLogging(env: ReturnType<typeof getEnv>): void {
+    let destination: LogDestination | 'none' = env.LOG_TO_CONSOLE ? 'console' : 'none';
+    if (env.LOG_TO_FILE) destination = env.LOG_TO_CONSOLE ? 'both' : 'file';
+    const config = {
+      level: env.LOG_LEVEL,
+      format: env.LOG_FORMAT,
+      destination,
+      filePath: join(env.LOG_DIR, 'openvoiceproxy.log'),
+    };
+
+    if (this.loggerFactory) {
+      this.loggerFactory.configure(config);
+      return;
+    }
+    this.loggerFactory = new WinstonLoggerFactory({
+      ...config,
+      maxFileSizeBytes: env.LOG_MAX_SIZE_MB * 1024 * 1024,
+      maxFiles: env.LOG_MAX_FILES,
+    });
+    setLoggerFactory(this.loggerFactory);
+  }
+
   private async ensureLocalAdminKey(
     fileStorage: FileStorage,
     keyRepository: KeyRepositoryPort,
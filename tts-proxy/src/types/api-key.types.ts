@@ -16,8 +16,22 @@ export interface ApiKeyData {
   lastUsed: Nullable<Date>;
   requestCount: number;
   engineConfig: Nullable<Record<string, EngineKeyConfig>>;
+  characterQuota?: Nullable<CharacterQuota>; // missing on keys saved before quotas existed
+  scopes?: Nullable<ApiKeyScope[]>; // missing on keys saved before scopes existed
+  previousKeyHash?: Nullable<string>; // secret replaced by the last rotation
+  previousKeyExpiresAt?: Nullable<Date>; // end of the previous secret's grace period
 }
 
+/**
+ * Permission scopes of a key:
+ * - tts: the /v1 API, voice listing included
+ * - voices:read: only GET requests for the voice and model lists
+ * - devices: the ESP32 /api/* routes and the /ws WebSocket
+ * - admin:read: GET requests on the admin API
+ * - admin: everything
+ */
+export type ApiKeyScope = 'tts' | 'voices:read' | 'devices' | 'admin:read' | 'admin';
+
 export interface ApiKey extends ApiKeyData, Timestamps {}
 
 export interface EngineKeyConfig {
@@ -26,12 +40,28 @@ export interface EngineKeyConfig {
   credentials?: Record<string, string>;
 }
 
+export type QuotaPeriod = 'daily' | 'weekly' | 'monthly';
+
+export interface CharacterQuota {
+  limit: number; // characters per period
+  period: QuotaPeriod;
+}
+
+export interface QuotaStatus extends CharacterQuota {
+  used: number;
+  remaining: number;
+  periodStart: Date;
+  resetsAt: Date;
+}
+
 export interface CreateApiKeyInput {
   name: string;
   isAdmin?: boolean;
   rateLimit?: number;
   expiresAt?: Date;
   engineConfig?: Record<string, EngineKeyConfig>;
+  characterQuota?: CharacterQuota | null;
+  scopes?: ApiKeyScope[];
 }
 
 export interface UpdateApiKeyInput {
@@ -41,6 +71,8 @@ export interface UpdateApiKeyInput {
   rateLimit?: number;
   expiresAt?: Nullable<Date>;
   engineConfig?: Record<string, EngineKeyConfig>;
+  characterQuota?: Nullable<CharacterQuota>;
+  scopes?: ApiKeyScope[];
 }
 
 export interface ApiKeyWithPlainKey extends ApiKey {
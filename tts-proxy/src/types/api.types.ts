@@ -2,7 +2,9 @@
  * API request/response types
  */
 
-import type { ApiKey, RateLimitInfo } from './api-key.types.js';
+import type { RateLimitInfo, CharacterQuota, ApiKeyScope } from './api-key.types.js';
+import type { ApiKey } from '../domain/entities/api-key.js';
+import type { EngineQueueSnapshot } from '../domain/services/engine-scheduler.js';
 import type { EngineType, EngineStatus } from './engine.types.js';
 import type { AudioFormat, VoiceSettings } from './tts.types.js';
 
@@ -15,6 +17,15 @@ export interface RequestContext {
   rateLimitInfo?: RateLimitInfo;
   requestId: string;
   startTime: number;
+  usage?: RequestUsage; // set by routes that synthesize speech
+}
+
+// What a synthesis request consumed, for usage tracking
+export interface RequestUsage {
+  engine: EngineType;
+  characterCount: number;
+  statusCode?: number; // of a stream that failed after its headers were sent
+  completion?: Promise<void>; // settles when a streamed response ends; usage is recorded then
 }
 
 // Health check response
@@ -26,7 +37,10 @@ export interface HealthResponse {
   engines: {
     available: string[];
     unavailable: string[];
+    circuitOpen?: string[]; // engines skipped after repeated failures
   };
+  // Calls running and waiting per engine that has been used
+  queues: Record<string, EngineQueueSnapshot>;
 }
 
 // Readiness check response
@@ -38,26 +52,6 @@ export interface ReadyResponse {
   };
 }
 
-// Metrics response
-export interface MetricsResponse {
-  requests: {
-    total: number;
-    success: number;
-    errors: number;
-  };
-  latency: {
-    avg: number;
-    p50: number;
-    p95: number;
-    p99: number;
-  };
-  engines: Record<string, {
-    requests: number;
-    errors: number;
-    avgLatency: number;
-  }>;
-}
-
 // TTS API request body
 export interface TTSRequestBody {
   text: string;
@@ -93,9 +87,20 @@ export interface AdminKeyResponse {
   lastUsed: string | null;
   requestCount: number;
   expiresAt: string | null;
+  characterQuota?: CharacterQuota | null;
+  scopes: ApiKeyScope[];
+  previousKeyExpiresAt: string | null; // set while a rotated-out secret still works
+  quotaUsage?: AdminQuotaUsage; // Only for keys with a quota
   key?: string; // Only on creation
 }
 
+export interface AdminQuotaUsage {
+  used: number;
+  remaining: number;
+  periodStart: string;
+  resetsAt: string;
+}
+
 export interface AdminKeysListResponse {
   keys: AdminKeyResponse[];
   total: number;
@@ -128,9 +133,20 @@ export interface AdminCredentialsTestResponse {
 
 export interface AdminUsageResponse {
   totalRequests: number;
-  byKey: Record<string, number>;
+  totalCharacters: number;
+  successRate: number; // percent
+  avgDurationMs: number;
+  byKey: Record<string, number>; // request counts
   byEngine: Record<string, number>;
   byPath: Record<string, number>;
+  charactersByKey: Record<string, number>;
+  charactersByEngine: Record<string, number>;
+  timeline?: Array<{
+    start: string;
+    requests: number;
+    characters: number;
+    errors: number;
+  }>;
   period: {
     start: string;
     end: string;
@@ -173,6 +189,10 @@ export interface ErrorResponse {
     message: string;
     details?: Record<string, unknown>;
   };
+  detail?: {
+    status: string;
+    message: string;
+  }; // ElevenLabs error shape, for errors its clients act on
   requestId?: string;
 }
 
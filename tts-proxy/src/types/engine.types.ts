@@ -2,7 +2,9 @@
  * TTS Engine related types
  */
 
-export type EngineType =
+import type { PhonemeAlphabet, TimestampSupport } from './tts.types.js';
+
+export type BuiltinEngineType =
   | 'espeak'
   | 'azure'
   | 'elevenlabs'
@@ -14,6 +16,11 @@ export type EngineType =
   | 'witai'
   | 'sherpaonnx';
 
+// Self-hosted TTS servers configured in config.json, see http-engine-config.ts
+export type HttpEngineType = `http-${string}`;
+
+export type EngineType = BuiltinEngineType | HttpEngineType;
+
 export type EngineCategory = 'free' | 'paid';
 
 export interface EngineCredentialField {
@@ -34,6 +41,8 @@ export interface EngineDefinition {
   supportedFormats: string[];
   supportsStreaming: boolean;
   supportsSSML: boolean;
+  phonemeAlphabets?: PhonemeAlphabet[]; // alphabets accepted in SSML <phoneme>
+  timestamps: TimestampSupport;
 }
 
 export interface EngineCredentials {
@@ -102,7 +111,7 @@ export interface WitAICredentials {
 }
 
 // Engine definitions constant
-export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
+export const ENGINE_DEFINITIONS: Record<BuiltinEngineType, EngineDefinition> = {
   espeak: {
     id: 'espeak',
     name: 'eSpeak',
@@ -113,6 +122,7 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['wav', 'mp3'],
     supportsStreaming: false,
     supportsSSML: true,
+    timestamps: 'estimated',
   },
   azure: {
     id: 'azure',
@@ -127,6 +137,8 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['wav', 'mp3', 'ogg'],
     supportsStreaming: true,
     supportsSSML: true,
+    phonemeAlphabets: ['ipa'],
+    timestamps: 'exact',
   },
   elevenlabs: {
     id: 'elevenlabs',
@@ -140,6 +152,7 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['mp3', 'wav', 'pcm'],
     supportsStreaming: true,
     supportsSSML: false,
+    timestamps: 'exact',
   },
   openai: {
     id: 'openai',
@@ -153,6 +166,7 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['mp3', 'wav', 'opus', 'ogg'],
     supportsStreaming: true,
     supportsSSML: false,
+    timestamps: 'estimated',
   },
   google: {
     id: 'google',
@@ -167,6 +181,8 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['mp3', 'wav', 'ogg'],
     supportsStreaming: false,
     supportsSSML: true,
+    phonemeAlphabets: ['ipa', 'x-sampa'],
+    timestamps: 'exact',
   },
   polly: {
     id: 'polly',
@@ -182,6 +198,8 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['mp3', 'wav', 'ogg', 'pcm'],
     supportsStreaming: true,
     supportsSSML: true,
+    phonemeAlphabets: ['ipa', 'x-sampa'],
+    timestamps: 'exact',
   },
   watson: {
     id: 'watson',
@@ -196,6 +214,8 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['mp3', 'wav', 'ogg'],
     supportsStreaming: true,
     supportsSSML: true,
+    phonemeAlphabets: ['ipa'],
+    timestamps: 'estimated',
   },
   playht: {
     id: 'playht',
@@ -210,6 +230,7 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['mp3', 'wav'],
     supportsStreaming: true,
     supportsSSML: false,
+    timestamps: 'estimated',
   },
   witai: {
     id: 'witai',
@@ -223,6 +244,7 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['wav', 'mp3'],
     supportsStreaming: false,
     supportsSSML: false,
+    timestamps: 'estimated',
   },
   sherpaonnx: {
     id: 'sherpaonnx',
@@ -234,5 +256,37 @@ export const ENGINE_DEFINITIONS: Record<EngineType, EngineDefinition> = {
     supportedFormats: ['wav'],
     supportsStreaming: false,
     supportsSSML: false,
+    timestamps: 'estimated',
   },
 };
+
+// Definitions of the engines configured at startup
+const configuredEngines = new Map<EngineType, EngineDefinition>();
+
+/**
+ * Make a configured engine known next to the built-in ones
+ */
+export function registerEngineDefinition(definition: EngineDefinition): void {
+  configuredEngines.set(definition.id, definition);
+}
+
+/**
+ * Definition of a built-in or configured engine
+ */
+export function getEngineDefinition(engineId: string): EngineDefinition | undefined {
+  if (Object.hasOwn(ENGINE_DEFINITIONS, engineId)) {
+    return ENGINE_DEFINITIONS[engineId as BuiltinEngineType];
+  }
+  return configuredEngines.get(engineId as EngineType);
+}
+
+/**
+ * IDs of the built-in engines followed by the configured ones
+ */
+export function getEngineIds(): EngineType[] {
+  return [...(Object.keys(ENGINE_DEFINITIONS) as BuiltinEngineType[]), ...configuredEngines.keys()];
+}
+
+export function isEngineType(value: string): value is EngineType {
+  return getEngineDefinition(value) !== undefined;
+}
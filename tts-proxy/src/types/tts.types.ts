@@ -2,7 +2,7 @@
  * TTS (Text-to-Speech) related types
  */
 
-export type AudioFormat = 'mp3' | 'wav' | 'pcm' | 'ogg' | 'opus';
+export type AudioFormat = 'mp3' | 'wav' | 'pcm' | 'ogg' | 'opus' | 'ulaw' | 'aac' | 'flac';
 export type AudioEncoding = 'mp3' | 'pcm_16000' | 'pcm_22050' | 'pcm_24000' | 'pcm_44100';
 
 export interface Voice {
@@ -17,13 +17,64 @@ export interface Voice {
   labels?: Record<string, string>;
 }
 
+/**
+ * Maps an ElevenLabs voice ID (as sent by clients like Grid3) to a local engine voice.
+ * Stored in the voiceMapping section of config.json.
+ */
 export interface VoiceMapping {
-  voiceId: string;
-  engine: string;
-  actualVoiceId: string;
-  name: string;
+  elevenLabsId: string;
+  elevenLabsName: string;
+  localEngine: string;
+  localVoiceId: string;
+  parameters?: {
+    rate?: number;
+    pitch?: number;
+  };
+}
+
+export type LexiconRuleType = 'replace' | 'regex' | 'phoneme';
+
+export type PhonemeAlphabet = 'ipa' | 'x-sampa';
+
+/**
+ * A pronunciation rule applied to text before synthesis
+ */
+export interface LexiconRule {
+  type: LexiconRuleType;
+  match: string; // literal text, or a regular expression for regex rules
+  // replace/regex: the new text (regex rules may use $1...); phoneme: a
+  // sounds-like spelling for engines that can't take phonemes
+  replacement?: string;
+  phoneme?: string; // phoneme rules: the pronunciation
+  alphabet?: PhonemeAlphabet; // defaults to ipa
+  caseSensitive?: boolean; // default false
+  wholeWord?: boolean; // literal matches are whole words unless false
+  engines?: string[]; // only apply on these engines
+}
+
+/**
+ * The rules for one scope: "global" or an API key ID
+ */
+export interface Lexicon {
+  scope: string;
+  rules: LexiconRule[];
+  updatedAt: string;
 }
 
+/**
+ * An audio format with the encoding details a client asked for
+ */
+export interface AudioSpec {
+  format: AudioFormat;
+  sampleRate?: number;
+  bitrate?: number; // kbps, for lossy compressed formats
+}
+
+/**
+ * Order in which calls waiting for a busy engine get their turn
+ */
+export type SynthesisPriority = 'interactive' | 'standard' | 'background';
+
 export interface SpeechRequest {
   text: string;
   voiceId: string;
@@ -32,6 +83,8 @@ export interface SpeechRequest {
   voiceSettings?: VoiceSettings;
   outputFormat?: AudioFormat;
   sampleRate?: number;
+  ssml?: boolean; // text is an SSML document
+  priority?: SynthesisPriority; // 'standard' when not set
 }
 
 export interface VoiceSettings {
@@ -63,9 +116,16 @@ export interface AlignmentData {
   character_end_times_seconds: number[];
 }
 
+/**
+ * How an engine produces character timings:
+ * exact = reported by the engine, estimated = derived from audio duration and text
+ */
+export type TimestampSupport = 'exact' | 'estimated' | 'none';
+
 export interface TimestampedSpeechResponse extends SpeechResponse {
   alignment: AlignmentData;
   normalized_alignment?: AlignmentData;
+  timing: Exclude<TimestampSupport, 'none'>;
 }
 
 // ElevenLabs API compatibility types
@@ -89,6 +149,17 @@ export interface ElevenLabsVoice {
 
 export interface ElevenLabsVoicesResponse {
   voices: ElevenLabsVoice[];
+  // Set when the list was paged with ?page_size= or ?cursor=
+  has_more?: boolean;
+  total_count?: number;
+  next_cursor?: string | null;
+}
+
+export interface ElevenLabsVoicesV2Response {
+  voices: ElevenLabsVoice[];
+  has_more: boolean;
+  total_count: number;
+  next_page_token: string | null;
 }
 
 export interface ElevenLabsModel {